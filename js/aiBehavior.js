@@ -1,7 +1,8 @@
 // =============================================================================
 // AI BEHAVIOR SYSTEM
 // =============================================================================
-// Handles AI tank behavior, movement, and targeting
+// Handles AI tank behavior, movement, and targeting. What a bot does each tick
+// is decided by the behavior tree of its persona (see aiPersonas.js).
 
 class AIBehavior {
     constructor(game) {
@@ -9,7 +10,8 @@ class AIBehavior {
     }
 
     /**
-     * Find the nearest enemy to an AI tank (players or other AIs)
+     * Find the nearest enemy to an AI tank (players or other AIs). Enemies out of sight
+     * count AI_HIDDEN_TARGET_PENALTY further away, so bots fight what they can shoot.
      * @param {Object} aiTank - AI tank looking for target
      * @returns {Object|null} Nearest enemy tank or null
      */
@@ -27,8 +29,8 @@ class AIBehavior {
         this.game.tanks.forEach(tank => {
             if (!tank.isAlive || tank.id === aiTank.id) return;
             
-            // In TDM mode, only target enemies (different team)
-            if (this.game.gameMode === GAME_MODES.TDM) {
+            // In team modes, only target enemies (different team)
+            if (this.game.isTeamMode()) {
                 if (aiTank.team === tank.team) {
                     return; // Skip same team
                 }
@@ -41,7 +43,13 @@ class AIBehavior {
                 }
             }
             
-            const distance = Math.sqrt((tank.x - aiTank.x) ** 2 + (tank.y - aiTank.y) ** 2);
+            // Cloaked tanks only show up close
+            if (this.game.powerupsManager.hiddenFrom(tank, aiTank)) return;
+            
+            let distance = Math.sqrt((tank.x - aiTank.x) ** 2 + (tank.y - aiTank.y) ** 2);
+            if (distance < nearestDistance && !this.game.visibility.lineOfSight(aiTank, tank)) {
+                distance += GAME_CONFIG.AI_HIDDEN_TARGET_PENALTY;
+            }
             if (distance < nearestDistance) {
                 nearestDistance = distance;
                 nearestEnemy = tank;
@@ -77,16 +85,9 @@ class AIBehavior {
         const dy = avgY - tank.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
         
-        // Only move if we're not already close to players
+        // Only move if we're not already close to players (around walls if they're in the way)
         if (distance > tank.followDistance) {
-            const moveX = (dx / distance) * tank.speed;
-            const moveY = (dy / distance) * tank.speed;
-            
-            const newX = tank.x + moveX;
-            const newY = tank.y + moveY;
-            const moveAngle = Math.atan2(dy, dx);
-            
-            this.game.moveTankWithSliding(tank, newX, newY, moveAngle);
+            this.moveToward(tank, avgX, avgY);
         }
     }
 
@@ -100,7 +101,8 @@ class AIBehavior {
         let nearestDistance = Infinity;
         
         this.game.powerups.forEach(powerup => {
-            if (!powerup.alive) return;
+            // Skip pickups the match rules won't let this tank take yet
+            if (!powerup.alive || !this.game.powerupsManager.canPickUp(aiTank, powerup.type)) return;
             
             const distance = Math.sqrt((powerup.x - aiTank.x) ** 2 + (powerup.y - aiTank.y) ** 2);
             if (distance < nearestDistance) {
@@ -113,23 +115,496 @@ class AIBehavior {
     }
 
     /**
-     * Update AI tank behavior
+     * Ask the game mode for an objective (flag, base, escort) that overrides free roaming
+     * @param {Object} tank - AI tank
+     * @returns {Object|null} { moveTo: {x, y}, arriveRadius, target, ignorePowerups }
+     */
+    getModeObjective(tank) {
+        const mode = this.game.mode;
+        return (mode && mode.aiObjective) ? mode.aiObjective(this.game, tank) : null;
+    }
+
+    /**
+     * Drive toward a mode objective point. Within its arrive radius the tank either
+     * stops or, for hold objectives (capture zones), keeps circling inside the radius.
+     * @param {Object} tank - AI tank
+     * @param {Object} objective - Objective from getModeObjective
+     */
+    moveTowardObjective(tank, objective) {
+        const dx = objective.moveTo.x - tank.x;
+        const dy = objective.moveTo.y - tank.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance <= Math.max(objective.arriveRadius || 0, tank.speed)) {
+            if (objective.hold) {
+                this.holdAroundPoint(tank, objective.moveTo, objective.arriveRadius);
+            }
+            return;
+        }
+        
+        this.moveToward(tank, objective.moveTo.x, objective.moveTo.y);
+    }
+
+    /**
+     * Circle a point so a holding tank is not a sitting target
+     * @param {Object} tank - AI tank
+     * @param {Object} center - Point to hold
+     * @param {number} radius - Circle radius
+     */
+    holdAroundPoint(tank, center, radius) {
+        if (this.game.rng.chance(GAME_CONFIG.AI_ORBIT_DIRECTION_CHANGE_CHANCE)) {
+            tank.aiOrbitDirection *= -1;
+        }
+        tank.aiOrbitAngle += tank.aiOrbitDirection * GAME_CONFIG.AI_ORBIT_SPEED * 2;
+        this.moveToward(tank, center.x + Math.cos(tank.aiOrbitAngle) * radius, center.y + Math.sin(tank.aiOrbitAngle) * radius);
+    }
+
+    /**
+     * Move straight toward a point without overshooting it
+     * @param {Object} tank - AI tank
+     * @param {number} x - Target X
+     * @param {number} y - Target Y
+     */
+    moveToward(tank, x, y) {
+        const waypoint = this.routeWaypoint(tank, x, y);
+        if (waypoint) {
+            x = waypoint.x;
+            y = waypoint.y;
+        }
+        const dx = x - tank.x;
+        const dy = y - tank.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance < 0.001) return;
+        
+        const moveAngle = Math.atan2(dy, dx);
+        const step = Math.min(tank.speed, distance);
+        this.game.moveTankWithSliding(tank, tank.x + Math.cos(moveAngle) * step, tank.y + Math.sin(moveAngle) * step, moveAngle);
+    }
+
+    /**
+     * Next point to steer for on the way to a destination: a teleporter that cuts the trip
+     * short, the next corner of an A* route around walls, or a detour around mud and water
+     * @param {Object} tank - AI tank
+     * @param {number} x - Destination X
+     * @param {number} y - Destination Y
+     * @returns {Object|null} Waypoint, or null to drive straight
+     */
+    routeWaypoint(tank, x, y) {
+        return this.teleporterWaypoint(tank, x, y) || this.game.navigation.waypoint(tank, x, y) || this.terrainWaypoint(tank, x, y);
+    }
+
+    /**
+     * Teleporter pad worth driving onto: the drive to it plus the rest of the trip from its
+     * exit must be clearly shorter than going straight there
+     * @param {Object} tank - AI tank
+     * @param {number} x - Destination X
+     * @param {number} y - Destination Y
+     * @returns {Object|null} Pad to drive onto, or null
+     */
+    teleporterWaypoint(tank, x, y) {
+        const pads = this.game.entitiesManager ? this.game.entitiesManager.teleporters : [];
+        let best = null;
+        let bestLength = Math.hypot(x - tank.x, y - tank.y) * ENTITY_CONFIG.AI_TELEPORTER_GAIN;
+        pads.forEach(pad => {
+            // The pad the tank just arrived on leads straight back
+            if (pad === tank.teleporterLock) return;
+            const length = Math.hypot(pad.x - tank.x, pad.y - tank.y) + Math.hypot(x - pad.exit.x, y - pad.exit.y);
+            if (length < bestLength) {
+                best = pad;
+                bestLength = length;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Point to steer for so a route skirts mud and water instead of crossing it. Only the
+     * first such zone on the way counts, and only when going around costs little extra.
+     * @param {Object} tank - AI tank
+     * @param {number} x - Destination X
+     * @param {number} y - Destination Y
+     * @returns {Object|null} Detour point, or null to drive straight
+     */
+    terrainWaypoint(tank, x, y) {
+        const zones = this.game.terrainZones;
+        if (zones.length === 0) return null;
+        const from = { x: tank.x, y: tank.y };
+        const to = { x, y };
+        const direct = Math.hypot(x - tank.x, y - tank.y);
+
+        // First zone to avoid on the straight line (a tank already inside just drives out)
+        let zone = null;
+        let zoneDistance = Infinity;
+        zones.forEach(candidate => {
+            if (!TERRAIN_CONFIG.AI_AVOID.includes(candidate.type)) return;
+            if (GameTerrain.contains(candidate, tank.x, tank.y) || GameTerrain.contains(candidate, x, y)) return;
+            if (!GameTerrain.crosses(candidate, from, to)) return;
+            const distance = Math.hypot(candidate.x - tank.x, candidate.y - tank.y);
+            if (distance < zoneDistance) {
+                zone = candidate;
+                zoneDistance = distance;
+            }
+        });
+        if (!zone) return null;
+
+        // Corners of a box around the zone, padded so the tank clears its edge
+        const margin = TERRAIN_CONFIG.AI_DETOUR_MARGIN + tank.size / 2;
+        const halfWidth = (zone.radius || zone.width / 2) + margin;
+        const halfHeight = (zone.radius || zone.height / 2) + margin;
+        let best = null;
+        let bestLength = direct * TERRAIN_CONFIG.AI_MAX_DETOUR;
+        [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([sx, sy]) => {
+            const corner = { x: zone.x + sx * halfWidth, y: zone.y + sy * halfHeight };
+            if (GameTerrain.crosses(zone, from, corner)) return;
+            const length = Math.hypot(corner.x - tank.x, corner.y - tank.y) + Math.hypot(x - corner.x, y - corner.y);
+            if (length < bestLength) {
+                best = corner;
+                bestLength = length;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Whether a shot at a target is worth taking: a clear line, or cover weak enough to shoot through.
+     * Bots hold fire behind indestructible or heavy cover instead of plinking at it.
+     * @param {Object} tank - AI tank
+     * @param {Object} target - Tank being aimed at
+     * @returns {boolean}
+     */
+    canShootThroughCover(tank, target) {
+        const cover = this.game.obstaclesManager.coverBetween(tank, target);
+        return !cover.blocked || (!cover.solid && cover.hp <= OBSTACLE_CONFIG.AI_WEAK_COVER_HP);
+    }
+
+    /**
+     * Whether the tank's weapon would reach a target from here. Direct fire needs the target in
+     * range and cover it can get through; mortar shells only land at their range, over anything;
+     * mines and charges are worth dropping once the target is close; missiles need a lock on this
+     * target and room to turn toward it.
+     * @param {Object} tank - AI tank
+     * @param {Object} target - Tank being aimed at
+     * @returns {boolean}
+     */
+    weaponCanReach(tank, target) {
+        const weapon = GameWeapons.weaponOf(tank);
+        const distance = Math.sqrt((target.x - tank.x) ** 2 + (target.y - tank.y) ** 2);
+        if (weapon.projectile === 'mine' || weapon.projectile === 'charge') {
+            return distance < WEAPON_CONFIG.AI_MINE_DISTANCE;
+        }
+        if (weapon.projectile === 'shell') {
+            return Math.abs(distance - weapon.range) < weapon.blastRadius + target.size / 2;
+        }
+        if (weapon.projectile === 'missile') {
+            return distance > WEAPON_CONFIG.AI_MISSILE_MIN_DISTANCE && this.game.weaponsManager.lockTarget(tank) === target;
+        }
+        return distance < GameWeapons.range(weapon) && this.canShootThroughCover(tank, target);
+    }
+
+    /**
+     * How a direct-fire weapon (bullets, railgun) can hit a target from here: straight at it
+     * (see canShootThroughCover), off the arena edge when its bullets bounce, or not at all,
+     * in which case the bot should move for a better angle. Other weapons never need a line.
+     * @param {Object} tank - AI tank
+     * @param {Object} target - Tank being aimed at
+     * @returns {Object} { bank: bank shot to take instead of aiming straight, blocked: no way to hit from here }
+     */
+    planShot(tank, target) {
+        const weapon = GameWeapons.weaponOf(tank);
+        if ((weapon.projectile !== 'bullet' && weapon.projectile !== 'rail') || this.canShootThroughCover(tank, target)) {
+            return { bank: null, blocked: false };
+        }
+        let bank = null;
+        if (weapon.projectile === 'bullet' && this.game.powerupsManager.bulletModifiers(tank).bounces > 0) {
+            bank = this.game.visibility.bankShot(tank, target, weapon.size / 2);
+            if (bank && bank.length > GameWeapons.range(weapon)) bank = null;
+        }
+        return { bank, blocked: !bank };
+    }
+
+    /**
+     * Nearest live missile homing in on this tank
+     * @param {Object} tank - AI tank
+     * @returns {Object|null} Missile within AI_MISSILE_DODGE_DISTANCE, still under power
+     */
+    findIncomingMissile(tank) {
+        const now = this.game.now();
+        let nearest = null;
+        let nearestDistance = WEAPON_CONFIG.AI_MISSILE_DODGE_DISTANCE;
+        this.game.bullets.forEach(bullet => {
+            if (!bullet.homing || bullet.target !== tank || now - bullet.spawnTime > bullet.fuelMs) return;
+            const distance = Math.sqrt((bullet.x - tank.x) ** 2 + (bullet.y - tank.y) ** 2);
+            if (distance < nearestDistance) {
+                nearest = bullet;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Whether the tank has a powerup running (and not knocked out by an EMP)
+     * @param {Object} tank - AI tank
+     * @param {string} slot - Powerup slot (e.g. 'shield')
+     * @returns {boolean}
+     */
+    hasPowerup(tank, slot) {
+        return this.game.powerupsManager.active(tank).some(({ powerup }) => powerup.slot === slot);
+    }
+
+    /**
+     * Obstacle a ghost tank is inside when its ghost is about to run out
+     * @param {Object} tank - AI tank
+     * @returns {Object|null} Obstacle to drive out of
+     */
+    obstacleToLeave(tank) {
+        const ghost = tank.powerups.ghost;
+        if (!ghost || ghost.length === 0 || Math.max(...ghost) > GAME_CONFIG.AI_GHOST_EXIT_MS) return null;
+        return this.game.obstacles.find(obstacle => GameCollisions.overlaps(obstacle, tank, tank.x, tank.y)) || null;
+    }
+
+    /**
+     * Nearest lit charge that would catch this tank in its blast
+     * @param {Object} tank - AI tank
+     * @returns {Object|null} Charge in game.charges
+     */
+    findThreateningCharge(tank) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.game.charges.forEach(charge => {
+            if (!this.game.canDamageTank(charge, tank)) return;
+            const distance = Math.sqrt((charge.x - tank.x) ** 2 + (charge.y - tank.y) ** 2);
+            if (distance < charge.blastRadius + tank.size / 2 + WEAPON_CONFIG.AI_CHARGE_MARGIN && distance < nearestDistance) {
+                nearest = charge;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Skill settings for a bot (see AI_SKILL)
+     * @param {Object} tank - AI tank
+     * @returns {Object} Settings for the bot's level (the default level for tanks without one)
+     */
+    static skillOf(tank) {
+        return AI_SKILL_LEVELS.includes(tank.skill) ? AI_SKILL[tank.skill] : AI_SKILL[AI_SKILL.DEFAULT];
+    }
+
+    /**
+     * Give a bot a fresh aim error for its next shot, within its skill's aimError
+     * @param {MultiTanksGame} game - Game (for its rng)
+     * @param {Object} tank - AI tank
+     */
+    static rollAimError(game, tank) {
+        const aimError = AIBehavior.skillOf(tank).aimError;
+        tank.aiAimError = aimError > 0 ? game.rng.range(-aimError, aimError) : 0;
+    }
+
+    /**
+     * Threat model: project every bullet that could hurt this tank along its flight
+     * (assuming the tank holds still) and find the one that lands first
+     * @param {Object} tank - Tank under fire
+     * @param {number} lookaheadMs - Ignore hits further off than this
+     * @param {number} reactionMs - Ignore bullets fired less than this long ago (not noticed yet)
+     * @returns {Object|null} { bullet, timeToImpactMs, missDistance } for the most urgent hit
+     */
+    assessThreat(tank, lookaheadMs, reactionMs) {
+        const now = this.game.now();
+        let threat = null;
+        this.game.bullets.forEach(bullet => {
+            // Missiles have their own dodge; campaign enemy fire is handled outside canDamageTank
+            if (bullet.homing || !bullet.speed) return;
+            const hostile = bullet.owner === 'enemy' ? (tank.isPlayer || tank.isAIAlly) : this.game.canDamageTank(bullet, tank);
+            // Campaign enemy bullets get their spawnTime on their first update
+            const age = now - (bullet.spawnTime || now);
+            if (!hostile || age < reactionMs) return;
+            // Closest approach along the bullet's line, in ticks
+            const vx = Math.cos(bullet.angle) * bullet.speed;
+            const vy = Math.sin(bullet.angle) * bullet.speed;
+            const rx = tank.x - bullet.x;
+            const ry = tank.y - bullet.y;
+            const closest = (rx * vx + ry * vy) / (bullet.speed * bullet.speed);
+            if (closest < 0) return;
+            const missDistance = Math.hypot(rx - vx * closest, ry - vy * closest);
+            const hitRadius = tank.size / 2 + bullet.size / 2 + AI_SKILL.THREAT_MARGIN;
+            if (missDistance >= hitRadius) return;
+            const ticks = closest - Math.sqrt(hitRadius * hitRadius - missDistance * missDistance) / bullet.speed;
+            const timeToImpactMs = Math.max(0, ticks) * this.game.tickDuration;
+            const lifeLeft = (bullet.lifetimeMs || GAME_CONFIG.BULLET_MAX_LIFETIME_MS) - age;
+            if (timeToImpactMs > lookaheadMs || timeToImpactMs > lifeLeft) return;
+            // Cover in between takes the hit
+            if (!this.game.visibility.lineOfSight(bullet, tank)) return;
+            if (!threat || timeToImpactMs < threat.timeToImpactMs) {
+                threat = { bullet, timeToImpactMs, missDistance };
+            }
+        });
+        return threat;
+    }
+
+    /**
+     * Shot this bot is dodging, if any. Each new threat gets one roll against the
+     * skill's dodgeChance, so a rookie either dodges a bullet or eats it.
+     * @param {Object} tank - AI tank
+     * @returns {Object|null} Threat from assessThreat
+     */
+    findShotToDodge(tank) {
+        if (this.hasPowerup(tank, 'shield') || this.hasPowerup(tank, 'invincibility')) return null;
+        const skill = AIBehavior.skillOf(tank);
+        const threat = this.assessThreat(tank, skill.dodgeLookaheadMs, skill.reactionMs);
+        if (!threat) return null;
+        if (tank.aiDodgeBullet !== threat.bullet) {
+            tank.aiDodgeBullet = threat.bullet;
+            tank.aiDodging = this.game.rng.chance(skill.dodgeChance);
+        }
+        return tank.aiDodging ? threat : null;
+    }
+
+    /**
+     * Get out of a bullet's way: duck behind cover if the skill allows it and the tank
+     * gets there before the bullet does, else strafe
+     * @param {Object} tank - AI tank
+     * @param {Object} threat - Threat from assessThreat
+     */
+    dodgeShot(tank, threat) {
+        const reach = Math.min(AIBehavior.skillOf(tank).dodgeCoverDistance, tank.speed * threat.timeToImpactMs / this.game.tickDuration);
+        const cover = reach > 0 ? this.findCoverFrom(tank, threat.bullet, reach) : null;
+        if (cover) {
+            this.moveToward(tank, cover.x, cover.y);
+        } else {
+            this.dodgeProjectile(tank, threat.bullet);
+        }
+    }
+
+    /**
+     * Nearest spot behind an obstacle, as seen from a shooter or bullet
+     * @param {Object} tank - Tank looking for cover
+     * @param {Object} from - Where the fire comes from
+     * @param {number} maxDistance - Only spots this close to the tank
+     * @returns {Object|null} Point to drive to
+     */
+    findCoverFrom(tank, from, maxDistance) {
+        let best = null;
+        let bestDistance = Infinity;
+        this.game.obstacles.forEach(obstacle => {
+            if (GameObstacles.distanceTo(obstacle, tank.x, tank.y) > maxDistance) return;
+            const away = Math.atan2(obstacle.y - from.y, obstacle.x - from.x);
+            const dx = Math.cos(away);
+            const dy = Math.sin(away);
+            // Half the obstacle's depth along the line of fire, then room for the tank
+            const depth = obstacle.type === 'rock' ? obstacle.radius : Math.abs(dx) * obstacle.width / 2 + Math.abs(dy) * obstacle.height / 2;
+            const spot = { x: obstacle.x + dx * (depth + tank.size), y: obstacle.y + dy * (depth + tank.size) };
+            const distance = Math.hypot(spot.x - tank.x, spot.y - tank.y);
+            if (distance > maxDistance || distance >= bestDistance || this.game.visibility.lineOfSight(from, spot)) return;
+            best = spot;
+            bestDistance = distance;
+        });
+        return best;
+    }
+
+    /**
+     * Break away at right angles to an incoming projectile. A missile has to turn harder than
+     * it can; a bullet just misses.
+     * @param {Object} tank - AI tank
+     * @param {Object} projectile - Missile or bullet headed for the tank
+     */
+    dodgeProjectile(tank, projectile) {
+        // Cross the projectile's path toward whichever side the tank is already on
+        if (!tank.aiDodgeSide || tank.aiDodgeSide.projectile !== projectile) {
+            const side = GameWeapons.angleBetween(projectile.angle, Math.atan2(tank.y - projectile.y, tank.x - projectile.x)) >= 0 ? 1 : -1;
+            tank.aiDodgeSide = { projectile, side };
+        }
+        const angle = projectile.angle + tank.aiDodgeSide.side * Math.PI / 2;
+        const startX = tank.x;
+        const startY = tank.y;
+        this.game.moveTankWithSliding(tank, tank.x + Math.cos(angle) * tank.speed, tank.y + Math.sin(angle) * tank.speed, angle);
+        // A wall on that side only lets the tank slide along the line of fire; try the other way
+        if ((tank.x - startX) * Math.cos(angle) + (tank.y - startY) * Math.sin(angle) < tank.speed / 4) {
+            tank.aiDodgeSide.side = -tank.aiDodgeSide.side;
+        }
+    }
+
+    /**
+     * Distance to circle an enemy at: close enough for short-range weapons to reach
+     * @param {Object} tank - AI tank
+     * @returns {number} Pixels
+     */
+    orbitDistance(tank) {
+        return Math.min(GAME_CONFIG.AI_ORBIT_DISTANCE, GameWeapons.range(GameWeapons.weaponOf(tank)) * 0.8);
+    }
+
+    /**
+     * Persona a bot spawned with (see aiPersonas.js)
+     * @param {Object} tank - AI tank
+     * @returns {Object} Registered persona
+     */
+    personaOf(tank) {
+        return window.aiPersonaRegistry.get(tank.persona) || window.aiPersonaRegistry.list()[0];
+    }
+
+    /**
+     * Update AI tank behavior: read the situation, let the persona's behavior tree move
+     * the tank, then aim and fire
      * @param {Object} tank - AI tank to update
      * @param {number} deltaTime - Time since last frame
      */
     updateAITank(tank, deltaTime) {
-        const currentTime = Date.now();
+        const context = this.sense(tank);
+        tank.aiActivity = null;
+        context.persona.tree.tick(this, context);
+        
+        // Turret behavior: always aim at the enemy (even when chasing powerups)
+        if (context.enemy) {
+            this.aimAndFire(context, deltaTime);
+        }
+    }
+
+    /**
+     * Blackboard for a bot's behavior tree: the mode objective, the powerup worth chasing, the
+     * enemy to fight and the line of fire to it. Keeps the powerup chase, target lock and
+     * reaction timers on the tank.
+     * @param {Object} tank - AI tank
+     * @returns {Object} { tank, skill, persona, now, objective, powerup, enemy, enemyDistance, shot }
+     */
+    sense(tank) {
+        const now = this.game.now();
+        const skill = AIBehavior.skillOf(tank);
+        const persona = this.personaOf(tank);
+        const objective = this.getModeObjective(tank);
+        const powerup = this.choosePowerup(tank, objective, skill.powerupGreed * persona.powerupGreed);
+        const enemy = this.chooseTarget(tank, objective, skill);
         
-        // Check if AI is in powerup cooldown period
-        const isInPowerupCooldown = currentTime < tank.aiPowerupCooldownEndTime;
+        // A new target takes the skill's reaction time to size up before the first shot, which is
+        // off by a fresh aim error like any other
+        if (enemy && enemy.id !== tank.aiReactTargetId) {
+            tank.aiReactTargetId = enemy.id;
+            tank.aiReactUntil = now + skill.reactionMs;
+            AIBehavior.rollAimError(this.game, tank);
+        }
         
-        // Check for nearby powerups first (within 500 pixels) - but only if not in cooldown
+        // Line of fire to the enemy: straight, a bank shot, or none (then find a better angle)
+        const shot = enemy ? this.planShot(tank, enemy) : null;
+        const enemyDistance = enemy ? Math.sqrt((enemy.x - tank.x) ** 2 + (enemy.y - tank.y) ** 2) : Infinity;
+        return { tank, skill, persona, now, objective, powerup, enemy, enemyDistance, shot };
+    }
+
+    /**
+     * Powerup to chase this tick: the nearest one within the bot's greed, given up on after
+     * AI_POWERUP_CHASE_TIMEOUT (then powerups are ignored for AI_POWERUP_COOLDOWN)
+     * @param {Object} tank - AI tank
+     * @param {Object|null} objective - Mode objective (some skip powerups entirely, e.g. flag carrying)
+     * @param {number} greed - Multiplier on POWERUP_CHASE_DISTANCE
+     * @returns {Object|null} Powerup
+     */
+    choosePowerup(tank, objective, greed) {
+        const currentTime = this.game.now();
+        const isInPowerupCooldown = currentTime < tank.aiPowerupCooldownEndTime || !!(objective && objective.ignorePowerups);
         const nearestPowerup = !isInPowerupCooldown ? this.findNearestPowerup(tank) : null;
-        let targetPowerup = null;
         
         if (nearestPowerup) {
             const distanceToPowerup = Math.sqrt((nearestPowerup.x - tank.x) ** 2 + (nearestPowerup.y - tank.y) ** 2);
-            if (distanceToPowerup <= GAME_CONFIG.POWERUP_CHASE_DISTANCE) {
+            // A magnet brings close pickups in by itself
+            const magnetReach = this.hasPowerup(tank, 'magnet') ? GAME_CONFIG.POWERUP_MAGNET_RADIUS : 0;
+            if (distanceToPowerup <= GAME_CONFIG.POWERUP_CHASE_DISTANCE * greed && distanceToPowerup > magnetReach) {
                 // Check if this is a new powerup to chase
                 if (tank.aiCurrentPowerupId !== nearestPowerup.id) {
                     // Start chasing new powerup
@@ -139,37 +614,43 @@ class AIBehavior {
                 
                 // Check if we've been chasing this powerup too long
                 const chaseDuration = currentTime - tank.aiPowerupChaseStartTime;
-                if (chaseDuration > GAME_CONFIG.AI_POWERUP_CHASE_TIMEOUT) {
-                    // Give up on this powerup and enter cooldown
-                    tank.aiCurrentPowerupId = null;
-                    tank.aiPowerupChaseStartTime = 0;
-                    tank.aiPowerupCooldownEndTime = currentTime + GAME_CONFIG.AI_POWERUP_COOLDOWN;
-                } else {
-                    // Continue chasing this powerup
-                    targetPowerup = nearestPowerup;
+                if (chaseDuration <= GAME_CONFIG.AI_POWERUP_CHASE_TIMEOUT) {
+                    return nearestPowerup;
                 }
-            } else {
-                // Powerup is too far, reset chase tracking
-                tank.aiCurrentPowerupId = null;
-                tank.aiPowerupChaseStartTime = 0;
+                // Give up on this powerup and enter cooldown
+                tank.aiPowerupCooldownEndTime = currentTime + GAME_CONFIG.AI_POWERUP_COOLDOWN;
             }
-        } else {
-            // No powerup found, reset chase tracking
-            tank.aiCurrentPowerupId = null;
-            tank.aiPowerupChaseStartTime = 0;
         }
         
-        // Find nearest enemy (player or other AI)
+        // Nothing (left) to chase: reset chase tracking
+        tank.aiCurrentPowerupId = null;
+        tank.aiPowerupChaseStartTime = 0;
+        return null;
+    }
+
+    /**
+     * Enemy to fight: the nearest one, kept for the skill's lock time in FFA/TDM, unless the
+     * mode objective names one (e.g. the flag carrier)
+     * @param {Object} tank - AI tank
+     * @param {Object|null} objective - Mode objective
+     * @param {Object} skill - Skill settings
+     * @returns {Object|null} Enemy tank
+     */
+    chooseTarget(tank, objective, skill) {
         let nearestEnemy = this.findNearestEnemy(tank);
 
-        // In FFA/TDM, enforce target stickiness: keep current target for at least 1s before switching
+        // In FFA/TDM, enforce target stickiness: keep current target for the skill's lock time before switching
         if (this.game.gameMode !== GAME_MODES.CAMPAIGN) {
-            const nowTs = Date.now();
+            const nowTs = this.game.now();
             let lockedTarget = null;
             if (tank.aiLockedTargetId !== undefined && tank.aiLockedTargetId !== null) {
                 lockedTarget = this.game.tanks.find(t => t.id === tank.aiLockedTargetId && t.isAlive);
-                // In TDM, ensure locked target is still an enemy
-                if (this.game.gameMode === GAME_MODES.TDM && lockedTarget && tank.team === lockedTarget.team) {
+                // In team modes, ensure locked target is still an enemy
+                if (this.game.isTeamMode() && lockedTarget && tank.team === lockedTarget.team) {
+                    lockedTarget = null;
+                }
+                // Lose track of a target that cloaked
+                if (lockedTarget && this.game.powerupsManager.hiddenFrom(lockedTarget, tank)) {
                     lockedTarget = null;
                 }
             }
@@ -181,7 +662,7 @@ class AIBehavior {
                 // Acquire/refresh lock for new target
                 if (!lockedTarget || nearestEnemy.id !== lockedTarget.id || nowTs >= lockUntil) {
                     tank.aiLockedTargetId = nearestEnemy.id;
-                    tank.aiTargetLockUntil = nowTs + (GAME_CONFIG.AI_TARGET_LOCK_DURATION_MS || 1000);
+                    tank.aiTargetLockUntil = nowTs + skill.targetLockMs;
                 }
             } else {
                 // No enemy; clear lock
@@ -190,142 +671,189 @@ class AIBehavior {
             }
         }
         
-        // Determine primary target (powerup takes priority if within range)
-        let primaryTarget = targetPowerup || nearestEnemy;
-        if (!primaryTarget) {
-            // For AI allies in campaign mode, follow players when no enemies are nearby
-            if (this.game.gameMode === GAME_MODES.CAMPAIGN && tank.isAIAlly) {
-                this.followPlayersInCampaign(tank);
-            }
-            return;
+        // Mode objectives can name a specific enemy to fight (e.g. the flag carrier)
+        if (objective && objective.target && objective.target.isAlive) {
+            nearestEnemy = objective.target;
+        }
+        return nearestEnemy;
+    }
+
+    /**
+     * Drive straight away from a point (a charge, an obstacle, an enemy)
+     * @param {Object} tank - AI tank
+     * @param {Object} from - Point to get away from
+     */
+    moveAwayFrom(tank, from) {
+        const angleAway = Math.atan2(tank.y - from.y, tank.x - from.x);
+        this.game.moveTankWithSliding(tank, tank.x + Math.cos(angleAway) * tank.speed, tank.y + Math.sin(angleAway) * tank.speed, angleAway);
+    }
+
+    /**
+     * Drive for a powerup (through teleporters, around mud and water when that's shorter)
+     * @param {Object} tank - AI tank
+     * @param {Object} powerup - Powerup to pick up
+     */
+    chasePowerup(tank, powerup) {
+        const waypoint = this.routeWaypoint(tank, powerup.x, powerup.y) || powerup;
+        const angleToPowerup = Math.atan2(waypoint.y - tank.y, waypoint.x - tank.x);
+        this.game.moveTankWithSliding(tank, tank.x + Math.cos(angleToPowerup) * tank.speed, tank.y + Math.sin(angleToPowerup) * tank.speed, angleToPowerup);
+    }
+
+    /**
+     * Back away from an enemy that got too close, and keep at it for AI_RETREAT_DURATION
+     * @param {Object} tank - AI tank
+     * @param {Object} enemy - Enemy being fought
+     * @param {number} distance - Distance to the enemy
+     * @param {number} minDistance - Closer than this is too close
+     * @returns {boolean} Whether the tank is backing off
+     */
+    backOff(tank, enemy, distance, minDistance) {
+        const currentTime = this.game.now();
+        if (distance < minDistance) {
+            tank.aiRetreatEndTime = currentTime + GAME_CONFIG.AI_RETREAT_DURATION;
+        } else if (currentTime >= tank.aiRetreatEndTime) {
+            return false;
         }
+        this.moveAwayFrom(tank, enemy);
+        return true;
+    }
+
+    /**
+     * Circle an enemy, now and then switching direction
+     * @param {Object} tank - AI tank
+     * @param {Object} enemy - Enemy being fought
+     * @param {number} orbitDistance - Distance to circle at
+     */
+    orbit(tank, enemy, orbitDistance) {
+        const angleToEnemy = Math.atan2(enemy.y - tank.y, enemy.x - tank.x);
+        
+        // Randomly change orbit direction occasionally
+        if (this.game.rng.chance(GAME_CONFIG.AI_ORBIT_DIRECTION_CHANGE_CHANCE)) {
+            tank.aiOrbitDirection *= -1; // Switch direction
+        }
+        
+        // Update orbit angle
+        tank.aiOrbitAngle += tank.aiOrbitDirection * GAME_CONFIG.AI_ORBIT_SPEED;
+        
+        // Calculate orbit position (perpendicular to line to enemy)
+        const orbitAngle = angleToEnemy + Math.PI / 2 + tank.aiOrbitAngle;
+        const targetX = enemy.x + Math.cos(orbitAngle) * orbitDistance;
+        const targetY = enemy.y + Math.sin(orbitAngle) * orbitDistance;
         
-        const distanceToTarget = Math.sqrt((primaryTarget.x - tank.x) ** 2 + (primaryTarget.y - tank.y) ** 2);
+        // Move toward orbit position
+        const moveAngle = Math.atan2(targetY - tank.y, targetX - tank.x);
+        this.game.moveTankWithSliding(tank, tank.x + Math.cos(moveAngle) * tank.speed, tank.y + Math.sin(moveAngle) * tank.speed, moveAngle);
+    }
+
+    /**
+     * Camper: sit still while there is something to shoot, otherwise wait at a spot behind
+     * cover from the map center (picked once per life). After CAMP_PATIENCE_MS without a
+     * shot the camper gives up and goes hunting.
+     * @param {Object} context - Blackboard from sense
+     * @returns {boolean} Whether the camper stays put (or heads back to its spot)
+     */
+    camp({ tank, now, enemy, shot }) {
+        if (!tank.aiCampSpot) {
+            const center = { x: GAME_CONFIG.MAP_WIDTH / 2, y: GAME_CONFIG.MAP_HEIGHT / 2 };
+            tank.aiCampSpot = this.findCoverFrom(tank, center, AI_PERSONA_CONFIG.CAMP_SEARCH_DISTANCE) || { x: tank.x, y: tank.y };
+            tank.aiCampShotTime = now;
+        }
+        if (enemy && !shot.blocked && this.weaponCanReach(tank, enemy)) {
+            tank.aiCampShotTime = now;
+            return true;
+        }
+        if (now - tank.aiCampShotTime > AI_PERSONA_CONFIG.CAMP_PATIENCE_MS) return false;
+        const spot = tank.aiCampSpot;
+        if (Math.hypot(spot.x - tank.x, spot.y - tank.y) > AI_PERSONA_CONFIG.CAMP_RADIUS) {
+            this.moveToward(tank, spot.x, spot.y);
+        }
+        return true;
+    }
+
+    /**
+     * Support: drive back toward the nearest teammate when it's more than SUPPORT_DISTANCE
+     * away. Human players come first, then other bots.
+     * @param {Object} tank - AI tank
+     * @returns {boolean} Whether the tank is regrouping
+     */
+    stayWithTeam(tank) {
+        const teammates = this.game.tanks.filter(other => other !== tank && other.isAlive &&
+            (tank.isAIAlly ? (other.isPlayer || other.isAIAlly) : (tank.team && other.team === tank.team)));
+        const humans = teammates.filter(other => !other.isAI);
+        const candidates = humans.length > 0 ? humans : teammates;
+        let buddy = null;
+        let buddyDistance = Infinity;
+        candidates.forEach(other => {
+            const distance = Math.hypot(other.x - tank.x, other.y - tank.y);
+            if (distance < buddyDistance) {
+                buddy = other;
+                buddyDistance = distance;
+            }
+        });
+        if (!buddy || buddyDistance <= AI_PERSONA_CONFIG.SUPPORT_DISTANCE) return false;
+        this.moveToward(tank, buddy.x, buddy.y);
+        return true;
+    }
+
+    /**
+     * Turn the turret toward the enemy (leading it by the skill's amount, or lining up a bank
+     * shot) and fire once aimed, reacted and in reach
+     * @param {Object} context - Blackboard from sense
+     * @param {number} deltaTime - Time since last frame
+     */
+    aimAndFire({ tank, skill, now, enemy, shot }, deltaTime) {
+        let targetX = enemy.x;
+        let targetY = enemy.y;
         
-        // Handle movement based on target type
-        if (targetPowerup) {
-            // Chasing powerup - move directly toward it
-            const angleToPowerup = Math.atan2(primaryTarget.y - tank.y, primaryTarget.x - tank.x);
-            const newX = tank.x + Math.cos(angleToPowerup) * tank.speed;
-            const newY = tank.y + Math.sin(angleToPowerup) * tank.speed;
+        // Calculate shot leading if enabled
+        if (GAME_CONFIG.AI_SHOT_LEADING_ENABLED) {
+            // Calculate target velocity from position changes
+            const frameTime = deltaTime || 16; // Default to 16ms (60fps)
+            tank.aiTargetVelocityX = (enemy.x - tank.aiLastTargetX) / frameTime;
+            tank.aiTargetVelocityY = (enemy.y - tank.aiLastTargetY) / frameTime;
             
-            this.game.moveTankWithSliding(tank, newX, newY, angleToPowerup);
-        } else if (nearestEnemy) {
-            // Chasing enemy - use original behavior
-            const distanceToEnemy = Math.sqrt((nearestEnemy.x - tank.x) ** 2 + (nearestEnemy.y - tank.y) ** 2);
+            // Calculate time for bullet to reach target
+            const distanceToTarget = Math.sqrt((enemy.x - tank.x) ** 2 + (enemy.y - tank.y) ** 2);
+            const projectileSpeed = GameWeapons.weaponOf(tank).speed;
+            const bulletTravelTime = projectileSpeed ? distanceToTarget / projectileSpeed : 0; // Railgun shots land instantly
             
-            // In campaign mode, AI allies should approach enemies more aggressively
-            const approachDistance = (this.game.gameMode === GAME_MODES.CAMPAIGN && tank.isAIAlly) 
-                ? GAME_CONFIG.AI_APPROACH_DISTANCE * 1.5 
-                : GAME_CONFIG.AI_APPROACH_DISTANCE;
+            // Predict target position when bullet arrives
+            const leadFactor = GAME_CONFIG.AI_SHOT_LEADING_FACTOR * skill.shotLeading;
+            targetX = enemy.x + tank.aiTargetVelocityX * bulletTravelTime * leadFactor;
+            targetY = enemy.y + tank.aiTargetVelocityY * bulletTravelTime * leadFactor;
             
-            if (distanceToEnemy > approachDistance) {
-                // Approach the target
-                const angleToEnemy = Math.atan2(nearestEnemy.y - tank.y, nearestEnemy.x - tank.x);
-                const newX = tank.x + Math.cos(angleToEnemy) * tank.speed;
-                const newY = tank.y + Math.sin(angleToEnemy) * tank.speed;
-                
-                this.game.moveTankWithSliding(tank, newX, newY, angleToEnemy);
-            } else if (distanceToEnemy < GAME_CONFIG.AI_MIN_ORBIT_DISTANCE || Date.now() < tank.aiRetreatEndTime) {
-                // Too close or still in retreat mode! Move away from target
-                if (distanceToEnemy < GAME_CONFIG.AI_MIN_ORBIT_DISTANCE) {
-                    // Start retreat timer
-                    tank.aiRetreatEndTime = Date.now() + GAME_CONFIG.AI_RETREAT_DURATION;
-                }
-                
-                const angleToEnemy = Math.atan2(nearestEnemy.y - tank.y, nearestEnemy.x - tank.x);
-                const angleAway = angleToEnemy + Math.PI; // Opposite direction
-                const newX = tank.x + Math.cos(angleAway) * tank.speed;
-                const newY = tank.y + Math.sin(angleAway) * tank.speed;
-                
-                this.game.moveTankWithSliding(tank, newX, newY, angleAway);
+            // Update last known positions
+            tank.aiLastTargetX = enemy.x;
+            tank.aiLastTargetY = enemy.y;
+        }
+        
+        const angleToTarget = Math.atan2(targetY - tank.y, targetX - tank.x);
+        
+        // Aim at the target, or at the bounce point of a bank shot, off by this shot's aim error
+        const targetAngle = (shot.bank ? shot.bank.angle : angleToTarget) + tank.aiAimError;
+        
+        const angleDiff = this.normalizeAngle(targetAngle - tank.turretAngle);
+        
+        // Rotate turret toward target; bank shots line up exactly
+        if (shot.bank) {
+            tank.turretAngle += Math.sign(angleDiff) * Math.min(tank.turretRotationSpeed, Math.abs(angleDiff));
+        } else if (Math.abs(angleDiff) > 0.1) {
+            if (angleDiff > 0) {
+                tank.turretAngle += tank.turretRotationSpeed;
             } else {
-                // Good distance for orbiting
-                const angleToEnemy = Math.atan2(nearestEnemy.y - tank.y, nearestEnemy.x - tank.x);
-                
-                // Randomly change orbit direction occasionally
-                if (Math.random() < GAME_CONFIG.AI_ORBIT_DIRECTION_CHANGE_CHANCE) {
-                    tank.aiOrbitDirection *= -1; // Switch direction
-                }
-                
-                // Update orbit angle
-                tank.aiOrbitAngle += tank.aiOrbitDirection * GAME_CONFIG.AI_ORBIT_SPEED;
-                
-                // Calculate orbit position (perpendicular to line to enemy)
-                const orbitAngle = angleToEnemy + Math.PI / 2 + tank.aiOrbitAngle;
-                const orbitDistance = GAME_CONFIG.AI_ORBIT_DISTANCE;
-                
-                const targetX = nearestEnemy.x + Math.cos(orbitAngle) * orbitDistance;
-                const targetY = nearestEnemy.y + Math.sin(orbitAngle) * orbitDistance;
-                
-                // Move toward orbit position
-                const moveAngle = Math.atan2(targetY - tank.y, targetX - tank.x);
-                const newX = tank.x + Math.cos(moveAngle) * tank.speed;
-                const newY = tank.y + Math.sin(moveAngle) * tank.speed;
-                
-                this.game.moveTankWithSliding(tank, newX, newY, moveAngle);
+                tank.turretAngle -= tank.turretRotationSpeed;
             }
         }
         
-        // Turret behavior: always aim at nearest enemy (even when chasing powerups)
-        if (nearestEnemy) {
-            let targetX = nearestEnemy.x;
-            let targetY = nearestEnemy.y;
-            
-            // Calculate shot leading if enabled
-            if (GAME_CONFIG.AI_SHOT_LEADING_ENABLED) {
-                // Calculate target velocity from position changes
-                const frameTime = deltaTime || 16; // Default to 16ms (60fps)
-                tank.aiTargetVelocityX = (nearestEnemy.x - tank.aiLastTargetX) / frameTime;
-                tank.aiTargetVelocityY = (nearestEnemy.y - tank.aiLastTargetY) / frameTime;
-                
-                // Calculate time for bullet to reach target
-                const distanceToTarget = Math.sqrt((nearestEnemy.x - tank.x) ** 2 + (nearestEnemy.y - tank.y) ** 2);
-                const bulletTravelTime = distanceToTarget / GAME_CONFIG.BULLET_SPEED;
-                
-                // Predict target position when bullet arrives
-                const leadFactor = GAME_CONFIG.AI_SHOT_LEADING_FACTOR;
-                targetX = nearestEnemy.x + tank.aiTargetVelocityX * bulletTravelTime * leadFactor;
-                targetY = nearestEnemy.y + tank.aiTargetVelocityY * bulletTravelTime * leadFactor;
-                
-                // Update last known positions
-                tank.aiLastTargetX = nearestEnemy.x;
-                tank.aiLastTargetY = nearestEnemy.y;
-            }
-            
-            const angleToTarget = Math.atan2(targetY - tank.y, targetX - tank.x);
-            
-            // Aim directly at target (randomness disabled)
-            const targetAngle = angleToTarget;
-            
-            const angleDiff = this.normalizeAngle(targetAngle - tank.turretAngle);
-            
-            // Rotate turret toward target (with randomness)
-            if (Math.abs(angleDiff) > 0.1) {
-                if (angleDiff > 0) {
-                    tank.turretAngle += tank.turretRotationSpeed;
-                } else {
-                    tank.turretAngle -= tank.turretRotationSpeed;
-                }
-            }
-            
-            // Shoot when aimed (within 0.2 radians)
-            if (Math.abs(angleDiff) < 0.2) {
-                // Apply rapid fire powerup (stacking) for AI
-                const rapidFireStacks = tank.powerups.rapidFire.length;
-                const fireRateMultiplier = rapidFireStacks > 0 ? Math.pow(GAME_CONFIG.POWERUP_FIRE_RATE_MULTIPLIER, rapidFireStacks) : 1;
-                const cooldown = GAME_CONFIG.SHOOT_COOLDOWN / fireRateMultiplier;
-                
-                if (Date.now() - tank.lastShot > cooldown) {
-                    this.game.shootBullet(tank);
-                    tank.lastShot = Date.now();
-                    
-                    // Play shoot sound for AI
-                    if (window.audioSystem) {
-                        window.audioSystem.shoot();
-                    }
-                }
-            }
+        // Shoot when aimed (within 0.2 radians; mines and charges just drop), out of the water and the weapon can reach
+        // (bank shots were checked for range when planned)
+        const projectile = GameWeapons.weaponOf(tank).projectile;
+        const aimed = Math.abs(angleDiff) < (shot.bank ? GAME_CONFIG.AI_BANK_SHOT_TOLERANCE : 0.2) || projectile === 'mine' || projectile === 'charge';
+        const reacted = now >= tank.aiReactUntil;
+        if (aimed && reacted && !this.game.terrainManager.blocksShooting(tank) && (shot.bank || this.weaponCanReach(tank, enemy)) &&
+            this.game.weaponsManager.tryFire(tank)) {
+            // The next shot is off by a new amount
+            AIBehavior.rollAimError(this.game, tank);
         }
     }
 }
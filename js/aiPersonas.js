@@ -0,0 +1,264 @@
+// =============================================================================
+// AI PERSONAS MODULE
+// =============================================================================
+// Bots decide how to move with a small behavior tree. Each tick AIBehavior.sense
+// fills a blackboard ({ tank, skill, persona, now, objective, powerup, enemy,
+// enemyDistance, shot }) and the bot's persona ticks its tree on it; aiming and
+// firing happen afterwards the same way for everyone.
+//
+// Nodes are { name, tick(ai, context) } and tick returns whether the node
+// succeeded. A selector tries its children in order until one succeeds, a
+// sequence needs all of them to, a condition only tests and an action moves the
+// tank (returning false when it doesn't apply, so the selector moves on). The
+// action that ran is left on tank.aiActivity.
+//
+// Personas are object literals registered with window.aiPersonaRegistry:
+//
+//   { name, emoji, weight, teamOnly, powerupGreed, tree }
+//
+// Bots pick one by weight every time they spawn; teamOnly personas need
+// teammates (team modes and campaign allies). powerupGreed multiplies the
+// skill level's. Every tree is built from the shared nodes in AI_NODES.
+
+class BehaviorTree {
+    static selector(name, children) {
+        return { name, tick: (ai, context) => children.some(child => child.tick(ai, context)) };
+    }
+
+    static sequence(name, children) {
+        return { name, tick: (ai, context) => children.every(child => child.tick(ai, context)) };
+    }
+
+    static condition(name, test) {
+        return { name, tick: (ai, context) => !!test(ai, context) };
+    }
+
+    static action(name, run) {
+        return {
+            name,
+            tick: (ai, context) => {
+                if (!run(ai, context)) return false;
+                context.tank.aiActivity = name;
+                return true;
+            }
+        };
+    }
+}
+
+window.BehaviorTree = BehaviorTree;
+
+class AIPersonaRegistry {
+    constructor() {
+        this.personas = {};
+    }
+
+    register(key, persona) {
+        this.personas[key] = Object.assign({ key, weight: 1, teamOnly: false, powerupGreed: 1 }, persona);
+    }
+
+    get(key) {
+        return this.personas[key];
+    }
+
+    /**
+     * Registered personas, in registration order
+     * @returns {Array<Object>}
+     */
+    list() {
+        return Object.values(this.personas);
+    }
+
+    /**
+     * Weighted random persona for a bot that is spawning
+     * @param {MultiTanksGame} game - Game (for its rng and mode)
+     * @param {Object} tank - Bot spawning
+     * @returns {string} Persona key
+     */
+    pick(game, tank) {
+        const hasTeam = game.isTeamMode() || !!tank.isAIAlly;
+        const candidates = this.list().filter(persona => persona.weight > 0 && (!persona.teamOnly || hasTeam));
+        const total = candidates.reduce((sum, persona) => sum + persona.weight, 0);
+        let r = game.rng.next() * total;
+        for (const persona of candidates) {
+            if ((r -= persona.weight) <= 0) {
+                return persona.key;
+            }
+        }
+        return candidates[candidates.length - 1].key;
+    }
+}
+
+window.aiPersonaRegistry = new AIPersonaRegistry();
+
+// =============================================================================
+// SHARED NODES
+// =============================================================================
+const AI_NODES = {
+    // Getting out of harm's way comes before anything else
+    survive: BehaviorTree.selector('survive', [
+        BehaviorTree.action('leaveObstacle', (ai, { tank }) => {
+            const trappedIn = ai.obstacleToLeave(tank);
+            if (!trappedIn) return false;
+            ai.moveAwayFrom(tank, trappedIn);
+            return true;
+        }),
+        // Can't shoot back: back off until the EMP wears off
+        BehaviorTree.action('evadeWhileDisabled', (ai, { tank, enemy }) => {
+            if (!enemy || !ai.game.powerupsManager.isDisabled(tank)) return false;
+            ai.moveAwayFrom(tank, enemy);
+            return true;
+        }),
+        // A shield bubble can take the missile
+        BehaviorTree.action('dodgeMissile', (ai, { tank }) => {
+            const missile = ai.hasPowerup(tank, 'shield') ? null : ai.findIncomingMissile(tank);
+            if (!missile) return false;
+            ai.dodgeProjectile(tank, missile);
+            return true;
+        }),
+        BehaviorTree.action('fleeCharge', (ai, { tank }) => {
+            const charge = ai.findThreateningCharge(tank);
+            if (!charge) return false;
+            ai.moveAwayFrom(tank, charge);
+            return true;
+        }),
+        BehaviorTree.action('dodgeShot', (ai, { tank }) => {
+            const threat = ai.findShotToDodge(tank);
+            if (!threat) return false;
+            ai.dodgeShot(tank, threat);
+            return true;
+        })
+    ]),
+
+    // Powerups within the bot's greed (see AIBehavior.sense)
+    collectPowerup: BehaviorTree.action('collectPowerup', (ai, { tank, powerup }) => {
+        if (!powerup) return false;
+        ai.chasePowerup(tank, powerup);
+        return true;
+    }),
+
+    // Mode objective (flag, base, zone, escort)
+    pursueObjective: BehaviorTree.action('pursueObjective', (ai, { tank, objective }) => {
+        if (!objective || !objective.moveTo) return false;
+        ai.moveTowardObjective(tank, objective);
+        return true;
+    }),
+
+    // Campaign allies with nothing to fight stay with the players
+    followPlayers: BehaviorTree.sequence('followPlayers', [
+        BehaviorTree.condition('idleAlly', (ai, { tank, enemy }) => tank.isAIAlly && !enemy),
+        BehaviorTree.action('followPlayers', (ai, { tank }) => {
+            ai.followPlayersInCampaign(tank);
+            return true;
+        })
+    ]),
+
+    // No way to hit the enemy from here: drive around the cover until it's in sight
+    flankCover: BehaviorTree.action('flankCover', (ai, { tank, enemy, shot }) => {
+        if (!enemy || !shot.blocked) return false;
+        ai.moveToward(tank, enemy.x, enemy.y);
+        return true;
+    }),
+
+    // Too close, or still backing off from the last time it was
+    backOff: minDistance => BehaviorTree.action('backOff', (ai, context) =>
+        !!context.enemy && ai.backOff(context.tank, context.enemy, context.enemyDistance, minDistance(ai, context))),
+
+    // Circle the enemy at a distance
+    orbit: distance => BehaviorTree.action('orbit', (ai, context) => {
+        if (!context.enemy) return false;
+        ai.orbit(context.tank, context.enemy, distance(ai, context));
+        return true;
+    }),
+
+    // Hold a spot behind cover and wait for targets to come into sight
+    camp: BehaviorTree.action('camp', (ai, context) => ai.camp(context)),
+
+    // Stay close to a teammate, humans first
+    stayWithTeam: BehaviorTree.action('stayWithTeam', (ai, { tank }) => ai.stayWithTeam(tank))
+};
+
+// Distances for the engagement nodes
+const PERSONA_DISTANCES = {
+    orbit: (ai, { tank }) => ai.orbitDistance(tank),
+    minimum: () => GAME_CONFIG.AI_MIN_ORBIT_DISTANCE,
+    sniper: (ai, { tank }) => Math.min(AI_PERSONA_CONFIG.SNIPER_RANGE, GameWeapons.range(GameWeapons.weaponOf(tank)) * 0.9)
+};
+
+// =============================================================================
+// PERSONAS
+// =============================================================================
+window.aiPersonaRegistry.register('SNIPER', {
+    name: 'Sniper',
+    emoji: '🎯',
+    tree: BehaviorTree.selector('sniper', [
+        AI_NODES.survive,
+        AI_NODES.collectPowerup,
+        AI_NODES.pursueObjective,
+        AI_NODES.followPlayers,
+        AI_NODES.flankCover,
+        AI_NODES.backOff((ai, context) => PERSONA_DISTANCES.sniper(ai, context) * AI_PERSONA_CONFIG.SNIPER_BACK_OFF),
+        AI_NODES.orbit(PERSONA_DISTANCES.sniper)
+    ])
+});
+
+window.aiPersonaRegistry.register('RUSHER', {
+    name: 'Rusher',
+    emoji: '⚡',
+    powerupGreed: 0.5,
+    tree: BehaviorTree.selector('rusher', [
+        AI_NODES.survive,
+        AI_NODES.collectPowerup,
+        AI_NODES.pursueObjective,
+        AI_NODES.followPlayers,
+        AI_NODES.flankCover,
+        AI_NODES.backOff(() => AI_PERSONA_CONFIG.RUSHER_MIN_DISTANCE),
+        AI_NODES.orbit((ai, context) => Math.min(AI_PERSONA_CONFIG.RUSHER_ORBIT, PERSONA_DISTANCES.orbit(ai, context)))
+    ])
+});
+
+window.aiPersonaRegistry.register('CAMPER', {
+    name: 'Camper',
+    emoji: '⛺',
+    powerupGreed: 0.5,
+    tree: BehaviorTree.selector('camper', [
+        AI_NODES.survive,
+        AI_NODES.collectPowerup,
+        AI_NODES.pursueObjective,
+        AI_NODES.followPlayers,
+        AI_NODES.camp,
+        AI_NODES.flankCover,
+        AI_NODES.backOff(PERSONA_DISTANCES.minimum),
+        AI_NODES.orbit(PERSONA_DISTANCES.orbit)
+    ])
+});
+
+window.aiPersonaRegistry.register('COLLECTOR', {
+    name: 'Collector',
+    emoji: '💎',
+    powerupGreed: 2.5,
+    tree: BehaviorTree.selector('collector', [
+        AI_NODES.survive,
+        AI_NODES.collectPowerup,
+        AI_NODES.pursueObjective,
+        AI_NODES.followPlayers,
+        AI_NODES.flankCover,
+        AI_NODES.backOff(PERSONA_DISTANCES.minimum),
+        AI_NODES.orbit(PERSONA_DISTANCES.orbit)
+    ])
+});
+
+window.aiPersonaRegistry.register('SUPPORT', {
+    name: 'Support',
+    emoji: '🛡️',
+    teamOnly: true,
+    tree: BehaviorTree.selector('support', [
+        AI_NODES.survive,
+        AI_NODES.pursueObjective,
+        AI_NODES.stayWithTeam,
+        AI_NODES.collectPowerup,
+        AI_NODES.followPlayers,
+        AI_NODES.flankCover,
+        AI_NODES.backOff(PERSONA_DISTANCES.minimum),
+        AI_NODES.orbit(PERSONA_DISTANCES.orbit)
+    ])
+});
@@ -125,6 +125,13 @@ const AudioSys = (() => {
         playTone(370, 0.22); // low rumble
     }
     
+    function explosion() {
+        // Mortar shells and mines: a deep thump with a short rattle
+        playKick();
+        playHat();
+        playTone(185, 0.3);
+    }
+    
     function death() { 
         playTone2(110.00, 0.3); 
         playTone2(98.00, 0.4, 0.6); 
@@ -216,7 +223,7 @@ const AudioSys = (() => {
     
     return {
         // Sound effects
-        shoot, hit, hurt, enemyDeath, death, powerUp, levelClear, gameStart, tankMove, turretRotate,
+        shoot, hit, hurt, enemyDeath, explosion, death, powerUp, levelClear, gameStart, tankMove, turretRotate,
         
         // Music
         playMusic, stopMusic, setMusicVolume,
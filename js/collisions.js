@@ -7,7 +7,29 @@ class GameCollisions {
         this.game = game;
     }
 
+    /**
+     * Drive a tank toward a position, sliding along obstacles. Terrain gets a say
+     * first (ice turns the move into a slide) and then records the motion.
+     * @param {Object} tank - Tank to move
+     * @param {number} newX - Desired X position
+     * @param {number} newY - Desired Y position
+     * @param {number} moveAngle - Movement angle
+     */
     moveTankWithSliding(tank, newX, newY, moveAngle) {
+        const terrain = this.game.terrainManager;
+        if (!terrain) {
+            this.slideTank(tank, newX, newY, moveAngle);
+            return;
+        }
+        const startX = tank.x;
+        const startY = tank.y;
+        const target = terrain.steer(tank, newX, newY);
+        this.slideTank(tank, target.x, target.y, moveAngle);
+        terrain.recordMotion(tank, startX, startY);
+    }
+
+    // Full move, then each axis alone, then sideways along the obstacle
+    slideTank(tank, newX, newY, moveAngle) {
         if (!this.checkTankObstacleCollision(tank, newX, newY)) {
             tank.x = newX; tank.y = newY; tank.angle = moveAngle; return;
         }
@@ -32,18 +54,37 @@ class GameCollisions {
     }
 
     checkTankObstacleCollision(tank, newX, newY) {
+        // Ghost tanks drive through everything
+        if (this.game.powerupsManager && this.game.powerupsManager.passesObstacles(tank)) return false;
         return this.game.obstacles.some(obstacle => {
-            if (obstacle.type === 'rock') {
-                const distance = Math.sqrt((newX - obstacle.x) ** 2 + (newY - obstacle.y) ** 2);
-                return distance < obstacle.radius + tank.size / 2;
-            } else {
-                const dx = Math.abs(newX - obstacle.x);
-                const dy = Math.abs(newY - obstacle.y);
-                return dx < (obstacle.width / 2 + tank.size / 2) && dy < (obstacle.height / 2 + tank.size / 2);
-            }
+            // One-way gates don't stop tanks driving through in their direction
+            if (GameEntities.gateAllows(obstacle, newX - tank.x, newY - tank.y)) return false;
+            if (!GameCollisions.overlaps(obstacle, tank, newX, newY)) return false;
+            // A tank already inside an obstacle (a ghost that ran out) may only drive further out
+            return !GameCollisions.overlaps(obstacle, tank, tank.x, tank.y) ||
+                GameCollisions.penetration(obstacle, tank, newX, newY) >= GameCollisions.penetration(obstacle, tank, tank.x, tank.y);
         });
     }
 
+    // Whether a tank centered at (x, y) overlaps an obstacle
+    static overlaps(obstacle, tank, x, y) {
+        if (obstacle.type === 'rock') {
+            const distance = Math.sqrt((x - obstacle.x) ** 2 + (y - obstacle.y) ** 2);
+            return distance < obstacle.radius + tank.size / 2;
+        }
+        const dx = Math.abs(x - obstacle.x);
+        const dy = Math.abs(y - obstacle.y);
+        return dx < (obstacle.width / 2 + tank.size / 2) && dy < (obstacle.height / 2 + tank.size / 2);
+    }
+
+    // How deep a tank centered at (x, y) sits inside an obstacle (positive while they overlap)
+    static penetration(obstacle, tank, x, y) {
+        if (obstacle.type === 'rock') {
+            return obstacle.radius + tank.size / 2 - Math.sqrt((x - obstacle.x) ** 2 + (y - obstacle.y) ** 2);
+        }
+        return Math.min(obstacle.width / 2 + tank.size / 2 - Math.abs(x - obstacle.x), obstacle.height / 2 + tank.size / 2 - Math.abs(y - obstacle.y));
+    }
+
     constrainTankToMap(tank) {
         tank.x = Math.max(tank.size / 2, Math.min(GAME_CONFIG.MAP_WIDTH - tank.size / 2, tank.x));
         tank.y = Math.max(tank.size / 2, Math.min(GAME_CONFIG.MAP_HEIGHT - tank.size / 2, tank.y));
@@ -9,6 +9,9 @@
 const GAME_MODES = {
     FFA: 'ffa',
     TDM: 'tdm',
+    CTF: 'ctf',
+    KOTH: 'koth',
+    TEAM_KOTH: 'team_koth',
     CAMPAIGN: 'campaign'
 };
 
@@ -25,19 +28,26 @@ const GAME_CONFIG = {
     
     // Map settings
     MAP_COLOR: '#2d5016', // Dark green
-    MAP_WIDTH: window.innerWidth,
-    MAP_HEIGHT: window.innerHeight,
+    MAP_WIDTH: (typeof window !== 'undefined' && window.innerWidth) || 1280,
+    MAP_HEIGHT: (typeof window !== 'undefined' && window.innerHeight) || 720,
+    HEADLESS_MAP_WIDTH: 1280, // Map size for headless (no canvas) simulations
+    HEADLESS_MAP_HEIGHT: 720,
+    HEADLESS_MAX_TICKS: 60 * 60 * 10, // Ten simulated minutes before a headless match is called unfinished
+    
+    // Simulation timing (all per-tick speeds below assume this fixed rate)
+    SIMULATION_TICK_RATE: 60, // Fixed simulation ticks per second, independent of display refresh rate
+    MAX_FRAME_TIME_MS: 250, // Longest frame fed to the simulation (avoids catch-up spirals after tab switches)
     
     // Tank settings
     TANK_SIZE: 30,
-    TANK_SPEED: 2,
+    TANK_SPEED: 2, // pixels per tick
     TANK_HEALTH: 30,
     TURRET_LENGTH: 40,
-    TURRET_ROTATION_SPEED: 0.04, // radians per frame
+    TURRET_ROTATION_SPEED: 0.04, // radians per tick
     
     // Shooting settings
     SHOOT_COOLDOWN: 700, // milliseconds
-    BULLET_SPEED: 6,
+    BULLET_SPEED: 6, // pixels per tick
     BULLET_SIZE: 4,
     BULLET_DAMAGE: 1,
     BULLET_MAX_LIFETIME_MS: 5000,
@@ -72,32 +82,34 @@ const GAME_CONFIG = {
     POWERUP_FIRE_RATE_MULTIPLIER: 2.0,
     POWERUP_SPREAD_ANGLE: 0.2, // radians
     POWERUP_BOUNCE_BOUNCES: 3,
-    
-    // Powerup types and emojis
-    POWERUP_TYPES: {
-        HEALTH: { emoji: '❤️', color: '#ff0000', name: 'Health Boost' },
-        INVINCIBILITY: { emoji: '🛡️', color: '#ff69b4', name: 'Invincibility' },
-        SPEED: { emoji: '🏃', color: '#32cd32', name: 'Speed Boost' },
-        RAPID_FIRE: { emoji: '🔥', color: '#4169e1', name: 'Rapid Fire' },
-        SPREAD_SHOT: { emoji: '🎯', color: '#9370db', name: 'Spread Shot' },
-        BOUNCING_BULLETS: { emoji: '⚡', color: '#ff8c42', name: 'Bouncing Bullets' }
-    },
+    POWERUP_SHIELD_HITS: 3, // Hits a shield bubble absorbs before it pops
+    POWERUP_SHIELD_DURATION: 30000,
+    POWERUP_CLOAK_OPACITY: 0.12, // How much of a cloaked tank its opponents can see
+    POWERUP_CLOAK_DETECT_RANGE: 150, // Bots only notice a cloaked enemy this close
+    POWERUP_EMP_RADIUS: 250, // Enemies this close to an EMP pickup are hit
+    POWERUP_EMP_DISABLE_MS: 4000, // They can't fire and their powerups do nothing for this long
+    POWERUP_MAGNET_RADIUS: 250, // Pickups this close drift toward a tank with a magnet
+    POWERUP_MAGNET_PULL: 3, // Pixels per tick
+    POWERUP_GHOST_DURATION: 8000, // Ghost tanks drive through obstacles
+    POWERUP_PAD_COUNT: 5, // Pads placed at random on maps without powerup spawn points
+    POWERUP_PAD_RADIUS: 18,
+    // Powerup types, icons and spawn weights are registered in powerups.js
     
     // AI behavior settings
-    AI_APPROACH_DISTANCE: 99900, // Distance to approach target to
-    AI_ORBIT_SPEED: 0.02, // Speed of orbiting around enemy
-    AI_ORBIT_DIRECTION_CHANGE_CHANCE: 0.02, // Chance per frame to change orbit direction (2%)
+    AI_ORBIT_SPEED: 0.02, // Speed of orbiting around enemy (radians per tick)
+    AI_ORBIT_DIRECTION_CHANGE_CHANCE: 0.02, // Chance per tick to change orbit direction (2%)
     AI_ORBIT_DISTANCE: 300, // Distance to maintain from enemy when orbiting
     AI_MIN_ORBIT_DISTANCE: 100, // Minimum distance before attempting to orbit
     AI_RETREAT_DURATION: 800, // How long to retreat when too close (milliseconds)
-    AI_AIMING_RANDOMNESS: 0, // Randomness in aiming (radians) - disabled
     AI_SHOT_LEADING_ENABLED: true, // Whether AI should lead shots
-    AI_SHOT_LEADING_FACTOR: 20, // How much to lead shots (0-1, higher = more leading)
+    AI_SHOT_LEADING_FACTOR: 20, // How much to lead shots at full skill (see AI_SKILL shotLeading)
     AI_SLIDE_SPEED_MULTIPLIER: 0.5, // Speed multiplier for obstacle sliding
     AI_OBSTACLE_GENERATION_MAX_ATTEMPTS: 100, // Max attempts to place obstacles
     AI_POWERUP_CHASE_TIMEOUT: 2000, // How long AI will chase a powerup before giving up (milliseconds)
     AI_POWERUP_COOLDOWN: 5000, // How long AI will ignore powerups after giving up (milliseconds)
-    AI_TARGET_LOCK_DURATION_MS: 1000, // Minimum time to stick to a target before switching (FFA/TDM)
+    AI_HIDDEN_TARGET_PENALTY: 400, // Extra distance bots add to enemies behind cover when picking a target
+    AI_BANK_SHOT_TOLERANCE: 0.03, // Radians a bank shot may be off before a bot takes it
+    AI_GHOST_EXIT_MS: 1500, // Bots inside an obstacle head for open ground when their ghost has this long left
 };
 
 // =============================================================================
@@ -152,6 +164,337 @@ const GAME_STATES = {
     GAME_OVER: 'game_over'
 };
 
+// =============================================================================
+// RESPAWN & MATCH RULES
+// =============================================================================
+const RESPAWN_CONFIG = {
+    // Rules used when the menu (or a headless run) doesn't pick any
+    DEFAULT_RULES: {
+        lives: 1, // Lives per tank (1 = classic elimination, 0 = unlimited)
+        scoreLimit: 0, // Frags (team frags in TDM) that win the match (0 = none)
+        timeLimitMs: 0, // Match length; most frags wins when it runs out (0 = none)
+        respawnDelayMs: 3000,
+        spawnProtectionMs: 2000, // Invincibility after respawning
+        powerupPads: false, // Powerups appear on fixed pads with respawn timers instead of at random spots
+        padRespawnMs: 20000, // Pad timer after a pickup (map pads can set their own)
+        maxPowerups: 0, // Most powerups on the map at once (0 = no cap)
+        healthPickupBelow: 0 // Health pickups only work under this fraction of max health (0 = any time)
+    },
+    SAFE_SPAWN_DISTANCE: 300, // Spawn points at least this far from every living enemy count as safe
+    SPAWN_CLEARANCE: 1.5 // Spawn points within this many tank sizes of a living tank are skipped
+};
+
+// =============================================================================
+// BOT SKILL LEVELS
+// =============================================================================
+// Picked per bot in the menu (matchOptions.botSkills, keyed like loadouts: a
+// tank id or 'ai' for every bot without its own pick). Campaign allies get the
+// level their campaign difficulty names (CAMPAIGN_CONFIG.DIFFICULTY allySkill).
+//   reactionMs         - before firing at a new target, and before noticing a bullet fired at them
+//   aimError           - each shot is off by up to this many radians
+//   shotLeading        - fraction of GAME_CONFIG.AI_SHOT_LEADING_FACTOR used to lead moving targets
+//   dodgeChance        - share of the bullets headed their way they try to dodge...
+//   dodgeLookaheadMs   - ...once the bullet is this close to landing
+//   dodgeCoverDistance - duck behind cover this close instead of strafing (0 = never)
+//   powerupGreed       - multiplies GAME_CONFIG.POWERUP_CHASE_DISTANCE
+//   targetLockMs       - time they stick with a target before picking the nearest again (FFA/TDM)
+const AI_SKILL_LEVELS = ['ROOKIE', 'REGULAR', 'VETERAN', 'ELITE', 'ACE'];
+
+const AI_SKILL = {
+    DEFAULT: 'VETERAN',
+    ROOKIE: { name: 'Rookie', emoji: '🐣', reactionMs: 600, aimError: 0.25, shotLeading: 0, dodgeChance: 0.1, dodgeLookaheadMs: 400, dodgeCoverDistance: 0, powerupGreed: 0.5, targetLockMs: 3000 },
+    REGULAR: { name: 'Regular', emoji: '🪖', reactionMs: 400, aimError: 0.15, shotLeading: 0.4, dodgeChance: 0.3, dodgeLookaheadMs: 500, dodgeCoverDistance: 0, powerupGreed: 0.75, targetLockMs: 2000 },
+    VETERAN: { name: 'Veteran', emoji: '🎖️', reactionMs: 200, aimError: 0.07, shotLeading: 0.8, dodgeChance: 0.6, dodgeLookaheadMs: 800, dodgeCoverDistance: 0, powerupGreed: 1, targetLockMs: 1000 },
+    ELITE: { name: 'Elite', emoji: '⭐', reactionMs: 120, aimError: 0.03, shotLeading: 1, dodgeChance: 0.75, dodgeLookaheadMs: 1000, dodgeCoverDistance: 80, powerupGreed: 1.25, targetLockMs: 800 },
+    ACE: { name: 'Ace', emoji: '👑', reactionMs: 60, aimError: 0, shotLeading: 1, dodgeChance: 0.9, dodgeLookaheadMs: 1200, dodgeCoverDistance: 120, powerupGreed: 1.5, targetLockMs: 600 },
+    THREAT_MARGIN: 6 // Pixels around a tank that still count as a hit when projecting bullets
+};
+
+// Tuning for the bot personas registered in aiPersonas.js
+const AI_PERSONA_CONFIG = {
+    SNIPER_RANGE: 450, // Snipers circle this far out (or at 90% of their weapon's range if that's shorter)
+    SNIPER_BACK_OFF: 0.6, // ...and back off inside this fraction of it
+    RUSHER_ORBIT: 110, // Rushers circle this close
+    RUSHER_MIN_DISTANCE: 50, // ...and only back off inside this
+    CAMP_SEARCH_DISTANCE: 250, // Campers look for cover from the map center this far from where they spawn
+    CAMP_RADIUS: 20, // Close enough to the camp spot to sit still
+    CAMP_PATIENCE_MS: 8000, // Campers go hunting after this long without a shot
+    SUPPORT_DISTANCE: 150 // Supports drive back to their teammate when further away than this
+};
+
+// Team tactics coordinator for TDM bots (teamTactics.js)
+const TACTICS_CONFIG = {
+    REPLAN_MS: 500, // Orders are handed out again this often
+    FOCUS_DISTANCE_SCALE: 800, // Focus target score: health fraction plus distance from the team over this
+    FOCUS_SWITCH_MARGIN: 0.25, // A new focus target must score this much better than the current one
+    RETREAT_RATIO: 1.5, // Odds (enemies per teammate alive) this many times worse than at the start call a retreat
+    REGROUP_RATIO: 1, // ...and back at or below the starting odds times this, the team pushes out again
+    RETREAT_MAX_MS: 12000, // A retreat is called off after this long...
+    RETREAT_COOLDOWN_MS: 15000, // ...and not called again for this long
+    RETREAT_ENGAGE_DISTANCE: 200, // Retreating bots turn and fight enemies that come this close
+    RALLY_RADIUS: 80, // Retreating bots circle the team's spawn this far out
+    FORMATION_SIZE: 2, // Bots keeping formation with each human teammate
+    FORMATION_DISTANCE: 70, // Escort slots sit this far behind the human...
+    FORMATION_ANGLE: 0.8, // ...this many radians to either side of straight behind
+    FORMATION_RADIUS: 25, // Close enough to the slot to circle it
+    FLANK_SHARE: 0.34, // Fraction of the remaining bots sent to flank (rounded)
+    FLANK_DISTANCE: 180, // Flank points sit this far from the focus target
+    FLANK_ANGLES: [Math.PI / 2, Math.PI / 3, Math.PI * 2 / 3], // Tried in order, measured from the team's side of the target
+    FLANK_ARRIVE: 50, // Flankers close in once this near their flank point...
+    FLANK_TIMEOUT_MS: 6000 // ...or after this long on the way
+};
+
+// =============================================================================
+// DESTRUCTIBLE OBSTACLE SETTINGS
+// =============================================================================
+const OBSTACLE_CONFIG = {
+    HP_PER_AREA: 1 / 20, // Hit points per square pixel of obstacle (a mid-size rock takes ~35 hits)
+    MIN_HP: 5,
+    MAX_HP: 150, // Long generated walls are capped so they still wear down
+    DAMAGE_STATES: [0.75, 0.5, 0.25], // Health fractions where the next crack level shows
+    DEBRIS_PIECES: 12, // Chunks thrown out when an obstacle breaks
+    DEBRIS_SPEED: 3, // Pixels per tick
+    DEBRIS_LIFETIME_MS: 900,
+    INDESTRUCTIBLE_OUTLINE: '#2b2b2b', // Edge drawn around obstacles that can't be destroyed
+    
+    // AI
+    AI_WEAK_COVER_HP: 10 // Bots shoot through cover with this much health left (summed along the line of fire)
+};
+
+// =============================================================================
+// TERRAIN ZONE SETTINGS
+// =============================================================================
+const TERRAIN_TYPES = ['mud', 'ice', 'water', 'boost'];
+
+const TERRAIN_CONFIG = {
+    MUD_SPEED_MULTIPLIER: 0.5,
+    WATER_SPEED_MULTIPLIER: 0.8, // Shallow water also stops tanks inside it from firing
+    ICE_GRIP: 0.06, // How far velocity turns toward the driven direction each tick (1 = no slide)
+    ICE_FRICTION: 0.985, // Velocity kept each tick while coasting on ice
+    MIN_DRIFT_SPEED: 0.05, // Pixels per tick; slower slides and boosts stop
+    BOOST_IMPULSE: 7, // Pixels per tick added along the tank's heading
+    BOOST_DECAY: 0.9, // Fraction of the impulse kept each tick (~70 pixels of extra travel)
+    BOOST_COOLDOWN_MS: 1000, // Before the same tank can be launched again
+    COLORS: { mud: '#5c4022', ice: '#cdeeff', water: '#2e6da4', boost: '#ffc107' },
+    DEFAULT_WIDTH: 140, // Size of new mud, ice and water patches (editor)
+    DEFAULT_HEIGHT: 100,
+    BOOST_RADIUS: 26, // Boost pads are circles of this size
+
+    // Random maps (optional, see generator settings)
+    GENERATOR_ZONES_MIN: 2, // Zones per symmetry copy
+    GENERATOR_ZONES_MAX: 4,
+    GENERATOR_WEIGHTS: { mud: 3, ice: 2, water: 2, boost: 2 },
+    GENERATOR_MIN_SIZE: 80,
+    GENERATOR_MAX_SIZE: 200,
+
+    // AI
+    AI_AVOID: ['mud', 'water'], // Zones bots drive around when the detour is short
+    AI_DETOUR_MARGIN: 25, // Gap kept to a zone's edge when going around it
+    AI_MAX_DETOUR: 1.6 // Detour must be at most this many times the direct distance
+};
+
+// =============================================================================
+// MAP ENTITY SETTINGS (teleporters, one-way gates, moving walls)
+// =============================================================================
+const ENTITY_TYPES = ['teleporter', 'gate', 'slidingWall', 'door'];
+
+const ENTITY_CONFIG = {
+    TELEPORTER_RADIUS: 22, // Tanks and bullets whose center enters a pad come out of its partner
+    TELEPORTER_COLORS: ['#00e5ff', '#ff4dff', '#b2ff59', '#ffab40'], // One per pair, cycled
+    GATE_DIRECTIONS: { right: { x: 1, y: 0 }, left: { x: -1, y: 0 }, down: { x: 0, y: 1 }, up: { x: 0, y: -1 } },
+    GATE_COLOR: '#3fa7ff',
+    WALL_COLOR: '#8a6d3b', // Sliding walls and doors
+    DEFAULT_PERIOD_MS: 6000, // Sliding wall round trip
+    DEFAULT_OPEN_MS: 3000, // Doors
+    DEFAULT_CLOSED_MS: 3000,
+
+    // AI
+    AI_TELEPORTER_GAIN: 0.75 // Bots take a teleporter when the trip through it is at most this fraction of the drive
+};
+
+// =============================================================================
+// AI NAVIGATION SETTINGS (A* grid, see navigation.js)
+// =============================================================================
+const NAV_CONFIG = {
+    CELL_SIZE: 20, // Grid resolution in pixels
+    CLEARANCE: 19, // Cells whose center is closer than this to an obstacle are blocked (half a tank plus a gap)
+    LINE_MARGIN: 17, // Gap a straight drive must keep from walls (half a tank plus a little), or the bot plans a route
+    REPATH_MS: 500, // Bots replan at least this often while following a path
+    REPATH_DISTANCE: 60, // ... or as soon as their destination moves this far
+    WAYPOINT_REACHED: 12, // A path point counts as reached within this distance
+    SNAP_RINGS: 4 // How many cells out to look for an open cell when a path end is inside a wall
+};
+
+// =============================================================================
+// WEAPON SETTINGS
+// =============================================================================
+const WEAPON_TYPES = ['cannon', 'machineGun', 'shotgun', 'railgun', 'mortar', 'mineLayer', 'missileLauncher', 'demoCharge'];
+
+const WEAPON_CONFIG = {
+    DEFAULT: 'cannon', // Loadout for tanks that don't pick one
+    // projectile: 'bullet' flies straight, 'rail' hits instantly along a line, 'shell' arcs over
+    // obstacles and bursts where it lands, 'mine' is dropped behind the tank and waits, 'charge' is
+    // planted where the tank sits and goes off fuseMs later, 'missile' homes on the enemy it locked
+    // onto when fired. speed is pixels per tick, spread is the total
+    // random cone in radians, range is in pixels for rails and shells, pickupAmmo is the shots a
+    // map crate gives. Missiles turn at most turnRate radians per tick and only steer while they
+    // have fuel; they lock onto the enemy nearest the turret's line within lockCone (half-angle)
+    // and lockRange.
+    WEAPONS: {
+        cannon: { name: 'Cannon', emoji: '💥', projectile: 'bullet', cooldownMs: 700, damage: 1, speed: 6, spread: 0, pellets: 1, lifetimeMs: 5000, size: 4, pickupAmmo: 0 },
+        machineGun: { name: 'Machine Gun', emoji: '🔫', projectile: 'bullet', cooldownMs: 300, damage: 1, speed: 7, spread: 0.2, pellets: 1, lifetimeMs: 1100, size: 3, pickupAmmo: 60 },
+        shotgun: { name: 'Shotgun', emoji: '💢', projectile: 'bullet', cooldownMs: 1200, damage: 1, speed: 6.5, spread: 0.5, pellets: 6, lifetimeMs: 450, size: 3, pickupAmmo: 12 },
+        railgun: { name: 'Railgun', emoji: '🔱', projectile: 'rail', cooldownMs: 2200, damage: 6, range: 1500, pickupAmmo: 6 },
+        mortar: { name: 'Mortar', emoji: '☄️', projectile: 'shell', cooldownMs: 1600, damage: 4, speed: 4, range: 320, blastRadius: 45, size: 8, pickupAmmo: 8 },
+        mineLayer: { name: 'Mine Layer', emoji: '💣', projectile: 'mine', cooldownMs: 1500, damage: 5, blastRadius: 40, size: 12, pickupAmmo: 6 },
+        missileLauncher: { name: 'Missiles', emoji: '🚀', projectile: 'missile', cooldownMs: 2500, damage: 4, speed: 4.5, lifetimeMs: 5000, size: 6, turnRate: 0.05, fuelMs: 3000, lockCone: 0.5, lockRange: 700, pickupAmmo: 4 },
+        demoCharge: { name: 'Demo Charge', emoji: '🧨', projectile: 'charge', cooldownMs: 2000, damage: 6, blastRadius: 70, fuseMs: 2500, size: 10, pickupAmmo: 4 }
+    },
+
+    RAIL_TRAIL_MS: 400, // How long a railgun trail stays visible
+    SHELL_ARC_HEIGHT: 60, // Peak height of a mortar shell's arc (drawn as size and shadow offset)
+    BLAST_EFFECT_MS: 350, // Mortar, mine and charge explosion flash
+    BLAST_FALLOFF: 0.7, // Blast damage at the edge of the radius is this fraction less than at the center
+    BLAST_KNOCKBACK: 9, // Launch speed (pixels per tick) for a tank at the center of a blast, falling off like damage
+    MINE_ARM_MS: 1000, // Mines can't go off until this long after being dropped
+    MINE_TRIGGER_RADIUS: 25, // Enemy tanks this close to an armed mine set it off
+    MINE_LIFETIME_MS: 30000, // Armed mines are hidden from the layer's enemies until then
+    MAX_MINES_PER_TANK: 3, // Dropping another removes the tank's oldest mine
+    MISSILE_TRAIL_LENGTH: 24, // Smoke puffs kept behind a missile (one per tick while its motor burns)
+    FLARE_TRIGGER_DISTANCE: 90, // A tank with flares drops one when a missile locked on it gets this close
+    FLARE_BURN_MS: 1500, // Decoyed missiles chase the flare until it burns out, then fly straight
+    FLARE_DRIFT_SPEED: 2.5, // Pixels per tick, slowing as it falls
+
+    // AI
+    AI_MINE_DISTANCE: 160, // Bots drop mines and charges when the enemy they're fighting is this close
+    AI_CHARGE_MARGIN: 20, // Bots run from a lit charge they can see until this far outside its blast
+    AI_MISSILE_MIN_DISTANCE: 150, // Closer than this a missile can't turn in time, so bots don't launch
+    AI_MISSILE_DODGE_DISTANCE: 220 // Bots break sideways when a missile locked on them is this close
+};
+
+// =============================================================================
+// CAPTURE THE FLAG SETTINGS
+// =============================================================================
+const CTF_CONFIG = {
+    SCORE_LIMIT: 3, // Captures needed to win
+    TIME_LIMIT_MS: 5 * 60 * 1000, // Match ends after 5 minutes (most captures wins)
+    RESPAWN_DELAY_MS: 3000,
+    SPAWN_PROTECTION_MS: 2000, // Invincibility after respawning
+    BASE_OFFSET: 90, // Distance of each flag base from its team's spawn edge
+    BASE_RADIUS: 35, // Capture area around a base
+    FLAG_PICKUP_RADIUS: 25, // Distance a tank must reach to grab or return a flag
+    FLAG_RETURN_MS: 15000, // A dropped flag goes home on its own after this long
+    
+    // AI roles
+    DEFEND_RADIUS: 250, // Defenders engage enemies this close to their base
+    GUARD_DISTANCE: 60, // Defenders hold this close to their base
+    ESCORT_DISTANCE: 80, // Escorts stay this close to their carrier
+    ROLE_ORDER: ['attacker', 'defender', 'escort'] // Roles handed out to each team's bots in turn
+};
+
+// =============================================================================
+// KING OF THE HILL SETTINGS
+// =============================================================================
+const KOTH_CONFIG = {
+    ZONE_COUNT: 2, // Capture zones on the map at once (1-3)
+    ZONE_RADIUS: 80,
+    ZONE_EDGE_MARGIN: 150, // Zones stay this far from the map edges
+    CAPTURE_TIME_MS: 3000, // Time alone in a zone to take it over
+    POINTS_PER_SECOND: 1, // Scored while a side owns a zone and is its only occupant
+    SCORE_LIMIT: 60,
+    TIME_LIMIT_MS: 5 * 60 * 1000, // Match ends after 5 minutes (highest score wins)
+    ZONE_ROTATE_MS: 45000, // Zones move somewhere new this often (0 = never)
+    RESPAWN_DELAY_MS: 3000,
+    SPAWN_PROTECTION_MS: 2000, // Invincibility after respawning
+    
+    // AI
+    AI_HOLD_RADIUS: 0.5, // Bots circle inside this fraction of the zone radius while holding
+    AI_SECURED_ZONE_PENALTY: 400 // Extra distance bots add to zones a teammate already holds
+};
+
+// =============================================================================
+// MAP FILE SETTINGS
+// =============================================================================
+const MAP_CONFIG = {
+    FORMAT: 'multitanks-map', // Identifies map files
+    VERSION: 1, // Bump when the map layout changes
+    MIN_SIZE: 400, // Smallest allowed map width/height
+    MAX_SIZE: 4000, // Largest allowed map width/height
+    DEFAULT_BACKGROUND: '#2d5016', // Dark green (random maps and maps without a background)
+    OBSTACLE_COLOR: '#696969', // Gray, used when a map obstacle has no color
+    BACKDROP_COLOR: '#111111', // Shown around a map that doesn't fill the window
+    STORAGE_KEY: 'multitanks.savedMaps' // localStorage key for maps saved from the editor
+};
+
+// =============================================================================
+// RANDOM MAP GENERATOR SETTINGS
+// =============================================================================
+const GENERATOR_CONFIG = {
+    DEFAULT_TYPE: 'scatter', // Used when a match doesn't pick a generator
+    DEFAULT_SYMMETRY: 'none',
+    MENU_SYMMETRY: 'quad', // Preselected in the menu so no spawn corner is favored
+    MENU_TERRAIN: true, // Menu matches scatter terrain zones (headless runs opt in with generator.terrain)
+    MAX_ATTEMPTS: 10, // Fresh layouts tried before falling back to an open arena
+    SPAWN_CLEARANCE: 60, // Obstacles keep this gap to spawns, flag bases and zones
+    CONNECTIVITY_CELL: 10, // Resolution of the reachability check
+    GRID_CELL: 40, // Block size for maze, city and cave layouts (fits one tank with room to spare)
+    
+    // Arena
+    ARENA_RING_RADIUS: 0.22, // Cover ring around the center, as a fraction of the shorter map side
+    ARENA_RING_PIECES: 8,
+    ARENA_PILLARS: 6, // Extra cover pillars across the map
+    
+    // Maze
+    MAZE_CELL_BLOCKS: 3, // Corridor plus wall width, in grid blocks
+    MAZE_BRAID: 0.15, // Chance to knock out an extra wall (loops, fewer dead ends)
+    
+    // City
+    CITY_BUILDING_MIN: 2, // Building width/height in grid blocks
+    CITY_BUILDING_MAX: 5,
+    CITY_STREET: 2, // Street width in grid blocks
+    CITY_PLAZA_CHANCE: 0.2, // Chance a building is left out
+    
+    // Cave
+    CAVE_FILL: 0.42, // Starting chance that a block is rock
+    CAVE_SMOOTHING: 4, // Cellular automaton passes
+    CAVE_BIRTH: 5 // Blocks with at least this many rock neighbours (of 8) become rock
+};
+
+// =============================================================================
+// MAP EDITOR SETTINGS
+// =============================================================================
+const EDITOR_CONFIG = {
+    DEFAULT_WIDTH: 1280, // Size of a new map
+    DEFAULT_HEIGHT: 720,
+    GRID_SIZES: [0, 10, 20, 40], // Snap options (0 = off)
+    DEFAULT_GRID: 20,
+    DEFAULT_ROCK_RADIUS: 30,
+    DEFAULT_RECT_WIDTH: 80,
+    DEFAULT_RECT_HEIGHT: 30,
+    MIN_ROCK_RADIUS: 8,
+    MIN_RECT_SIZE: 10,
+    HANDLE_SIZE: 10, // Resize handle size in screen pixels
+    HISTORY_LIMIT: 100, // Undo steps kept
+    VIEW_PADDING: 20, // Space around the map on screen
+    TOOLBAR_HEIGHT: 90 // Room left for the toolbar above the map
+};
+
+// =============================================================================
+// REPLAY SETTINGS
+// =============================================================================
+const REPLAY_CONFIG = {
+    FORMAT: 'multitanks-replay', // Identifies replay files
+    VERSION: 1, // Bump when the replay layout changes
+    SNAPSHOT_INTERVAL_TICKS: 60, // Tank state checkpoint once per simulated second
+    SNAPSHOT_TOLERANCE: 0.1, // Position drift (pixels) allowed before playback reports a desync
+    PLAYBACK_SPEEDS: [0.25, 0.5, 1, 2, 4],
+    MIN_ZOOM: 0.25,
+    MAX_ZOOM: 4,
+    FOLLOW_ZOOM: 1.5, // Camera zoom when following a single tank
+    SEEK_SLICE_MS: 25, // Simulation time per animation frame while seeking, so long seeks don't freeze the page
+    BACKDROP_COLOR: '#111111' // Shown outside the map when the viewer camera zooms out
+};
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
@@ -372,17 +715,20 @@ const CAMPAIGN_CONFIG = {
         EASY: {
             enemySpeedMultiplier: 0.7,
             enemyFireRateMultiplier: 0.6,
-            enemyBulletSpeedMultiplier: 0.8
+            enemyBulletSpeedMultiplier: 0.8,
+            allySkill: 'REGULAR' // AI_SKILL level of the AI allies
         },
         MEDIUM: {
             enemySpeedMultiplier: 1.0,
             enemyFireRateMultiplier: 1.0,
-            enemyBulletSpeedMultiplier: 1.0
+            enemyBulletSpeedMultiplier: 1.0,
+            allySkill: 'VETERAN'
         },
         HARD: {
             enemySpeedMultiplier: 1.4,
             enemyFireRateMultiplier: 1.5,
-            enemyBulletSpeedMultiplier: 1.2
+            enemyBulletSpeedMultiplier: 1.2,
+            allySkill: 'ACE'
         }
     }
 };
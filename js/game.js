@@ -11,13 +11,28 @@ class MultiTanksGame {
         this.tanks = [];
         this.bullets = [];
         this.obstacles = [];
+        this.terrainZones = []; // Mud, ice, water and boost zones (see terrain.js)
         this.players = [];
         this.aiBots = [];
         this.powerups = [];
+        this.powerupPads = []; // Fixed powerup pads when the match uses them (see powerups.js)
         this.lastTime = 0;
         this.animationId = null;
         this.powerupSpawnTimer = 0;
         
+        // Fixed-timestep simulation
+        this.tickDuration = 1000 / GAME_CONFIG.SIMULATION_TICK_RATE; // Milliseconds per simulation tick
+        this.tickAccumulator = 0; // Unsimulated frame time carried between frames
+        this.tickCount = 0; // Number of simulation ticks run this match
+        this.simulationTime = 0; // Simulated milliseconds since the match started (drives all gameplay timers)
+        
+        // Seeded randomness (every gameplay roll goes through this.rng)
+        this.matchSeed = null;
+        this.requestedSeed = null; // Seed chosen by the user, reused on restart
+        this.rng = null;
+        this.nextPowerupId = 1;
+        this.renderAlpha = 1; // Interpolation factor between the previous and current tick
+        
         // Game settings
         this.numPlayers = 1;
         this.numAIBots = 3;
@@ -31,6 +46,7 @@ class MultiTanksGame {
             red: [],
             blue: []
         };
+        this.spawnPositions = []; // Spawn point per tank id (respawns pick from these)
         
         // Statistics tracking
         this.playerStats = new Map();
@@ -42,26 +58,59 @@ class MultiTanksGame {
         this.renderer = null;
         this.powerupsManager = null;
         this.collisions = null;
+        this.aiBehavior = null;
+        this.respawns = null;
+        this.terrainManager = null;
+        this.entitiesManager = null;
+        this.weaponsManager = null;
+        
+        // Headless games have no canvas, audio or input and are stepped manually (see simulate)
+        this.headless = false;
+        this.winner = null;
+        this.matchResult = null;
+        
+        // Replays (see replay.js)
+        this.recorder = null; // Records this match's inputs
+        this.replay = null; // ReplayPlayer feeding recorded inputs instead of live ones
+        this.viewCamera = null; // Free/follow camera set by the replay viewer
+        this.timeScale = 1; // Playback speed multiplier applied to frame time
+        this.effectsMuted = false; // Silences music and sounds (e.g. while a replay fast-forwards)
     }
 
     /**
      * Initialize the game
-     * @param {HTMLCanvasElement} canvas - Canvas element
+     * Passing no canvas creates a headless game that only runs the simulation.
+     * @param {HTMLCanvasElement|null} canvas - Canvas element (null for headless)
      * @param {number} numPlayers - Number of human players (1-4)
      * @param {number} numAIBots - Number of AI bots (0-6)
      * @param {string} gameMode - Game mode (FFA or TDM)
      * @param {Object} teamAssignments - Player team assignments for TDM
      * @param {Object} aiTeamDistribution - AI team distribution for TDM
+     * @param {Object} matchOptions - Extra match settings ({ seed, map, generator, mapWidth, mapHeight, rules, loadouts, powerups, botSkills, tacticsOverlay, replay, muted, record })
      */
-    async initialize(canvas, numPlayers = 1, numAIBots = 3, gameMode = GAME_MODES.FFA, teamAssignments = {}, aiTeamDistribution = null) {
+    async initialize(canvas, numPlayers = 1, numAIBots = 3, gameMode = GAME_MODES.FFA, teamAssignments = {}, aiTeamDistribution = null, matchOptions = {}) {
         this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+        this.ctx = canvas ? canvas.getContext('2d') : null;
+        this.headless = !canvas;
+        this.winner = null;
+        this.matchResult = null;
         this.numPlayers = Math.max(GAME_CONFIG.MIN_PLAYERS, Math.min(GAME_CONFIG.MAX_PLAYERS, numPlayers));
         this.numAIBots = Math.max(GAME_CONFIG.MIN_AI_BOTS, Math.min(GAME_CONFIG.MAX_AI_BOTS, numAIBots));
         this.gameMode = gameMode;
         this.teamAssignments = teamAssignments;
         this.aiTeamDistribution = aiTeamDistribution;
-        this.gameStartTime = Date.now();
+        this.matchOptions = matchOptions;
+        this.resetClock();
+        
+        // Replays drive the human players from the recording instead of live input.
+        // Live matches are always recorded; headless runs only when asked to.
+        this.replay = matchOptions.replay || null;
+        this.recorder = (this.replay || (this.headless && !matchOptions.record)) ? null : new ReplayRecorder(this);
+        this.effectsMuted = !!matchOptions.muted;
+        
+        // Seed the match RNG before anything random is generated
+        this.requestedSeed = (matchOptions.seed !== undefined && matchOptions.seed !== null && matchOptions.seed !== '') ? matchOptions.seed : null;
+        this.seedRandom(this.requestedSeed !== null ? this.requestedSeed : SeededRandom.generateSeed());
         
         // Resolve active game mode
         this.mode = window.modeManager ? window.modeManager.getMode(this.gameMode) : null;
@@ -72,16 +121,32 @@ class MultiTanksGame {
             this.numAIBots = GAME_CONFIG.MAX_TOTAL_TANKS - this.numPlayers;
         }
         
-        // Set canvas size - use actual window dimensions
-        const actualWidth = window.innerWidth;
-        const actualHeight = window.innerHeight;
+        // Map file (see MapLoader) to play on instead of random obstacles; the campaign builds its own levels
+        this.map = (this.gameMode !== GAME_MODES.CAMPAIGN && matchOptions.map) || null;
+        // Random layout settings for matches without a map file ({ type, symmetry, terrain }, see mapGenerators.js)
+        const generator = matchOptions.generator || {};
+        this.generatorSettings = {
+            type: generator.type || GENERATOR_CONFIG.DEFAULT_TYPE,
+            symmetry: generator.symmetry || GENERATOR_CONFIG.DEFAULT_SYMMETRY,
+            terrain: !!generator.terrain
+        };
+        
+        // Set canvas size - use actual window dimensions. The map matches the window unless a size
+        // is requested (map files, headless runs and replays, which must use the recorded size).
+        const actualWidth = this.map ? this.map.width : (matchOptions.mapWidth || (this.headless ? GAME_CONFIG.HEADLESS_MAP_WIDTH : window.innerWidth));
+        const actualHeight = this.map ? this.map.height : (matchOptions.mapHeight || (this.headless ? GAME_CONFIG.HEADLESS_MAP_HEIGHT : window.innerHeight));
         
-        this.canvas.width = actualWidth;
-        this.canvas.height = actualHeight;
+        if (this.canvas) {
+            this.canvas.width = window.innerWidth;
+            this.canvas.height = window.innerHeight;
+        }
+        this.viewWidth = this.canvas ? this.canvas.width : actualWidth;
+        this.viewHeight = this.canvas ? this.canvas.height : actualHeight;
         
         // Update game config with actual dimensions
         GAME_CONFIG.MAP_WIDTH = actualWidth;
         GAME_CONFIG.MAP_HEIGHT = actualHeight;
+        GAME_CONFIG.MAP_COLOR = this.map ? this.map.background : MAP_CONFIG.DEFAULT_BACKGROUND;
         
         // Initialize game objects
         if (this.mode && this.mode.assignTeams) {
@@ -93,39 +158,175 @@ class MultiTanksGame {
             this.initializeTanks();
         }
         
-        // Only generate obstacles for non-campaign modes
-        if (this.gameMode !== GAME_MODES.CAMPAIGN) {
+        // Only generate obstacles and terrain for non-campaign modes
+        this.terrainZones = [];
+        if (this.map) {
+            this.loadMapObstacles();
+        } else if (this.gameMode !== GAME_MODES.CAMPAIGN) {
             this.generateObstacles();
         }
         
-        this.setupMIDIInput();
+        // Obstacle health, damage states and debris
+        this.obstaclesManager = new GameObstacles(this);
+        
+        // Mud, ice, water and boost pad effects on tank movement
+        this.terrainManager = new GameTerrain(this);
+        
+        // Teleporters, one-way gates and moving walls from the map file
+        this.entitiesManager = new GameEntities(this);
+        
+        // A* grid bots route around walls with (rebuilt on demand when the walls change)
+        this.navigation = new GameNavigation(this);
+        
+        // Line of sight and bank shots for everything that aims
+        this.visibility = new GameVisibility(this);
+        
+        // Mortar shells, mines, charges and weapon effects
+        this.weaponsManager = new GameWeapons(this);
+        
+        // Lives, respawns and frag/time limits
+        this.respawns = new GameRespawns(this);
+        
+        // Let objective modes set up their flags, zones, etc. (campaign uses initializeLevel)
+        if (this.mode && this.mode.initializeMatch) {
+            this.mode.initializeMatch(this);
+        }
+        
+        if (!this.headless && !this.replay) {
+            this.setupMIDIInput();
+        }
+        
+        // Initialize AI behavior system (also exposed globally for debugging in the browser)
+        this.aiBehavior = new AIBehavior(this);
+        if (!this.headless) {
+            window.aiBehavior = this.aiBehavior;
+        }
         
-        // Initialize AI behavior system
-        window.aiBehavior = new AIBehavior(this);
+        // Shared targets, formations, flanks and retreats for TDM bot teams
+        this.teamTactics = new GameTeamTactics(this);
         
         // Initialize helper modules
-        this.renderer = new GameRenderer(this);
+        this.renderer = this.headless ? null : new GameRenderer(this);
         this.powerupsManager = new GamePowerups(this);
         this.collisions = new GameCollisions(this);
         
         // Start game loop (except for campaign mode which needs special initialization)
         if (this.gameMode !== GAME_MODES.CAMPAIGN) {
             this.gameState = GAME_STATES.PLAYING;
-            this.lastTime = performance.now();
-            this.gameLoop();
+            this.startRecording();
+            this.startLoop();
         } else {
             // For campaign mode, start in paused state until level is initialized
             this.gameState = GAME_STATES.PAUSED;
         }
         
         // Start background music based on mode
-        if (window.audioSystem) {
-            const track = (this.mode && this.mode.musicTrack) ? this.mode.musicTrack(this) : (this.gameMode === GAME_MODES.TDM ? 'tdm.mp3' : 'ffa.mp3');
-            window.audioSystem.playMusic(track, true);
-            window.audioSystem.gameStart();
+        const track = (this.mode && this.mode.musicTrack) ? this.mode.musicTrack(this) : (this.gameMode === GAME_MODES.TDM ? 'tdm.mp3' : 'ffa.mp3');
+        this.playMusic(track, true);
+        this.playSound('gameStart');
+    }
+
+    /**
+     * Start the real-time loop. Headless games are driven by simulate() instead.
+     */
+    startLoop() {
+        if (this.headless) return;
+        this.lastTime = performance.now();
+        this.tickAccumulator = 0;
+        this.gameLoop();
+    }
+
+    /**
+     * Reset the simulation clock to tick 0 (new match or campaign level)
+     */
+    resetClock() {
+        this.tickCount = 0;
+        this.tickAccumulator = 0;
+        this.simulationTime = 0;
+        this.gameStartTime = this.now();
+    }
+
+    /**
+     * Start recording a replay of the match from the current tick
+     */
+    startRecording() {
+        if (this.recorder) {
+            this.recorder.start();
+        }
+    }
+
+    /**
+     * Close the replay recording with the mode's winner
+     */
+    finishRecording() {
+        if (this.recorder) {
+            this.recorder.finish((this.mode && this.mode.winner) ? this.mode.winner(this) : null);
         }
     }
 
+    /**
+     * Play a sound effect (no-op for headless or muted games)
+     * @param {string} effect - audioSystem effect name ('shoot', 'hit', ...)
+     */
+    playSound(effect) {
+        if (this.headless || this.effectsMuted || !window.audioSystem) return;
+        window.audioSystem[effect]();
+    }
+
+    /**
+     * Start a background music track (no-op for headless or muted games)
+     * @param {string} track - File name in the music folder
+     * @param {boolean} loop - Whether to loop the track
+     */
+    playMusic(track, loop = true) {
+        if (this.headless || this.effectsMuted || !window.audioSystem) return;
+        window.audioSystem.playMusic(track, loop);
+    }
+
+    /**
+     * Stop background music (no-op for headless or muted games)
+     */
+    stopMusic() {
+        if (this.headless || this.effectsMuted || !window.audioSystem) return;
+        window.audioSystem.stopMusic();
+    }
+
+    /**
+     * Reset the match RNG to a seed and record it
+     * @param {number|string} seed - Match seed
+     */
+    seedRandom(seed) {
+        this.restartRandom(seed);
+        this.matchSeed = this.rng.seed;
+        console.log(`🎲 Match seed: ${this.matchSeed}`);
+    }
+
+    /**
+     * Restart the RNG on a seed without changing the match seed (campaign levels)
+     * @param {number|string} seed - Seed
+     */
+    restartRandom(seed) {
+        this.rng = new SeededRandom(seed);
+        this.nextPowerupId = 1;
+    }
+
+    /**
+     * Whether the current mode splits tanks into red and blue teams (TDM, CTF)
+     * @returns {boolean}
+     */
+    isTeamMode() {
+        return !!(this.mode && this.mode.teamBased);
+    }
+
+    /**
+     * Current simulation time. Gameplay timers use this instead of Date.now()
+     * so they advance with ticks and replay identically.
+     * @returns {number} Simulated milliseconds since the match started
+     */
+    now() {
+        return this.simulationTime;
+    }
+
     /**
      * Initialize tanks (players + AI bots)
      */
@@ -134,8 +335,11 @@ class MultiTanksGame {
         this.players = [];
         this.aiBots = [];
         
-        // Calculate spawn positions via mode (or fallback)
-        const spawnPositions = this.mode && this.mode.calculateSpawnPositions ? this.mode.calculateSpawnPositions(this) : [];
+        // Calculate spawn positions via the map file or mode (or fallback)
+        const modePositions = this.mode && this.mode.calculateSpawnPositions ? this.mode.calculateSpawnPositions(this) : [];
+        const mapPositions = this.map ? MapLoader.spawnPositions(this.map, this) : [];
+        const spawnPositions = modePositions.map((position, i) => mapPositions[i] || position);
+        this.spawnPositions = spawnPositions; // Kept for respawns
         
         // Create human players
         for (let i = 0; i < this.numPlayers; i++) {
@@ -167,7 +371,7 @@ class MultiTanksGame {
         let tankColor = TANK_COLORS[playerIndex % TANK_COLORS.length];
         let name = isAI ? `Bot ${playerIndex - this.numPlayers + 1}` : `Player ${playerIndex + 1}`;
         
-        if (this.gameMode === GAME_MODES.TDM) {
+        if (this.isTeamMode()) {
             if (isAI) {
                 // For AI, determine team based on distribution
                 const aiIndex = playerIndex - this.numPlayers;
@@ -190,12 +394,13 @@ class MultiTanksGame {
             }
             tankColor = GAME_CONFIG.TEAM_COLORS[tankTeam.toUpperCase()];
         }
+        const loadout = this.loadoutFor(playerIndex, isAI);
         
         const tank = {
             id: playerIndex,
             x: position.x,
             y: position.y,
-            angle: Math.random() * Math.PI * 2, // Random initial rotation
+            angle: this.rng.range(0, Math.PI * 2), // Random initial rotation
             turretAngle: 0,
             health: GAME_CONFIG.TANK_HEALTH,
             maxHealth: GAME_CONFIG.TANK_HEALTH,
@@ -203,7 +408,7 @@ class MultiTanksGame {
             isAI: isAI,
             team: tankTeam,
             name: name,
-            lastShot: 0,
+            lastShot: -Infinity,
             size: GAME_CONFIG.TANK_SIZE,
             speed: GAME_CONFIG.TANK_SPEED,
             turretLength: GAME_CONFIG.TURRET_LENGTH,
@@ -220,20 +425,14 @@ class MultiTanksGame {
             killedBy: null,
             
             // Powerups (arrays for stacking)
-            powerups: {
-                invincibility: [],
-                speed: [],
-                rapidFire: [],
-                spreadShot: [],
-                bouncingBullets: []
-            },
+            powerups: GamePowerups.createSlots(), // Running timers per powerup slot (see powerups.js)
             
             // AI-specific properties
             aiTarget: null,
             aiState: 'patrol', // 'patrol', 'chase', 'attack'
             aiTimer: 0,
-            aiDirection: Math.random() * Math.PI * 2,
-            aiOrbitDirection: Math.random() < 0.5 ? 1 : -1, // 1 for clockwise, -1 for counterclockwise
+            aiDirection: this.rng.range(0, Math.PI * 2),
+            aiOrbitDirection: this.rng.sign(), // 1 for clockwise, -1 for counterclockwise
             aiOrbitAngle: 0, // Current orbit angle around target
             aiRetreatEndTime: 0, // When to stop retreating
             aiLastTargetX: 0, // Last known target X position for movement tracking
@@ -242,9 +441,37 @@ class MultiTanksGame {
             aiTargetVelocityY: 0, // Target's Y velocity
             aiPowerupChaseStartTime: 0, // When AI started chasing current powerup
             aiCurrentPowerupId: null, // ID of powerup currently being chased
-            aiPowerupCooldownEndTime: 0 // When AI can start chasing powerups again
+            aiPowerupCooldownEndTime: 0, // When AI can start chasing powerups again
+            aiReactTargetId: null, // Target the reaction delay was last started for
+            aiReactUntil: 0, // When the bot may open fire on that target
+            aiAimError: 0, // Radians the next shot is off by (rolled below for bots)
+            skill: isAI ? this.skillFor(playerIndex) : null, // AI_SKILL level (bots)
+            persona: null, // Behavior persona, picked at every spawn (bots, see aiPersonas.js)
+            aiActivity: null, // Behavior tree action that ran last tick
+            aiCampSpot: null, // Where a camper waits this life
+            aiCampShotTime: 0, // Last time a camper had a shot (it goes hunting after CAMP_PATIENCE_MS)
+            tactic: null, // Order from the team tactics coordinator (TDM bots, see teamTactics.js)
+            
+            // Terrain (see terrain.js)
+            terrain: null, // Zone type the tank is in this tick
+            vx: 0, // Velocity in pixels per tick (carries the slide on ice)
+            vy: 0,
+            boostVx: 0, // Boost pad launch still being applied
+            boostVy: 0,
+            boostReadyTime: 0, // When a boost pad can launch this tank again
+            teleporterLock: null, // Teleporter pad the tank arrived on (usable again once it drives off)
+            
+            // Weapons (see weapons.js)
+            loadout: loadout, // Weapon the tank spawns with
+            weapon: loadout, // Weapon it is firing now (a crate can swap this)
+            weaponAmmo: null // Shots left of a crate weapon (null = unlimited)
         };
         
+        if (isAI) {
+            tank.persona = window.aiPersonaRegistry.pick(this, tank);
+            AIBehavior.rollAimError(this, tank);
+        }
+        
         // Add to team if TDM
         if (tankTeam) {
             this.teams[tankTeam].push(tank);
@@ -272,94 +499,49 @@ class MultiTanksGame {
     }
 
     /**
-     * Generate random obstacles on the map
+     * Weapon a tank starts with, from the loadouts picked on the player assignment screen
+     * ({ [playerIndex]: weapon, ai: weapon }, where 'random' rolls one per tank)
+     * @param {number} playerIndex - Player index
+     * @param {boolean} isAI - Whether the tank is a bot
+     * @returns {string} Weapon type
      */
-    generateObstacles() {
-        this.obstacles = [];
-        const numObstacles = Math.floor(Math.random() * (GAME_CONFIG.MAX_OBSTACLES - GAME_CONFIG.MIN_OBSTACLES + 1)) + GAME_CONFIG.MIN_OBSTACLES;
-        
-        for (let i = 0; i < numObstacles; i++) {
-            let obstacle;
-            let attempts = 0;
-            const maxAttempts = GAME_CONFIG.AI_OBSTACLE_GENERATION_MAX_ATTEMPTS;
-            
-            do {
-                obstacle = this.generateRandomObstacle();
-                attempts++;
-            } while (this.obstacleCollidesWithTanks(obstacle) && attempts < maxAttempts);
-            
-            if (attempts < maxAttempts) {
-                this.obstacles.push(obstacle);
-            }
+    loadoutFor(playerIndex, isAI) {
+        const loadouts = (this.matchOptions && this.matchOptions.loadouts) || {};
+        const choice = isAI ? loadouts.ai : loadouts[playerIndex];
+        if (choice === 'random') {
+            return this.rng.pick(WEAPON_TYPES);
         }
+        return WEAPON_CONFIG.WEAPONS[choice] ? choice : WEAPON_CONFIG.DEFAULT;
     }
 
     /**
-     * Generate a random obstacle
-     * @returns {Object} Obstacle object
+     * Skill level of a bot, from the picks on the player assignment screen
+     * ({ [playerIndex]: level, ai: level for every other bot })
+     * @param {number} playerIndex - Player index
+     * @returns {string} AI_SKILL level
      */
-    generateRandomObstacle() {
-        const isRock = Math.random() < 0.6; // 60% chance for rock
-        const grayColor = '#696969'; // Same gray color for all obstacles
-        
-        if (isRock) {
-            const size = Math.random() * (GAME_CONFIG.ROCK_SIZE_MAX - GAME_CONFIG.ROCK_SIZE_MIN) + GAME_CONFIG.ROCK_SIZE_MIN;
-            return {
-                type: 'rock',
-                x: Math.random() * (GAME_CONFIG.MAP_WIDTH - size) + size / 2,
-                y: Math.random() * (GAME_CONFIG.MAP_HEIGHT - size) + size / 2,
-                radius: size / 2,
-                color: grayColor
-            };
-        } else {
-            const width = Math.random() * (GAME_CONFIG.RECTANGLE_WIDTH_MAX - GAME_CONFIG.RECTANGLE_WIDTH_MIN) + GAME_CONFIG.RECTANGLE_WIDTH_MIN;
-            const height = Math.random() * (GAME_CONFIG.RECTANGLE_HEIGHT_MAX - GAME_CONFIG.RECTANGLE_HEIGHT_MIN) + GAME_CONFIG.RECTANGLE_HEIGHT_MIN;
-            return {
-                type: 'rectangle',
-                x: Math.random() * (GAME_CONFIG.MAP_WIDTH - width) + width / 2,
-                y: Math.random() * (GAME_CONFIG.MAP_HEIGHT - height) + height / 2,
-                width: width,
-                height: height,
-                color: grayColor
-            };
-        }
+    skillFor(playerIndex) {
+        const skills = (this.matchOptions && this.matchOptions.botSkills) || {};
+        const choice = skills[playerIndex] || skills.ai;
+        return AI_SKILL_LEVELS.includes(choice) ? choice : AI_SKILL.DEFAULT;
     }
 
     /**
-     * Check if obstacle collides with any tank spawn positions
-     * @param {Object} obstacle - Obstacle to check
-     * @returns {boolean} True if collision detected
+     * Generate random obstacles (and terrain, when enabled) with the match's map generator (see mapGenerators.js)
      */
-    obstacleCollidesWithTanks(obstacle) {
-        const spawnPositions = (this.mode && this.mode.calculateSpawnPositions)
-            ? this.mode.calculateSpawnPositions(this)
-            : [];
-        const minDistance = GAME_CONFIG.TANK_SIZE * 2;
-        
-        // If no spawn positions, no collision possible
-        if (spawnPositions.length === 0) {
-            return false;
-        }
-        
-        for (const pos of spawnPositions) {
-            let distance;
-            
-            if (obstacle.type === 'rock') {
-                distance = Math.sqrt((pos.x - obstacle.x) ** 2 + (pos.y - obstacle.y) ** 2);
-                if (distance < obstacle.radius + minDistance) {
-                    return true;
-                }
-            } else {
-                // Rectangle collision check
-                const dx = Math.abs(pos.x - obstacle.x);
-                const dy = Math.abs(pos.y - obstacle.y);
-                if (dx < (obstacle.width / 2 + minDistance) && dy < (obstacle.height / 2 + minDistance)) {
-                    return true;
-                }
-            }
+    generateObstacles() {
+        this.obstacles = window.mapGenerators.generate(this, this.generatorSettings);
+        if (this.generatorSettings.terrain) {
+            this.terrainZones = window.mapGenerators.generateTerrain(this, this.generatorSettings);
         }
-        
-        return false;
+    }
+
+    /**
+     * Copy the map file's obstacles and terrain zones into the match
+     */
+    loadMapObstacles() {
+        this.obstacles = this.map.obstacles.map(obstacle => Object.assign({}, obstacle));
+        this.terrainZones = this.map.terrain.map(zone => Object.assign({}, zone));
     }
 
     /**
@@ -387,10 +569,15 @@ class MultiTanksGame {
         }
         
         const tank = this.players[playerIndex];
-        if (!tank || !tank.isAlive) {
+        // Releases still count while dead so keys don't stay held through a respawn
+        if (!tank || (!tank.isAlive && isPressed)) {
             return;
         }
         
+        if (this.recorder) {
+            this.recorder.recordControl(controlEvent);
+        }
+        
         // Track active controls
         const controlKey = `${playerIndex}-${control}`;
         if (isPressed) {
@@ -401,16 +588,30 @@ class MultiTanksGame {
     }
 
     /**
-     * Update game state
-     * @param {number} deltaTime - Time since last frame
+     * Advance the simulation by one fixed tick
+     * @param {number} deltaTime - Tick duration in milliseconds
      */
     update(deltaTime) {
         if (this.isPaused) return;
+        if (this.replay && !this.replay.beforeTick(this)) return;
         
+        this.tickCount++;
+        this.simulationTime += deltaTime;
+        this.storePreviousPositions();
+        
+        this.entitiesManager.update(deltaTime);
         this.updateTanks(deltaTime);
         this.updateBullets(deltaTime);
+        this.weaponsManager.update();
         this.updatePowerups(deltaTime);
         this.checkCollisions();
+        this.obstaclesManager.update();
+        this.respawns.update();
+        
+        // Objective mode updates (flags, zones, ...)
+        if (this.mode && this.mode.update) {
+            this.mode.update(this, deltaTime);
+        }
         
         // Campaign mode specific updates
         if (this.gameMode === GAME_MODES.CAMPAIGN && this.mode) {
@@ -420,6 +621,36 @@ class MultiTanksGame {
         }
         
         this.checkGameEnd();
+        
+        if (this.recorder) {
+            this.recorder.afterTick();
+        }
+        if (this.replay) {
+            this.replay.afterTick(this);
+        }
+    }
+
+    /**
+     * Remember where moving objects were before this tick so rendering can interpolate
+     */
+    storePreviousPositions() {
+        const store = (entity) => {
+            entity.prevX = entity.x;
+            entity.prevY = entity.y;
+            if (entity.turretAngle !== undefined) {
+                entity.prevTurretAngle = entity.turretAngle;
+            }
+        };
+        
+        this.tanks.forEach(store);
+        this.bullets.forEach(store);
+        this.shells.forEach(store);
+        if (this.gameMode === GAME_MODES.CAMPAIGN && this.mode) {
+            this.mode.enemies.forEach(store);
+        }
+        if (this.camera) {
+            store(this.camera);
+        }
     }
 
     /**
@@ -436,81 +667,8 @@ class MultiTanksGame {
      * Spawn a new powerup
      */
     spawnPowerup() {
-        const powerupTypes = Object.keys(GAME_CONFIG.POWERUP_TYPES);
-        const randomType = powerupTypes[Math.floor(Math.random() * powerupTypes.length)];
-        
-        // Find a valid spawn position
-        let attempts = 0;
-        let position = null;
-        
-        while (attempts < 50) {
-            const x = GAME_CONFIG.SPAWN_DISTANCE_FROM_EDGE + 
-                Math.random() * (GAME_CONFIG.MAP_WIDTH - 2 * GAME_CONFIG.SPAWN_DISTANCE_FROM_EDGE);
-            const y = GAME_CONFIG.SPAWN_DISTANCE_FROM_EDGE + 
-                Math.random() * (GAME_CONFIG.MAP_HEIGHT - 2 * GAME_CONFIG.SPAWN_DISTANCE_FROM_EDGE);
-            
-            // Check if position is clear of obstacles and tanks
-            let valid = true;
-            
-            // Check obstacles
-            for (const obstacle of this.obstacles) {
-                if (obstacle.type === 'rock') {
-                    // Circular obstacle
-                    const distance = Math.sqrt((x - obstacle.x) ** 2 + (y - obstacle.y) ** 2);
-                    if (distance < obstacle.size + GAME_CONFIG.POWERUP_SIZE) {
-                        valid = false;
-                        break;
-                    }
-                } else {
-                    // Rectangular obstacle
-                    const powerupLeft = x - GAME_CONFIG.POWERUP_SIZE;
-                    const powerupRight = x + GAME_CONFIG.POWERUP_SIZE;
-                    const powerupTop = y - GAME_CONFIG.POWERUP_SIZE;
-                    const powerupBottom = y + GAME_CONFIG.POWERUP_SIZE;
-                    
-                    const obstacleLeft = obstacle.x;
-                    const obstacleRight = obstacle.x + obstacle.width;
-                    const obstacleTop = obstacle.y;
-                    const obstacleBottom = obstacle.y + obstacle.height;
-                    
-                    // Check if powerup rectangle overlaps with obstacle rectangle
-                    if (powerupLeft < obstacleRight && powerupRight > obstacleLeft &&
-                        powerupTop < obstacleBottom && powerupBottom > obstacleTop) {
-                        valid = false;
-                        break;
-                    }
-                }
-            }
-            
-            // Check tanks
-            if (valid) {
-                for (const tank of this.tanks) {
-                    const distance = Math.sqrt((x - tank.x) ** 2 + (y - tank.y) ** 2);
-                    if (distance < tank.size + GAME_CONFIG.POWERUP_SIZE) {
-                        valid = false;
-                        break;
-                    }
-                }
-            }
-            
-            if (valid) {
-                position = { x, y };
-                break;
-            }
-            
-            attempts++;
-        }
-        
-        if (position) {
-            this.powerups.push({
-                id: Date.now() + Math.random(), // Unique ID for tracking
-                x: position.x,
-                y: position.y,
-                type: randomType,
-                size: GAME_CONFIG.POWERUP_SIZE,
-                alive: true,
-                rotation: 0
-            });
+        if (this.powerupsManager) {
+            this.powerupsManager.spawn();
         }
     }
     
@@ -520,43 +678,8 @@ class MultiTanksGame {
      * @param {string} powerupType - Type of powerup to apply
      */
     applyPowerup(tank, powerupType) {
-        switch (powerupType) {
-            case 'HEALTH':
-                tank.health = Math.min(tank.maxHealth, tank.health + GAME_CONFIG.POWERUP_HEALTH_BOOST);
-                break;
-            case 'INVINCIBILITY':
-                // Extend duration by 15s instead of stacking
-                if (tank.powerups.invincibility.length === 0) {
-                    tank.powerups.invincibility.push(GAME_CONFIG.POWERUP_DURATION);
-                } else {
-                    tank.powerups.invincibility[0] += GAME_CONFIG.POWERUP_DURATION;
-                }
-                break;
-            case 'SPEED':
-                // Add 10 seconds to speed timer
-                tank.powerups.speed.push(GAME_CONFIG.POWERUP_DURATION);
-                break;
-            case 'RAPID_FIRE':
-                // Add 10 seconds to rapid fire timer
-                tank.powerups.rapidFire.push(GAME_CONFIG.POWERUP_DURATION);
-                break;
-            case 'SPREAD_SHOT':
-                // Add 10 seconds to spread shot timer
-                tank.powerups.spreadShot.push(GAME_CONFIG.POWERUP_DURATION);
-                break;
-            case 'BOUNCING_BULLETS':
-                // Extend duration by 15s instead of stacking
-                if (tank.powerups.bouncingBullets.length === 0) {
-                    tank.powerups.bouncingBullets.push(GAME_CONFIG.POWERUP_DURATION);
-                } else {
-                    tank.powerups.bouncingBullets[0] += GAME_CONFIG.POWERUP_DURATION;
-                }
-                break;
-        }
-        
-        // Play powerup sound
-        if (window.audioSystem) {
-            window.audioSystem.powerUp();
+        if (this.powerupsManager) {
+            this.powerupsManager.apply(tank, powerupType);
         }
     }
 
@@ -579,21 +702,25 @@ class MultiTanksGame {
                 return;
             }
             
-            // Apply speed powerup (stacking)
-            const speedStacks = tank.powerups.speed.length;
-            const speedMultiplier = speedStacks > 0 ? Math.pow(GAME_CONFIG.POWERUP_SPEED_MULTIPLIER, speedStacks) : 1;
+            // Apply speed powerups and the ground under the tank
+            this.terrainManager.beginTick(tank);
+            const speedMultiplier = this.powerupsManager.speedMultiplier(tank);
             const originalSpeed = tank.speed;
-            tank.speed = originalSpeed * speedMultiplier;
+            tank.speed = originalSpeed * speedMultiplier * this.terrainManager.speedMultiplier(tank);
             
             if (tank.isAI) {
                 // In campaign mode, AI allies are updated via campaignMode.updateAIAllies
                 if (this.gameMode !== GAME_MODES.CAMPAIGN || !tank.isAIAlly) {
-                    window.aiBehavior.updateAITank(tank, deltaTime);
+                    this.aiBehavior.updateAITank(tank, deltaTime);
                 }
             } else {
                 this.updatePlayerTank(tank, deltaTime);
             }
             
+            // Ice slides and boost pad launches, then teleporters
+            this.terrainManager.endTick(tank);
+            this.entitiesManager.teleportTank(tank);
+            
             // Restore original speed
             tank.speed = originalSpeed;
             
@@ -665,22 +792,9 @@ class MultiTanksGame {
             tank.turretAngle += tank.turretRotationSpeed;
         }
         
-        // Handle shooting
-        if (shoot) {
-            // Apply rapid fire powerup (stacking) for player
-            const rapidFireStacks = tank.powerups.rapidFire.length;
-            const fireRateMultiplier = rapidFireStacks > 0 ? Math.pow(GAME_CONFIG.POWERUP_FIRE_RATE_MULTIPLIER, rapidFireStacks) : 1;
-            const cooldown = GAME_CONFIG.SHOOT_COOLDOWN / fireRateMultiplier;
-            
-            if (Date.now() - tank.lastShot > cooldown) {
-                this.shootBullet(tank);
-                tank.lastShot = Date.now();
-                
-                // Play shoot sound
-                if (window.audioSystem) {
-                    window.audioSystem.shoot();
-                }
-            }
+        // Handle shooting (not possible from shallow water)
+        if (shoot && !this.terrainManager.blocksShooting(tank)) {
+            this.weaponsManager.tryFire(tank);
         }
     }
 
@@ -707,15 +821,17 @@ class MultiTanksGame {
      * @param {number} deltaTime - Time since last frame
      */
     updateBullets(deltaTime) {
-        const nowMs = Date.now();
+        const nowMs = this.now();
         this.bullets = this.bullets.filter(bullet => {
             // Expire bullets after max lifetime
             if (!bullet.spawnTime) bullet.spawnTime = nowMs;
-            if (nowMs - bullet.spawnTime > GAME_CONFIG.BULLET_MAX_LIFETIME_MS) {
+            if (nowMs - bullet.spawnTime > (bullet.lifetimeMs || GAME_CONFIG.BULLET_MAX_LIFETIME_MS)) {
                 return false;
             }
+            if (bullet.homing) this.weaponsManager.steerMissile(bullet);
             bullet.x += Math.cos(bullet.angle) * bullet.speed;
             bullet.y += Math.sin(bullet.angle) * bullet.speed;
+            this.entitiesManager.teleportBullet(bullet);
 
             let bounced = false;
             const radius = bullet.size / 2;
@@ -747,6 +863,46 @@ class MultiTanksGame {
         });
     }
 
+    /**
+     * Bring a dead tank back into the match with full health and no powerups
+     * @param {Object} tank - Tank to respawn
+     * @param {Object} position - Spawn position
+     * @param {number} protectionMs - Spawn protection (invincibility) duration
+     */
+    respawnTank(tank, position, protectionMs = 0) {
+        tank.x = position.x;
+        tank.y = position.y;
+        tank.prevX = position.x;
+        tank.prevY = position.y;
+        tank.angle = this.rng.range(0, Math.PI * 2);
+        tank.health = tank.maxHealth;
+        tank.isAlive = true;
+        tank.killedBy = null;
+        tank.lastShot = -Infinity;
+        this.terrainManager.resetMotion(tank);
+        this.weaponsManager.equip(tank, GameWeapons.loadoutOf(tank));
+        Object.keys(tank.powerups).forEach(type => {
+            tank.powerups[type] = [];
+        });
+        if (protectionMs > 0) {
+            tank.powerups.invincibility.push(protectionMs);
+        }
+        
+        // Forget AI state from the previous life
+        tank.aiLockedTargetId = null;
+        tank.aiTargetLockUntil = 0;
+        tank.aiRetreatEndTime = 0;
+        tank.aiCurrentPowerupId = null;
+        tank.aiLastTargetX = tank.x;
+        tank.aiLastTargetY = tank.y;
+        tank.aiCampSpot = null;
+        tank.tactic = null;
+        if (tank.isAI) {
+            tank.persona = window.aiPersonaRegistry.pick(this, tank);
+            AIBehavior.rollAimError(this, tank);
+        }
+    }
+
     /**
      * Check if game should end
      */
@@ -760,15 +916,75 @@ class MultiTanksGame {
      * End the game and show statistics
      */
     endGame() {
-        this.gameEndTime = Date.now();
+        this.gameEndTime = this.now();
         this.gameState = GAME_STATES.GAME_OVER;
+        this.winner = (this.mode && this.mode.winner) ? this.mode.winner(this) : null;
+        this.matchResult = this.getMatchSummary();
+        this.finishRecording();
+        // Replays hold on the final frame; the viewer shows the result
+        if (this.headless || this.replay) return;
+        
         // Play victory music once
-        if (window.audioSystem) {
-            window.audioSystem.stopMusic();
-            window.audioSystem.playMusic('victory.mp3', false);
-        }
+        this.stopMusic();
+        this.playMusic('victory.mp3', false);
         this.showEndGameStats();
     }
+
+    /**
+     * Build a plain-data summary of the match (used by headless runs and tooling)
+     * @returns {Object} Match summary
+     */
+    getMatchSummary() {
+        const duration = (this.gameState === GAME_STATES.GAME_OVER ? this.gameEndTime : this.now()) - this.gameStartTime;
+        const modeColumns = this.getModeStatsColumns();
+        const tanks = [];
+        this.playerStats.forEach((stats, id) => {
+            const tank = this.tanks.find(t => t.id === id);
+            const entry = {
+                id: id,
+                name: stats.name,
+                isAI: stats.isAI,
+                team: stats.team,
+                alive: tank ? tank.isAlive : false,
+                health: tank ? tank.health : 0,
+                kills: stats.kills,
+                deaths: stats.deaths,
+                shotsFired: stats.shotsFired,
+                shotsHit: stats.shotsHit,
+                weapons: stats.weapons || {},
+                powerupsCollected: stats.powerupsCollected || 0
+            };
+            modeColumns.forEach(column => {
+                entry[column.key] = stats[column.key] || 0;
+            });
+            tanks.push(entry);
+        });
+        
+        return {
+            seed: this.matchSeed,
+            mode: this.gameMode,
+            finished: this.gameState === GAME_STATES.GAME_OVER,
+            winner: this.winner,
+            ticks: this.tickCount,
+            durationMs: duration,
+            tanks: tanks,
+            modeStats: (this.mode && this.mode.summary) ? this.mode.summary(this) : null
+        };
+    }
+
+    /**
+     * Run a headless game as fast as possible until it ends or hits the tick limit
+     * @param {number} maxTicks - Safety limit on simulated ticks
+     * @returns {Object} Match summary (see getMatchSummary)
+     */
+    simulate(maxTicks = GAME_CONFIG.HEADLESS_MAX_TICKS) {
+        let ticks = 0;
+        while (this.gameState === GAME_STATES.PLAYING && ticks < maxTicks) {
+            this.update(this.tickDuration);
+            ticks++;
+        }
+        return this.matchResult || this.getMatchSummary();
+    }
     
     /**
      * Show end game statistics screen
@@ -777,15 +993,11 @@ class MultiTanksGame {
         // Calculate final statistics
         const gameDuration = this.gameEndTime - this.gameStartTime;
         
-        // Update time alive for all players
+        // Update time alive for all players (summed over every life)
         this.tanks.forEach(tank => {
             const tankStats = this.playerStats.get(tank.id);
             if (tankStats) {
-                if (tank.isAlive) {
-                    tankStats.timeAlive = gameDuration;
-                } else {
-                    tankStats.timeAlive = tank.deathTime - this.gameStartTime;
-                }
+                tankStats.timeAlive = this.respawns.timeAlive(tank, gameDuration);
             }
         });
         
@@ -794,6 +1006,7 @@ class MultiTanksGame {
         
         // Create overlay
         const overlay = document.createElement('div');
+        overlay.id = 'gameStatsOverlay';
         overlay.style.cssText = `
             position: fixed;
             top: 0;
@@ -815,6 +1028,7 @@ class MultiTanksGame {
                 ${statsHTML}
                 <div style="text-align: center; margin-top: 20px;">
                     <button id="playAgainBtn" style="padding: 10px 20px; margin: 5px; background: #4CAF50; color: white; border: none; border-radius: 5px; cursor: pointer;">Play Again</button>
+                    ${this.recorder ? '<button id="downloadReplayBtn" style="padding: 10px 20px; margin: 5px; background: #2196f3; color: white; border: none; border-radius: 5px; cursor: pointer;">💾 Download Replay</button>' : ''}
                 </div>
             </div>
         `;
@@ -826,15 +1040,34 @@ class MultiTanksGame {
             document.body.removeChild(overlay);
             this.restartGame();
         });
+        if (this.recorder) {
+            document.getElementById('downloadReplayBtn').addEventListener('click', () => {
+                this.recorder.download();
+            });
+        }
+    }
+    
+    /**
+     * Extra per-player statistics the mode and match rules track in playerStats (e.g. flag captures, streaks)
+     * @returns {Array<Object>} Columns as { key, label }
+     */
+    getModeStatsColumns() {
+        const modeColumns = (this.mode && this.mode.statsColumns) ? this.mode.statsColumns(this) : [];
+        return modeColumns.concat(this.respawns ? this.respawns.statsColumns() : []);
     }
     
     /**
      * Generate statistics HTML
      */
     generateStatsHTML(gameDuration) {
+        const modeColumns = this.getModeStatsColumns();
+        const modeSummary = (this.mode && this.mode.summaryText) ? this.mode.summaryText(this) : '';
         let html = `
             <div style="margin-bottom: 20px;">
                 <strong>Game Duration:</strong> ${Math.round(gameDuration / 1000)}s
+                &nbsp;|&nbsp; <strong>Seed:</strong> ${this.matchSeed}
+                ${this.winner ? `&nbsp;|&nbsp; <strong>Winner:</strong> ${this.winner}` : ''}
+                ${modeSummary ? `&nbsp;|&nbsp; ${modeSummary}` : ''}
             </div>
             <table style="width: 100%; border-collapse: collapse;">
                 <thead>
@@ -846,10 +1079,12 @@ class MultiTanksGame {
                         <th style="padding: 10px; border: 1px solid #666;">Shots Fired</th>
                         <th style="padding: 10px; border: 1px solid #666;">Shots Hit</th>
                         <th style="padding: 10px; border: 1px solid #666;">Accuracy</th>
+                        <th style="padding: 10px; border: 1px solid #666;">Weapon Accuracy</th>
                         <th style="padding: 10px; border: 1px solid #666;">Players Killed</th>
                         <th style="padding: 10px; border: 1px solid #666;">Killed By</th>
                         <th style="padding: 10px; border: 1px solid #666;">Final Health</th>
                         <th style="padding: 10px; border: 1px solid #666;">Powerups</th>
+                        ${modeColumns.map(column => `<th style="padding: 10px; border: 1px solid #666;">${column.label}</th>`).join('')}
                     </tr>
                 </thead>
                 <tbody>
@@ -869,10 +1104,12 @@ class MultiTanksGame {
                     <td style="padding: 8px; border: 1px solid #666;">${stats.shotsFired}</td>
                     <td style="padding: 8px; border: 1px solid #666;">${stats.shotsHit}</td>
                     <td style="padding: 8px; border: 1px solid #666;">${accuracy}%</td>
+                    <td style="padding: 8px; border: 1px solid #666;">${this.weaponAccuracyText(stats)}</td>
                     <td style="padding: 8px; border: 1px solid #666;">${(stats.killsList || []).join(', ') || '—'}</td>
                     <td style="padding: 8px; border: 1px solid #666;">${stats.killedBy || '—'}</td>
                     <td style="padding: 8px; border: 1px solid #666;">${tank ? tank.health : 0}</td>
                     <td style="padding: 8px; border: 1px solid #666;">${stats.powerupsCollected || 0}</td>
+                    ${modeColumns.map(column => `<td style="padding: 8px; border: 1px solid #666;">${stats[column.key] || 0}</td>`).join('')}
                 </tr>
             `;
         });
@@ -885,11 +1122,31 @@ class MultiTanksGame {
         return html;
     }
     
+    /**
+     * Per-weapon accuracy for the statistics table, e.g. "💥 Cannon 40% (4/10)"
+     * @param {Object} stats - playerStats entry
+     * @returns {string} HTML
+     */
+    weaponAccuracyText(stats) {
+        const used = WEAPON_TYPES.filter(type => stats.weapons && stats.weapons[type] && stats.weapons[type].shotsFired > 0);
+        if (used.length === 0) return '—';
+        return used.map(type => {
+            const weapon = WEAPON_CONFIG.WEAPONS[type];
+            const { shotsFired, shotsHit } = stats.weapons[type];
+            return `${weapon.emoji} ${weapon.name} ${Math.round((shotsHit / shotsFired) * 100)}% (${shotsHit}/${shotsFired})`;
+        }).join('<br>');
+    }
+    
     /**
      * Clear all game objects (bullets, powerups, etc.)
      */
     clearGameObjects() {
         this.bullets = [];
+        this.shells = [];
+        this.mines = [];
+        this.charges = [];
+        this.flares = [];
+        this.weaponEffects = [];
         this.powerups = [];
         this.powerupSpawnTimer = 0;
     }
@@ -903,6 +1160,7 @@ class MultiTanksGame {
         this.tanks = [];
         this.bullets = [];
         this.obstacles = [];
+        this.terrainZones = [];
         this.players = [];
         this.aiBots = [];
         this.powerups = [];
@@ -911,10 +1169,186 @@ class MultiTanksGame {
         this.powerupSpawnTimer = 0;
         
         // Reinitialize with preserved settings
-        this.initialize(this.canvas, this.numPlayers, this.numAIBots, this.gameMode, this.teamAssignments, this.aiTeamDistribution);
+        this.initialize(this.canvas, this.numPlayers, this.numAIBots, this.gameMode, this.teamAssignments, this.aiTeamDistribution, this.matchOptions);
     }
     
 
+    /**
+     * Whether two tanks are on the same side: the same tank, teammates, or anyone in the
+     * campaign (where every tank is a player or an ally)
+     * @param {Object} a - Tank
+     * @param {Object} b - Tank
+     * @returns {boolean}
+     */
+    areFriendly(a, b) {
+        if (a.id === b.id || this.gameMode === GAME_MODES.CAMPAIGN) return true;
+        return this.isTeamMode() && a.team === b.team;
+    }
+
+    /**
+     * Whether a projectile may hurt a tank (never its owner, a teammate, or a campaign ally's friends)
+     * @param {Object} projectile - Bullet, shell, mine or rail shot ({ owner, ownerId })
+     * @param {Object} tank - Tank it reached
+     * @returns {boolean}
+     */
+    canDamageTank(projectile, tank) {
+        if (!tank.isAlive || tank.id === projectile.ownerId) return false;
+        const owner = this.tanks.find(t => t.id === projectile.ownerId);
+        
+        // Campaign mode: AI ally shots don't hurt players or other AI allies
+        if (this.gameMode === GAME_MODES.CAMPAIGN) {
+            if (owner && owner.isAIAlly && (tank.isPlayer || tank.isAIAlly)) {
+                return false;
+            }
+            if (projectile.owner === 'enemy' && (tank.isPlayer || tank.isAIAlly)) {
+                // Enemy bullets can hurt players and AI allies - this is handled in the campaign section of checkCollisions
+                return false;
+            }
+        }
+        
+        // Prevent friendly fire in team modes
+        if (this.isTeamMode() && owner && owner.team === tank.team) {
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Hurt a tank, crediting the projectile's owner with the hit and any kill
+     * @param {Object} tank - Tank that was hit
+     * @param {number} damage - Health to take off
+     * @param {Object} projectile - What hit it ({ ownerId, shot })
+     * @returns {boolean} False if a powerup (invincibility) absorbed the hit
+     */
+    damageTank(tank, damage, projectile) {
+        if (this.powerupsManager.absorbsDamage(tank, projectile)) {
+            return false;
+        }
+        
+        tank.health -= damage;
+        this.recordHit(projectile);
+        const attacker = this.tanks.find(t => t.id === projectile.ownerId);
+        
+        // Play hit and hurt sounds (hurt only for players/AI allies in campaign)
+        if (this.gameMode === GAME_MODES.CAMPAIGN && (tank.isPlayer || tank.isAIAlly)) {
+            this.playSound('hurt');
+        } else {
+            this.playSound('hit');
+        }
+        
+        if (tank.health <= 0) {
+            tank.isAlive = false;
+            tank.deathTime = this.now();
+            tank.killedBy = attacker ? attacker.name : 'Unknown';
+            
+            // Update kill/death statistics
+            if (attacker) {
+                attacker.kills++;
+                const attackerStats = this.playerStats.get(attacker.id);
+                if (attackerStats) {
+                    attackerStats.kills++;
+                    attackerStats.killsList.push(tank.name);
+                }
+            }
+            
+            const tankStats = this.playerStats.get(tank.id);
+            if (tankStats) {
+                tankStats.deaths++;
+                tankStats.deathTime = tank.deathTime;
+                tankStats.killedBy = tank.killedBy;
+                tankStats.killedByList.push(tank.killedBy);
+            }
+            
+            // Play death sound
+            if (this.gameMode === GAME_MODES.CAMPAIGN && tank.isAIAlly) {
+                // In campaign, AI allies use player death sound
+                this.playSound('death');
+            } else if (tank.isAI) {
+                this.playSound('enemyDeath');
+            } else {
+                this.playSound('death');
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Campaign mode: hurt an enemy, crediting the player or AI ally that fired
+     * @param {Object} enemy - Campaign enemy that was hit
+     * @param {number} damage - Health to take off
+     * @param {Object} projectile - What hit it ({ owner, ownerId, shot })
+     */
+    damageEnemy(enemy, damage, projectile) {
+        enemy.health -= damage;
+        const fromAlly = projectile.owner === 'player' || projectile.owner === 'aiAlly';
+        const owner = this.tanks.find(t => t.id === projectile.ownerId);
+        
+        // Update player/ally shotsHit and enemyHits on successful hit
+        if (fromAlly) {
+            this.recordHit(projectile);
+            const ownerStats = owner ? this.playerStats.get(owner.id) : null;
+            if (ownerStats) {
+                ownerStats.enemyHits++;
+            }
+        }
+        
+        // Update statistics only when enemy dies
+        if (enemy.health <= 0 && fromAlly) {
+            this.mode.levelStats.enemiesKilled++;
+            
+            // Track kills per player/AI ally
+            if (owner) {
+                if (owner.isPlayer) {
+                    const currentKills = this.mode.levelStats.playerKills.get(owner.id) || 0;
+                    this.mode.levelStats.playerKills.set(owner.id, currentKills + 1);
+                } else if (owner.isAIAlly) {
+                    const currentKills = this.mode.levelStats.aiAllyKills.get(owner.id) || 0;
+                    this.mode.levelStats.aiAllyKills.set(owner.id, currentKills + 1);
+                }
+                
+                // Also reflect in global playerStats for end-screen
+                const ownerStats = this.playerStats.get(owner.id);
+                if (ownerStats) {
+                    ownerStats.kills++;
+                    ownerStats.killsList.push('Enemy');
+                }
+            }
+        }
+        
+        // Play hit sound
+        this.playSound('hit');
+        
+        if (enemy.health <= 0) {
+            enemy.isAlive = false;
+            
+            // Play death sound
+            this.playSound('enemyDeath');
+        }
+    }
+    
+    /**
+     * Count a hit for the shooter. A shot (one trigger pull) counts once, however
+     * many of its pellets or blast victims connect.
+     * @param {Object} projectile - Projectile that hit ({ ownerId, shot })
+     */
+    recordHit(projectile) {
+        const shot = projectile.shot;
+        if (shot) {
+            if (shot.hit) return;
+            shot.hit = true;
+        }
+        const owner = this.tanks.find(t => t.id === projectile.ownerId);
+        if (!owner) return;
+        owner.shotsHit++;
+        const ownerStats = this.playerStats.get(owner.id);
+        if (ownerStats) {
+            ownerStats.shotsHit++;
+            if (shot) {
+                GameWeapons.weaponStats(ownerStats, shot.weapon).shotsHit++;
+            }
+        }
+    }
+
     /**
      * Check for collisions
      */
@@ -922,97 +1356,13 @@ class MultiTanksGame {
         // Bullet vs Tank collisions
         this.bullets.forEach((bullet, bulletIndex) => {
             this.tanks.forEach(tank => {
-                if (!tank.isAlive || tank.id === bullet.ownerId) return;
-                
-                // Campaign mode: Prevent AI ally bullets from hurting players or other AI allies
-                if (this.gameMode === GAME_MODES.CAMPAIGN) {
-                    // Check if bullet is from an AI ally
-                    const bulletOwner = this.tanks.find(t => t.id === bullet.ownerId);
-                    if (bulletOwner && bulletOwner.isAIAlly && (tank.isPlayer || tank.isAIAlly)) {
-                        return; // Skip collision - AI ally bullets don't hurt players or AI allies
-                    }
-                    if (bullet.owner === 'enemy' && (tank.isPlayer || tank.isAIAlly)) {
-                        // Enemy bullets can hurt players and AI allies - this is handled in campaign mode section below
-                        return;
-                    }
-                }
-                
-                // Prevent friendly fire in TDM mode
-                if (this.gameMode === GAME_MODES.TDM) {
-                    const bulletOwner = this.tanks.find(t => t.id === bullet.ownerId);
-                    if (bulletOwner && bulletOwner.team === tank.team) {
-                        return; // Skip collision - same team
-                    }
-                }
+                if (!this.canDamageTank(bullet, tank)) return;
                 
                 const distance = Math.sqrt((bullet.x - tank.x) ** 2 + (bullet.y - tank.y) ** 2);
                 if (distance < tank.size / 2 + bullet.size / 2) {
-                    // Check invincibility powerup
-                    if (tank.powerups.invincibility.length > 0) {
-                        // Tank is invincible, don't take damage
-                        this.bullets.splice(bulletIndex, 1);
-                        return;
-                    }
-                    
-                    // Hit!
-                    tank.health -= GAME_CONFIG.BULLET_DAMAGE;
+                    // Invincible tanks still stop the bullet
                     this.bullets.splice(bulletIndex, 1);
-                    
-                    // Update statistics
-                    const bulletOwner = this.tanks.find(t => t.id === bullet.ownerId);
-                    if (bulletOwner) {
-                        bulletOwner.shotsHit++;
-                        const bulletOwnerStats = this.playerStats.get(bulletOwner.id);
-                        if (bulletOwnerStats) {
-                            bulletOwnerStats.shotsHit++;
-                        }
-                    }
-                    
-                    // Play hit and hurt sounds (hurt only for players/AI allies in campaign)
-                    if (window.audioSystem) {
-                        if (this.gameMode === GAME_MODES.CAMPAIGN && (tank.isPlayer || tank.isAIAlly)) {
-                            window.audioSystem.hurt();
-                        }
-                        else {
-                            window.audioSystem.hit();
-                        }
-                    }
-                    
-                    if (tank.health <= 0) {
-                        tank.isAlive = false;
-                        tank.deathTime = Date.now();
-                        tank.killedBy = bulletOwner ? bulletOwner.name : 'Unknown';
-                        
-                        // Update kill/death statistics
-                        if (bulletOwner) {
-                            bulletOwner.kills++;
-                            const bulletOwnerStats = this.playerStats.get(bulletOwner.id);
-                            if (bulletOwnerStats) {
-                                bulletOwnerStats.kills++;
-                                bulletOwnerStats.killsList.push(tank.name);
-                            }
-                        }
-                        
-                        const tankStats = this.playerStats.get(tank.id);
-                        if (tankStats) {
-                            tankStats.deaths++;
-                            tankStats.deathTime = tank.deathTime;
-                            tankStats.killedBy = tank.killedBy;
-                            tankStats.killedByList.push(tank.killedBy);
-                        }
-                        
-                        // Play death sound
-                        if (window.audioSystem) {
-                            if (this.gameMode === GAME_MODES.CAMPAIGN && tank.isAIAlly) {
-                                // In campaign, AI allies use player death sound
-                                window.audioSystem.death();
-                            } else if (tank.isAI) {
-                                window.audioSystem.enemyDeath();
-                            } else {
-                                window.audioSystem.death();
-                            }
-                        }
-                    }
+                    this.damageTank(tank, bullet.damage, bullet);
                 }
             });
         });
@@ -1029,58 +1379,8 @@ class MultiTanksGame {
                     
                     const distance = Math.sqrt((bullet.x - enemy.x) ** 2 + (bullet.y - enemy.y) ** 2);
                     if (distance < enemy.size / 2 + bullet.size / 2) {
-                        // Hit enemy!
-                        enemy.health -= bullet.damage;
                         this.bullets.splice(bulletIndex, 1);
-
-                        // Update player/ally shotsHit and enemyHits on successful hit
-                        if (bullet.owner === 'player' || bullet.owner === 'aiAlly') {
-                            const bulletOwner = this.tanks.find(t => t.id === bullet.ownerId);
-                            if (bulletOwner) {
-                                bulletOwner.shotsHit++;
-                                const ownerStats = this.playerStats.get(bulletOwner.id);
-                                if (ownerStats) {
-                                    ownerStats.shotsHit++;
-                                    ownerStats.enemyHits++;
-                                }
-                            }
-                        }
-
-                        // Update statistics only when enemy dies
-                        if (enemy.health <= 0 && (bullet.owner === 'player' || bullet.owner === 'aiAlly')) {
-                            this.mode.levelStats.enemiesKilled++;
-                            
-                            // Track kills per player/AI ally
-                            const bulletOwner = this.tanks.find(t => t.id === bullet.ownerId);
-                            if (bulletOwner) {
-                                if (bulletOwner.isPlayer) {
-                                    const currentKills = this.mode.levelStats.playerKills.get(bulletOwner.id) || 0;
-                                    this.mode.levelStats.playerKills.set(bulletOwner.id, currentKills + 1);
-                                } else if (bulletOwner.isAIAlly) {
-                                    const currentKills = this.mode.levelStats.aiAllyKills.get(bulletOwner.id) || 0;
-                                    this.mode.levelStats.aiAllyKills.set(bulletOwner.id, currentKills + 1);
-                                }
-
-                                // Also reflect in global playerStats for end-screen
-                                const ownerStats = this.playerStats.get(bulletOwner.id);
-                                if (ownerStats) {
-                                    ownerStats.kills++;
-                                    ownerStats.killsList.push('Enemy');
-                                }
-                            }
-                        }
-                        
-                        // Play hit sound
-                        window.audioSystem.hit();
-                        
-                        if (enemy.health <= 0) {
-                            enemy.isAlive = false;
-                            
-                            // Play death sound
-                            if (window.audioSystem) {
-                                window.audioSystem.enemyDeath();
-                            }
-                        }
+                        this.damageEnemy(enemy, bullet.damage, bullet);
                     }
                 });
             });
@@ -1093,8 +1393,8 @@ class MultiTanksGame {
                         
                         const distance = Math.sqrt((bullet.x - tank.x) ** 2 + (bullet.y - tank.y) ** 2);
                         if (distance < tank.size / 2 + bullet.size / 2) {
-                            // Check invincibility powerup
-                            if (tank.powerups.invincibility.length > 0) {
+                            // Powerups like invincibility can stop the hit
+                            if (this.powerupsManager.absorbsDamage(tank, bullet)) {
                                 // Tank is invincible, don't take damage
                                 this.bullets.splice(bulletIndex, 1);
                                 return;
@@ -1105,18 +1405,14 @@ class MultiTanksGame {
                             this.bullets.splice(bulletIndex, 1);
                             
                             // Campaign: only play hurt for players/AI allies (no hit sound)
-                            if (window.audioSystem) {
-                                window.audioSystem.hurt();
-                            }
+                            this.playSound('hurt');
                             
                             if (tank.health <= 0) {
                                 tank.isAlive = false;
-                                tank.deathTime = Date.now();
+                                tank.deathTime = this.now();
                                 
                                 // Play death sound (in campaign, AI allies use player death sound)
-                                if (window.audioSystem) {
-                                    window.audioSystem.death();
-                                }
+                                this.playSound('death');
 
                                 // Update playerStats deaths for players and AI allies
                                 const stats = this.playerStats.get(tank.id);
@@ -1131,9 +1427,12 @@ class MultiTanksGame {
             });
         }
         
-        // Bullet vs Obstacle collisions
+        // Bullet vs Obstacle collisions (each hit also chips the obstacle; one-way gates let bullets through going their way)
         this.bullets.forEach((bullet, bulletIndex) => {
+            let removed = false;
             this.obstacles.forEach(obstacle => {
+                if (removed || obstacle.destroyed) return;
+                if (GameEntities.gateAllows(obstacle, Math.cos(bullet.angle), Math.sin(bullet.angle))) return;
                 let hit = false;
                 
                 if (obstacle.type === 'rock') {
@@ -1146,6 +1445,8 @@ class MultiTanksGame {
                 }
                 
                 if (hit) {
+                    this.obstaclesManager.damage(obstacle, bullet.damage);
+                    
                     // Check for bouncing bullets powerup
                     if (bullet.bounces > 0) {
                         // Bounce the bullet
@@ -1202,89 +1503,21 @@ class MultiTanksGame {
                         }
                     } else {
                         this.bullets.splice(bulletIndex, 1);
+                        removed = true;
                     }
                 }
             });
         });
+        this.obstaclesManager.removeDestroyed();
     }
 
     /**
-     * Shoot a bullet from a tank
-     * @param {Object} tank - Tank shooting the bullet
+     * Fire a tank's weapon (callers handle the cooldown)
+     * @param {Object} tank - Tank shooting
      */
     shootBullet(tank) {
-        
-        // Apply spread shot powerup (stacking)
-        const spreadShotStacks = tank.powerups.spreadShot.length;
-        if (spreadShotStacks > 0) {
-            // Calculate number of bullets based on stacks (3^stacks)
-            const bulletCount = Math.pow(3, spreadShotStacks);
-            const spreadAngle = GAME_CONFIG.POWERUP_SPREAD_ANGLE;
-            const baseAngle = tank.turretAngle;
-            
-            if (bulletCount === 1) {
-                // Single bullet
-                const bullet = {
-                    x: tank.x + Math.cos(baseAngle) * tank.turretLength,
-                    y: tank.y + Math.sin(baseAngle) * tank.turretLength,
-                    angle: baseAngle,
-                    speed: GAME_CONFIG.BULLET_SPEED,
-                    size: GAME_CONFIG.BULLET_SIZE,
-                    damage: GAME_CONFIG.BULLET_DAMAGE,
-                    owner: (tank.isPlayer ? 'player' : (tank.isAIAlly ? 'aiAlly' : 'ai')),
-                    ownerId: tank.id,
-                    color: tank.color,
-                    bounces: tank.powerups.bouncingBullets.length > 0 ? GAME_CONFIG.POWERUP_BOUNCE_BOUNCES : 0,
-                    spawnTime: Date.now()
-                };
-                this.bullets.push(bullet);
-            } else {
-                // Multiple bullets in spread pattern
-                const totalSpread = (bulletCount - 1) * spreadAngle;
-                const startAngle = baseAngle - totalSpread / 2;
-                
-                for (let i = 0; i < bulletCount; i++) {
-                    const angle = startAngle + (i * totalSpread / (bulletCount - 1));
-                    const bullet = {
-                        x: tank.x + Math.cos(angle) * tank.turretLength,
-                        y: tank.y + Math.sin(angle) * tank.turretLength,
-                        angle: angle,
-                        speed: GAME_CONFIG.BULLET_SPEED,
-                        size: GAME_CONFIG.BULLET_SIZE,
-                        damage: GAME_CONFIG.BULLET_DAMAGE,
-                        owner: (tank.isPlayer ? 'player' : (tank.isAIAlly ? 'aiAlly' : 'ai')),
-                        ownerId: tank.id,
-                        color: tank.color,
-                        bounces: tank.powerups.bouncingBullets.length > 0 ? GAME_CONFIG.POWERUP_BOUNCE_BOUNCES : 0,
-                        spawnTime: Date.now()
-                    };
-                    this.bullets.push(bullet);
-                }
-            }
-        } else {
-            // Single bullet
-            const bullet = {
-                x: tank.x + Math.cos(tank.turretAngle) * tank.turretLength,
-                y: tank.y + Math.sin(tank.turretAngle) * tank.turretLength,
-                angle: tank.turretAngle,
-                speed: GAME_CONFIG.BULLET_SPEED,
-                size: GAME_CONFIG.BULLET_SIZE,
-                damage: GAME_CONFIG.BULLET_DAMAGE,
-                owner: (tank.isPlayer ? 'player' : (tank.isAIAlly ? 'aiAlly' : 'ai')),
-                ownerId: tank.id,
-                color: tank.color,
-                bounces: tank.powerups.bouncingBullets.length > 0 ? GAME_CONFIG.POWERUP_BOUNCE_BOUNCES : 0,
-                spawnTime: Date.now()
-            };
-            
-            this.bullets.push(bullet);
-        }
-        
-        // Update statistics
-        tank.shotsFired++;
-        const tankStats = this.playerStats.get(tank.id);
-        if (tankStats) {
-            tankStats.shotsFired++;
+        if (this.weaponsManager) {
+            this.weaponsManager.fire(tank);
         }
     }
 
@@ -1323,16 +1556,36 @@ class MultiTanksGame {
 
     /**
      * Main game loop
+     * Frame time is accumulated and consumed in fixed simulation ticks so speeds
+     * do not depend on the display refresh rate; rendering interpolates the remainder.
      * @param {number} currentTime - Current timestamp
      */
     gameLoop(currentTime = performance.now()) {
-        const deltaTime = currentTime - this.lastTime;
+        const frameTime = Math.min(Math.max(0, currentTime - this.lastTime), GAME_CONFIG.MAX_FRAME_TIME_MS);
         this.lastTime = currentTime;
         
-        this.update(deltaTime);
+        if (this.isPaused) {
+            this.tickAccumulator = 0;
+        } else {
+            this.tickAccumulator += frameTime * this.timeScale;
+        }
+        
+        while (this.tickAccumulator >= this.tickDuration) {
+            this.update(this.tickDuration);
+            this.tickAccumulator -= this.tickDuration;
+            
+            // Stop ticking as soon as the match ends or a level overlay pauses it
+            if (this.gameState !== GAME_STATES.PLAYING) {
+                this.tickAccumulator = 0;
+                break;
+            }
+        }
+        
+        this.renderAlpha = this.tickAccumulator / this.tickDuration;
         this.render();
         
-        if (this.gameState === GAME_STATES.PLAYING) {
+        // Replays keep drawing after the end so the viewer camera and scrubbing still work
+        if (this.gameState === GAME_STATES.PLAYING || (this.replay && this.gameState === GAME_STATES.GAME_OVER)) {
             this.animationId = requestAnimationFrame((time) => this.gameLoop(time));
         }
     }
@@ -1342,16 +1595,16 @@ class MultiTanksGame {
      */
     togglePause() {
         this.isPaused = !this.isPaused;
-        if (!this.isPaused && this.gameState === GAME_STATES.PLAYING) {
-            this.lastTime = performance.now();
-            this.gameLoop();
-        }
+        // The loop keeps running while paused; just drop the time spent paused
+        this.lastTime = performance.now();
+        this.tickAccumulator = 0;
     }
 
     /**
      * Stop the game
+     * @param {boolean} keepMusic - Leave the current track playing (replay seeking swaps games mid-song)
      */
-    stop() {
+    stop(keepMusic = false) {
         this.gameState = GAME_STATES.MENU;
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
@@ -1359,8 +1612,8 @@ class MultiTanksGame {
         }
         
         // Stop background music
-        if (window.audioSystem) {
-            window.audioSystem.stopMusic();
+        if (!keepMusic) {
+            this.stopMusic();
         }
     }
 
@@ -1372,7 +1625,7 @@ class MultiTanksGame {
     shuffleArray(array) {
         const shuffled = [...array];
         for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = this.rng.int(0, i);
             [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
         return shuffled;
@@ -0,0 +1,1001 @@
+// =============================================================================
+// MAP EDITOR (browser UI)
+// =============================================================================
+// Edits maps in the map file format (see maps.js) on the game canvas. Everything
+// on the map is an editor item; items placed together under a symmetry setting
+// share a group and stay mirrored when one of them is moved or resized. Map
+// entities (teleporters, gates, moving walls) are shown and saved unchanged but
+// are edited in the map file itself.
+
+// Transforms applied by each symmetry setting
+const EDITOR_SYMMETRIES = {
+    none: { label: 'No Symmetry', transforms: ['identity'] },
+    mirrorX: { label: 'Mirror ↔', transforms: ['identity', 'mirrorX'] },
+    mirrorY: { label: 'Mirror ↕', transforms: ['identity', 'mirrorY'] },
+    quad: { label: 'Four-Way', transforms: ['identity', 'mirrorX', 'mirrorY', 'rotate'] },
+    rotate: { label: 'Rotational', transforms: ['identity', 'rotate'] }
+};
+
+const EDITOR_TOOLS = [
+    { id: 'select', label: '🖱️ Select' },
+    { id: 'rock', label: '🪨 Rock' },
+    { id: 'rectangle', label: '▭ Wall' },
+    { id: 'spawn-ffa', label: '⚪ FFA Spawn' },
+    { id: 'spawn-red', label: '🔴 Red Spawn' },
+    { id: 'spawn-blue', label: '🔵 Blue Spawn' },
+    { id: 'powerup', label: '⭐ Powerup Pad' },
+    { id: 'flag-red', label: '🚩 Red Flag' },
+    { id: 'flag-blue', label: '🏳️ Blue Flag' },
+    { id: 'zone', label: '👑 Zone' },
+    { id: 'terrain-mud', label: '🟫 Mud' },
+    { id: 'terrain-ice', label: '🧊 Ice' },
+    { id: 'terrain-water', label: '💧 Water' },
+    { id: 'terrain-boost', label: '⚡ Boost Pad' },
+    { id: 'erase', label: '🗑️ Erase' }
+];
+
+class MapEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on (also used for test-play)
+     * @param {Object} options - { map: map to start from, numPlayers, numAIBots (for test-play), onExit }
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.options = options;
+        this.tool = 'select';
+        this.gridSize = EDITOR_CONFIG.DEFAULT_GRID;
+        this.symmetry = 'none';
+        this.items = [];
+        this.entities = []; // Map entities carried through from the loaded map
+        this.props = null; // { name, width, height, background }
+        this.selectedId = null;
+        this.nextItemId = 1;
+        this.nextGroupId = 1;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.drag = null;
+        this.toolbarElement = null;
+        this.testBarElement = null;
+        this.game = null; // Test-play game
+
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onResize = this.onResize.bind(this);
+    }
+
+    /**
+     * Show the editor with the starting map (or a blank one)
+     */
+    start() {
+        if (this.options.map) {
+            this.loadMap(this.options.map);
+        } else {
+            this.newMap();
+        }
+        this.createToolbar();
+        this.canvas.addEventListener('mousedown', this.onMouseDown);
+        window.addEventListener('mousemove', this.onMouseMove);
+        window.addEventListener('mouseup', this.onMouseUp);
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('resize', this.onResize);
+        this.render();
+    }
+
+    // =========================================================================
+    // Map data
+    // =========================================================================
+
+    newMap() {
+        this.props = {
+            name: 'Untitled Arena',
+            width: EDITOR_CONFIG.DEFAULT_WIDTH,
+            height: EDITOR_CONFIG.DEFAULT_HEIGHT,
+            background: MAP_CONFIG.DEFAULT_BACKGROUND
+        };
+        this.items = [];
+        this.entities = [];
+        this.selectedId = null;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Replace the editor contents with a map file
+     * @param {Object} map - Validated map data
+     */
+    loadMap(map) {
+        const data = MapLoader.normalize(map);
+        this.newMap();
+        this.props = { name: data.name, width: data.width, height: data.height, background: data.background };
+        data.obstacles.forEach(obstacle => this.addItem(Object.assign({ kind: obstacle.type }, obstacle)));
+        data.terrain.forEach(zone => this.addItem(Object.assign({ kind: 'terrain', terrainType: zone.type }, zone)));
+        this.entities = data.entities;
+        ['ffa', 'red', 'blue'].forEach(team => {
+            data.spawns[team].forEach(point => this.addItem({ kind: 'spawn', team, x: point.x, y: point.y }));
+        });
+        data.powerupSpawns.forEach(spawn => this.addItem(Object.assign({ kind: 'powerup' }, spawn)));
+        if (data.markers.flagBases) {
+            ['red', 'blue'].forEach(team => {
+                const base = data.markers.flagBases[team];
+                this.addItem({ kind: 'flag', team, x: base.x, y: base.y });
+            });
+        }
+        data.markers.zones.forEach(zone => this.addItem({ kind: 'zone', x: zone.x, y: zone.y, radius: zone.radius || KOTH_CONFIG.ZONE_RADIUS }));
+    }
+
+    addItem(fields) {
+        const item = Object.assign({ id: this.nextItemId++, group: null, transform: 'identity' }, fields);
+        this.items.push(item);
+        return item;
+    }
+
+    /**
+     * Current editor contents in the map file format (not validated)
+     * @returns {Object} Map data
+     */
+    toMapData() {
+        const point = item => ({ x: item.x, y: item.y });
+        const ofKind = (kind, team) => this.items.filter(item => item.kind === kind && (team === undefined || item.team === team));
+        const map = {
+            format: MAP_CONFIG.FORMAT,
+            version: MAP_CONFIG.VERSION,
+            id: this.props.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+            name: this.props.name,
+            width: this.props.width,
+            height: this.props.height,
+            background: this.props.background,
+            obstacles: this.items
+                .filter(item => item.kind === 'rock' || item.kind === 'rectangle')
+                .map(item => Object.assign(item.kind === 'rock'
+                    ? { type: 'rock', x: item.x, y: item.y, radius: item.radius, color: item.color }
+                    : { type: 'rectangle', x: item.x, y: item.y, width: item.width, height: item.height, color: item.color },
+                    item.indestructible ? { indestructible: true } : {})),
+            terrain: ofKind('terrain').map(item => item.radius
+                ? { type: item.terrainType, x: item.x, y: item.y, radius: item.radius }
+                : { type: item.terrainType, x: item.x, y: item.y, width: item.width, height: item.height }),
+            entities: this.entities,
+            spawns: {
+                ffa: ofKind('spawn', 'ffa').map(point),
+                red: ofKind('spawn', 'red').map(point),
+                blue: ofKind('spawn', 'blue').map(point)
+            },
+            // Pad settings (type, pool, respawnMs) come along from loaded maps
+            powerupSpawns: ofKind('powerup').map(item => Object.assign(point(item),
+                item.type !== undefined ? { type: item.type } : {},
+                item.pool !== undefined ? { pool: item.pool } : {},
+                item.respawnMs !== undefined ? { respawnMs: item.respawnMs } : {})),
+            markers: {
+                zones: ofKind('zone').map(item => ({ x: item.x, y: item.y, radius: item.radius }))
+            }
+        };
+        const redFlag = ofKind('flag', 'red')[0];
+        const blueFlag = ofKind('flag', 'blue')[0];
+        if (redFlag && blueFlag) {
+            map.markers.flagBases = { red: point(redFlag), blue: point(blueFlag) };
+        }
+        return map;
+    }
+
+    /**
+     * Validate the current map, reporting problems in the status line
+     * @returns {Object|null} Normalized map data, or null if it is not valid yet
+     */
+    validMap() {
+        const map = this.toMapData();
+        try {
+            MapLoader.validate(map);
+        } catch (error) {
+            this.setStatus(`❌ ${error.message}`, true);
+            return null;
+        }
+        const flags = this.items.filter(item => item.kind === 'flag').length;
+        this.setStatus(flags === 1 ? '⚠️ Only one flag base placed; CTF will use its default bases.' : '✅ Map is valid.');
+        return MapLoader.normalize(map);
+    }
+
+    // =========================================================================
+    // Undo / redo
+    // =========================================================================
+
+    snapshot() {
+        return JSON.stringify({ items: this.items, entities: this.entities, props: this.props });
+    }
+
+    restore(state) {
+        const data = JSON.parse(state);
+        this.items = data.items;
+        this.entities = data.entities;
+        this.props = data.props;
+        this.nextItemId = this.items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+        this.nextGroupId = this.items.reduce((max, item) => Math.max(max, item.group || 0), 0) + 1;
+        if (!this.items.some(item => item.id === this.selectedId)) {
+            this.selectedId = null;
+        }
+        this.updatePropertyInputs();
+        this.render();
+    }
+
+    // Call before every change so it can be undone
+    pushHistory(state = this.snapshot()) {
+        this.undoStack.push(state);
+        if (this.undoStack.length > EDITOR_CONFIG.HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return;
+        this.redoStack.push(this.snapshot());
+        this.restore(this.undoStack.pop());
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return;
+        this.undoStack.push(this.snapshot());
+        this.restore(this.redoStack.pop());
+    }
+
+    // =========================================================================
+    // Editing
+    // =========================================================================
+
+    snap(value) {
+        return this.gridSize > 0 ? Math.round(value / this.gridSize) * this.gridSize : Math.round(value);
+    }
+
+    clampToMap(point) {
+        return {
+            x: Math.max(0, Math.min(this.props.width, point.x)),
+            y: Math.max(0, Math.min(this.props.height, point.y))
+        };
+    }
+
+    /**
+     * Place a new item (plus its mirrored copies when symmetry is on)
+     * @param {string} tool - Placement tool id
+     * @param {Object} point - Map position
+     */
+    place(tool, point) {
+        const [kind, variant] = tool.split('-');
+        const team = kind === 'terrain' ? null : variant;
+        const base = { kind: kind === 'spawn' || kind === 'flag' || kind === 'terrain' ? kind : tool, team: team || null, x: point.x, y: point.y };
+        if (kind === 'rock') base.radius = EDITOR_CONFIG.DEFAULT_ROCK_RADIUS;
+        if (kind === 'rectangle') {
+            base.width = EDITOR_CONFIG.DEFAULT_RECT_WIDTH;
+            base.height = EDITOR_CONFIG.DEFAULT_RECT_HEIGHT;
+        }
+        if (kind === 'zone') base.radius = KOTH_CONFIG.ZONE_RADIUS;
+        if (kind === 'terrain') {
+            base.terrainType = variant;
+            if (variant === 'boost') {
+                base.radius = TERRAIN_CONFIG.BOOST_RADIUS;
+            } else {
+                base.width = TERRAIN_CONFIG.DEFAULT_WIDTH;
+                base.height = TERRAIN_CONFIG.DEFAULT_HEIGHT;
+            }
+        }
+
+        this.pushHistory();
+        const transforms = EDITOR_SYMMETRIES[this.symmetry].transforms;
+        const group = transforms.length > 1 ? this.nextGroupId++ : null;
+        const placed = [];
+        transforms.forEach(transform => {
+            const pos = SYMMETRY_TRANSFORMS[transform](point.x, point.y, this.props.width, this.props.height);
+            // Copies that land on the original (items on a symmetry axis) are skipped
+            if (placed.some(item => Math.abs(item.x - pos.x) < 1 && Math.abs(item.y - pos.y) < 1)) return;
+            const copyTeam = base.team && base.team !== 'ffa' ? this.mirroredTeam(base.team, transform) : base.team;
+            placed.push(Object.assign({}, base, { x: pos.x, y: pos.y, team: copyTeam, group, transform }));
+        });
+
+        // A map has one flag base per team; new ones replace the old
+        placed.filter(item => item.kind === 'flag').forEach(flag => {
+            this.items = this.items.filter(item => !(item.kind === 'flag' && item.team === flag.team));
+        });
+        placed.forEach(fields => this.addItem(fields));
+        this.selectedId = this.items[this.items.length - placed.length].id;
+    }
+
+    // Teams own the left and right halves, so left/right mirror copies swap team
+    mirroredTeam(team, transform) {
+        if (transform !== 'mirrorX' && transform !== 'rotate') return team;
+        return team === 'red' ? 'blue' : 'red';
+    }
+
+    groupOf(item) {
+        return item.group === null ? [item] : this.items.filter(other => other.group === item.group);
+    }
+
+    /**
+     * Move and resize the rest of an item's symmetry group to match it
+     * @param {Object} leader - Item that was changed
+     */
+    syncGroup(leader) {
+        if (leader.group === null) return;
+        const { width, height } = this.props;
+        const original = SYMMETRY_TRANSFORMS[leader.transform](leader.x, leader.y, width, height);
+        this.groupOf(leader).forEach(item => {
+            if (item === leader) return;
+            const pos = SYMMETRY_TRANSFORMS[item.transform](original.x, original.y, width, height);
+            item.x = pos.x;
+            item.y = pos.y;
+            ['radius', 'width', 'height'].forEach(key => {
+                if (leader[key] !== undefined) item[key] = leader[key];
+            });
+        });
+    }
+
+    /**
+     * Make the selected obstacle (and its mirrored copies) indestructible, or destructible again
+     */
+    toggleIndestructible() {
+        const item = this.selectedItem();
+        if (!item || (item.kind !== 'rock' && item.kind !== 'rectangle')) {
+            this.setStatus('Select a rock or wall first.', true);
+            return;
+        }
+        this.pushHistory();
+        const indestructible = !item.indestructible;
+        this.groupOf(item).forEach(other => {
+            other.indestructible = indestructible;
+        });
+        this.setStatus(indestructible ? '🛡️ Obstacle is indestructible.' : 'Obstacle can be destroyed.');
+        this.render();
+    }
+
+    deleteItem(item) {
+        this.pushHistory();
+        const group = this.groupOf(item);
+        this.items = this.items.filter(other => !group.includes(other));
+        if (group.some(other => other.id === this.selectedId)) {
+            this.selectedId = null;
+        }
+        this.render();
+    }
+
+    // Topmost item under a map position (markers sit above obstacles, obstacles above terrain)
+    itemAt(point) {
+        const slack = EDITOR_CONFIG.HANDLE_SIZE / this.view.scale;
+        for (let i = this.drawOrder().length - 1; i >= 0; i--) {
+            const item = this.drawOrder()[i];
+            if (this.isCircle(item)) {
+                if (Math.sqrt((point.x - item.x) ** 2 + (point.y - item.y) ** 2) <= item.radius) return item;
+            } else if (this.isBox(item)) {
+                if (Math.abs(point.x - item.x) <= item.width / 2 && Math.abs(point.y - item.y) <= item.height / 2) return item;
+            } else if (Math.sqrt((point.x - item.x) ** 2 + (point.y - item.y) ** 2) <= GAME_CONFIG.TANK_SIZE / 2 + slack) {
+                return item;
+            }
+        }
+        return null;
+    }
+
+    drawOrder() {
+        const layer = { terrain: 0, zone: 1, rock: 2, rectangle: 2, powerup: 3, spawn: 4, flag: 5 };
+        return this.items.slice().sort((a, b) => layer[a.kind] - layer[b.kind]);
+    }
+
+    // Items sized by a radius: rocks, zones and round terrain
+    isCircle(item) {
+        return item.kind === 'rock' || item.kind === 'zone' || (item.kind === 'terrain' && item.radius !== undefined);
+    }
+
+    // Items sized by width and height: walls and rectangular terrain
+    isBox(item) {
+        return item.kind === 'rectangle' || (item.kind === 'terrain' && item.radius === undefined);
+    }
+
+    // Resize handle position for an item, or null if it can't be resized
+    handleOf(item) {
+        if (this.isCircle(item)) return { x: item.x + item.radius, y: item.y };
+        if (this.isBox(item)) return { x: item.x + item.width / 2, y: item.y + item.height / 2 };
+        return null;
+    }
+
+    selectedItem() {
+        return this.items.find(item => item.id === this.selectedId) || null;
+    }
+
+    // =========================================================================
+    // Input
+    // =========================================================================
+
+    toMapPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left - this.view.offsetX) / this.view.scale,
+            y: (event.clientY - rect.top - this.view.offsetY) / this.view.scale
+        };
+    }
+
+    onMouseDown(event) {
+        if (this.game || event.button !== 0) return;
+        const point = this.toMapPoint(event);
+        const snapped = this.clampToMap({ x: this.snap(point.x), y: this.snap(point.y) });
+
+        if (this.tool === 'erase') {
+            const item = this.itemAt(point);
+            if (item) this.deleteItem(item);
+            return;
+        }
+        if (this.tool !== 'select') {
+            if (point.x < 0 || point.y < 0 || point.x > this.props.width || point.y > this.props.height) return;
+            this.place(this.tool, snapped);
+            this.render();
+            return;
+        }
+
+        // Select tool: grab the selected item's resize handle, or pick up an item to move
+        const selected = this.selectedItem();
+        const handle = selected ? this.handleOf(selected) : null;
+        const handleRadius = EDITOR_CONFIG.HANDLE_SIZE / this.view.scale;
+        if (handle && Math.abs(point.x - handle.x) <= handleRadius && Math.abs(point.y - handle.y) <= handleRadius) {
+            this.drag = { mode: 'resize', item: selected, before: this.snapshot(), moved: false };
+            return;
+        }
+        const item = this.itemAt(point);
+        this.selectedId = item ? item.id : null;
+        if (item) {
+            this.drag = { mode: 'move', item, before: this.snapshot(), moved: false, dx: item.x - snapped.x, dy: item.y - snapped.y };
+        }
+        this.render();
+    }
+
+    onMouseMove(event) {
+        if (!this.drag) return;
+        const point = this.toMapPoint(event);
+        const item = this.drag.item;
+        if (this.drag.mode === 'move') {
+            const pos = this.clampToMap({ x: this.snap(point.x) + this.drag.dx, y: this.snap(point.y) + this.drag.dy });
+            if (pos.x === item.x && pos.y === item.y) return;
+            item.x = pos.x;
+            item.y = pos.y;
+        } else if (this.isBox(item)) {
+            // Resizing keeps the center and drags the bottom-right corner
+            item.width = Math.max(EDITOR_CONFIG.MIN_RECT_SIZE, this.snap(Math.abs(point.x - item.x) * 2));
+            item.height = Math.max(EDITOR_CONFIG.MIN_RECT_SIZE, this.snap(Math.abs(point.y - item.y) * 2));
+        } else {
+            const distance = Math.sqrt((point.x - item.x) ** 2 + (point.y - item.y) ** 2);
+            item.radius = Math.max(EDITOR_CONFIG.MIN_ROCK_RADIUS, this.snap(distance));
+        }
+        this.drag.moved = true;
+        this.syncGroup(item);
+        this.render();
+    }
+
+    onMouseUp() {
+        if (!this.drag) return;
+        if (this.drag.moved) {
+            this.pushHistory(this.drag.before);
+        }
+        this.drag = null;
+    }
+
+    onKeyDown(event) {
+        if (event.target && (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT')) return;
+        if (this.game) {
+            if (event.key === 'Escape') this.stopTest();
+            return;
+        }
+        const ctrl = event.ctrlKey || event.metaKey;
+        if (ctrl && event.key.toLowerCase() === 'z') {
+            event.preventDefault();
+            if (event.shiftKey) this.redo(); else this.undo();
+        } else if (ctrl && event.key.toLowerCase() === 'y') {
+            event.preventDefault();
+            this.redo();
+        } else if ((event.key === 'Delete' || event.key === 'Backspace') && this.selectedItem()) {
+            event.preventDefault();
+            this.deleteItem(this.selectedItem());
+        }
+    }
+
+    onResize() {
+        if (this.game) return;
+        this.canvas.width = window.innerWidth;
+        this.canvas.height = window.innerHeight;
+        this.render();
+    }
+
+    // =========================================================================
+    // Files, storage and test-play
+    // =========================================================================
+
+    exportFile() {
+        const map = this.validMap();
+        if (!map) return;
+        const blob = new Blob([JSON.stringify(map, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${map.id}.map.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importFile(file) {
+        if (!file) return;
+        try {
+            const map = MapLoader.parse(await file.text());
+            this.pushHistory();
+            this.loadMapKeepingHistory(map);
+            this.setStatus(`📂 Loaded ${map.name}.`);
+        } catch (error) {
+            this.setStatus(`❌ ${error.message}`, true);
+        }
+    }
+
+    // Loading another map is itself an undoable change
+    loadMapKeepingHistory(map) {
+        const undo = this.undoStack;
+        this.loadMap(map);
+        this.undoStack = undo;
+        this.updatePropertyInputs();
+        this.render();
+    }
+
+    saveToStorage() {
+        const map = this.validMap();
+        if (!map) return;
+        try {
+            MapLoader.saveMap(map);
+            this.refreshSavedMaps();
+            this.setStatus(`💾 Saved ${map.name} to this browser.`);
+        } catch (error) {
+            this.setStatus(`❌ Could not save: ${error.message}`, true);
+        }
+    }
+
+    loadFromStorage(id) {
+        const map = MapLoader.savedMaps().find(m => m.id === id) || MapLoader.builtIn(id);
+        if (!map) return;
+        this.pushHistory();
+        this.loadMapKeepingHistory(map);
+        this.setStatus(`📂 Loaded ${map.name}.`);
+    }
+
+    deleteFromStorage(id) {
+        MapLoader.deleteSavedMap(id);
+        this.refreshSavedMaps();
+        this.setStatus('🗑️ Deleted saved map.');
+    }
+
+    /**
+     * Play the current map without leaving the editor
+     * @param {string} gameMode - GAME_MODES.FFA or GAME_MODES.TDM
+     */
+    async startTest(gameMode) {
+        const map = this.validMap();
+        if (!map || this.game) return;
+        this.toolbarElement.style.display = 'none';
+        this.createTestBar();
+
+        this.game = new MultiTanksGame();
+        window.game = this.game;
+        const numPlayers = this.options.numPlayers || 0;
+        const numAIBots = this.options.numAIBots || 3;
+        await this.game.initialize(this.canvas, numPlayers, numAIBots, gameMode, {}, null, { map });
+    }
+
+    stopTest() {
+        if (!this.game) return;
+        this.game.stop();
+        this.game = null;
+        window.game = null;
+        const overlay = document.getElementById('gameStatsOverlay');
+        if (overlay) overlay.remove();
+        if (this.testBarElement) {
+            this.testBarElement.remove();
+            this.testBarElement = null;
+        }
+        this.toolbarElement.style.display = 'flex';
+        this.onResize();
+    }
+
+    // =========================================================================
+    // Rendering
+    // =========================================================================
+
+    render() {
+        if (this.game) return;
+        const { ctx, canvas } = this;
+        const { width, height } = this.props;
+        const top = EDITOR_CONFIG.TOOLBAR_HEIGHT;
+        const pad = EDITOR_CONFIG.VIEW_PADDING;
+        const scale = Math.min((canvas.width - pad * 2) / width, (canvas.height - top - pad * 2) / height);
+        this.view = {
+            scale,
+            offsetX: (canvas.width - width * scale) / 2,
+            offsetY: top + (canvas.height - top - height * scale) / 2
+        };
+
+        ctx.fillStyle = MAP_CONFIG.BACKDROP_COLOR;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.save();
+        ctx.translate(this.view.offsetX, this.view.offsetY);
+        ctx.scale(scale, scale);
+
+        ctx.fillStyle = this.props.background;
+        ctx.fillRect(0, 0, width, height);
+        this.renderGrid();
+        this.renderSymmetryAxes();
+        this.entities.forEach(entity => GameRenderer.drawEntity(ctx, entity, 0));
+        this.drawOrder().forEach(item => this.renderItem(item));
+        this.renderSelection();
+
+        ctx.restore();
+    }
+
+    renderGrid() {
+        const { ctx } = this;
+        const step = this.gridSize > 0 ? this.gridSize : 50;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1 / this.view.scale;
+        for (let x = 0; x <= this.props.width; x += step) {
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, this.props.height);
+            ctx.stroke();
+        }
+        for (let y = 0; y <= this.props.height; y += step) {
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(this.props.width, y);
+            ctx.stroke();
+        }
+    }
+
+    renderSymmetryAxes() {
+        const { ctx } = this;
+        const { width, height } = this.props;
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 0, 0.4)';
+        ctx.lineWidth = 2 / this.view.scale;
+        ctx.setLineDash([10 / this.view.scale, 8 / this.view.scale]);
+        if (this.symmetry === 'mirrorX' || this.symmetry === 'quad') {
+            ctx.beginPath();
+            ctx.moveTo(width / 2, 0);
+            ctx.lineTo(width / 2, height);
+            ctx.stroke();
+        }
+        if (this.symmetry === 'mirrorY' || this.symmetry === 'quad') {
+            ctx.beginPath();
+            ctx.moveTo(0, height / 2);
+            ctx.lineTo(width, height / 2);
+            ctx.stroke();
+        }
+        if (this.symmetry === 'rotate') {
+            ctx.beginPath();
+            ctx.arc(width / 2, height / 2, 12 / this.view.scale, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    renderItem(item) {
+        const { ctx } = this;
+        const teamColor = team => team === 'red' ? GAME_CONFIG.TEAM_COLORS.RED : team === 'blue' ? GAME_CONFIG.TEAM_COLORS.BLUE : '#ffffff';
+        ctx.save();
+        switch (item.kind) {
+            case 'rock':
+            case 'rectangle':
+                ctx.fillStyle = item.color || MAP_CONFIG.OBSTACLE_COLOR;
+                ctx.beginPath();
+                if (item.kind === 'rock') {
+                    ctx.arc(item.x, item.y, item.radius, 0, Math.PI * 2);
+                } else {
+                    ctx.rect(item.x - item.width / 2, item.y - item.height / 2, item.width, item.height);
+                }
+                ctx.fill();
+                if (item.indestructible) {
+                    ctx.strokeStyle = OBSTACLE_CONFIG.INDESTRUCTIBLE_OUTLINE;
+                    ctx.lineWidth = 3;
+                    ctx.stroke();
+                }
+                break;
+            case 'terrain':
+                GameRenderer.drawTerrainZone(ctx, Object.assign({}, item, { type: item.terrainType }), 0);
+                break;
+            case 'zone':
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = 2;
+                ctx.setLineDash([8, 6]);
+                ctx.beginPath();
+                ctx.arc(item.x, item.y, item.radius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+                this.renderLabel('👑', item.x, item.y, 20);
+                break;
+            case 'powerup':
+                ctx.strokeStyle = '#ffd700';
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.arc(item.x, item.y, GAME_CONFIG.POWERUP_SIZE, 0, Math.PI * 2);
+                ctx.stroke();
+                this.renderLabel('⭐', item.x, item.y, 14);
+                break;
+            case 'spawn':
+                ctx.fillStyle = teamColor(item.team);
+                ctx.globalAlpha = 0.6;
+                ctx.beginPath();
+                ctx.arc(item.x, item.y, GAME_CONFIG.TANK_SIZE / 2, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.globalAlpha = 1;
+                ctx.strokeStyle = '#000000';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+                ctx.fillStyle = '#000000';
+                ctx.font = 'bold 12px Arial';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(item.team === 'ffa' ? 'F' : item.team[0].toUpperCase(), item.x, item.y);
+                break;
+            case 'flag':
+                ctx.strokeStyle = '#dddddd';
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.moveTo(item.x, item.y + 15);
+                ctx.lineTo(item.x, item.y - 20);
+                ctx.stroke();
+                ctx.fillStyle = teamColor(item.team);
+                ctx.beginPath();
+                ctx.moveTo(item.x, item.y - 20);
+                ctx.lineTo(item.x + 22, item.y - 12);
+                ctx.lineTo(item.x, item.y - 4);
+                ctx.closePath();
+                ctx.fill();
+                break;
+        }
+        ctx.restore();
+    }
+
+    renderLabel(text, x, y, size) {
+        const { ctx } = this;
+        ctx.font = `${size}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(text, x, y);
+    }
+
+    renderSelection() {
+        const item = this.selectedItem();
+        if (!item) return;
+        const { ctx } = this;
+        ctx.save();
+        ctx.strokeStyle = '#00e5ff';
+        ctx.lineWidth = 2 / this.view.scale;
+        ctx.setLineDash([6 / this.view.scale, 4 / this.view.scale]);
+        ctx.beginPath();
+        if (this.isBox(item)) {
+            ctx.rect(item.x - item.width / 2 - 3, item.y - item.height / 2 - 3, item.width + 6, item.height + 6);
+        } else {
+            const radius = item.radius || GAME_CONFIG.TANK_SIZE / 2;
+            ctx.arc(item.x, item.y, radius + 4, 0, Math.PI * 2);
+        }
+        ctx.stroke();
+
+        // Mirrored copies get a fainter outline
+        ctx.globalAlpha = 0.4;
+        this.groupOf(item).forEach(other => {
+            if (other === item) return;
+            ctx.beginPath();
+            ctx.arc(other.x, other.y, (other.radius || Math.max(other.width || 0, other.height || 0) / 2 || GAME_CONFIG.TANK_SIZE / 2) + 4, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        ctx.globalAlpha = 1;
+
+        const handle = this.handleOf(item);
+        if (handle) {
+            const size = EDITOR_CONFIG.HANDLE_SIZE / this.view.scale;
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#00e5ff';
+            ctx.fillRect(handle.x - size / 2, handle.y - size / 2, size, size);
+        }
+        ctx.restore();
+    }
+
+    // =========================================================================
+    // Toolbar
+    // =========================================================================
+
+    createToolbar() {
+        const bar = document.createElement('div');
+        bar.id = 'mapEditorToolbar';
+        bar.style.cssText = `
+            position: fixed;
+            top: 10px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: calc(100% - 20px);
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 6px;
+            padding: 8px 12px;
+            background: rgba(0, 0, 0, 0.75);
+            border-radius: 8px;
+            z-index: 1000;
+            color: white;
+            font-family: Arial, sans-serif;
+            font-size: 13px;
+        `;
+
+        const buttonStyle = 'padding: 5px 9px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;';
+        const inputStyle = 'padding: 4px; background: #333; color: white; border: 1px solid #666; border-radius: 4px;';
+        const toolButtons = EDITOR_TOOLS
+            .map(tool => `<button class="editor-tool" data-tool="${tool.id}" style="${buttonStyle}">${tool.label}</button>`)
+            .join('');
+        const gridOptions = EDITOR_CONFIG.GRID_SIZES
+            .map(size => `<option value="${size}" ${size === this.gridSize ? 'selected' : ''}>${size > 0 ? `Snap ${size}px` : 'No Snap'}</option>`)
+            .join('');
+        const symmetryOptions = Object.entries(EDITOR_SYMMETRIES)
+            .map(([id, symmetry]) => `<option value="${id}">${symmetry.label}</option>`)
+            .join('');
+
+        bar.innerHTML = `
+            ${toolButtons}
+            <span style="flex-basis: 100%; height: 0;"></span>
+            <select id="editorGrid" style="${inputStyle}">${gridOptions}</select>
+            <select id="editorSymmetry" style="${inputStyle}">${symmetryOptions}</select>
+            <button id="editorUndoBtn" style="${buttonStyle}" title="Undo (Ctrl+Z)">↶</button>
+            <button id="editorRedoBtn" style="${buttonStyle}" title="Redo (Ctrl+Y)">↷</button>
+            <button id="editorIndestructibleBtn" style="${buttonStyle}" title="Toggle whether the selected obstacle can be shot down">🛡️ Indestructible</button>
+            <input id="editorName" type="text" style="${inputStyle} width: 130px;" title="Map name">
+            <input id="editorWidth" type="number" min="${MAP_CONFIG.MIN_SIZE}" max="${MAP_CONFIG.MAX_SIZE}" step="10" style="${inputStyle} width: 70px;" title="Width">
+            <span>×</span>
+            <input id="editorHeight" type="number" min="${MAP_CONFIG.MIN_SIZE}" max="${MAP_CONFIG.MAX_SIZE}" step="10" style="${inputStyle} width: 70px;" title="Height">
+            <input id="editorBackground" type="color" style="${inputStyle} width: 40px; padding: 0;" title="Background">
+            <button id="editorNewBtn" style="${buttonStyle}">New</button>
+            <label style="${buttonStyle}">Import<input id="editorImport" type="file" accept=".json,application/json" style="display: none;"></label>
+            <button id="editorExportBtn" style="${buttonStyle}">Export</button>
+            <button id="editorSaveBtn" style="${buttonStyle}">💾 Save</button>
+            <select id="editorSavedMaps" style="${inputStyle}"></select>
+            <button id="editorLoadBtn" style="${buttonStyle}">Load</button>
+            <button id="editorDeleteBtn" style="${buttonStyle}">Delete</button>
+            <button id="editorTestFFABtn" style="${buttonStyle} background: #4CAF50;">▶ Test FFA</button>
+            <button id="editorTestTDMBtn" style="${buttonStyle} background: #4CAF50;">▶ Test TDM</button>
+            <button id="editorExitBtn" style="${buttonStyle}">Exit</button>
+            <span id="editorStatus" style="flex-basis: 100%; color: #ffcc00;"></span>
+        `;
+        document.body.appendChild(bar);
+        this.toolbarElement = bar;
+
+        bar.querySelectorAll('.editor-tool').forEach(button => {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool));
+        });
+        document.getElementById('editorGrid').addEventListener('change', (e) => {
+            this.gridSize = Number(e.target.value);
+            this.render();
+        });
+        document.getElementById('editorSymmetry').addEventListener('change', (e) => {
+            this.symmetry = e.target.value;
+            this.render();
+        });
+        document.getElementById('editorUndoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('editorRedoBtn').addEventListener('click', () => this.redo());
+        document.getElementById('editorIndestructibleBtn').addEventListener('click', () => this.toggleIndestructible());
+        document.getElementById('editorName').addEventListener('change', (e) => this.setProperty('name', e.target.value.trim() || 'Untitled Arena'));
+        document.getElementById('editorWidth').addEventListener('change', (e) => this.setProperty('width', this.clampSize(e.target.value)));
+        document.getElementById('editorHeight').addEventListener('change', (e) => this.setProperty('height', this.clampSize(e.target.value)));
+        document.getElementById('editorBackground').addEventListener('change', (e) => this.setProperty('background', e.target.value));
+        document.getElementById('editorNewBtn').addEventListener('click', () => {
+            this.pushHistory();
+            const undo = this.undoStack;
+            this.newMap();
+            this.undoStack = undo;
+            this.updatePropertyInputs();
+            this.render();
+        });
+        document.getElementById('editorImport').addEventListener('change', (e) => {
+            this.importFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('editorExportBtn').addEventListener('click', () => this.exportFile());
+        document.getElementById('editorSaveBtn').addEventListener('click', () => this.saveToStorage());
+        document.getElementById('editorLoadBtn').addEventListener('click', () => this.loadFromStorage(document.getElementById('editorSavedMaps').value));
+        document.getElementById('editorDeleteBtn').addEventListener('click', () => {
+            const id = document.getElementById('editorSavedMaps').value;
+            if (MapLoader.savedMaps().some(map => map.id === id)) this.deleteFromStorage(id);
+        });
+        document.getElementById('editorTestFFABtn').addEventListener('click', () => this.startTest(GAME_MODES.FFA));
+        document.getElementById('editorTestTDMBtn').addEventListener('click', () => this.startTest(GAME_MODES.TDM));
+        document.getElementById('editorExitBtn').addEventListener('click', () => {
+            if (this.options.onExit) this.options.onExit();
+        });
+
+        this.setTool(this.tool);
+        this.updatePropertyInputs();
+        this.refreshSavedMaps();
+    }
+
+    createTestBar() {
+        const bar = document.createElement('div');
+        bar.style.cssText = `
+            position: fixed;
+            top: 10px;
+            right: 10px;
+            padding: 8px 12px;
+            background: rgba(0, 0, 0, 0.75);
+            border-radius: 8px;
+            z-index: 1001;
+            color: white;
+            font-family: Arial, sans-serif;
+            font-size: 13px;
+        `;
+        bar.innerHTML = '<button id="editorStopTestBtn" style="padding: 5px 9px; background: #f44336; color: white; border: none; border-radius: 5px; cursor: pointer;">■ Back to Editor (Esc)</button>';
+        document.body.appendChild(bar);
+        this.testBarElement = bar;
+        document.getElementById('editorStopTestBtn').addEventListener('click', () => this.stopTest());
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        this.toolbarElement.querySelectorAll('.editor-tool').forEach(button => {
+            button.style.background = button.dataset.tool === tool ? '#2196f3' : '#555';
+        });
+        this.canvas.style.cursor = tool === 'select' ? 'default' : 'crosshair';
+    }
+
+    setProperty(key, value) {
+        if (this.props[key] === value) return;
+        this.pushHistory();
+        this.props[key] = value;
+        this.updatePropertyInputs();
+        this.render();
+    }
+
+    clampSize(value) {
+        const size = Math.round(Number(value)) || EDITOR_CONFIG.DEFAULT_WIDTH;
+        return Math.max(MAP_CONFIG.MIN_SIZE, Math.min(MAP_CONFIG.MAX_SIZE, size));
+    }
+
+    updatePropertyInputs() {
+        if (!this.toolbarElement) return;
+        document.getElementById('editorName').value = this.props.name;
+        document.getElementById('editorWidth').value = this.props.width;
+        document.getElementById('editorHeight').value = this.props.height;
+        document.getElementById('editorBackground').value = /^#[0-9a-f]{6}$/i.test(this.props.background) ? this.props.background : MAP_CONFIG.DEFAULT_BACKGROUND;
+    }
+
+    // Saved maps first, then the built-in pack (which can be loaded as a starting point)
+    refreshSavedMaps() {
+        const select = document.getElementById('editorSavedMaps');
+        if (!select) return;
+        const saved = MapLoader.savedMaps()
+            .map(map => `<option value="${map.id}">💾 ${map.name}</option>`)
+            .join('');
+        const builtIn = BUILT_IN_MAPS
+            .map(map => `<option value="${map.id}">${map.name}</option>`)
+            .join('');
+        select.innerHTML = saved + builtIn;
+    }
+
+    setStatus(message, isError = false) {
+        const status = document.getElementById('editorStatus');
+        if (!status) return;
+        status.textContent = message;
+        status.style.color = isError ? '#f44336' : '#ffcc00';
+    }
+
+    /**
+     * Stop any test-play and remove the toolbar and input listeners
+     */
+    destroy() {
+        this.stopTest();
+        if (this.toolbarElement) {
+            this.toolbarElement.remove();
+            this.toolbarElement = null;
+        }
+        this.canvas.removeEventListener('mousedown', this.onMouseDown);
+        window.removeEventListener('mousemove', this.onMouseMove);
+        window.removeEventListener('mouseup', this.onMouseUp);
+        window.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('resize', this.onResize);
+    }
+}
+
+window.MapEditor = MapEditor;
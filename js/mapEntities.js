@@ -0,0 +1,206 @@
+// =============================================================================
+// MAP ENTITIES MODULE
+// =============================================================================
+// Interactive pieces placed on top of a map's static obstacles:
+//
+//   teleporter   { x, y, toX, toY }                        pads at both ends, usable both ways
+//   gate         { x, y, width, height, direction }        wall that only lets things through in one direction
+//   slidingWall  { x, y, width, height, toX, toY, periodMs, offsetMs }   glides to (toX, toY) and back
+//   door         { x, y, width, height, openMs, closedMs, offsetMs }     wall that opens on a timer
+//
+// Gates, sliding walls and closed doors are indestructible rectangles in
+// game.obstacles (flagged entityWall), so bullets, cover checks and powerup
+// placement treat them like any other wall. Moving walls push tanks aside and
+// stall rather than crush a tank against something solid; doors wait for the
+// doorway to clear before closing.
+
+class GameEntities {
+    constructor(game) {
+        this.game = game;
+        this.entities = [];
+        this.teleporters = []; // Pads: { x, y, exit, color }
+        (game.map ? game.map.entities : []).forEach(data => this.addEntity(data));
+    }
+
+    addEntity(data) {
+        const entity = Object.assign({}, data);
+        if (entity.type === 'teleporter') {
+            const color = ENTITY_CONFIG.TELEPORTER_COLORS[this.teleporters.length / 2 % ENTITY_CONFIG.TELEPORTER_COLORS.length];
+            const a = { x: entity.x, y: entity.y, color };
+            const b = { x: entity.toX, y: entity.toY, color };
+            a.exit = b;
+            b.exit = a;
+            this.teleporters.push(a, b);
+            entity.pads = [a, b];
+        } else {
+            entity.obstacle = {
+                type: 'rectangle',
+                x: entity.x,
+                y: entity.y,
+                width: entity.width,
+                height: entity.height,
+                color: entity.type === 'gate' ? ENTITY_CONFIG.GATE_COLOR : ENTITY_CONFIG.WALL_COLOR,
+                indestructible: true,
+                entityWall: true
+            };
+            if (entity.type === 'gate') {
+                entity.obstacle.gate = ENTITY_CONFIG.GATE_DIRECTIONS[entity.direction];
+            }
+            entity.clock = entity.offsetMs || 0;
+            entity.open = false;
+            this.game.obstacles.push(entity.obstacle);
+        }
+        this.entities.push(entity);
+    }
+
+    /**
+     * Move sliding walls and open or close doors
+     * @param {number} deltaTime - Tick duration in milliseconds
+     */
+    update(deltaTime) {
+        this.entities.forEach(entity => {
+            if (entity.type === 'slidingWall') {
+                this.updateSlidingWall(entity, deltaTime);
+            } else if (entity.type === 'door') {
+                this.updateDoor(entity, deltaTime);
+            }
+        });
+    }
+
+    // Eased back-and-forth between the two ends; the clock only runs while the wall can move
+    updateSlidingWall(entity, deltaTime) {
+        const clock = entity.clock + deltaTime;
+        const progress = (1 - Math.cos((clock / entity.periodMs) * Math.PI * 2)) / 2;
+        const x = entity.x + (entity.toX - entity.x) * progress;
+        const y = entity.y + (entity.toY - entity.y) * progress;
+        if (this.moveWall(entity.obstacle, x, y)) {
+            entity.clock = clock % entity.periodMs;
+        }
+    }
+
+    // Closed for closedMs, then open for openMs
+    updateDoor(entity, deltaTime) {
+        const clock = (entity.clock + deltaTime) % (entity.openMs + entity.closedMs);
+        const open = clock >= entity.closedMs;
+        if (open === entity.open) {
+            entity.clock = clock;
+            return;
+        }
+        if (open) {
+            this.game.obstacles = this.game.obstacles.filter(obstacle => obstacle !== entity.obstacle);
+        } else {
+            if (this.game.tanks.some(tank => tank.isAlive && this.overlapsTank(entity.obstacle, tank, tank.x, tank.y))) return;
+            this.game.obstacles.push(entity.obstacle);
+        }
+        entity.open = open;
+        entity.clock = clock;
+    }
+
+    /**
+     * Move a wall, shoving overlapped tanks out ahead of it
+     * @param {Object} wall - Wall obstacle
+     * @param {number} x - New center X
+     * @param {number} y - New center Y
+     * @returns {boolean} False (and nothing moved) if a tank would be pinned
+     */
+    moveWall(wall, x, y) {
+        const dx = x - wall.x;
+        const dy = y - wall.y;
+        const startX = wall.x;
+        const startY = wall.y;
+        wall.x = x;
+        wall.y = y;
+
+        const pushed = [];
+        const pinned = this.game.tanks.some(tank => {
+            if (!tank.isAlive || !this.overlapsTank(wall, tank, tank.x, tank.y)) return false;
+            const from = { tank, x: tank.x, y: tank.y };
+            // Out along the wall's direction of travel
+            if (Math.abs(dx) >= Math.abs(dy)) {
+                tank.x = wall.x + Math.sign(dx || tank.x - wall.x) * (wall.width / 2 + tank.size / 2 + 0.01);
+            } else {
+                tank.y = wall.y + Math.sign(dy || tank.y - wall.y) * (wall.height / 2 + tank.size / 2 + 0.01);
+            }
+            pushed.push(from);
+            const half = tank.size / 2;
+            return tank.x < half || tank.y < half || tank.x > GAME_CONFIG.MAP_WIDTH - half || tank.y > GAME_CONFIG.MAP_HEIGHT - half ||
+                this.pushedIntoObstacle(tank);
+        });
+        if (pinned) {
+            wall.x = startX;
+            wall.y = startY;
+            pushed.forEach(from => {
+                from.tank.x = from.x;
+                from.tank.y = from.y;
+            });
+            return false;
+        }
+        return true;
+    }
+
+    // Whether a shoved tank ended up inside something solid (ghosts pass through it all)
+    pushedIntoObstacle(tank) {
+        if (this.game.powerupsManager && this.game.powerupsManager.passesObstacles(tank)) return false;
+        return this.game.obstacles.some(obstacle => GameCollisions.overlaps(obstacle, tank, tank.x, tank.y));
+    }
+
+    overlapsTank(wall, tank, x, y) {
+        return Math.abs(x - wall.x) < wall.width / 2 + tank.size / 2 && Math.abs(y - wall.y) < wall.height / 2 + tank.size / 2;
+    }
+
+    /**
+     * Send a tank through the teleporter it drove onto. A tank that just arrived has to
+     * leave the exit pad before it can use it.
+     * @param {Object} tank - Tank after moving this tick
+     */
+    teleportTank(tank) {
+        const pad = this.padAt(tank.x, tank.y);
+        if (!pad) {
+            tank.teleporterLock = null;
+            return;
+        }
+        if (tank.teleporterLock === pad) return;
+        tank.x = pad.exit.x;
+        tank.y = pad.exit.y;
+        tank.prevX = tank.x;
+        tank.prevY = tank.y;
+        tank.teleporterLock = pad.exit;
+        this.game.terrainManager.resetMotion(tank);
+        this.game.playSound('powerUp');
+    }
+
+    /**
+     * Send a bullet through the teleporter it flew into, keeping its heading
+     * @param {Object} bullet - Bullet after moving this tick
+     */
+    teleportBullet(bullet) {
+        const pad = this.padAt(bullet.x, bullet.y);
+        if (!pad) {
+            bullet.teleporterLock = null;
+            return;
+        }
+        if (bullet.teleporterLock === pad) return;
+        bullet.x = pad.exit.x;
+        bullet.y = pad.exit.y;
+        bullet.prevX = bullet.x;
+        bullet.prevY = bullet.y;
+        bullet.teleporterLock = pad.exit;
+    }
+
+    padAt(x, y) {
+        return this.teleporters.find(pad => (x - pad.x) ** 2 + (y - pad.y) ** 2 < ENTITY_CONFIG.TELEPORTER_RADIUS ** 2) || null;
+    }
+
+    /**
+     * Whether a one-way gate lets something through
+     * @param {Object} obstacle - Obstacle (walls without a gate direction never do)
+     * @param {number} dx - Movement X
+     * @param {number} dy - Movement Y
+     * @returns {boolean} True if moving along the gate's direction
+     */
+    static gateAllows(obstacle, dx, dy) {
+        return !!obstacle.gate && dx * obstacle.gate.x + dy * obstacle.gate.y > 0;
+    }
+}
+
+window.GameEntities = GameEntities;
@@ -0,0 +1,694 @@
+// =============================================================================
+// RANDOM MAP GENERATORS
+// =============================================================================
+// Builds the obstacle layout for matches without a map file. Generators are
+// pluggable object literals registered with window.mapGenerators:
+//
+//   { key, label, kind: 'shapes', generate(context) }        -> obstacles
+//   { key, label, kind: 'grid', generate(context, grid) }    -> fills grid.cells
+//
+// Shape generators only place obstacles inside context.region (the part of the
+// map the symmetry setting leaves free); the manager adds the mirrored copies.
+// Grid generators fill the whole block grid, which the manager makes symmetric
+// by copying the free region over the rest before turning blocks into rectangles.
+//
+// Obstacles never cover spawns, flag bases or zones, and every layout passes a
+// reachability check so all spawns can drive to each other. Terrain zones (mud,
+// ice, water, boost pads) are optional and scattered with the same symmetry.
+
+// Symmetry transforms (each is its own inverse)
+const SYMMETRY_TRANSFORMS = {
+    identity: (x, y, w, h) => ({ x, y }),
+    mirrorX: (x, y, w, h) => ({ x: w - x, y }),
+    mirrorY: (x, y, w, h) => ({ x, y: h - y }),
+    rotate: (x, y, w, h) => ({ x: w - x, y: h - y })
+};
+
+const MAP_SYMMETRIES = {
+    none: { label: 'None', transforms: ['identity'] },
+    mirror: { label: '2-Way Mirror', transforms: ['identity', 'mirrorX'] },
+    rotate: { label: '2-Way Rotational', transforms: ['identity', 'rotate'] },
+    quad: { label: '4-Way', transforms: ['identity', 'mirrorX', 'mirrorY', 'rotate'] }
+};
+
+class MapGeneratorManager {
+    constructor() {
+        this.generators = {};
+    }
+
+    register(key, generator) {
+        this.generators[key] = generator;
+    }
+
+    getGenerator(key) {
+        return this.generators[key];
+    }
+
+    /**
+     * Generators for menus
+     * @returns {Array<Object>} [{ key, label }]
+     */
+    list() {
+        return Object.values(this.generators).map(generator => ({ key: generator.key, label: generator.label }));
+    }
+
+    /**
+     * Build the match's obstacles
+     * @param {MultiTanksGame} game - Game with tanks placed (uses game.rng, game.spawnPositions and the mode's reserved positions)
+     * @param {Object} settings - { type: generator key, symmetry: MAP_SYMMETRIES key }
+     * @returns {Array<Object>} Obstacles
+     */
+    generate(game, settings) {
+        const generator = this.generators[settings.type] || this.generators[GENERATOR_CONFIG.DEFAULT_TYPE];
+        const symmetry = MAP_SYMMETRIES[settings.symmetry] || MAP_SYMMETRIES.none;
+        const width = GAME_CONFIG.MAP_WIDTH;
+        const height = GAME_CONFIG.MAP_HEIGHT;
+
+        const { points, keepClear } = this.protectedPoints(game, symmetry, width, height);
+
+        const context = {
+            rng: game.rng,
+            width,
+            height,
+            symmetry,
+            copies: symmetry.transforms.length,
+            region: this.region(symmetry, width, height),
+            inRegion(point) {
+                return point.x >= this.region.x0 && point.x <= this.region.x1 && point.y >= this.region.y0 && point.y <= this.region.y1;
+            },
+            // True if an obstacle or one of its mirrored copies would cover a spawn, flag base or zone
+            blocksReserved: obstacle => keepClear.some(point => MapLoader.pointBlocked(obstacle, point, GENERATOR_CONFIG.SPAWN_CLEARANCE))
+        };
+
+        for (let attempt = 0; attempt < GENERATOR_CONFIG.MAX_ATTEMPTS; attempt++) {
+            const obstacles = generator.kind === 'grid'
+                ? this.buildGrid(generator, context, points, keepClear)
+                : this.buildShapes(generator, context, points);
+            if (obstacles && this.unreachablePoints(obstacles, points, width, height).length === 0) {
+                return obstacles;
+            }
+        }
+        console.warn(`⚠️ ${generator.label} generator found no connected layout; using an open arena`);
+        return [];
+    }
+
+    /**
+     * Scatter terrain zones with the layout's symmetry. Zones stay off spawns, flag bases
+     * and zones, don't overlap each other, and boost pads keep clear of obstacles.
+     * @param {MultiTanksGame} game - Game with its obstacles in place
+     * @param {Object} settings - { symmetry: MAP_SYMMETRIES key }
+     * @returns {Array<Object>} Terrain zones
+     */
+    generateTerrain(game, settings) {
+        const symmetry = MAP_SYMMETRIES[settings.symmetry] || MAP_SYMMETRIES.none;
+        const width = GAME_CONFIG.MAP_WIDTH;
+        const height = GAME_CONFIG.MAP_HEIGHT;
+        const { keepClear } = this.protectedPoints(game, symmetry, width, height);
+        const region = this.region(symmetry, width, height);
+        const rng = game.rng;
+        const weights = TERRAIN_CONFIG.GENERATOR_WEIGHTS;
+        const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+        const zones = [];
+        const wanted = rng.int(TERRAIN_CONFIG.GENERATOR_ZONES_MIN, TERRAIN_CONFIG.GENERATOR_ZONES_MAX);
+        let placed = 0;
+        for (let attempt = 0; attempt < wanted * 10 && placed < wanted; attempt++) {
+            let roll = rng.range(0, totalWeight);
+            const type = Object.keys(weights).find(key => (roll -= weights[key]) < 0) || TERRAIN_TYPES[0];
+            const zone = { type, x: rng.range(region.x0, region.x1), y: rng.range(region.y0, region.y1) };
+            if (type === 'boost') {
+                zone.radius = TERRAIN_CONFIG.BOOST_RADIUS;
+            } else if (rng.chance(0.4)) {
+                zone.radius = rng.range(TERRAIN_CONFIG.GENERATOR_MIN_SIZE, TERRAIN_CONFIG.GENERATOR_MAX_SIZE) / 2;
+            } else {
+                zone.width = rng.range(TERRAIN_CONFIG.GENERATOR_MIN_SIZE, TERRAIN_CONFIG.GENERATOR_MAX_SIZE);
+                zone.height = rng.range(TERRAIN_CONFIG.GENERATOR_MIN_SIZE, TERRAIN_CONFIG.GENERATOR_MAX_SIZE);
+            }
+
+            const copies = [];
+            symmetry.transforms.forEach(transform => {
+                const pos = SYMMETRY_TRANSFORMS[transform](zone.x, zone.y, width, height);
+                if (copies.some(copy => Math.abs(copy.x - pos.x) < 1 && Math.abs(copy.y - pos.y) < 1)) return;
+                copies.push(Object.assign({}, zone, pos));
+            });
+            const blocked = copies.some(copy => {
+                const shape = GameTerrain.shape(copy);
+                return keepClear.some(point => MapLoader.pointBlocked(shape, point, GAME_CONFIG.TANK_SIZE)) ||
+                    zones.some(other => this.zonesOverlap(copy, other)) ||
+                    game.obstacles.some(obstacle => MapLoader.pointBlocked(obstacle, copy, copy.type === 'boost' ? copy.radius : 0));
+            });
+            if (blocked) continue;
+            zones.push(...copies);
+            placed++;
+        }
+        return zones;
+    }
+
+    // Bounding boxes with a tank-sized gap between them
+    zonesOverlap(a, b) {
+        const halfSize = zone => zone.radius ? { w: zone.radius, h: zone.radius } : { w: zone.width / 2, h: zone.height / 2 };
+        const sizeA = halfSize(a);
+        const sizeB = halfSize(b);
+        return Math.abs(a.x - b.x) < sizeA.w + sizeB.w + GAME_CONFIG.TANK_SIZE &&
+            Math.abs(a.y - b.y) < sizeA.h + sizeB.h + GAME_CONFIG.TANK_SIZE;
+    }
+
+    // Points that must stay open and connected, plus their mirror images so clearing them keeps the layout symmetric
+    protectedPoints(game, symmetry, width, height) {
+        const points = (game.spawnPositions || []).filter(Boolean);
+        if (game.mode && game.mode.reservedPositions) {
+            points.push(...game.mode.reservedPositions(game));
+        }
+        const keepClear = [];
+        points.forEach(point => symmetry.transforms.forEach(transform => {
+            keepClear.push(SYMMETRY_TRANSFORMS[transform](point.x, point.y, width, height));
+        }));
+        return { points, keepClear };
+    }
+
+    // Part of the map a generator fills before the symmetry copies are added
+    region(symmetry, width, height) {
+        const transforms = symmetry.transforms;
+        return {
+            x0: 0,
+            y0: 0,
+            x1: transforms.includes('mirrorX') || transforms.includes('rotate') ? width / 2 : width,
+            y1: transforms.includes('mirrorY') ? height / 2 : height
+        };
+    }
+
+    /**
+     * Mirror a shape generator's obstacles and open up blocked spawns. Each obstacle and
+     * its copies form a group that is kept or removed together, so the result stays symmetric.
+     * @returns {Array<Object>|null} Obstacles, or null if the spawns couldn't be connected
+     */
+    buildShapes(generator, context, points) {
+        const { width, height } = context;
+        let groups = generator.generate(context).map(obstacle => {
+            const copies = [];
+            context.symmetry.transforms.forEach(transform => {
+                const pos = SYMMETRY_TRANSFORMS[transform](obstacle.x, obstacle.y, width, height);
+                // Copies that land on the original (obstacles on a symmetry axis) are skipped
+                if (copies.some(copy => Math.abs(copy.x - pos.x) < 1 && Math.abs(copy.y - pos.y) < 1)) return;
+                copies.push(Object.assign({}, obstacle, pos));
+            });
+            return copies;
+        });
+        groups = groups.filter(group => !group.some(obstacle => context.blocksReserved(obstacle)));
+
+        // Knock out whatever stands between a cut-off spawn and the nearest reachable one
+        for (let pass = 0; pass < points.length; pass++) {
+            const obstacles = [].concat(...groups);
+            const unreachable = this.unreachablePoints(obstacles, points, width, height);
+            if (unreachable.length === 0) return obstacles;
+            const from = unreachable[0];
+            const to = this.nearest(from, points.filter(point => !unreachable.includes(point)));
+            const blocking = groups.filter(group => group.some(obstacle => this.blocksSegment(obstacle, from, to)));
+            if (blocking.length === 0) return null;
+            groups = groups.filter(group => !blocking.includes(group));
+        }
+        return null;
+    }
+
+    /**
+     * Fill the block grid, make it symmetric, clear and connect the spawns, then turn it into rectangles
+     * @returns {Array<Object>|null} Obstacles, or null if the spawns couldn't be connected
+     */
+    buildGrid(generator, context, points, keepClear) {
+        const grid = this.createGrid(context.width, context.height);
+        generator.generate(context, grid);
+        this.symmetrizeGrid(grid, context.symmetry);
+
+        const clearance = GENERATOR_CONFIG.SPAWN_CLEARANCE;
+        for (let row = 0; row < grid.rows; row++) {
+            for (let col = 0; col < grid.cols; col++) {
+                const block = this.blockObstacle(grid, col, row, 1, 1);
+                if (keepClear.some(point => MapLoader.pointBlocked(block, point, clearance))) {
+                    grid.cells[row * grid.cols + col] = 0;
+                }
+            }
+        }
+
+        for (let pass = 0; pass < points.length; pass++) {
+            const pointCells = points.map(point => this.cellAt(grid, point));
+            const reached = this.floodGrid(grid, pointCells[0]);
+            const cutOff = pointCells.find(cell => !reached[cell.row * grid.cols + cell.col]);
+            if (!cutOff) break;
+            const target = this.nearestReachedCell(grid, reached, cutOff);
+            if (!target) return null;
+            this.carveGridPath(grid, cutOff, target, context.symmetry);
+        }
+        return this.gridToObstacles(grid);
+    }
+
+    // Block grid centered on the map so mirrored blocks line up exactly
+    createGrid(width, height) {
+        const cell = GENERATOR_CONFIG.GRID_CELL;
+        const cols = Math.floor(width / cell);
+        const rows = Math.floor(height / cell);
+        return {
+            cols,
+            rows,
+            cell,
+            offsetX: (width - cols * cell) / 2,
+            offsetY: (height - rows * cell) / 2,
+            cells: new Uint8Array(cols * rows) // 1 = solid
+        };
+    }
+
+    // Copy the free region of the grid over the mirrored parts
+    symmetrizeGrid(grid, symmetry) {
+        const { cols, rows, cells } = grid;
+        const transforms = symmetry.transforms;
+        const copy = cells.slice();
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const mirrorCol = cols - 1 - col;
+                const mirrorRow = rows - 1 - row;
+                let source = { col, row };
+                if (transforms.includes('mirrorX')) source.col = Math.min(col, mirrorCol);
+                if (transforms.includes('mirrorY')) source.row = Math.min(row, mirrorRow);
+                if (!transforms.includes('mirrorX') && transforms.includes('rotate') && (col > mirrorCol || (col === mirrorCol && row > mirrorRow))) {
+                    source = { col: mirrorCol, row: mirrorRow };
+                }
+                cells[row * cols + col] = copy[source.row * cols + source.col];
+            }
+        }
+    }
+
+    cellAt(grid, point) {
+        return {
+            col: Math.max(0, Math.min(grid.cols - 1, Math.floor((point.x - grid.offsetX) / grid.cell))),
+            row: Math.max(0, Math.min(grid.rows - 1, Math.floor((point.y - grid.offsetY) / grid.cell)))
+        };
+    }
+
+    // Open blocks reachable from a start block (4-way moves)
+    floodGrid(grid, start) {
+        const { cols, rows, cells } = grid;
+        const reached = new Uint8Array(cols * rows);
+        const queue = [start.row * cols + start.col];
+        reached[queue[0]] = 1;
+        while (queue.length > 0) {
+            const index = queue.pop();
+            const col = index % cols;
+            const row = Math.floor(index / cols);
+            [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dc, dr]) => {
+                const c = col + dc;
+                const r = row + dr;
+                if (c < 0 || r < 0 || c >= cols || r >= rows) return;
+                const next = r * cols + c;
+                if (!reached[next] && !cells[next]) {
+                    reached[next] = 1;
+                    queue.push(next);
+                }
+            });
+        }
+        return reached;
+    }
+
+    nearestReachedCell(grid, reached, from) {
+        let best = null;
+        let bestDistance = Infinity;
+        for (let index = 0; index < reached.length; index++) {
+            if (!reached[index]) continue;
+            const cell = { col: index % grid.cols, row: Math.floor(index / grid.cols) };
+            const distance = Math.abs(cell.col - from.col) + Math.abs(cell.row - from.row);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = cell;
+            }
+        }
+        return best;
+    }
+
+    // Dig a two-block-wide L-shaped tunnel (and its mirror images) between two blocks
+    carveGridPath(grid, from, to, symmetry) {
+        const path = [];
+        const colStep = Math.sign(to.col - from.col);
+        const rowStep = Math.sign(to.row - from.row);
+        let col = from.col;
+        let row = from.row;
+        path.push({ col, row });
+        while (col !== to.col) {
+            col += colStep;
+            path.push({ col, row });
+        }
+        while (row !== to.row) {
+            row += rowStep;
+            path.push({ col, row });
+        }
+
+        const span = grid.cols - 1;
+        const spanRows = grid.rows - 1;
+        path.forEach(cell => {
+            [[0, 0], [1, 0], [0, 1], [1, 1]].forEach(([dc, dr]) => {
+                const c = Math.min(span, cell.col + dc);
+                const r = Math.min(spanRows, cell.row + dr);
+                symmetry.transforms.forEach(transform => {
+                    const image = SYMMETRY_TRANSFORMS[transform](c, r, span, spanRows);
+                    grid.cells[image.y * grid.cols + image.x] = 0;
+                });
+            });
+        });
+    }
+
+    blockObstacle(grid, col, row, cols, rows) {
+        return {
+            type: 'rectangle',
+            x: grid.offsetX + (col + cols / 2) * grid.cell,
+            y: grid.offsetY + (row + rows / 2) * grid.cell,
+            width: cols * grid.cell,
+            height: rows * grid.cell,
+            color: MAP_CONFIG.OBSTACLE_COLOR
+        };
+    }
+
+    // Merge solid blocks into as few rectangles as is easy: runs along each row, then identical runs down the rows
+    gridToObstacles(grid) {
+        const { cols, rows, cells } = grid;
+        const open = new Map(); // "start,end" -> { col, row, cols, rows } still growing downward
+        const obstacles = [];
+        for (let row = 0; row <= rows; row++) {
+            const runs = new Set();
+            let start = -1;
+            for (let col = 0; col <= cols; col++) {
+                const solid = row < rows && col < cols && cells[row * cols + col];
+                if (solid && start === -1) start = col;
+                if (!solid && start !== -1) {
+                    runs.add(`${start},${col}`);
+                    start = -1;
+                }
+            }
+            open.forEach((rect, key) => {
+                if (runs.has(key)) {
+                    rect.rows++;
+                    runs.delete(key);
+                } else {
+                    obstacles.push(this.blockObstacle(grid, rect.col, rect.row, rect.cols, rect.rows));
+                    open.delete(key);
+                }
+            });
+            runs.forEach(key => {
+                const [runStart, runEnd] = key.split(',').map(Number);
+                open.set(key, { col: runStart, row, cols: runEnd - runStart, rows: 1 });
+            });
+        }
+        return obstacles;
+    }
+
+    /**
+     * Reachability check: which points a tank can't drive to from the first point
+     * @param {Array<Object>} obstacles - Obstacles on the map
+     * @param {Array<Object>} points - Positions that must all be connected (spawns, objectives)
+     * @param {number} width - Map width
+     * @param {number} height - Map height
+     * @returns {Array<Object>} Unreachable points (empty when everything is connected)
+     */
+    unreachablePoints(obstacles, points, width, height) {
+        if (points.length < 2) return [];
+        const size = GENERATOR_CONFIG.CONNECTIVITY_CELL;
+        const radius = GAME_CONFIG.TANK_SIZE / 2;
+        const cols = Math.ceil(width / size);
+        const rows = Math.ceil(height / size);
+        const blocked = new Uint8Array(cols * rows);
+
+        // Cells a tank's center can't occupy: near the map edge or overlapping an obstacle
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const x = (col + 0.5) * size;
+                const y = (row + 0.5) * size;
+                if (x < radius || y < radius || x > width - radius || y > height - radius) {
+                    blocked[row * cols + col] = 1;
+                }
+            }
+        }
+        obstacles.forEach(obstacle => {
+            const halfWidth = (obstacle.type === 'rock' ? obstacle.radius : obstacle.width / 2) + radius;
+            const halfHeight = (obstacle.type === 'rock' ? obstacle.radius : obstacle.height / 2) + radius;
+            const colStart = Math.max(0, Math.floor((obstacle.x - halfWidth) / size));
+            const colEnd = Math.min(cols - 1, Math.floor((obstacle.x + halfWidth) / size));
+            const rowStart = Math.max(0, Math.floor((obstacle.y - halfHeight) / size));
+            const rowEnd = Math.min(rows - 1, Math.floor((obstacle.y + halfHeight) / size));
+            for (let row = rowStart; row <= rowEnd; row++) {
+                for (let col = colStart; col <= colEnd; col++) {
+                    if (MapLoader.pointBlocked(obstacle, { x: (col + 0.5) * size, y: (row + 0.5) * size }, radius)) {
+                        blocked[row * cols + col] = 1;
+                    }
+                }
+            }
+        });
+
+        const cellOf = point => ({
+            col: Math.max(0, Math.min(cols - 1, Math.floor(point.x / size))),
+            row: Math.max(0, Math.min(rows - 1, Math.floor(point.y / size)))
+        });
+        const reached = this.floodGrid({ cols, rows, cells: blocked }, cellOf(points[0]));
+        return points.filter(point => {
+            const cell = cellOf(point);
+            return !reached[cell.row * cols + cell.col];
+        });
+    }
+
+    nearest(from, points) {
+        return points.reduce((best, point) => {
+            const distance = Math.sqrt((point.x - from.x) ** 2 + (point.y - from.y) ** 2);
+            return (!best || distance < best.distance) ? { point, distance } : best;
+        }, null).point;
+    }
+
+    // Whether an obstacle sits in a tank-wide lane between two points
+    blocksSegment(obstacle, from, to) {
+        const length = Math.sqrt((to.x - from.x) ** 2 + (to.y - from.y) ** 2);
+        const steps = Math.max(1, Math.ceil(length / GENERATOR_CONFIG.CONNECTIVITY_CELL));
+        for (let i = 0; i <= steps; i++) {
+            const point = { x: from.x + (to.x - from.x) * i / steps, y: from.y + (to.y - from.y) * i / steps };
+            if (MapLoader.pointBlocked(obstacle, point, GAME_CONFIG.TANK_SIZE)) return true;
+        }
+        return false;
+    }
+}
+
+// =============================================================================
+// GENERATORS
+// =============================================================================
+
+// Random rocks and walls anywhere (the original random map)
+const ScatterGenerator = {
+    key: 'scatter',
+    label: 'Scatter',
+    kind: 'shapes',
+    generate(context) {
+        const rng = context.rng;
+        const obstacles = [];
+        const count = Math.ceil(rng.int(GAME_CONFIG.MIN_OBSTACLES, GAME_CONFIG.MAX_OBSTACLES) / context.copies);
+        for (let i = 0; i < count; i++) {
+            let obstacle;
+            let attempts = 0;
+            const maxAttempts = GAME_CONFIG.AI_OBSTACLE_GENERATION_MAX_ATTEMPTS;
+            do {
+                obstacle = this.randomObstacle(rng, context.region);
+                attempts++;
+            } while (context.blocksReserved(obstacle) && attempts < maxAttempts);
+            if (attempts < maxAttempts) {
+                obstacles.push(obstacle);
+            }
+        }
+        return obstacles;
+    },
+    randomObstacle(rng, region) {
+        const isRock = rng.chance(0.6); // 60% chance for rock
+        if (isRock) {
+            const size = rng.range(GAME_CONFIG.ROCK_SIZE_MIN, GAME_CONFIG.ROCK_SIZE_MAX);
+            return {
+                type: 'rock',
+                x: rng.range(region.x0 + size / 2, region.x1 - size / 2),
+                y: rng.range(region.y0 + size / 2, region.y1 - size / 2),
+                radius: size / 2,
+                color: MAP_CONFIG.OBSTACLE_COLOR
+            };
+        }
+        const width = rng.range(GAME_CONFIG.RECTANGLE_WIDTH_MIN, GAME_CONFIG.RECTANGLE_WIDTH_MAX);
+        const height = rng.range(GAME_CONFIG.RECTANGLE_HEIGHT_MIN, GAME_CONFIG.RECTANGLE_HEIGHT_MAX);
+        return {
+            type: 'rectangle',
+            x: rng.range(region.x0 + width / 2, region.x1 - width / 2),
+            y: rng.range(region.y0 + height / 2, region.y1 - height / 2),
+            width: width,
+            height: height,
+            color: MAP_CONFIG.OBSTACLE_COLOR
+        };
+    }
+};
+
+// Open arena: a center block ringed by cover, with a few pillars further out
+const ArenaGenerator = {
+    key: 'arena',
+    label: 'Arena',
+    kind: 'shapes',
+    generate(context) {
+        const { rng, width, height } = context;
+        const center = { x: width / 2, y: height / 2 };
+        const ringRadius = Math.min(width, height) * GENERATOR_CONFIG.ARENA_RING_RADIUS;
+        const obstacles = [];
+
+        // Center piece sits on every symmetry axis, so it is only placed once
+        if (rng.chance(0.5)) {
+            obstacles.push({ type: 'rock', x: center.x, y: center.y, radius: rng.range(30, 50), color: MAP_CONFIG.OBSTACLE_COLOR });
+        } else {
+            const size = rng.range(60, 100);
+            obstacles.push({ type: 'rectangle', x: center.x, y: center.y, width: size, height: size, color: MAP_CONFIG.OBSTACLE_COLOR });
+        }
+
+        // Ring pieces are evenly spaced and offset from the axes, which makes the ring symmetric on its own
+        const pieces = GENERATOR_CONFIG.ARENA_RING_PIECES;
+        const pieceRadius = rng.range(18, 28);
+        for (let i = 0; i < pieces; i++) {
+            const angle = (i + 0.5) * Math.PI * 2 / pieces;
+            const piece = { type: 'rock', x: center.x + Math.cos(angle) * ringRadius, y: center.y + Math.sin(angle) * ringRadius, radius: pieceRadius, color: MAP_CONFIG.OBSTACLE_COLOR };
+            if (context.inRegion(piece)) obstacles.push(piece);
+        }
+
+        const pillars = Math.ceil(GENERATOR_CONFIG.ARENA_PILLARS / context.copies);
+        for (let i = 0, attempts = 0; i < pillars && attempts < GAME_CONFIG.AI_OBSTACLE_GENERATION_MAX_ATTEMPTS; attempts++) {
+            const pillar = ScatterGenerator.randomObstacle(rng, context.region);
+            const distance = Math.sqrt((pillar.x - center.x) ** 2 + (pillar.y - center.y) ** 2);
+            if (distance < ringRadius + GAME_CONFIG.TANK_SIZE * 3 || context.blocksReserved(pillar)) continue;
+            obstacles.push(pillar);
+            i++;
+        }
+        return obstacles;
+    }
+};
+
+// Corridors: a maze with extra walls knocked out so it has loops
+const MazeGenerator = {
+    key: 'maze',
+    label: 'Maze',
+    kind: 'grid',
+    generate(context, grid) {
+        const rng = context.rng;
+        const step = GENERATOR_CONFIG.MAZE_CELL_BLOCKS;
+        const mazeCols = Math.floor((grid.cols - 1) / step);
+        const mazeRows = Math.floor((grid.rows - 1) / step);
+        const left = Math.floor((grid.cols - (mazeCols * step + 1)) / 2);
+        const top = Math.floor((grid.rows - (mazeRows * step + 1)) / 2);
+        const set = (col, row, value) => {
+            grid.cells[(top + row) * grid.cols + left + col] = value;
+        };
+
+        // Inner wall lines between maze cells (the outer frame stays open as a ring road)
+        for (let row = 1; row < mazeRows * step; row++) {
+            for (let col = 1; col < mazeCols * step; col++) {
+                if (col % step === 0 || row % step === 0) set(col, row, 1);
+            }
+        }
+        const openWall = (a, b) => {
+            // Clear the wall blocks between two neighbouring maze cells
+            for (let i = 1; i < step; i++) {
+                if (a.col !== b.col) set(Math.max(a.col, b.col) * step, a.row * step + i, 0);
+                else set(a.col * step + i, Math.max(a.row, b.row) * step, 0);
+            }
+        };
+
+        // Recursive backtracker
+        const visited = new Set();
+        const stack = [{ col: rng.int(0, mazeCols - 1), row: rng.int(0, mazeRows - 1) }];
+        visited.add(`${stack[0].col},${stack[0].row}`);
+        while (stack.length > 0) {
+            const cell = stack[stack.length - 1];
+            const neighbours = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+                .map(([dc, dr]) => ({ col: cell.col + dc, row: cell.row + dr }))
+                .filter(n => n.col >= 0 && n.row >= 0 && n.col < mazeCols && n.row < mazeRows && !visited.has(`${n.col},${n.row}`));
+            if (neighbours.length === 0) {
+                stack.pop();
+                continue;
+            }
+            const next = rng.pick(neighbours);
+            openWall(cell, next);
+            visited.add(`${next.col},${next.row}`);
+            stack.push(next);
+        }
+
+        // Braid: knock out extra walls
+        for (let row = 0; row < mazeRows; row++) {
+            for (let col = 0; col < mazeCols; col++) {
+                if (col + 1 < mazeCols && rng.chance(GENERATOR_CONFIG.MAZE_BRAID)) openWall({ col, row }, { col: col + 1, row });
+                if (row + 1 < mazeRows && rng.chance(GENERATOR_CONFIG.MAZE_BRAID)) openWall({ col, row }, { col, row: row + 1 });
+            }
+        }
+    }
+};
+
+// City blocks: rectangular buildings between a grid of streets, with the odd open plaza
+const CityGenerator = {
+    key: 'city',
+    label: 'City Blocks',
+    kind: 'grid',
+    generate(context, grid) {
+        const rng = context.rng;
+        const spans = length => {
+            // Alternating street / building intervals along one axis
+            const buildings = [];
+            let position = GENERATOR_CONFIG.CITY_STREET;
+            while (position < length - GENERATOR_CONFIG.CITY_STREET) {
+                const size = Math.min(rng.int(GENERATOR_CONFIG.CITY_BUILDING_MIN, GENERATOR_CONFIG.CITY_BUILDING_MAX), length - GENERATOR_CONFIG.CITY_STREET - position);
+                if (size < GENERATOR_CONFIG.CITY_BUILDING_MIN) break;
+                buildings.push({ start: position, size });
+                position += size + GENERATOR_CONFIG.CITY_STREET;
+            }
+            return buildings;
+        };
+        const columns = spans(grid.cols);
+        const rows = spans(grid.rows);
+        rows.forEach(rowSpan => columns.forEach(colSpan => {
+            if (rng.chance(GENERATOR_CONFIG.CITY_PLAZA_CHANCE)) return;
+            for (let row = rowSpan.start; row < rowSpan.start + rowSpan.size; row++) {
+                for (let col = colSpan.start; col < colSpan.start + colSpan.size; col++) {
+                    grid.cells[row * grid.cols + col] = 1;
+                }
+            }
+        }));
+    }
+};
+
+// Caves: random rock smoothed by a cellular automaton into blobs and tunnels
+const CaveGenerator = {
+    key: 'cave',
+    label: 'Cave',
+    kind: 'grid',
+    generate(context, grid) {
+        const rng = context.rng;
+        const { cols, rows } = grid;
+        let cells = grid.cells;
+        for (let i = 0; i < cells.length; i++) {
+            cells[i] = rng.chance(GENERATOR_CONFIG.CAVE_FILL) ? 1 : 0;
+        }
+        for (let pass = 0; pass < GENERATOR_CONFIG.CAVE_SMOOTHING; pass++) {
+            const next = new Uint8Array(cells.length);
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    let neighbours = 0;
+                    for (let dr = -1; dr <= 1; dr++) {
+                        for (let dc = -1; dc <= 1; dc++) {
+                            const c = col + dc;
+                            const r = row + dr;
+                            if ((dc || dr) && c >= 0 && r >= 0 && c < cols && r < rows) neighbours += cells[r * cols + c];
+                        }
+                    }
+                    const solid = cells[row * cols + col];
+                    next[row * cols + col] = (neighbours >= GENERATOR_CONFIG.CAVE_BIRTH || (solid && neighbours >= GENERATOR_CONFIG.CAVE_BIRTH - 1)) ? 1 : 0;
+                }
+            }
+            cells = next;
+        }
+        grid.cells.set(cells);
+    }
+};
+
+window.mapGenerators = new MapGeneratorManager();
+window.mapGenerators.register(ScatterGenerator.key, ScatterGenerator);
+window.mapGenerators.register(ArenaGenerator.key, ArenaGenerator);
+window.mapGenerators.register(MazeGenerator.key, MazeGenerator);
+window.mapGenerators.register(CityGenerator.key, CityGenerator);
+window.mapGenerators.register(CaveGenerator.key, CaveGenerator);
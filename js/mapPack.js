@@ -0,0 +1,222 @@
+// =============================================================================
+// BUILT-IN MAP PACK
+// =============================================================================
+// Handcrafted symmetric arenas in the map file format (see maps.js), all sized
+// 1280×720. Crossfire and Pillars are four-way symmetric, Twin Forts mirrors left
+// to right and Canyon is rotationally symmetric around the center. Crossfire's
+// center rock and the Twin Forts walls are indestructible. Pillars has an ice
+// field in the middle; Canyon has mud on the hill, water and boost pads.
+// Junction mirrors left to right and shows off the map entities: teleporters
+// between the corners, one-way gates out of each base, and a center line of
+// alternating doors around a sliding wall.
+
+const BUILT_IN_MAPS = [
+    {
+        format: MAP_CONFIG.FORMAT,
+        version: MAP_CONFIG.VERSION,
+        id: 'crossfire',
+        name: 'Crossfire',
+        width: 1280,
+        height: 720,
+        background: '#2d5016',
+        obstacles: [
+            { type: 'rock', x: 640, y: 360, radius: 40, indestructible: true },
+            { type: 'rectangle', x: 640, y: 200, width: 160, height: 24 },
+            { type: 'rectangle', x: 640, y: 520, width: 160, height: 24 },
+            { type: 'rectangle', x: 460, y: 360, width: 24, height: 140 },
+            { type: 'rectangle', x: 820, y: 360, width: 24, height: 140 },
+            { type: 'rock', x: 250, y: 170, radius: 25 },
+            { type: 'rock', x: 1030, y: 170, radius: 25 },
+            { type: 'rock', x: 250, y: 550, radius: 25 },
+            { type: 'rock', x: 1030, y: 550, radius: 25 },
+            { type: 'rectangle', x: 340, y: 100, width: 120, height: 20 },
+            { type: 'rectangle', x: 940, y: 100, width: 120, height: 20 },
+            { type: 'rectangle', x: 340, y: 620, width: 120, height: 20 },
+            { type: 'rectangle', x: 940, y: 620, width: 120, height: 20 },
+            { type: 'rectangle', x: 150, y: 250, width: 20, height: 100 },
+            { type: 'rectangle', x: 1130, y: 250, width: 20, height: 100 },
+            { type: 'rectangle', x: 150, y: 470, width: 20, height: 100 },
+            { type: 'rectangle', x: 1130, y: 470, width: 20, height: 100 },
+            { type: 'rock', x: 470, y: 560, radius: 20 },
+            { type: 'rock', x: 810, y: 560, radius: 20 },
+            { type: 'rock', x: 470, y: 160, radius: 20 },
+            { type: 'rock', x: 810, y: 160, radius: 20 }
+        ],
+        spawns: {
+            ffa: [{ x: 60, y: 60 }, { x: 640, y: 50 }, { x: 1220, y: 60 }, { x: 1230, y: 360 }, { x: 1220, y: 660 }, { x: 640, y: 670 }, { x: 60, y: 660 }, { x: 50, y: 360 }],
+            red: [{ x: 60, y: 140 }, { x: 60, y: 300 }, { x: 60, y: 420 }, { x: 60, y: 580 }],
+            blue: [{ x: 1220, y: 140 }, { x: 1220, y: 300 }, { x: 1220, y: 420 }, { x: 1220, y: 580 }]
+        },
+        powerupSpawns: [{ x: 640, y: 110 }, { x: 640, y: 610 }, { x: 330, y: 360 }, { x: 950, y: 360 }],
+        markers: {
+            flagBases: { red: { x: 200, y: 360 }, blue: { x: 1080, y: 360 } },
+            zones: [{ x: 380, y: 190 }, { x: 900, y: 190 }, { x: 380, y: 530 }, { x: 900, y: 530 }]
+        }
+    },
+    {
+        format: MAP_CONFIG.FORMAT,
+        version: MAP_CONFIG.VERSION,
+        id: 'twin-forts',
+        name: 'Twin Forts',
+        width: 1280,
+        height: 720,
+        background: '#3b4a1f',
+        obstacles: [
+            { type: 'rectangle', x: 270, y: 265, width: 20, height: 110, indestructible: true },
+            { type: 'rectangle', x: 1010, y: 265, width: 20, height: 110, indestructible: true },
+            { type: 'rectangle', x: 270, y: 455, width: 20, height: 110, indestructible: true },
+            { type: 'rectangle', x: 1010, y: 455, width: 20, height: 110, indestructible: true },
+            { type: 'rectangle', x: 190, y: 205, width: 160, height: 20, indestructible: true },
+            { type: 'rectangle', x: 1090, y: 205, width: 160, height: 20, indestructible: true },
+            { type: 'rectangle', x: 190, y: 515, width: 160, height: 20, indestructible: true },
+            { type: 'rectangle', x: 1090, y: 515, width: 160, height: 20, indestructible: true },
+            { type: 'rock', x: 470, y: 130, radius: 30 },
+            { type: 'rock', x: 810, y: 130, radius: 30 },
+            { type: 'rock', x: 470, y: 590, radius: 30 },
+            { type: 'rock', x: 810, y: 590, radius: 30 },
+            { type: 'rock', x: 420, y: 360, radius: 22 },
+            { type: 'rock', x: 860, y: 360, radius: 22 },
+            { type: 'rectangle', x: 640, y: 360, width: 40, height: 140 },
+            { type: 'rock', x: 640, y: 150, radius: 35 },
+            { type: 'rock', x: 640, y: 570, radius: 35 }
+        ],
+        spawns: {
+            ffa: [{ x: 60, y: 60 }, { x: 640, y: 50 }, { x: 1220, y: 60 }, { x: 1225, y: 360 }, { x: 1220, y: 660 }, { x: 640, y: 670 }, { x: 60, y: 660 }, { x: 55, y: 360 }],
+            red: [{ x: 60, y: 120 }, { x: 60, y: 290 }, { x: 60, y: 430 }, { x: 60, y: 600 }],
+            blue: [{ x: 1220, y: 120 }, { x: 1220, y: 290 }, { x: 1220, y: 430 }, { x: 1220, y: 600 }]
+        },
+        powerupSpawns: [{ x: 520, y: 360 }, { x: 760, y: 360 }, { x: 360, y: 60 }, { x: 920, y: 60 }, { x: 360, y: 660 }, { x: 920, y: 660 }, { x: 640, y: 260 }, { x: 640, y: 460 }],
+        markers: {
+            flagBases: { red: { x: 180, y: 360 }, blue: { x: 1100, y: 360 } },
+            zones: [{ x: 640, y: 90 }, { x: 640, y: 630 }, { x: 520, y: 240 }, { x: 760, y: 480 }]
+        }
+    },
+    {
+        format: MAP_CONFIG.FORMAT,
+        version: MAP_CONFIG.VERSION,
+        id: 'pillars',
+        name: 'Pillars',
+        width: 1280,
+        height: 720,
+        background: '#24402a',
+        obstacles: [
+            { type: 'rock', x: 640, y: 360, radius: 45 },
+            { type: 'rock', x: 240, y: 180, radius: 26 },
+            { type: 'rock', x: 1040, y: 180, radius: 26 },
+            { type: 'rock', x: 240, y: 540, radius: 26 },
+            { type: 'rock', x: 1040, y: 540, radius: 26 },
+            { type: 'rock', x: 440, y: 180, radius: 26 },
+            { type: 'rock', x: 840, y: 180, radius: 26 },
+            { type: 'rock', x: 440, y: 540, radius: 26 },
+            { type: 'rock', x: 840, y: 540, radius: 26 },
+            { type: 'rock', x: 640, y: 180, radius: 26 },
+            { type: 'rock', x: 640, y: 540, radius: 26 },
+            { type: 'rock', x: 240, y: 360, radius: 26 },
+            { type: 'rock', x: 1040, y: 360, radius: 26 },
+            { type: 'rock', x: 440, y: 360, radius: 30 },
+            { type: 'rock', x: 840, y: 360, radius: 30 },
+            { type: 'rock', x: 340, y: 270, radius: 16 },
+            { type: 'rock', x: 940, y: 270, radius: 16 },
+            { type: 'rock', x: 340, y: 450, radius: 16 },
+            { type: 'rock', x: 940, y: 450, radius: 16 },
+            { type: 'rock', x: 540, y: 270, radius: 16 },
+            { type: 'rock', x: 740, y: 270, radius: 16 },
+            { type: 'rock', x: 540, y: 450, radius: 16 },
+            { type: 'rock', x: 740, y: 450, radius: 16 }
+        ],
+        terrain: [
+            { type: 'ice', x: 640, y: 360, width: 520, height: 200 }
+        ],
+        spawns: {
+            ffa: [{ x: 60, y: 60 }, { x: 640, y: 60 }, { x: 1220, y: 60 }, { x: 1220, y: 360 }, { x: 1220, y: 660 }, { x: 640, y: 660 }, { x: 60, y: 660 }, { x: 60, y: 360 }],
+            red: [{ x: 60, y: 110 }, { x: 60, y: 270 }, { x: 60, y: 450 }, { x: 60, y: 610 }],
+            blue: [{ x: 1220, y: 110 }, { x: 1220, y: 270 }, { x: 1220, y: 450 }, { x: 1220, y: 610 }]
+        },
+        powerupSpawns: [{ x: 340, y: 90 }, { x: 940, y: 90 }, { x: 340, y: 630 }, { x: 940, y: 630 }, { x: 540, y: 360 }, { x: 740, y: 360 }],
+        markers: {
+            flagBases: { red: { x: 140, y: 360 }, blue: { x: 1140, y: 360 } },
+            zones: [{ x: 340, y: 450 }, { x: 940, y: 450 }, { x: 340, y: 270 }, { x: 940, y: 270 }]
+        }
+    },
+    {
+        format: MAP_CONFIG.FORMAT,
+        version: MAP_CONFIG.VERSION,
+        id: 'canyon',
+        name: 'Canyon',
+        width: 1280,
+        height: 720,
+        background: '#4a3b22',
+        obstacles: [
+            { type: 'rectangle', x: 470, y: 240, width: 540, height: 24 },
+            { type: 'rectangle', x: 810, y: 480, width: 540, height: 24 },
+            { type: 'rock', x: 1010, y: 150, radius: 30 },
+            { type: 'rock', x: 270, y: 570, radius: 30 },
+            { type: 'rectangle', x: 150, y: 470, width: 24, height: 120 },
+            { type: 'rectangle', x: 1130, y: 250, width: 24, height: 120 },
+            { type: 'rock', x: 640, y: 90, radius: 22 },
+            { type: 'rock', x: 640, y: 630, radius: 22 },
+            { type: 'rock', x: 330, y: 600, radius: 26 },
+            { type: 'rock', x: 950, y: 120, radius: 26 }
+        ],
+        terrain: [
+            { type: 'mud', x: 640, y: 360, width: 180, height: 90 },
+            { type: 'water', x: 380, y: 120, width: 160, height: 70 },
+            { type: 'water', x: 900, y: 600, width: 160, height: 70 },
+            { type: 'boost', x: 1060, y: 240, radius: 26 },
+            { type: 'boost', x: 220, y: 480, radius: 26 }
+        ],
+        spawns: {
+            ffa: [{ x: 60, y: 60 }, { x: 1220, y: 660 }, { x: 640, y: 170 }, { x: 640, y: 550 }, { x: 1220, y: 60 }, { x: 60, y: 660 }, { x: 60, y: 360 }, { x: 1220, y: 360 }],
+            red: [{ x: 60, y: 330 }, { x: 60, y: 420 }, { x: 60, y: 560 }, { x: 60, y: 660 }],
+            blue: [{ x: 1220, y: 390 }, { x: 1220, y: 300 }, { x: 1220, y: 160 }, { x: 1220, y: 60 }]
+        },
+        powerupSpawns: [{ x: 640, y: 360 }, { x: 240, y: 130 }, { x: 1040, y: 590 }, { x: 900, y: 360 }, { x: 380, y: 360 }],
+        markers: {
+            flagBases: { red: { x: 80, y: 600 }, blue: { x: 1200, y: 120 } },
+            zones: [{ x: 640, y: 360 }, { x: 300, y: 360 }, { x: 980, y: 360 }]
+        }
+    },
+    {
+        format: MAP_CONFIG.FORMAT,
+        version: MAP_CONFIG.VERSION,
+        id: 'junction',
+        name: 'Junction',
+        width: 1280,
+        height: 720,
+        background: '#2b3a4a',
+        obstacles: [
+            { type: 'rectangle', x: 640, y: 60, width: 24, height: 120, indestructible: true },
+            { type: 'rectangle', x: 640, y: 660, width: 24, height: 120, indestructible: true },
+            { type: 'rectangle', x: 330, y: 220, width: 20, height: 160, indestructible: true },
+            { type: 'rectangle', x: 950, y: 220, width: 20, height: 160, indestructible: true },
+            { type: 'rectangle', x: 330, y: 500, width: 20, height: 160, indestructible: true },
+            { type: 'rectangle', x: 950, y: 500, width: 20, height: 160, indestructible: true },
+            { type: 'rock', x: 480, y: 200, radius: 28 },
+            { type: 'rock', x: 800, y: 200, radius: 28 },
+            { type: 'rock', x: 480, y: 520, radius: 28 },
+            { type: 'rock', x: 800, y: 520, radius: 28 }
+        ],
+        entities: [
+            { type: 'teleporter', x: 260, y: 90, toX: 1020, toY: 630 },
+            { type: 'teleporter', x: 1020, y: 90, toX: 260, toY: 630 },
+            { type: 'gate', x: 330, y: 360, width: 20, height: 120, direction: 'right' },
+            { type: 'gate', x: 950, y: 360, width: 20, height: 120, direction: 'left' },
+            { type: 'door', x: 640, y: 180, width: 24, height: 120, openMs: 3000, closedMs: 3000, offsetMs: 0 },
+            { type: 'door', x: 640, y: 540, width: 24, height: 120, openMs: 3000, closedMs: 3000, offsetMs: 3000 },
+            { type: 'slidingWall', x: 640, y: 300, width: 24, height: 60, toX: 640, toY: 420, periodMs: 5000 }
+        ],
+        spawns: {
+            ffa: [{ x: 60, y: 60 }, { x: 1220, y: 60 }, { x: 1220, y: 660 }, { x: 60, y: 660 }, { x: 200, y: 360 }, { x: 1080, y: 360 }, { x: 480, y: 360 }, { x: 800, y: 360 }],
+            red: [{ x: 80, y: 200 }, { x: 80, y: 300 }, { x: 80, y: 420 }, { x: 80, y: 520 }],
+            blue: [{ x: 1200, y: 200 }, { x: 1200, y: 300 }, { x: 1200, y: 420 }, { x: 1200, y: 520 }]
+        },
+        powerupSpawns: [{ x: 480, y: 360 }, { x: 800, y: 360 }, { x: 420, y: 60 }, { x: 860, y: 60 }, { x: 420, y: 660 }, { x: 860, y: 660 }],
+        markers: {
+            flagBases: { red: { x: 140, y: 360 }, blue: { x: 1140, y: 360 } },
+            zones: [{ x: 480, y: 360 }, { x: 800, y: 360 }]
+        }
+    }
+
+];
+
+window.BUILT_IN_MAPS = BUILT_IN_MAPS;
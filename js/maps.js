@@ -0,0 +1,421 @@
+// =============================================================================
+// MAP FILES
+// =============================================================================
+// Maps are plain JSON:
+//
+//   {
+//     "format": "multitanks-map", "version": 1,
+//     "id": "crossfire", "name": "Crossfire",
+//     "width": 1280, "height": 720, "background": "#2d5016",
+//     "obstacles": [
+//       { "type": "rock", "x": 640, "y": 360, "radius": 40 },
+//       { "type": "rectangle", "x": 640, "y": 200, "width": 160, "height": 24, "indestructible": true }
+//     ],
+//     "terrain": [
+//       { "type": "mud", "x": 640, "y": 560, "width": 200, "height": 80 },
+//       { "type": "boost", "x": 400, "y": 360, "radius": 26 }
+//     ],
+//     "entities": [
+//       { "type": "teleporter", "x": 260, "y": 120, "toX": 1020, "toY": 600 },
+//       { "type": "gate", "x": 330, "y": 360, "width": 20, "height": 120, "direction": "right" },
+//       { "type": "slidingWall", "x": 640, "y": 300, "width": 24, "height": 100, "toX": 640, "toY": 420, "periodMs": 6000 },
+//       { "type": "door", "x": 640, "y": 200, "width": 24, "height": 100, "openMs": 3000, "closedMs": 3000, "offsetMs": 0 }
+//     ],
+//     "spawns": { "ffa": [{ "x": 60, "y": 60 }], "red": [...], "blue": [...] },
+//     "powerupSpawns": [{ "x": 640, "y": 90 }, { "x": 640, "y": 630, "type": "HEALTH", "respawnMs": 30000 }],
+//     "markers": {
+//       "flagBases": { "red": { "x": 190, "y": 360 }, "blue": { "x": 1090, "y": 360 } },
+//       "zones": [{ "x": 380, "y": 180, "radius": 80 }]
+//     }
+//   }
+//
+// Positions are map pixels; obstacle x/y are centers (as in generateObstacles).
+// Obstacles can be shot down (see GameObstacles) unless marked "indestructible".
+// Terrain zones are "mud", "ice", "water" or "boost" circles or rectangles (see GameTerrain).
+// Entities are teleporter pairs, one-way gates, sliding walls and doors (see GameEntities).
+// Powerup spawns double as pads when the match uses them; a pad can be pinned to one
+// "type" or a "pool" of powerup keys and given its own "respawnMs" (see GamePowerups).
+// Everything after "obstacles" is optional except at least one spawn point.
+
+class MapLoader {
+    /**
+     * Parse and validate map file contents
+     * @param {string} text - File contents
+     * @returns {Object} Normalized map data
+     * @throws {Error} With a readable message when the file is not a usable map
+     */
+    static parse(text) {
+        let map;
+        try {
+            map = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Map file is not valid JSON.');
+        }
+        MapLoader.validate(map);
+        return MapLoader.normalize(map);
+    }
+
+    /**
+     * @param {Object} map - Map data
+     * @throws {Error} With a readable message describing the first problem found
+     */
+    static validate(map) {
+        if (!map || map.format !== MAP_CONFIG.FORMAT) {
+            throw new Error('This file is not a MultiTanks map.');
+        }
+        if (map.version !== MAP_CONFIG.VERSION) {
+            throw new Error(`Map version ${map.version} is not supported (expected ${MAP_CONFIG.VERSION}).`);
+        }
+        if (typeof map.name !== 'string' || map.name.trim() === '') {
+            throw new Error('Map is missing its name.');
+        }
+        [['width', map.width], ['height', map.height]].forEach(([label, value]) => {
+            if (!Number.isFinite(value) || value < MAP_CONFIG.MIN_SIZE || value > MAP_CONFIG.MAX_SIZE) {
+                throw new Error(`Map ${label} must be a number from ${MAP_CONFIG.MIN_SIZE} to ${MAP_CONFIG.MAX_SIZE} (got ${value}).`);
+            }
+        });
+        if (map.background !== undefined && typeof map.background !== 'string') {
+            throw new Error('Map background must be a CSS color string such as "#2d5016".');
+        }
+
+        if (!Array.isArray(map.obstacles)) {
+            throw new Error('Map is missing its obstacles list (use [] for an empty arena).');
+        }
+        map.obstacles.forEach((obstacle, index) => MapLoader.validateObstacle(map, obstacle, `Obstacle #${index + 1}`));
+        
+        if (map.terrain !== undefined) {
+            if (!Array.isArray(map.terrain)) {
+                throw new Error('Map terrain must be a list of zones.');
+            }
+            map.terrain.forEach((zone, index) => MapLoader.validateTerrain(map, zone, `Terrain zone #${index + 1}`));
+        }
+        
+        if (map.entities !== undefined) {
+            if (!Array.isArray(map.entities)) {
+                throw new Error('Map entities must be a list.');
+            }
+            map.entities.forEach((entity, index) => MapLoader.validateEntity(map, entity, `Entity #${index + 1}`));
+        }
+
+        const spawns = map.spawns || {};
+        const spawnLists = ['ffa', 'red', 'blue'];
+        spawnLists.forEach(list => {
+            if (spawns[list] === undefined) return;
+            if (!Array.isArray(spawns[list])) {
+                throw new Error(`Map spawns.${list} must be a list of points.`);
+            }
+            spawns[list].forEach((point, index) => MapLoader.validateOpenPoint(map, point, `Spawn point ${list} #${index + 1}`));
+        });
+        if (spawnLists.every(list => !spawns[list] || spawns[list].length === 0)) {
+            throw new Error('Map needs at least one spawn point (spawns.ffa, spawns.red or spawns.blue).');
+        }
+        if ((spawns.red && spawns.red.length > 0) !== (spawns.blue && spawns.blue.length > 0)) {
+            throw new Error('Map team spawns need points for both red and blue.');
+        }
+
+        if (map.powerupSpawns !== undefined) {
+            if (!Array.isArray(map.powerupSpawns)) {
+                throw new Error('Map powerupSpawns must be a list of points.');
+            }
+            map.powerupSpawns.forEach((point, index) => {
+                const label = `Powerup spawn #${index + 1}`;
+                MapLoader.validateOpenPoint(map, point, label);
+                const types = point.type !== undefined ? [point.type] : (point.pool || []);
+                if (point.pool !== undefined && (!Array.isArray(point.pool) || point.pool.length === 0)) {
+                    throw new Error(`${label} pool must be a list of powerup types.`);
+                }
+                types.forEach(type => {
+                    if (!window.powerupRegistry.get(type)) {
+                        throw new Error(`${label} has unknown powerup type "${type}".`);
+                    }
+                });
+                if (point.respawnMs !== undefined && !(point.respawnMs > 0)) {
+                    throw new Error(`${label} has an invalid respawnMs.`);
+                }
+            });
+        }
+
+        const markers = map.markers || {};
+        if (markers.flagBases) {
+            ['red', 'blue'].forEach(team => {
+                MapLoader.validateOpenPoint(map, markers.flagBases[team], `Flag base ${team}`);
+            });
+        }
+        if (markers.zones !== undefined) {
+            if (!Array.isArray(markers.zones)) {
+                throw new Error('Map markers.zones must be a list of points.');
+            }
+            markers.zones.forEach((zone, index) => {
+                MapLoader.validatePoint(map, zone, `Zone #${index + 1}`);
+                if (zone.radius !== undefined && !(zone.radius > 0)) {
+                    throw new Error(`Zone #${index + 1} has an invalid radius.`);
+                }
+            });
+        }
+    }
+
+    static validateObstacle(map, obstacle, label) {
+        if (!obstacle || (obstacle.type !== 'rock' && obstacle.type !== 'rectangle')) {
+            throw new Error(`${label} must have type "rock" or "rectangle".`);
+        }
+        MapLoader.validatePoint(map, obstacle, label);
+        if (obstacle.type === 'rock' && !(obstacle.radius > 0)) {
+            throw new Error(`${label} (rock) needs a positive radius.`);
+        }
+        if (obstacle.type === 'rectangle' && !(obstacle.width > 0 && obstacle.height > 0)) {
+            throw new Error(`${label} (rectangle) needs a positive width and height.`);
+        }
+        if (obstacle.color !== undefined && typeof obstacle.color !== 'string') {
+            throw new Error(`${label} has an invalid color.`);
+        }
+        if (obstacle.indestructible !== undefined && typeof obstacle.indestructible !== 'boolean') {
+            throw new Error(`${label} has an invalid indestructible flag (use true or false).`);
+        }
+    }
+
+    static validateTerrain(map, zone, label) {
+        if (!zone || !TERRAIN_TYPES.includes(zone.type)) {
+            throw new Error(`${label} must have type ${TERRAIN_TYPES.map(type => `"${type}"`).join(', ')}.`);
+        }
+        MapLoader.validatePoint(map, zone, label);
+        if (zone.radius !== undefined ? !(zone.radius > 0) : !(zone.width > 0 && zone.height > 0)) {
+            throw new Error(`${label} needs a positive radius, or a positive width and height.`);
+        }
+    }
+
+    static validateEntity(map, entity, label) {
+        if (!entity || !ENTITY_TYPES.includes(entity.type)) {
+            throw new Error(`${label} must have type ${ENTITY_TYPES.map(type => `"${type}"`).join(', ')}.`);
+        }
+        if (entity.type === 'teleporter') {
+            MapLoader.validateOpenPoint(map, entity, `${label} (teleporter)`);
+            MapLoader.validateOpenPoint(map, { x: entity.toX, y: entity.toY }, `${label} (teleporter exit)`);
+            return;
+        }
+        MapLoader.validatePoint(map, entity, label);
+        if (!(entity.width > 0 && entity.height > 0)) {
+            throw new Error(`${label} (${entity.type}) needs a positive width and height.`);
+        }
+        if (entity.type === 'gate' && !ENTITY_CONFIG.GATE_DIRECTIONS[entity.direction]) {
+            throw new Error(`${label} (gate) needs a direction: ${Object.keys(ENTITY_CONFIG.GATE_DIRECTIONS).join(', ')}.`);
+        }
+        if (entity.type === 'slidingWall') {
+            MapLoader.validatePoint(map, { x: entity.toX, y: entity.toY }, `${label} (sliding wall end)`);
+        }
+        ['periodMs', 'openMs', 'closedMs'].forEach(key => {
+            if (entity[key] !== undefined && !(entity[key] > 0)) {
+                throw new Error(`${label} has an invalid ${key} (use a positive number of milliseconds).`);
+            }
+        });
+        if (entity.offsetMs !== undefined && !(entity.offsetMs >= 0)) {
+            throw new Error(`${label} has an invalid offsetMs.`);
+        }
+    }
+
+    static validatePoint(map, point, label) {
+        if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+            throw new Error(`${label} needs numeric x and y.`);
+        }
+        if (point.x < 0 || point.x > map.width || point.y < 0 || point.y > map.height) {
+            throw new Error(`${label} at (${point.x}, ${point.y}) is outside the ${map.width}×${map.height} map.`);
+        }
+    }
+
+    // Points tanks or powerups occupy must leave a tank-sized gap to every obstacle
+    static validateOpenPoint(map, point, label) {
+        MapLoader.validatePoint(map, point, label);
+        const clearance = GAME_CONFIG.TANK_SIZE / 2;
+        const blocking = map.obstacles.findIndex(obstacle => MapLoader.pointBlocked(obstacle, point, clearance));
+        if (blocking !== -1) {
+            throw new Error(`${label} at (${point.x}, ${point.y}) overlaps obstacle #${blocking + 1}.`);
+        }
+    }
+
+    static pointBlocked(obstacle, point, clearance) {
+        if (obstacle.type === 'rock') {
+            return Math.sqrt((point.x - obstacle.x) ** 2 + (point.y - obstacle.y) ** 2) < obstacle.radius + clearance;
+        }
+        return Math.abs(point.x - obstacle.x) < obstacle.width / 2 + clearance &&
+            Math.abs(point.y - obstacle.y) < obstacle.height / 2 + clearance;
+    }
+
+    /**
+     * Copy a validated map, filling in defaults for optional fields
+     * @param {Object} map - Validated map data
+     * @returns {Object} Map with every field present
+     */
+    static normalize(map) {
+        const point = p => ({ x: p.x, y: p.y });
+        const spawns = map.spawns || {};
+        const markers = map.markers || {};
+        return {
+            format: MAP_CONFIG.FORMAT,
+            version: MAP_CONFIG.VERSION,
+            id: map.id || map.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+            name: map.name.trim(),
+            width: map.width,
+            height: map.height,
+            background: map.background || MAP_CONFIG.DEFAULT_BACKGROUND,
+            obstacles: map.obstacles.map(obstacle => Object.assign(obstacle.type === 'rock'
+                ? { type: 'rock', x: obstacle.x, y: obstacle.y, radius: obstacle.radius, color: obstacle.color || MAP_CONFIG.OBSTACLE_COLOR }
+                : { type: 'rectangle', x: obstacle.x, y: obstacle.y, width: obstacle.width, height: obstacle.height, color: obstacle.color || MAP_CONFIG.OBSTACLE_COLOR },
+                obstacle.indestructible ? { indestructible: true } : {})),
+            terrain: (map.terrain || []).map(zone => zone.radius !== undefined
+                ? { type: zone.type, x: zone.x, y: zone.y, radius: zone.radius }
+                : { type: zone.type, x: zone.x, y: zone.y, width: zone.width, height: zone.height }),
+            entities: (map.entities || []).map(entity => MapLoader.normalizeEntity(entity)),
+            spawns: {
+                ffa: (spawns.ffa || []).map(point),
+                red: (spawns.red || []).map(point),
+                blue: (spawns.blue || []).map(point)
+            },
+            powerupSpawns: (map.powerupSpawns || []).map(spawn => Object.assign(point(spawn),
+                spawn.type !== undefined ? { type: spawn.type } : {},
+                spawn.pool !== undefined ? { pool: spawn.pool.slice() } : {},
+                spawn.respawnMs !== undefined ? { respawnMs: spawn.respawnMs } : {})),
+            markers: {
+                flagBases: markers.flagBases ? { red: point(markers.flagBases.red), blue: point(markers.flagBases.blue) } : null,
+                zones: (markers.zones || []).map(zone => zone.radius ? { x: zone.x, y: zone.y, radius: zone.radius } : point(zone))
+            }
+        };
+    }
+
+    static normalizeEntity(entity) {
+        const wall = { type: entity.type, x: entity.x, y: entity.y, width: entity.width, height: entity.height };
+        switch (entity.type) {
+            case 'teleporter':
+                return { type: 'teleporter', x: entity.x, y: entity.y, toX: entity.toX, toY: entity.toY };
+            case 'gate':
+                return Object.assign(wall, { direction: entity.direction });
+            case 'slidingWall':
+                return Object.assign(wall, { toX: entity.toX, toY: entity.toY, periodMs: entity.periodMs || ENTITY_CONFIG.DEFAULT_PERIOD_MS, offsetMs: entity.offsetMs || 0 });
+            default:
+                return Object.assign(wall, {
+                    openMs: entity.openMs || ENTITY_CONFIG.DEFAULT_OPEN_MS,
+                    closedMs: entity.closedMs || ENTITY_CONFIG.DEFAULT_CLOSED_MS,
+                    offsetMs: entity.offsetMs || 0
+                });
+        }
+    }
+
+    /**
+     * Maps saved from the editor (unreadable entries are skipped)
+     * @returns {Array<Object>} Normalized maps
+     */
+    static savedMaps() {
+        if (typeof localStorage === 'undefined') return [];
+        try {
+            const saved = JSON.parse(localStorage.getItem(MAP_CONFIG.STORAGE_KEY) || '[]');
+            return saved.filter(map => {
+                try {
+                    MapLoader.validate(map);
+                    return true;
+                } catch (error) {
+                    console.warn(`Skipping saved map: ${error.message}`);
+                    return false;
+                }
+            }).map(map => MapLoader.normalize(map));
+        } catch (error) {
+            console.warn('Saved maps could not be read:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save a map to localStorage, replacing any saved map with the same id
+     * @param {Object} map - Validated map data
+     */
+    static saveMap(map) {
+        const saved = MapLoader.savedMaps().filter(m => m.id !== map.id);
+        saved.push(MapLoader.normalize(map));
+        localStorage.setItem(MAP_CONFIG.STORAGE_KEY, JSON.stringify(saved));
+    }
+
+    /**
+     * @param {string} id - Id of the saved map to remove
+     */
+    static deleteSavedMap(id) {
+        const saved = MapLoader.savedMaps().filter(m => m.id !== id);
+        localStorage.setItem(MAP_CONFIG.STORAGE_KEY, JSON.stringify(saved));
+    }
+
+    /**
+     * Built-in map by id
+     * @param {string} id - Map id
+     * @returns {Object|null} Normalized map data
+     */
+    static builtIn(id) {
+        const map = BUILT_IN_MAPS.find(m => m.id === id);
+        return map ? MapLoader.normalize(map) : null;
+    }
+
+    /**
+     * Spawn point per tank id for a match on this map. Team modes use the team lists
+     * and FFA spreads tanks over the FFA list (falling back to the team points). With
+     * more tanks than points, the extra ones spawn beside a point already in use.
+     * @param {Object} map - Normalized map data
+     * @param {MultiTanksGame} game - Game with teams assigned
+     * @returns {Array<Object>} Positions indexed by tank id (missing entries use the mode's layout)
+     */
+    static spawnPositions(map, game) {
+        const positions = [];
+        const taken = [];
+        const place = (tankIndex, point) => {
+            const position = MapLoader.freeSpawnNear(map, point, taken);
+            if (position) {
+                positions[tankIndex] = position;
+                taken.push(position);
+            }
+        };
+        const totalTanks = game.numPlayers + game.numAIBots;
+        if (game.isTeamMode()) {
+            if (map.spawns.red.length === 0) return positions;
+            ['red', 'blue'].forEach(team => {
+                const points = map.spawns[team];
+                game.teams[team].forEach((tankIndex, i) => place(tankIndex, points[i % points.length]));
+            });
+            return positions;
+        }
+
+        const points = map.spawns.ffa.length > 0 ? map.spawns.ffa : MapLoader.interleave(map.spawns.red, map.spawns.blue);
+        for (let i = 0; i < totalTanks; i++) {
+            place(i, points[Math.floor(i * points.length / totalTanks) % points.length]);
+        }
+        return positions;
+    }
+
+    /**
+     * A spawn point, or the nearest open spot around it when another tank already spawns there
+     * @param {Object} map - Normalized map data
+     * @param {Object} point - Spawn point from the map
+     * @param {Array<Object>} taken - Positions already handed out
+     * @returns {Object|null} Position, or null when there is no room (the mode's layout is used)
+     */
+    static freeSpawnNear(map, point, taken) {
+        const spacing = GAME_CONFIG.TANK_SIZE * 1.5;
+        const half = GAME_CONFIG.TANK_SIZE / 2;
+        const free = candidate => taken.every(other => Math.hypot(other.x - candidate.x, other.y - candidate.y) >= spacing);
+        if (free(point)) return point;
+        for (let ring = 1; ring <= 2; ring++) {
+            for (let step = 0; step < 8 * ring; step++) {
+                const angle = step * Math.PI * 2 / (8 * ring);
+                const candidate = { x: point.x + Math.cos(angle) * spacing * ring, y: point.y + Math.sin(angle) * spacing * ring };
+                if (candidate.x < half || candidate.y < half || candidate.x > map.width - half || candidate.y > map.height - half) continue;
+                if (map.obstacles.some(obstacle => MapLoader.pointBlocked(obstacle, candidate, half))) continue;
+                if (free(candidate)) return candidate;
+            }
+        }
+        return null;
+    }
+
+    static interleave(a, b) {
+        const result = [];
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            if (i < a.length) result.push(a[i]);
+            if (i < b.length) result.push(b[i]);
+        }
+        return result;
+    }
+}
+
+window.MapLoader = MapLoader;
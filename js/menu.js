@@ -5,7 +5,7 @@
 
 class MenuSystem {
     constructor() {
-        this.currentScreen = 'main'; // 'main', 'playerSelect', 'game'
+        this.currentScreen = 'main'; // 'main', 'playerSelect', 'game', 'editor'
         this.selectedGameMode = GAME_MODES.FFA;
         this.selectedPlayers = 1;
         this.selectedAIBots = 3;
@@ -13,10 +13,31 @@ class MenuSystem {
         this.menuElement = null;
         this.gameElement = null;
         this.teamAssignments = {}; // Store team assignments for TDM
+        this.loadouts = {}; // Starting weapon per player index, plus 'ai' for the bots (see weapons.js)
+        this.botSkills = { ai: AI_SKILL.DEFAULT }; // Skill level per bot tank id, plus 'ai' for the rest (see AI_SKILL)
+        this.tacticsOverlay = false; // Draw the TDM bots' team tactics orders over the map (debugging)
         
         // Campaign settings
         this.selectedCampaignLevel = 1;
         this.selectedCampaignDifficulty = 'MEDIUM';
+        
+        // Match seed ('' = pick a random seed per match)
+        this.matchSeed = '';
+        
+        // Map ('' = random obstacles; otherwise a built-in map id or a loaded file's 'custom:' key)
+        this.selectedMapId = '';
+        this.generatorSettings = { type: GENERATOR_CONFIG.DEFAULT_TYPE, symmetry: GENERATOR_CONFIG.MENU_SYMMETRY, terrain: GENERATOR_CONFIG.MENU_TERRAIN }; // Layout for random maps
+        this.customMaps = {}; // Maps loaded from files this session, by option value
+        
+        // Lives and win conditions for FFA/TDM (objective modes set their own)
+        this.matchRules = Object.assign({}, RESPAWN_CONFIG.DEFAULT_RULES);
+        // Powerup placement, cap and pickup limits (every mode but the campaign)
+        this.powerupRules = {};
+        
+        // Replay viewer
+        this.loadedReplay = null; // Parsed replay chosen in the menu
+        this.replayViewer = null; // Active ReplayViewer while watching
+        this.mapEditor = null; // Active MapEditor while editing maps
     }
 
     /**
@@ -137,9 +158,126 @@ class MenuSystem {
                                 <select id="gameMode" class="player-select">
                                     <option value="${GAME_MODES.FFA}">Free For All (FFA)</option>
                                     <option value="${GAME_MODES.TDM}">Team Deathmatch (TDM)</option>
+                                    <option value="${GAME_MODES.CTF}">Capture the Flag (CTF)</option>
+                                    <option value="${GAME_MODES.KOTH}">King of the Hill (FFA)</option>
+                                    <option value="${GAME_MODES.TEAM_KOTH}">King of the Hill (Teams)</option>
                                     <option value="${GAME_MODES.CAMPAIGN}">Campaign Mode</option>
                                 </select>
                             </div>
+                            <div class="player-selector">
+                                <label for="matchSeed">Match Seed (optional):</label>
+                                <input type="text" id="matchSeed" class="player-select" placeholder="Random">
+                            </div>
+                            <div id="mapSettings">
+                                <div class="player-selector">
+                                    <label for="mapSelect">Map:</label>
+                                    <select id="mapSelect" class="player-select"></select>
+                                </div>
+                                <div id="generatorSettings">
+                                    <div class="player-selector">
+                                        <label for="generatorSelect">Layout:</label>
+                                        <select id="generatorSelect" class="player-select">
+                                            ${window.mapGenerators.list().map(generator => `<option value="${generator.key}">${generator.label}</option>`).join('')}
+                                        </select>
+                                    </div>
+                                    <div class="player-selector">
+                                        <label for="symmetrySelect">Symmetry:</label>
+                                        <select id="symmetrySelect" class="player-select">
+                                            ${Object.entries(MAP_SYMMETRIES).map(([key, symmetry]) => `<option value="${key}">${symmetry.label}</option>`).join('')}
+                                        </select>
+                                    </div>
+                                    <div class="player-selector">
+                                        <label for="terrainSelect">Terrain:</label>
+                                        <select id="terrainSelect" class="player-select">
+                                            <option value="on">Mud, Ice, Water & Boost Pads</option>
+                                            <option value="off">None</option>
+                                        </select>
+                                    </div>
+                                </div>
+                                <div class="player-selector">
+                                    <label for="mapFile">Custom Map File:</label>
+                                    <input type="file" id="mapFile" class="player-select" accept=".json,application/json">
+                                </div>
+                                <p id="mapInfo" class="input-instructions">Random places new obstacles every match.</p>
+                                <button id="mapEditorBtn" class="menu-btn secondary">🗺️ Map Editor</button>
+                            </div>
+                        </div>
+                        
+                        <div class="menu-section" id="matchRulesSection">
+                            <h2>⚔️ Match Rules</h2>
+                            <div class="player-selector">
+                                <label for="livesCount">Lives:</label>
+                                <select id="livesCount" class="player-select">
+                                    <option value="1">1 Life (Elimination)</option>
+                                    <option value="3">3 Lives</option>
+                                    <option value="5">5 Lives</option>
+                                    <option value="0">Unlimited</option>
+                                </select>
+                            </div>
+                            <div class="player-selector">
+                                <label for="fragLimit">Frag Limit:</label>
+                                <select id="fragLimit" class="player-select">
+                                    <option value="0">None</option>
+                                    <option value="5">5 Frags</option>
+                                    <option value="10">10 Frags</option>
+                                    <option value="20">20 Frags</option>
+                                    <option value="30">30 Frags</option>
+                                </select>
+                            </div>
+                            <div class="player-selector">
+                                <label for="timeLimit">Time Limit:</label>
+                                <select id="timeLimit" class="player-select">
+                                    <option value="0">None</option>
+                                    <option value="180000">3 Minutes</option>
+                                    <option value="300000">5 Minutes</option>
+                                    <option value="600000">10 Minutes</option>
+                                </select>
+                            </div>
+                            <div class="player-selector">
+                                <label for="respawnDelay">Respawn Delay:</label>
+                                <select id="respawnDelay" class="player-select">
+                                    <option value="1000">1 Second</option>
+                                    <option value="3000" selected>3 Seconds</option>
+                                    <option value="5000">5 Seconds</option>
+                                </select>
+                            </div>
+                        </div>
+                        
+                        <div class="menu-section" id="powerupRulesSection">
+                            <h2>🎁 Powerups</h2>
+                            <div class="player-selector">
+                                <label for="powerupPlacement">Placement:</label>
+                                <select id="powerupPlacement" class="player-select">
+                                    <option value="random">Random Spots</option>
+                                    <option value="pads">Fixed Pads (Timed)</option>
+                                </select>
+                            </div>
+                            <div class="player-selector">
+                                <label for="padRespawn">Pad Respawn:</label>
+                                <select id="padRespawn" class="player-select">
+                                    <option value="10000">10 Seconds</option>
+                                    <option value="20000" selected>20 Seconds</option>
+                                    <option value="30000">30 Seconds</option>
+                                    <option value="60000">60 Seconds</option>
+                                </select>
+                            </div>
+                            <div class="player-selector">
+                                <label for="maxPowerups">Max On Map:</label>
+                                <select id="maxPowerups" class="player-select">
+                                    <option value="0">No Cap</option>
+                                    <option value="1">1</option>
+                                    <option value="3">3</option>
+                                    <option value="5">5</option>
+                                </select>
+                            </div>
+                            <div class="player-selector">
+                                <label for="healthPickup">Health Pickups:</label>
+                                <select id="healthPickup" class="player-select">
+                                    <option value="0">Any Time</option>
+                                    <option value="0.5">Below 50% Health</option>
+                                    <option value="0.25">Below 25% Health</option>
+                                </select>
+                            </div>
                         </div>
                         
                         <div class="menu-section" id="playerSelectionSection">
@@ -169,6 +307,13 @@ class MenuSystem {
                                     <option value="8">8 AI Bots</option>
                                 </select>
                             </div>
+                            
+                            <div class="player-selector">
+                                <label for="botSkill">Bot Skill:</label>
+                                <select id="botSkill" class="player-select">
+                                    ${this.skillOptionsHTML(AI_SKILL.DEFAULT, false)}
+                                </select>
+                            </div>
                         </div>
                         
                         <div class="menu-section">
@@ -272,6 +417,16 @@ class MenuSystem {
                             </div>
                         </div>
                         
+                        <div class="menu-section">
+                            <h2>📼 Replays</h2>
+                            <div class="player-selector">
+                                <label for="replayFile">Replay File:</label>
+                                <input type="file" id="replayFile" class="player-select" accept=".json,application/json">
+                            </div>
+                            <p id="replayInfo" class="input-instructions">Finished matches can be downloaded from the statistics screen.</p>
+                            <button id="watchReplayBtn" class="menu-btn secondary" disabled>Watch Replay</button>
+                        </div>
+                        
                         <div class="menu-section">
                             <button id="startGameBtn" class="menu-btn start" disabled>Start Game</button>
                             <button id="audioToggleBtn" class="menu-btn secondary">🔊 Audio: ON</button>
@@ -319,14 +474,98 @@ class MenuSystem {
             this.updateStartButton();
         });
         
+        // Bot skill for the whole group (bots can be set one by one on the assignment screen)
+        document.getElementById('botSkill').addEventListener('change', (e) => {
+            this.botSkills.ai = e.target.value;
+        });
+        
         // Game mode selection
         document.getElementById('gameMode').addEventListener('change', (e) => {
             this.selectedGameMode = e.target.value;
             this.updatePlayerSelectionUI();
             this.updateCampaignSettings();
+            document.getElementById('matchRulesSection').style.display = this.usesMatchRules() ? 'block' : 'none';
+            document.getElementById('powerupRulesSection').style.display = this.selectedGameMode === GAME_MODES.CAMPAIGN ? 'none' : 'block';
+            document.getElementById('mapSettings').style.display = this.selectedGameMode === GAME_MODES.CAMPAIGN ? 'none' : 'block';
             this.updateStartButton();
         });
         
+        // Map selection
+        document.getElementById('mapSelect').addEventListener('change', (e) => {
+            this.selectedMapId = e.target.value;
+            this.updateMapInfo();
+        });
+        
+        document.getElementById('generatorSelect').value = this.generatorSettings.type;
+        document.getElementById('generatorSelect').addEventListener('change', (e) => {
+            this.generatorSettings.type = e.target.value;
+        });
+        document.getElementById('symmetrySelect').value = this.generatorSettings.symmetry;
+        document.getElementById('symmetrySelect').addEventListener('change', (e) => {
+            this.generatorSettings.symmetry = e.target.value;
+        });
+        document.getElementById('terrainSelect').value = this.generatorSettings.terrain ? 'on' : 'off';
+        document.getElementById('terrainSelect').addEventListener('change', (e) => {
+            this.generatorSettings.terrain = e.target.value === 'on';
+        });
+        
+        document.getElementById('mapFile').addEventListener('change', (e) => {
+            this.loadMapFile(e.target.files[0]);
+        });
+        
+        document.getElementById('mapEditorBtn').addEventListener('click', () => {
+            this.openMapEditor();
+        });
+        this.refreshMapOptions();
+        
+        // Match rules
+        document.getElementById('livesCount').addEventListener('change', (e) => {
+            this.matchRules.lives = parseInt(e.target.value);
+        });
+        
+        document.getElementById('fragLimit').addEventListener('change', (e) => {
+            this.matchRules.scoreLimit = parseInt(e.target.value);
+        });
+        
+        document.getElementById('timeLimit').addEventListener('change', (e) => {
+            this.matchRules.timeLimitMs = parseInt(e.target.value);
+        });
+        
+        document.getElementById('respawnDelay').addEventListener('change', (e) => {
+            this.matchRules.respawnDelayMs = parseInt(e.target.value);
+        });
+        
+        // Powerup rules
+        document.getElementById('powerupPlacement').addEventListener('change', (e) => {
+            this.powerupRules.powerupPads = e.target.value === 'pads';
+        });
+        
+        document.getElementById('padRespawn').addEventListener('change', (e) => {
+            this.powerupRules.padRespawnMs = parseInt(e.target.value);
+        });
+        
+        document.getElementById('maxPowerups').addEventListener('change', (e) => {
+            this.powerupRules.maxPowerups = parseInt(e.target.value);
+        });
+        
+        document.getElementById('healthPickup').addEventListener('change', (e) => {
+            this.powerupRules.healthPickupBelow = parseFloat(e.target.value);
+        });
+        
+        // Match seed (same seed + same inputs = same match)
+        document.getElementById('matchSeed').addEventListener('input', (e) => {
+            this.matchSeed = e.target.value.trim();
+        });
+        
+        // Replay file selection
+        document.getElementById('replayFile').addEventListener('change', (e) => {
+            this.loadReplayFile(e.target.files[0]);
+        });
+        
+        document.getElementById('watchReplayBtn').addEventListener('click', () => {
+            this.startReplay();
+        });
+        
         // Campaign settings
         document.getElementById('campaignPlayerCount').addEventListener('change', (e) => {
             this.selectedPlayers = parseInt(e.target.value);
@@ -558,6 +797,25 @@ class MenuSystem {
         this.generatePlayerAssignment();
     }
 
+    /**
+     * Whether the selected mode splits tanks into red and blue teams (TDM, CTF)
+     * @returns {boolean}
+     */
+    isTeamModeSelected() {
+        const mode = window.modeManager.getMode(this.selectedGameMode);
+        return !!(mode && mode.teamBased);
+    }
+
+    /**
+     * Whether the selected mode takes lives and win conditions from the menu
+     * (objective modes and the campaign fix their own through respawnRules)
+     * @returns {boolean}
+     */
+    usesMatchRules() {
+        const mode = window.modeManager.getMode(this.selectedGameMode);
+        return !!(mode && !mode.respawnRules);
+    }
+
     /**
      * Generate player assignment display
      */
@@ -565,19 +823,21 @@ class MenuSystem {
         const assignmentElement = document.getElementById('playerAssignment');
         assignmentElement.innerHTML = '';
         
-        // Initialize team assignments
+        // Initialize team assignments, loadouts and per-bot skills (the group skill stays)
         this.teamAssignments = {};
+        this.loadouts = { ai: WEAPON_CONFIG.DEFAULT };
+        this.botSkills = { ai: this.botSkills.ai };
         
         for (let i = 0; i < this.selectedPlayers; i++) {
             const playerDiv = document.createElement('div');
             playerDiv.className = 'player-assignment-item';
             
             // Default team assignment for TDM
-            if (this.selectedGameMode === GAME_MODES.TDM) {
+            if (this.isTeamModeSelected()) {
                 this.teamAssignments[i] = i % 2 === 0 ? 'red' : 'blue';
             }
             
-            const teamSelectHTML = this.selectedGameMode === GAME_MODES.TDM ? `
+            const teamSelectHTML = this.isTeamModeSelected() ? `
                 <div class="team-selection">
                     <label>Team:</label>
                     <select class="team-select" data-player="${i}">
@@ -586,14 +846,21 @@ class MenuSystem {
                     </select>
                 </div>
             ` : '';
+            this.loadouts[i] = WEAPON_CONFIG.DEFAULT;
             
             playerDiv.innerHTML = `
                 <div class="player-info">
-                    <div class="player-color" style="background-color: ${this.selectedGameMode === GAME_MODES.TDM ? GAME_CONFIG.TEAM_COLORS[this.teamAssignments[i].toUpperCase()] : TANK_COLORS[i]}"></div>
+                    <div class="player-color" style="background-color: ${this.isTeamModeSelected() ? GAME_CONFIG.TEAM_COLORS[this.teamAssignments[i].toUpperCase()] : TANK_COLORS[i]}"></div>
                     <div class="player-details">
                         <h3>Player ${i + 1}</h3>
                         <p>Octave ${i + 1} (Notes ${MIDI_CONFIG.OCTAVE_BASES[i]}-${MIDI_CONFIG.OCTAVE_BASES[i] + 6})</p>
                         ${teamSelectHTML}
+                        <div class="team-selection">
+                            <label>Weapon:</label>
+                            <select class="weapon-select" data-player="${i}">
+                                ${this.weaponOptionsHTML(false)}
+                            </select>
+                        </div>
                         <div class="player-controls">
                             <div class="control-note">A# (${getNoteForPlayer(i, 'A_SHARP')}) - Up</div>
                             <div class="control-note">A (${getNoteForPlayer(i, 'A')}) - Left</div>
@@ -614,7 +881,7 @@ class MenuSystem {
             const aiDiv = document.createElement('div');
             aiDiv.className = 'player-assignment-item ai';
             
-            const aiTeamSelectHTML = this.selectedGameMode === GAME_MODES.TDM ? `
+            const aiTeamSelectHTML = this.isTeamModeSelected() ? `
                 <div class="ai-team-selection">
                     <label>AI Team Distribution:</label>
                     <div class="ai-team-distribution">
@@ -630,6 +897,17 @@ class MenuSystem {
                 </div>
             ` : '';
             
+            // Debug view of the TDM team tactics coordinator
+            const tacticsOverlayHTML = this.selectedGameMode === GAME_MODES.TDM ? `
+                <div class="team-selection">
+                    <label>Tactics Overlay:</label>
+                    <select id="tacticsOverlay">
+                        <option value="off" ${this.tacticsOverlay ? '' : 'selected'}>Off</option>
+                        <option value="on" ${this.tacticsOverlay ? 'selected' : ''}>On</option>
+                    </select>
+                </div>
+            ` : '';
+            
             aiDiv.innerHTML = `
                 <div class="player-info">
                     <div class="player-color ai-color">🤖</div>
@@ -637,6 +915,14 @@ class MenuSystem {
                         <h3>AI Bots</h3>
                         <p>${this.selectedAIBots} AI-controlled tanks</p>
                         ${aiTeamSelectHTML}
+                        <div class="team-selection">
+                            <label>Weapon:</label>
+                            <select class="weapon-select" data-player="ai">
+                                ${this.weaponOptionsHTML(true)}
+                            </select>
+                        </div>
+                        ${this.botSkillsHTML()}
+                        ${tacticsOverlayHTML}
                     </div>
                 </div>
             `;
@@ -644,9 +930,86 @@ class MenuSystem {
         }
         
         // Add event listeners for team selection
-        if (this.selectedGameMode === GAME_MODES.TDM) {
+        if (this.isTeamModeSelected()) {
             this.setupTeamSelectionListeners();
         }
+        
+        // Weapon loadouts
+        document.querySelectorAll('.weapon-select').forEach(select => {
+            select.addEventListener('change', (e) => {
+                this.loadouts[e.target.dataset.player] = e.target.value;
+            });
+        });
+        
+        // Per-bot skill levels ('' follows the group)
+        document.querySelectorAll('.skill-select').forEach(select => {
+            select.addEventListener('change', (e) => {
+                if (e.target.value) {
+                    this.botSkills[e.target.dataset.bot] = e.target.value;
+                } else {
+                    delete this.botSkills[e.target.dataset.bot];
+                }
+            });
+        });
+        
+        const tacticsOverlay = document.getElementById('tacticsOverlay');
+        if (tacticsOverlay) {
+            tacticsOverlay.addEventListener('change', (e) => {
+                this.tacticsOverlay = e.target.value === 'on';
+            });
+        }
+    }
+    
+    /**
+     * Skill dropdown for every bot, keyed by the bot's tank id (bots come after the players)
+     * @returns {string} HTML
+     */
+    botSkillsHTML() {
+        let html = '';
+        for (let i = 0; i < this.selectedAIBots; i++) {
+            html += `
+                <div class="team-selection">
+                    <label>Bot ${i + 1} Skill:</label>
+                    <select class="skill-select" data-bot="${this.selectedPlayers + i}">
+                        ${this.skillOptionsHTML('', true)}
+                    </select>
+                </div>
+            `;
+        }
+        return html;
+    }
+    
+    /**
+     * Options for a bot skill dropdown
+     * @param {string} selected - Level preselected ('' for the group option)
+     * @param {boolean} allowGroup - Offer following the group's skill
+     * @returns {string} HTML
+     */
+    skillOptionsHTML(selected, allowGroup) {
+        const options = AI_SKILL_LEVELS.map(level => {
+            const skill = AI_SKILL[level];
+            return `<option value="${level}" ${level === selected ? 'selected' : ''}>${skill.emoji} ${skill.name}</option>`;
+        });
+        if (allowGroup) {
+            options.unshift(`<option value="" ${selected ? '' : 'selected'}>👥 Same as group</option>`);
+        }
+        return options.join('');
+    }
+    
+    /**
+     * Options for a loadout dropdown (the default weapon preselected)
+     * @param {boolean} allowRandom - Offer a random weapon per tank (bots)
+     * @returns {string} HTML
+     */
+    weaponOptionsHTML(allowRandom) {
+        const options = WEAPON_TYPES.map(type => {
+            const weapon = WEAPON_CONFIG.WEAPONS[type];
+            return `<option value="${type}" ${type === WEAPON_CONFIG.DEFAULT ? 'selected' : ''}>${weapon.emoji} ${weapon.name}</option>`;
+        });
+        if (allowRandom) {
+            options.push('<option value="random">🎲 Random</option>');
+        }
+        return options.join('');
     }
     
     /**
@@ -692,9 +1055,10 @@ class MenuSystem {
     }
 
     /**
-     * Start the game
+     * Hide the menu and create a fresh game canvas
+     * @returns {HTMLCanvasElement} The new canvas
      */
-    async startGame() {
+    createGameCanvas() {
         // Hide menu
         this.menuElement.classList.add('hidden');
         // Stop menu music before starting game
@@ -724,9 +1088,18 @@ class MenuSystem {
         // Force a reflow
         newCanvas.offsetHeight;
         
+        return newCanvas;
+    }
+
+    /**
+     * Start the game
+     */
+    async startGame() {
+        this.createGameCanvas();
+        
         // Get AI team distribution for TDM
         let aiTeamDistribution = null;
-        if (this.selectedGameMode === GAME_MODES.TDM) {
+        if (this.isTeamModeSelected()) {
             const redAICount = document.getElementById('redAICount');
             const blueAICount = document.getElementById('blueAICount');
             if (redAICount && blueAICount) {
@@ -739,10 +1112,17 @@ class MenuSystem {
         
         // Initialize game
         window.game = new MultiTanksGame();
+        const matchOptions = { seed: this.matchSeed, map: this.getSelectedMap(), generator: Object.assign({}, this.generatorSettings) };
+        if (this.selectedGameMode !== GAME_MODES.CAMPAIGN) {
+            matchOptions.loadouts = Object.assign({}, this.loadouts);
+            matchOptions.rules = Object.assign({}, this.usesMatchRules() ? this.matchRules : {}, this.powerupRules);
+            matchOptions.botSkills = Object.assign({}, this.botSkills);
+            matchOptions.tacticsOverlay = this.selectedGameMode === GAME_MODES.TDM && this.tacticsOverlay;
+        }
         
         if (this.selectedGameMode === GAME_MODES.CAMPAIGN) {
             // Campaign mode initialization
-            await window.game.initialize(this.gameElement, this.selectedPlayers, this.selectedAIBots, this.selectedGameMode, this.teamAssignments, aiTeamDistribution);
+            await window.game.initialize(this.gameElement, this.selectedPlayers, this.selectedAIBots, this.selectedGameMode, this.teamAssignments, aiTeamDistribution, matchOptions);
             
             // Set campaign-specific settings
             if (window.game.mode) {
@@ -752,12 +1132,148 @@ class MenuSystem {
             }
         } else {
             // Regular mode initialization
-            await window.game.initialize(this.gameElement, this.selectedPlayers, this.selectedAIBots, this.selectedGameMode, this.teamAssignments, aiTeamDistribution);
+            await window.game.initialize(this.gameElement, this.selectedPlayers, this.selectedAIBots, this.selectedGameMode, this.teamAssignments, aiTeamDistribution, matchOptions);
         }
         
         this.currentScreen = 'game';
     }
 
+    /**
+     * Map data for the current map selection
+     * @returns {Object|null} Normalized map, or null for random obstacles
+     */
+    getSelectedMap() {
+        if (!this.selectedMapId) return null;
+        if (this.selectedMapId.startsWith('saved:')) {
+            const id = this.selectedMapId.slice('saved:'.length);
+            return MapLoader.savedMaps().find(map => map.id === id) || null;
+        }
+        return this.customMaps[this.selectedMapId] || MapLoader.builtIn(this.selectedMapId);
+    }
+
+    /**
+     * Fill the map dropdown: random, built-in, saved in this browser and loaded from files
+     */
+    refreshMapOptions() {
+        const select = document.getElementById('mapSelect');
+        const options = [{ value: '', label: 'Random' }]
+            .concat(BUILT_IN_MAPS.map(map => ({ value: map.id, label: map.name })))
+            .concat(MapLoader.savedMaps().map(map => ({ value: `saved:${map.id}`, label: `💾 ${map.name}` })))
+            .concat(Object.entries(this.customMaps).map(([key, map]) => ({ value: key, label: `📁 ${map.name}` })));
+        select.innerHTML = options.map(option => `<option value="${option.value}">${option.label}</option>`).join('');
+        if (!options.some(option => option.value === this.selectedMapId)) {
+            this.selectedMapId = '';
+        }
+        select.value = this.selectedMapId;
+        this.updateMapInfo();
+    }
+
+    /**
+     * Describe the selected map under the map dropdown
+     */
+    updateMapInfo() {
+        const info = document.getElementById('mapInfo');
+        const map = this.getSelectedMap();
+        info.style.color = '';
+        document.getElementById('generatorSettings').style.display = map ? 'none' : 'block';
+        if (!map) {
+            info.textContent = 'Random places new obstacles every match.';
+            return;
+        }
+        const teamSpawns = map.spawns.red.length > 0 ? ` · ${map.spawns.red.length}v${map.spawns.blue.length} team spawns` : '';
+        info.textContent = `${map.name} · ${map.width}×${map.height} · ${map.obstacles.length} obstacles · ` +
+            `${map.spawns.ffa.length} FFA spawns${teamSpawns}`;
+    }
+
+    /**
+     * Read and validate a map file chosen in the menu, adding it to the map dropdown
+     * @param {File} file - Selected file
+     */
+    async loadMapFile(file) {
+        if (!file) return;
+        const info = document.getElementById('mapInfo');
+        try {
+            const map = MapLoader.parse(await file.text());
+            const key = `custom:${map.id}`;
+            const select = document.getElementById('mapSelect');
+            if (!this.customMaps[key]) {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = `📁 ${map.name}`;
+                select.appendChild(option);
+            }
+            this.customMaps[key] = map;
+            select.value = key;
+            this.selectedMapId = key;
+            this.updateMapInfo();
+        } catch (error) {
+            info.textContent = `❌ ${error.message}`;
+            info.style.color = '#f44336';
+        }
+    }
+
+    /**
+     * Read and validate a replay file chosen in the menu
+     * @param {File} file - Selected file
+     */
+    async loadReplayFile(file) {
+        const info = document.getElementById('replayInfo');
+        const watchBtn = document.getElementById('watchReplayBtn');
+        this.loadedReplay = null;
+        watchBtn.disabled = true;
+        if (!file) return;
+        
+        try {
+            const replay = ReplayPlayer.parse(await file.text());
+            const settings = replay.settings;
+            const seconds = Math.round(replay.endTick / replay.tickRate);
+            const level = settings.campaignLevel ? ` level ${settings.campaignLevel}` : '';
+            info.textContent = `${settings.gameMode.toUpperCase()}${level} · ${settings.numPlayers} players, ${settings.numAIBots} bots · ` +
+                `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} · seed ${replay.seed}` +
+                (replay.winner ? ` · winner: ${replay.winner}` : '');
+            info.style.color = '';
+            this.loadedReplay = replay;
+            watchBtn.disabled = false;
+        } catch (error) {
+            info.textContent = `❌ ${error.message}`;
+            info.style.color = '#f44336';
+        }
+    }
+
+    /**
+     * Watch the loaded replay
+     */
+    async startReplay() {
+        if (!this.loadedReplay) return;
+        const canvas = this.createGameCanvas();
+        this.replayViewer = new ReplayViewer(new ReplayPlayer(this.loadedReplay), canvas);
+        await this.replayViewer.start();
+        this.currentScreen = 'game';
+    }
+
+    /**
+     * Open the map editor, starting from the selected map
+     */
+    openMapEditor() {
+        const canvas = this.createGameCanvas();
+        this.mapEditor = new MapEditor(canvas, {
+            map: this.getSelectedMap(),
+            numPlayers: this.selectedPlayers,
+            numAIBots: this.selectedAIBots,
+            onExit: () => this.closeMapEditor()
+        });
+        this.mapEditor.start();
+        this.currentScreen = 'editor';
+    }
+
+    /**
+     * Leave the map editor; maps saved there show up in the map dropdown
+     */
+    closeMapEditor() {
+        this.returnToMenu();
+        this.refreshMapOptions();
+    }
+
     /**
      * Show main menu
      */
@@ -782,6 +1298,14 @@ class MenuSystem {
      * Return to menu from game
      */
     returnToMenu() {
+        if (this.replayViewer) {
+            this.replayViewer.destroy();
+            this.replayViewer = null;
+        }
+        if (this.mapEditor) {
+            this.mapEditor.destroy();
+            this.mapEditor = null;
+        }
         if (window.game) {
             window.game.stop();
             window.game = null;
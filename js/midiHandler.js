@@ -251,7 +251,7 @@ class MidiHandler {
      * @param {KeyboardEvent} event - Keyboard event
      */
     handleKeyDown(event) {
-        if (!this.keyboardFallback) return;
+        if (!this.keyboardFallback || this.isTextEntryTarget(event.target)) return;
         
         const mapping = this.keyboardMapping[event.code];
         if (!mapping) return;
@@ -280,7 +280,7 @@ class MidiHandler {
      * @param {KeyboardEvent} event - Keyboard event
      */
     handleKeyUp(event) {
-        if (!this.keyboardFallback) return;
+        if (!this.keyboardFallback || this.isTextEntryTarget(event.target)) return;
         
         const mapping = this.keyboardMapping[event.code];
         if (!mapping) return;
@@ -304,6 +304,15 @@ class MidiHandler {
         this.triggerCallbacks(controlEvent);
     }
 
+    /**
+     * Check whether a key event is aimed at a form field (e.g. the seed box)
+     * @param {EventTarget} target - Keyboard event target
+     * @returns {boolean} True if the keys should be left to the field
+     */
+    isTextEntryTarget(target) {
+        return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA');
+    }
+
     /**
      * Get connection status (true if MIDI connected OR keyboard fallback active)
      * @returns {boolean} Connection status
@@ -54,6 +54,14 @@ const CampaignMode = {
         // Clear all game objects (bullets, powerups, etc.)
         game.clearGameObjects();
         
+        // Each level has its own seed derived from the match seed: a level restart reproduces
+        // the same layout, without every level repeating the same random sequence
+        this.levelSeed = SeededRandom.normalizeSeed(`${game.matchSeed}:${this.currentLevel}`);
+        game.restartRandom(this.levelSeed);
+        console.log(`🎲 Level seed: ${this.levelSeed}`);
+        // Each level runs on its own clock (and is its own replay recording)
+        game.resetClock();
+        
         this.enemies = [];
         this.levelStats = {
             enemiesKilled: 0,
@@ -94,15 +102,26 @@ const CampaignMode = {
         this.initializeCamera(game);
         
         // Play level-specific music
-        if (window.audioSystem) {
-            const track = this.musicTrack(game);
-            window.audioSystem.playMusic(track, true);
-        }
+        game.playMusic(this.musicTrack(game), true);
         
         // Start the game loop now that level is initialized
         game.gameState = GAME_STATES.PLAYING;
-        game.lastTime = performance.now();
-        game.gameLoop();
+        game.startRecording();
+        game.startLoop();
+    },
+    
+    replaySettings(game) {
+        return {
+            campaignLevel: this.currentLevel,
+            campaignDifficulty: this.difficulty,
+            campaignLevelSeed: this.levelSeed // Derived from the match seed again on playback
+        };
+    },
+    
+    startFromReplay(game, settings) {
+        this.currentLevel = settings.campaignLevel || 1;
+        this.difficulty = settings.campaignDifficulty || 'MEDIUM';
+        this.initializeLevel(game);
     },
     
     initializePlayerTanks(game) {
@@ -125,11 +144,12 @@ const CampaignMode = {
     },
     
     createPlayerTank(position, playerIndex, game) {
+        const loadout = game.loadoutFor(playerIndex, false);
         const tank = {
             id: playerIndex,
             x: position.x,
             y: position.y,
-            angle: Math.random() * Math.PI * 2, // Random initial rotation
+            angle: game.rng.range(0, Math.PI * 2), // Random initial rotation
             turretAngle: 0,
             health: GAME_CONFIG.TANK_HEALTH,
             maxHealth: GAME_CONFIG.TANK_HEALTH,
@@ -138,7 +158,7 @@ const CampaignMode = {
             isPlayer: true,
             team: null, // No teams in campaign
             name: `Player ${playerIndex + 1}`,
-            lastShot: 0,
+            lastShot: -Infinity,
             size: GAME_CONFIG.TANK_SIZE,
             speed: GAME_CONFIG.TANK_SPEED,
             turretLength: GAME_CONFIG.TURRET_LENGTH,
@@ -155,13 +175,12 @@ const CampaignMode = {
             killedBy: null,
             
             // Powerups (arrays for stacking)
-            powerups: {
-                invincibility: [],
-                speed: [],
-                rapidFire: [],
-                spreadShot: [],
-                bouncingBullets: []
-            }
+            powerups: GamePowerups.createSlots(),
+            
+            // Weapons (see weapons.js)
+            loadout: loadout,
+            weapon: loadout,
+            weaponAmmo: null
         };
         
         // Initialize statistics
@@ -231,10 +250,11 @@ const CampaignMode = {
         }
         console.log('🎯 Enemy config:', config);
         
+        const spawnPosition = this.getRandomSpawnPosition(game);
         const enemy = {
             type: type,
-            x: this.getRandomSpawnPosition(game).x,
-            y: this.getRandomSpawnPosition(game).y,
+            x: spawnPosition.x,
+            y: spawnPosition.y,
             size: config.size,
             health: config.health,
             maxHealth: config.health,
@@ -242,7 +262,7 @@ const CampaignMode = {
             // Colors pulled from configuration map
             color: CAMPAIGN_CONFIG.ENEMY_COLORS[type] || '#d06bff',
             isAlive: true,
-            lastShot: 0,
+            lastShot: -Infinity,
             fireRate: config.fireRate,
             bulletSpeed: config.bulletSpeed,
             bulletDamage: config.bulletDamage,
@@ -254,13 +274,13 @@ const CampaignMode = {
             isEnraged: false,
             radialBullets: config.radialBullets || 0,
             radialFireRate: config.radialFireRate || 0,
-            lastRadialShot: 0,
+            lastRadialShot: -Infinity,
             angle: 0, // For turret rotation
             target: null,
             // Tracking for shot leading
             lastTargetX: 0,
             lastTargetY: 0,
-            lastTargetTime: Date.now(),
+            lastTargetTime: game.now(),
             targetVelX: 0,
             targetVelY: 0
         };
@@ -279,8 +299,8 @@ const CampaignMode = {
         const attempts = CAMPAIGN_CONFIG.ENEMY_SPAWN_ATTEMPTS;
         
         for (let i = 0; i < attempts; i++) {
-            const x = margin + Math.random() * (GAME_CONFIG.MAP_WIDTH - 2 * margin);
-            const y = margin + Math.random() * (GAME_CONFIG.MAP_HEIGHT - 2 * margin);
+            const x = game.rng.range(margin, GAME_CONFIG.MAP_WIDTH - margin);
+            const y = game.rng.range(margin, GAME_CONFIG.MAP_HEIGHT - margin);
             
             // Check if position is far enough from players
             const playerPositions = game.tanks.filter(t => t.isPlayer).map(t => ({ x: t.x, y: t.y }));
@@ -302,8 +322,8 @@ const CampaignMode = {
         
         // Fallback to center area if no valid position found
         return {
-            x: GAME_CONFIG.MAP_WIDTH * CAMPAIGN_CONFIG.ENEMY_FALLBACK_SPAWN_X_FACTOR + Math.random() * GAME_CONFIG.MAP_WIDTH * CAMPAIGN_CONFIG.ENEMY_FALLBACK_SPAWN_RANGE_FACTOR,
-            y: GAME_CONFIG.MAP_HEIGHT * CAMPAIGN_CONFIG.ENEMY_FALLBACK_SPAWN_X_FACTOR + Math.random() * GAME_CONFIG.MAP_HEIGHT * CAMPAIGN_CONFIG.ENEMY_FALLBACK_SPAWN_RANGE_FACTOR
+            x: GAME_CONFIG.MAP_WIDTH * CAMPAIGN_CONFIG.ENEMY_FALLBACK_SPAWN_X_FACTOR + game.rng.next() * GAME_CONFIG.MAP_WIDTH * CAMPAIGN_CONFIG.ENEMY_FALLBACK_SPAWN_RANGE_FACTOR,
+            y: GAME_CONFIG.MAP_HEIGHT * CAMPAIGN_CONFIG.ENEMY_FALLBACK_SPAWN_X_FACTOR + game.rng.next() * GAME_CONFIG.MAP_HEIGHT * CAMPAIGN_CONFIG.ENEMY_FALLBACK_SPAWN_RANGE_FACTOR
         };
     },
     
@@ -316,7 +336,7 @@ const CampaignMode = {
                 id: `aiAlly_${i}`, // Add unique ID for AI allies
                 x: CAMPAIGN_CONFIG.PLAYER_SPAWN.x + (i % 4) * CAMPAIGN_CONFIG.PLAYER_SPAWN.spacing,
                 y: CAMPAIGN_CONFIG.PLAYER_SPAWN.y + Math.floor(i / 4) * CAMPAIGN_CONFIG.PLAYER_SPAWN.spacing,
-                angle: Math.random() * Math.PI * 2, // Random initial rotation
+                angle: game.rng.range(0, Math.PI * 2), // Random initial rotation
                 turretAngle: 0,
                 health: GAME_CONFIG.TANK_HEALTH,
                 maxHealth: GAME_CONFIG.TANK_HEALTH,
@@ -327,7 +347,7 @@ const CampaignMode = {
                 isPlayer: false, // Not a human player
                 team: 'player', // Same team as players
                 name: `AI Ally ${i + 1}`,
-                lastShot: 0,
+                lastShot: -Infinity,
                 size: GAME_CONFIG.TANK_SIZE,
                 speed: GAME_CONFIG.TANK_SPEED,
                 turretLength: GAME_CONFIG.TURRET_LENGTH,
@@ -343,20 +363,14 @@ const CampaignMode = {
                 killedBy: null,
                 
                 // Powerups (arrays for stacking) - same as regular tanks
-                powerups: {
-                    invincibility: [],
-                    speed: [],
-                    rapidFire: [],
-                    spreadShot: [],
-                    bouncingBullets: []
-                },
+                powerups: GamePowerups.createSlots(),
                 
                 // AI-specific properties (same as regular AI tanks)
                 aiTarget: null,
                 aiState: 'patrol', // 'patrol', 'chase', 'attack'
                 aiTimer: 0,
-                aiDirection: Math.random() * Math.PI * 2,
-                aiOrbitDirection: Math.random() < 0.5 ? 1 : -1, // 1 for clockwise, -1 for counterclockwise
+                aiDirection: game.rng.range(0, Math.PI * 2),
+                aiOrbitDirection: game.rng.sign(), // 1 for clockwise, -1 for counterclockwise
                 aiOrbitAngle: 0, // Current orbit angle around target
                 aiRetreatEndTime: 0, // When to stop retreating
                 aiLastTargetX: 0, // Last known target X position for movement tracking
@@ -366,12 +380,23 @@ const CampaignMode = {
                 aiPowerupChaseStartTime: 0, // When AI started chasing current powerup
                 aiCurrentPowerupId: null, // ID of powerup currently being chased
                 aiPowerupCooldownEndTime: 0, // When AI can start chasing powerups again
+                aiReactTargetId: null, // Target the reaction delay was last started for
+                aiReactUntil: 0, // When the ally may open fire on that target
+                aiAimError: 0, // Radians the next shot is off by (rolled below)
+                skill: CAMPAIGN_CONFIG.DIFFICULTY[this.difficulty].allySkill, // AI_SKILL level, set by the campaign difficulty
+                persona: null, // Behavior persona (see aiPersonas.js)
+                aiActivity: null, // Behavior tree action that ran last tick
+                aiCampSpot: null, // Where a camper waits
+                aiCampShotTime: 0, // Last time a camper had a shot
                 
                 // Campaign-specific properties
                 followDistance: CAMPAIGN_CONFIG.AI_ALLIES.followDistance,
                 targetRange: CAMPAIGN_CONFIG.AI_ALLIES.targetRange
             };
             
+            ally.persona = window.aiPersonaRegistry.pick(game, ally);
+            AIBehavior.rollAimError(game, ally);
+            
             this.aiAllies.push(ally);
             game.tanks.push(ally);
             game.aiBots.push(ally); // Add to aiBots array for proper tracking
@@ -435,8 +460,8 @@ const CampaignMode = {
         game.camera.y += (game.camera.targetY - game.camera.y) * followSpeed;
         
         // Clamp camera to map bounds
-        game.camera.x = Math.max(0, Math.min(game.camera.x, GAME_CONFIG.MAP_WIDTH - window.innerWidth));
-        game.camera.y = Math.max(0, Math.min(game.camera.y, GAME_CONFIG.MAP_HEIGHT - window.innerHeight));
+        game.camera.x = Math.max(0, Math.min(game.camera.x, GAME_CONFIG.MAP_WIDTH - game.viewWidth));
+        game.camera.y = Math.max(0, Math.min(game.camera.y, GAME_CONFIG.MAP_HEIGHT - game.viewHeight));
     },
     
     updateAIAllies(game, deltaTime) {
@@ -452,8 +477,8 @@ const CampaignMode = {
             }
             
             // Use the regular AI behavior system
-            if (window.aiBehavior) {
-                window.aiBehavior.updateAITank(ally, deltaTime);
+            if (game.aiBehavior) {
+                game.aiBehavior.updateAITank(ally, deltaTime);
             } else {
                 // Fallback to simple behavior if AI behavior system not available
                 this.updateAIAllySimple(ally, game, deltaTime);
@@ -481,7 +506,7 @@ const CampaignMode = {
             }
             
             // Shoot at enemy using regular shooting mechanism
-            const now = Date.now();
+            const now = game.now();
             if (now - ally.lastShot > ally.fireRate * 1000) {
                 // Use the regular game shooting mechanism
                 if (game.shootBullet) {
@@ -530,11 +555,11 @@ const CampaignMode = {
         const distance = Math.sqrt(dx * dx + dy * dy);
         
         if (distance > ally.followDistance) {
-            const moveX = (dx / distance) * ally.speed;
-            const moveY = (dy / distance) * ally.speed;
-            
-            ally.x += moveX;
-            ally.y += moveY;
+            // Around walls when they're in the way
+            const waypoint = game.navigation.waypoint(ally, avgX, avgY) || { x: avgX, y: avgY };
+            const angle = Math.atan2(waypoint.y - ally.y, waypoint.x - ally.x);
+            ally.x += Math.cos(angle) * ally.speed;
+            ally.y += Math.sin(angle) * ally.speed;
         }
     },
     
@@ -586,10 +611,9 @@ const CampaignMode = {
     },
     
     updateEnemyAI(enemy, game, deltaTime) {
-        const now = Date.now();
         
-        // Find nearest player or AI ally
-        const targets = game.tanks.filter(t => t.isAlive && (t.isPlayer || t.isAIAlly));
+        // Find nearest player or AI ally (cloaked ones only when close)
+        const targets = game.tanks.filter(t => t.isAlive && (t.isPlayer || t.isAIAlly) && !game.powerupsManager.hiddenFrom(t, enemy));
         if (targets.length === 0) return;
         
         const nearestTarget = this.findNearestTarget(enemy, targets);
@@ -637,12 +661,12 @@ const CampaignMode = {
         const minSeparation = Math.max(GAME_CONFIG.AI_MIN_ORBIT_DISTANCE, (enemy.size + (target.size || GAME_CONFIG.TANK_SIZE)) * 0.5);
         if (distance > 0) {
             if (distance > minSeparation) {
-                // Move toward but do not overshoot into the separation radius
+                // Move toward (along an A* route when walls are in the way) but do not overshoot into the separation radius
                 const allowedStep = Math.min(enemy.speed, distance - minSeparation);
-                const moveX = (dx / distance) * allowedStep;
-                const moveY = (dy / distance) * allowedStep;
-                enemy.x += moveX;
-                enemy.y += moveY;
+                const waypoint = game.navigation.waypoint(enemy, target.x, target.y) || target;
+                const angle = Math.atan2(waypoint.y - enemy.y, waypoint.x - enemy.x);
+                enemy.x += Math.cos(angle) * allowedStep;
+                enemy.y += Math.sin(angle) * allowedStep;
             } else if (distance < minSeparation * 0.9) {
                 // Nudge away slightly if too close
                 const moveX = -(dx / distance) * (enemy.speed * 0.5);
@@ -670,8 +694,8 @@ const CampaignMode = {
             // Base drift towards target at half speed
             let baseToward = Math.max(0, Math.min(enemy.speed * 0.5, Math.max(0, distance - minSeparation)));
             // Add some randomness
-            const randomX = (Math.random() - 0.5) * enemy.speed * 0.3;
-            const randomY = (Math.random() - 0.5) * enemy.speed * 0.3;
+            const randomX = (game.rng.next() - 0.5) * enemy.speed * 0.3;
+            const randomY = (game.rng.next() - 0.5) * enemy.speed * 0.3;
             
             let moveX = 0;
             let moveY = 0;
@@ -700,10 +724,11 @@ const CampaignMode = {
     },
     
     updateTurretEnemy(enemy, target, game, deltaTime) {
-        // Stationary, just rotate to face target
+        // Stationary, just rotate to face target (or the bounce point of a bank shot)
         const dx = target.x - enemy.x;
         const dy = target.y - enemy.y;
-        enemy.angle = Math.atan2(dy, dx);
+        const aim = this.aimAt(enemy, target, game);
+        enemy.angle = aim !== null ? aim : Math.atan2(dy, dx);
         
         // Shoot at target
         this.shootEnemy(enemy, target, game);
@@ -750,13 +775,22 @@ const CampaignMode = {
         this.shootBossRadial(enemy, game);
     },
     
+    // Angle to fire at a target: straight at it when in sight, off the arena edge for
+    // ricochet bullets, or null to hold fire (the same line-of-sight checks bots use)
+    aimAt(enemy, target, game) {
+        if (game.visibility.lineOfSight(enemy, target)) {
+            return Math.atan2(target.y - enemy.y, target.x - enemy.x);
+        }
+        const bank = enemy.maxBounces > 0 ? game.visibility.bankShot(enemy, target, GAME_CONFIG.BULLET_SIZE / 2) : null;
+        return bank ? bank.angle : null;
+    },
+    
     shootEnemy(enemy, target, game) {
-        const now = Date.now();
+        const now = game.now();
         if (now - enemy.lastShot < enemy.fireRate * 1000) return;
         
-        const dx = target.x - enemy.x;
-        const dy = target.y - enemy.y;
-        const angle = Math.atan2(dy, dx);
+        const angle = this.aimAt(enemy, target, game);
+        if (angle === null) return;
         
         const bullet = {
             x: enemy.x + Math.cos(angle) * (enemy.size / 2 + 5),
@@ -777,7 +811,7 @@ const CampaignMode = {
     },
     
     shootSpreadEnemy(enemy, target, game) {
-        const now = Date.now();
+        const now = game.now();
         if (now - enemy.lastShot < enemy.fireRate * 1000) return;
         
         const dx = target.x - enemy.x;
@@ -807,7 +841,7 @@ const CampaignMode = {
     },
     
     shootBossRadial(enemy, game) {
-        const now = Date.now();
+        const now = game.now();
         if (now - enemy.lastRadialShot < enemy.radialFireRate * 1000) return;
         
         for (let i = 0; i < enemy.radialBullets; i++) {
@@ -832,6 +866,16 @@ const CampaignMode = {
         enemy.lastRadialShot = now;
     },
     
+    // Levels are won or lost on a single life each
+    respawnRules(game) {
+        return { lives: 1, scoreLimit: 0, timeLimitMs: 0 };
+    },
+    
+    // Campaign enemies never fire missiles, so flares would be a wasted pickup
+    powerupWeights(game) {
+        return { FLARES: 0 };
+    },
+    
     checkGameEnd(game) {
         const aliveEnemies = this.enemies.filter(e => e.isAlive);
         const alivePlayers = game.tanks.filter(t => t.isAlive && t.isPlayer);
@@ -854,23 +898,36 @@ const CampaignMode = {
     },
     
     showLevelComplete(game) {
+        // Headless runs and replays cover a single level and stop there
+        if (game.headless || game.replay) {
+            game.endGame();
+            return;
+        }
         game.gameState = GAME_STATES.PAUSED;
         
         // Play victory song on every level completion
-        if (window.audioSystem) {
-            window.audioSystem.stopMusic();
-            window.audioSystem.playMusic('victory.mp3', false);
-        }
+        game.stopMusic();
+        game.playMusic('victory.mp3', false);
         
         this.showLevelStats(game, true);
     },
     
     showLevelFailed(game) {
+        if (game.headless || game.replay) {
+            game.endGame();
+            return;
+        }
         game.gameState = GAME_STATES.PAUSED;
         this.showLevelStats(game, false);
     },
     
+    winner(game) {
+        return this.enemies.some(e => e.isAlive) ? 'enemies' : 'players';
+    },
+    
     showLevelStats(game, success) {
+        game.finishRecording();
+        
         // Create level completion overlay
         const overlay = document.createElement('div');
         overlay.id = 'levelCompleteOverlay';
@@ -915,7 +972,7 @@ const CampaignMode = {
             const tank = game.tanks.find(t => t.id === id);
             if (!tank) return;
             const accuracy = stats.shotsFired > 0 ? Math.round((stats.shotsHit / stats.shotsFired) * 100) : 0;
-            const timeAliveSec = Math.round((stats.timeAlive || (tank.isAlive ? (Date.now() - game.gameStartTime) : (tank.deathTime - game.gameStartTime))) / 1000);
+            const timeAliveSec = Math.round((stats.timeAlive || (tank.isAlive ? (game.now() - game.gameStartTime) : (tank.deathTime - game.gameStartTime))) / 1000);
             const role = tank.isPlayer ? 'Player' : (tank.isAIAlly ? 'AI Ally' : '');
             if (!role) return; // show only players and allies
             tableRows += `
@@ -936,6 +993,8 @@ const CampaignMode = {
             <p><strong>Total Enemies Killed:</strong> ${totalKills}</p>
             <p><strong>Level:</strong> ${this.currentLevel}/${CAMPAIGN_CONFIG.TOTAL_LEVELS}</p>
             <p><strong>Difficulty:</strong> ${this.difficulty}</p>
+            <p><strong>Seed:</strong> ${game.matchSeed}</p>
+            <p><strong>Level Seed:</strong> ${this.levelSeed}</p>
             <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
                 <thead>
                     <tr style="background: #444;">
@@ -1019,6 +1078,23 @@ const CampaignMode = {
         };
         buttonDiv.appendChild(restartBtn);
         
+        if (game.recorder) {
+            const replayBtn = document.createElement('button');
+            replayBtn.textContent = '💾 Download Replay';
+            replayBtn.style.cssText = `
+                background: #9c27b0;
+                color: white;
+                border: none;
+                padding: 10px 20px;
+                margin: 0 10px;
+                border-radius: 5px;
+                cursor: pointer;
+                font-size: 16px;
+            `;
+            replayBtn.onclick = () => game.recorder.download();
+            buttonDiv.appendChild(replayBtn);
+        }
+        
         const menuBtn = document.createElement('button');
         menuBtn.textContent = 'Main Menu';
         menuBtn.style.cssText = `
@@ -1062,9 +1138,7 @@ const CampaignMode = {
         game.gameState = GAME_STATES.PAUSED;
         
         // Play campaign completion music
-        if (window.audioSystem) {
-            window.audioSystem.playMusic('victory.mp3', true);
-        }
+        game.playMusic('victory.mp3', true);
         
         // Create campaign completion overlay
         const overlay = document.createElement('div');
@@ -0,0 +1,257 @@
+// =============================================================================
+// CTF MODE
+// =============================================================================
+// Each team defends a flag at a base on its own spawn side (red left, blue right,
+// as in TDM). Driving over the enemy flag picks it up; bringing it to your own
+// base while your flag is home scores a capture. Carriers drop the flag when they
+// die, and a dropped flag goes home when a teammate touches it or after
+// FLAG_RETURN_MS. Dead tanks respawn (GameRespawns) after RESPAWN_DELAY_MS.
+
+const CTFMode = {
+    key: GAME_MODES.CTF,
+    teamBased: true,
+    flags: {},
+    scores: { red: 0, blue: 0 },
+
+    musicTrack(game) {
+        return 'tdm.mp3';
+    },
+    assignTeams(game) {
+        TDMMode.assignTeams(game);
+    },
+    calculateSpawnPositions(game) {
+        return TDMMode.calculateSpawnPositions(game);
+    },
+    basePosition(game, team) {
+        // Map files can place the bases themselves
+        if (game.map && game.map.markers.flagBases) {
+            return game.map.markers.flagBases[team];
+        }
+        const offset = GAME_CONFIG.SPAWN_DISTANCE_FROM_EDGE + CTF_CONFIG.BASE_OFFSET;
+        return {
+            x: team === 'red' ? offset : GAME_CONFIG.MAP_WIDTH - offset,
+            y: GAME_CONFIG.MAP_HEIGHT / 2
+        };
+    },
+    reservedPositions(game) {
+        return [this.basePosition(game, 'red'), this.basePosition(game, 'blue')];
+    },
+    initializeMatch(game) {
+        this.scores = { red: 0, blue: 0 };
+        this.flags = {};
+        ['red', 'blue'].forEach(team => {
+            const base = this.basePosition(game, team);
+            this.flags[team] = {
+                team: team,
+                baseX: base.x,
+                baseY: base.y,
+                x: base.x,
+                y: base.y,
+                carrierId: null,
+                atHome: true,
+                droppedAt: 0
+            };
+        });
+
+        game.playerStats.forEach(stats => {
+            stats.flagCaptures = 0;
+            stats.flagReturns = 0;
+        });
+        game.tanks.forEach(tank => {
+            tank.carryingFlag = null;
+        });
+        this.assignRoles(game);
+    },
+
+    // Hand out attacker/defender/escort roles to each team's bots in turn
+    assignRoles(game) {
+        ['red', 'blue'].forEach(team => {
+            game.tanks
+                .filter(tank => tank.isAI && tank.team === team)
+                .forEach((tank, i) => {
+                    tank.aiRole = CTF_CONFIG.ROLE_ORDER[i % CTF_CONFIG.ROLE_ORDER.length];
+                });
+        });
+    },
+
+    enemyTeam(team) {
+        return team === 'red' ? 'blue' : 'red';
+    },
+
+    distance(a, b) {
+        return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+    },
+
+    // Unlimited lives; captures and the clock decide the match (see checkGameEnd)
+    respawnRules(game) {
+        return {
+            lives: 0,
+            scoreLimit: 0,
+            timeLimitMs: 0,
+            respawnDelayMs: CTF_CONFIG.RESPAWN_DELAY_MS,
+            spawnProtectionMs: CTF_CONFIG.SPAWN_PROTECTION_MS
+        };
+    },
+
+    update(game, deltaTime) {
+        Object.values(this.flags).forEach(flag => this.updateFlag(game, flag));
+    },
+
+    updateFlag(game, flag) {
+        if (flag.carrierId !== null) {
+            const carrier = game.tanks.find(t => t.id === flag.carrierId);
+            if (!carrier || !carrier.isAlive) {
+                this.dropFlag(game, flag, carrier);
+                return;
+            }
+            flag.x = carrier.x;
+            flag.y = carrier.y;
+
+            // Capture: carrier is at its own base and its own flag is home
+            const homeFlag = this.flags[carrier.team];
+            const homeBase = { x: homeFlag.baseX, y: homeFlag.baseY };
+            if (homeFlag.atHome && this.distance(carrier, homeBase) <= CTF_CONFIG.BASE_RADIUS) {
+                this.captureFlag(game, flag, carrier);
+            }
+            return;
+        }
+
+        if (!flag.atHome && game.now() - flag.droppedAt >= CTF_CONFIG.FLAG_RETURN_MS) {
+            this.resetFlag(flag);
+            return;
+        }
+
+        for (const tank of game.tanks) {
+            if (!tank.isAlive || this.distance(tank, flag) > CTF_CONFIG.FLAG_PICKUP_RADIUS) continue;
+
+            if (tank.team === flag.team) {
+                // Touching your own dropped flag sends it home
+                if (!flag.atHome) {
+                    this.resetFlag(flag);
+                    const stats = game.playerStats.get(tank.id);
+                    if (stats) stats.flagReturns++;
+                    game.playSound('powerUp');
+                    return;
+                }
+            } else if (!tank.carryingFlag) {
+                flag.carrierId = tank.id;
+                flag.atHome = false;
+                tank.carryingFlag = flag.team;
+                game.playSound('powerUp');
+                return;
+            }
+        }
+    },
+
+    dropFlag(game, flag, carrier) {
+        if (carrier) {
+            carrier.carryingFlag = null;
+            flag.x = carrier.x;
+            flag.y = carrier.y;
+        }
+        flag.carrierId = null;
+        flag.droppedAt = game.now();
+    },
+
+    captureFlag(game, flag, carrier) {
+        carrier.carryingFlag = null;
+        this.resetFlag(flag);
+        this.scores[carrier.team]++;
+        const stats = game.playerStats.get(carrier.id);
+        if (stats) stats.flagCaptures++;
+        game.playSound('levelClear');
+    },
+
+    resetFlag(flag) {
+        flag.x = flag.baseX;
+        flag.y = flag.baseY;
+        flag.carrierId = null;
+        flag.atHome = true;
+        flag.droppedAt = 0;
+    },
+
+    /**
+     * Role-based objective for AIBehavior.updateAITank
+     * @returns {Object|null} { moveTo, arriveRadius, target, ignorePowerups }
+     */
+    aiObjective(game, tank) {
+        if (!tank.team || !this.flags[tank.team]) return null;
+        const ownFlag = this.flags[tank.team];
+        const enemyFlag = this.flags[this.enemyTeam(tank.team)];
+        const ownBase = { x: ownFlag.baseX, y: ownFlag.baseY };
+
+        // Carriers run the flag home
+        if (tank.carryingFlag) {
+            return { moveTo: ownBase, arriveRadius: 0, ignorePowerups: true };
+        }
+
+        const enemyCarrier = ownFlag.carrierId !== null ? game.tanks.find(t => t.id === ownFlag.carrierId) : null;
+        const friendlyCarrier = enemyFlag.carrierId !== null ? game.tanks.find(t => t.id === enemyFlag.carrierId) : null;
+        const escort = friendlyCarrier
+            ? { moveTo: { x: friendlyCarrier.x, y: friendlyCarrier.y }, arriveRadius: CTF_CONFIG.ESCORT_DISTANCE }
+            : null;
+
+        if (tank.aiRole === 'defender') {
+            if (enemyCarrier) {
+                return { target: enemyCarrier };
+            }
+            if (!ownFlag.atHome) {
+                return { moveTo: { x: ownFlag.x, y: ownFlag.y }, arriveRadius: 0, ignorePowerups: true };
+            }
+            const intruder = game.tanks.find(t => t.isAlive && t.team !== tank.team && this.distance(t, ownBase) <= CTF_CONFIG.DEFEND_RADIUS);
+            if (intruder) {
+                return { target: intruder };
+            }
+            return { moveTo: ownBase, arriveRadius: CTF_CONFIG.GUARD_DISTANCE };
+        }
+
+        if (tank.aiRole === 'escort') {
+            if (escort) return escort;
+            if (enemyCarrier) return { target: enemyCarrier };
+        }
+
+        // Attackers (and idle escorts) go for the enemy flag, helping a teammate who already has it
+        if (escort) return escort;
+        if (enemyCarrier && this.distance(tank, enemyCarrier) <= CTF_CONFIG.DEFEND_RADIUS) {
+            return { target: enemyCarrier };
+        }
+        return { moveTo: { x: enemyFlag.x, y: enemyFlag.y }, arriveRadius: 0 };
+    },
+
+    checkGameEnd(game) {
+        const timeUp = game.now() - game.gameStartTime >= CTF_CONFIG.TIME_LIMIT_MS;
+        if (timeUp || this.scores.red >= CTF_CONFIG.SCORE_LIMIT || this.scores.blue >= CTF_CONFIG.SCORE_LIMIT) {
+            game.endGame();
+        }
+    },
+    winner(game) {
+        if (this.scores.red === this.scores.blue) return 'Draw';
+        return this.scores.red > this.scores.blue ? 'Red Team' : 'Blue Team';
+    },
+    statsColumns(game) {
+        return [
+            { key: 'flagCaptures', label: 'Captures' },
+            { key: 'flagReturns', label: 'Returns' }
+        ];
+    },
+    summaryText(game) {
+        return `<strong>Score:</strong> Red ${this.scores.red} – Blue ${this.scores.blue}`;
+    },
+    summary(game) {
+        return { scores: { red: this.scores.red, blue: this.scores.blue } };
+    },
+    hudInfo(game) {
+        const remaining = Math.max(0, CTF_CONFIG.TIME_LIMIT_MS - (game.now() - game.gameStartTime));
+        const seconds = Math.ceil(remaining / 1000);
+        const lines = [
+            { text: `Red Team: ${this.scores.red} / ${CTF_CONFIG.SCORE_LIMIT}`, color: GAME_CONFIG.TEAM_COLORS.RED },
+            { text: `Blue Team: ${this.scores.blue} / ${CTF_CONFIG.SCORE_LIMIT}`, color: GAME_CONFIG.TEAM_COLORS.BLUE },
+            `Time: ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`,
+            ...game.respawns.hudLines(),
+            'Mode: CTF'
+        ];
+        return { lines };
+    }
+};
+
+window.modeManager.register(GAME_MODES.CTF, CTFMode);
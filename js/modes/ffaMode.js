@@ -36,13 +36,40 @@ const FFAMode = {
         for (let i = 0; i < totalTanks; i++) positions.push(perimeterPoints[(i * step) % perimeterPoints.length]);
         return positions;
     },
+    frags(game, tank) {
+        const stats = game.playerStats.get(tank.id);
+        return stats ? stats.kills : 0;
+    },
+    // Tank with the most frags, or null on a tie
+    fragLeader(game) {
+        const sorted = game.tanks.slice().sort((a, b) => this.frags(game, b) - this.frags(game, a));
+        if (sorted.length === 0 || (sorted.length > 1 && this.frags(game, sorted[0]) === this.frags(game, sorted[1]))) return null;
+        return sorted[0];
+    },
     checkGameEnd(game) {
-        const aliveTanks = game.tanks.filter(t => t.isAlive);
-        if (aliveTanks.length <= 1) game.endGame();
+        const rules = game.respawns.rules;
+        const remaining = game.tanks.filter(t => !game.respawns.isEliminated(t));
+        const fragLimitReached = rules.scoreLimit > 0 && game.tanks.some(t => this.frags(game, t) >= rules.scoreLimit);
+        if (remaining.length <= 1 || fragLimitReached || game.respawns.isTimeUp()) game.endGame();
+    },
+    winner(game) {
+        const remaining = game.tanks.filter(t => !game.respawns.isEliminated(t));
+        if (remaining.length <= 1) return remaining.length === 1 ? remaining[0].name : 'Draw';
+        // Ended on the frag or time limit
+        const leader = this.fragLeader(game);
+        return leader ? leader.name : 'Draw';
     },
     hudInfo(game) {
         const aliveTanks = game.tanks.filter(t => t.isAlive).length;
-        return { lines: [`Players: ${game.numPlayers} | AI: ${game.numAIBots}`, `Alive: ${aliveTanks}`, 'Mode: FFA'] };
+        const lines = [`Players: ${game.numPlayers} | AI: ${game.numAIBots}`, `Alive: ${aliveTanks}`];
+        const scoreLimit = game.respawns.rules.scoreLimit;
+        if (scoreLimit > 0) {
+            const leader = this.fragLeader(game);
+            lines.push(`Frag limit: ${scoreLimit}` + (leader ? ` (${leader.name} ${this.frags(game, leader)})` : ''));
+        }
+        lines.push(...game.respawns.hudLines());
+        lines.push('Mode: FFA');
+        return { lines };
     }
 };
 
@@ -0,0 +1,314 @@
+// =============================================================================
+// KING OF THE HILL MODE
+// =============================================================================
+// Capture zones sit on the map. A side (a single tank in FFA, a team in the team
+// variant) takes a zone by being its only occupant for CAPTURE_TIME_MS, then
+// scores while it owns the zone and is still alone in it. Zones with more than
+// one side inside are contested and freeze. Zones move on a timer, and dead
+// tanks respawn (GameRespawns) after RESPAWN_DELAY_MS.
+
+const KOTHMode = {
+    key: GAME_MODES.KOTH,
+    teamBased: false,
+    zones: [],
+    scores: {},
+    nextRotationTime: 0,
+
+    musicTrack(game) {
+        return 'ffa.mp3';
+    },
+    assignTeams(game) {
+        FFAMode.assignTeams(game);
+    },
+    calculateSpawnPositions(game) {
+        return FFAMode.calculateSpawnPositions(game);
+    },
+
+    // Fixed, mirror-symmetric starting layout so no spawn is favored (or the map file's zones)
+    initialZonePositions(game) {
+        const mapZones = this.mapZones(game);
+        if (mapZones.length > 0) return mapZones.slice(0, KOTH_CONFIG.ZONE_COUNT);
+        const width = GAME_CONFIG.MAP_WIDTH;
+        const height = GAME_CONFIG.MAP_HEIGHT;
+        const count = Math.max(1, Math.min(3, KOTH_CONFIG.ZONE_COUNT));
+        if (count === 1) return [{ x: width / 2, y: height / 2 }];
+        if (count === 2) return [{ x: width / 4, y: height / 2 }, { x: width * 3 / 4, y: height / 2 }];
+        return [{ x: width / 4, y: height / 2 }, { x: width / 2, y: height / 2 }, { x: width * 3 / 4, y: height / 2 }];
+    },
+    mapZones(game) {
+        return game.map ? game.map.markers.zones : [];
+    },
+    // Zones only move when there is somewhere else for them to go
+    rotates(game) {
+        const mapZones = this.mapZones(game);
+        return KOTH_CONFIG.ZONE_ROTATE_MS > 0 && (mapZones.length === 0 || mapZones.length > KOTH_CONFIG.ZONE_COUNT);
+    },
+    reservedPositions(game) {
+        return this.initialZonePositions(game);
+    },
+    initializeMatch(game) {
+        this.scores = {};
+        this.zones = this.initialZonePositions(game).map((pos, i) => this.createZone(i, pos));
+        this.nextRotationTime = this.rotates(game) ? game.now() + KOTH_CONFIG.ZONE_ROTATE_MS : Infinity;
+
+        this.sides(game).forEach(side => {
+            this.scores[side] = 0;
+        });
+        game.playerStats.forEach(stats => {
+            stats.hillTimeMs = 0;
+            stats.hillTime = 0; // Whole seconds, for the stats table
+            stats.zoneCaptures = 0;
+        });
+    },
+    createZone(id, pos) {
+        return {
+            id: id,
+            x: pos.x,
+            y: pos.y,
+            radius: pos.radius || KOTH_CONFIG.ZONE_RADIUS,
+            owner: null, // Side that holds the zone
+            capturer: null, // Side the capture progress belongs to
+            progress: 0, // 0-1 capture progress for the capturer
+            contested: false,
+            occupants: []
+        };
+    },
+
+    // A side is a team in the team variant and a single tank in FFA
+    sideOf(tank) {
+        return this.teamBased ? tank.team : String(tank.id);
+    },
+    sides(game) {
+        return this.teamBased ? ['red', 'blue'] : game.tanks.map(tank => String(tank.id));
+    },
+    sideName(game, side) {
+        if (this.teamBased) return side === 'red' ? 'Red Team' : 'Blue Team';
+        const tank = game.tanks.find(t => String(t.id) === side);
+        return tank ? tank.name : side;
+    },
+    sideColor(game, side) {
+        if (this.teamBased) return GAME_CONFIG.TEAM_COLORS[side.toUpperCase()];
+        const tank = game.tanks.find(t => String(t.id) === side);
+        return tank ? tank.color : '#ffffff';
+    },
+
+    distance(a, b) {
+        return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+    },
+
+    // Unlimited lives; zone score and the clock decide the match (see checkGameEnd)
+    respawnRules(game) {
+        return {
+            lives: 0,
+            scoreLimit: 0,
+            timeLimitMs: 0,
+            respawnDelayMs: KOTH_CONFIG.RESPAWN_DELAY_MS,
+            spawnProtectionMs: KOTH_CONFIG.SPAWN_PROTECTION_MS
+        };
+    },
+
+    update(game, deltaTime) {
+        if (game.now() >= this.nextRotationTime) {
+            this.rotateZones(game);
+        }
+        this.zones.forEach(zone => this.updateZone(game, zone, deltaTime));
+    },
+
+    updateZone(game, zone, deltaTime) {
+        zone.occupants = game.tanks.filter(tank => tank.isAlive && this.distance(tank, zone) <= zone.radius);
+        const sidesInside = new Set(zone.occupants.map(tank => this.sideOf(tank)));
+        zone.contested = sidesInside.size > 1;
+
+        // Empty zones keep their state; contested zones freeze
+        if (sidesInside.size !== 1) return;
+
+        const side = sidesInside.values().next().value;
+        const captureStep = deltaTime / KOTH_CONFIG.CAPTURE_TIME_MS;
+
+        if (zone.owner === side) {
+            const points = KOTH_CONFIG.POINTS_PER_SECOND * deltaTime / 1000;
+            this.scores[side] = (this.scores[side] || 0) + points;
+            zone.occupants.forEach(tank => {
+                const stats = game.playerStats.get(tank.id);
+                if (stats) {
+                    stats.hillTimeMs += deltaTime;
+                    stats.hillTime = Math.floor(stats.hillTimeMs / 1000);
+                }
+            });
+        } else if (zone.capturer !== null && zone.capturer !== side && zone.progress > 0) {
+            // Drain the previous side's progress (and ownership) before capturing
+            zone.progress = Math.max(0, zone.progress - captureStep);
+            if (zone.progress === 0) {
+                zone.owner = null;
+                zone.capturer = side;
+            }
+        } else {
+            zone.capturer = side;
+            zone.progress = Math.min(1, zone.progress + captureStep);
+            if (zone.progress === 1) {
+                zone.owner = side;
+                zone.occupants.forEach(tank => {
+                    const stats = game.playerStats.get(tank.id);
+                    if (stats) stats.zoneCaptures++;
+                });
+                game.playSound('powerUp');
+            }
+        }
+    },
+
+    // Move every zone to a new random spot, or other map file zones (reset to neutral)
+    rotateZones(game) {
+        const mapZones = this.mapZones(game);
+        if (mapZones.length > 0) {
+            const current = this.zones.map(zone => `${zone.x},${zone.y}`);
+            const unused = mapZones.filter(pos => !current.includes(`${pos.x},${pos.y}`));
+            const pool = unused.length >= this.zones.length ? unused : mapZones.slice();
+            this.zones = this.zones.map(zone => {
+                const pos = pool.splice(Math.floor(game.rng.next() * pool.length), 1)[0];
+                return this.createZone(zone.id, pos);
+            });
+            this.nextRotationTime = game.now() + KOTH_CONFIG.ZONE_ROTATE_MS;
+            return;
+        }
+        const margin = KOTH_CONFIG.ZONE_EDGE_MARGIN;
+        const placed = [];
+        this.zones = this.zones.map(zone => {
+            let pos = null;
+            for (let attempt = 0; attempt < 50 && !pos; attempt++) {
+                const candidate = {
+                    x: game.rng.range(margin, GAME_CONFIG.MAP_WIDTH - margin),
+                    y: game.rng.range(margin, GAME_CONFIG.MAP_HEIGHT - margin)
+                };
+                if (placed.every(other => this.distance(other, candidate) > KOTH_CONFIG.ZONE_RADIUS * 3) && this.openZoneSpot(game, candidate)) {
+                    pos = candidate;
+                }
+            }
+            // Nowhere better found: the zone stays where it is
+            if (!pos) {
+                placed.push(zone);
+                return zone;
+            }
+            placed.push(pos);
+            return this.createZone(zone.id, pos);
+        });
+        this.nextRotationTime = game.now() + KOTH_CONFIG.ZONE_ROTATE_MS;
+    },
+
+    // Room for bots to circle the zone center, and a way to drive there from every spawn
+    openZoneSpot(game, pos) {
+        const clearance = KOTH_CONFIG.ZONE_RADIUS * KOTH_CONFIG.AI_HOLD_RADIUS + GAME_CONFIG.TANK_SIZE / 2;
+        if (game.obstacles.some(obstacle => MapLoader.pointBlocked(obstacle, pos, clearance))) return false;
+        const spawns = game.spawnPositions.filter(Boolean);
+        return window.mapGenerators.unreachablePoints(game.obstacles, [pos, ...spawns], GAME_CONFIG.MAP_WIDTH, GAME_CONFIG.MAP_HEIGHT).length === 0;
+    },
+
+    /**
+     * Zone objective for AIBehavior.updateAITank: head for the most useful zone and hold it
+     * @returns {Object|null} { moveTo, arriveRadius, hold, target, ignorePowerups }
+     */
+    aiObjective(game, tank) {
+        if (this.zones.length === 0) return null;
+        const side = this.sideOf(tank);
+
+        let bestZone = null;
+        let bestScore = Infinity;
+        this.zones.forEach(zone => {
+            // Zones a lower-numbered teammate is already holding are left to them
+            const secured = zone.owner === side && !zone.contested &&
+                zone.occupants.some(t => t.id < tank.id && this.sideOf(t) === side);
+            const score = this.distance(tank, zone) + (secured ? KOTH_CONFIG.AI_SECURED_ZONE_PENALTY : 0);
+            if (score < bestScore) {
+                bestScore = score;
+                bestZone = zone;
+            }
+        });
+
+        const contender = bestZone.occupants.find(t => this.sideOf(t) !== side);
+        return {
+            moveTo: { x: bestZone.x, y: bestZone.y },
+            arriveRadius: bestZone.radius * KOTH_CONFIG.AI_HOLD_RADIUS,
+            hold: true,
+            target: contender || null,
+            ignorePowerups: this.distance(tank, bestZone) <= bestZone.radius
+        };
+    },
+
+    leader(game) {
+        let best = null;
+        let tie = false;
+        Object.entries(this.scores).forEach(([side, score]) => {
+            if (!best || score > best.score) {
+                best = { side, score };
+                tie = false;
+            } else if (score === best.score) {
+                tie = true;
+            }
+        });
+        return (!best || tie) ? null : best;
+    },
+    checkGameEnd(game) {
+        const timeUp = game.now() - game.gameStartTime >= KOTH_CONFIG.TIME_LIMIT_MS;
+        const leader = this.leader(game);
+        if (timeUp || (leader && leader.score >= KOTH_CONFIG.SCORE_LIMIT)) {
+            game.endGame();
+        }
+    },
+    winner(game) {
+        const leader = this.leader(game);
+        return leader ? this.sideName(game, leader.side) : 'Draw';
+    },
+    statsColumns(game) {
+        return [
+            { key: 'hillTime', label: 'Hill Time (s)' },
+            { key: 'zoneCaptures', label: 'Zone Captures' }
+        ];
+    },
+    sortedScores(game) {
+        return Object.entries(this.scores)
+            .map(([side, score]) => ({ side, name: this.sideName(game, side), score: Math.floor(score) }))
+            .sort((a, b) => b.score - a.score);
+    },
+    summaryText(game) {
+        return '<strong>Score:</strong> ' + this.sortedScores(game).map(entry => `${entry.name} ${entry.score}`).join(' – ');
+    },
+    summary(game) {
+        const scores = {};
+        this.sortedScores(game).forEach(entry => {
+            scores[entry.name] = entry.score;
+        });
+        return { scores };
+    },
+    hudInfo(game) {
+        const remaining = Math.max(0, KOTH_CONFIG.TIME_LIMIT_MS - (game.now() - game.gameStartTime));
+        const seconds = Math.ceil(remaining / 1000);
+        const lines = this.sortedScores(game).map(entry => ({
+            text: `${entry.name}: ${entry.score} / ${KOTH_CONFIG.SCORE_LIMIT}`,
+            color: this.sideColor(game, entry.side)
+        }));
+        lines.push(`Time: ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+        if (this.nextRotationTime !== Infinity) {
+            lines.push(`Zones move in ${Math.max(0, Math.ceil((this.nextRotationTime - game.now()) / 1000))}s`);
+        }
+        lines.push(...game.respawns.hudLines());
+        lines.push(this.teamBased ? 'Mode: Team KOTH' : 'Mode: KOTH');
+        return { lines };
+    }
+};
+
+// Team variant: red vs blue on the TDM spawn sides, same zone rules
+const TeamKOTHMode = Object.assign({}, KOTHMode, {
+    key: GAME_MODES.TEAM_KOTH,
+    teamBased: true,
+    musicTrack(game) {
+        return 'tdm.mp3';
+    },
+    assignTeams(game) {
+        TDMMode.assignTeams(game);
+    },
+    calculateSpawnPositions(game) {
+        return TDMMode.calculateSpawnPositions(game);
+    }
+});
+
+window.modeManager.register(GAME_MODES.KOTH, KOTHMode);
+window.modeManager.register(GAME_MODES.TEAM_KOTH, TeamKOTHMode);
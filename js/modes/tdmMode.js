@@ -4,6 +4,7 @@
 
 const TDMMode = {
     key: GAME_MODES.TDM,
+    teamBased: true,
     musicTrack(game) {
         return 'tdm.mp3';
     },
@@ -51,15 +52,56 @@ const TDMMode = {
         for (let i = 0; i < count; i++) positions.push({ x, y: edge + (i * spacing) });
         return positions;
     },
+    // A team is still in the match while any member is alive or has lives left
+    teamRemaining(game, team) {
+        return game.tanks.some(t => t.team === team && !game.respawns.isEliminated(t));
+    },
+    teamFrags(game, team) {
+        return game.tanks
+            .filter(t => t.team === team)
+            .reduce((total, t) => total + (game.playerStats.get(t.id) || { kills: 0 }).kills, 0);
+    },
     checkGameEnd(game) {
-        const redAlive = game.tanks.filter(t => t.isAlive && t.team === 'red').length;
-        const blueAlive = game.tanks.filter(t => t.isAlive && t.team === 'blue').length;
-        if (redAlive === 0 || blueAlive === 0) game.endGame();
+        const scoreLimit = game.respawns.rules.scoreLimit;
+        const fragLimitReached = scoreLimit > 0 && (this.teamFrags(game, 'red') >= scoreLimit || this.teamFrags(game, 'blue') >= scoreLimit);
+        if (!this.teamRemaining(game, 'red') || !this.teamRemaining(game, 'blue') || fragLimitReached || game.respawns.isTimeUp()) {
+            game.endGame();
+        }
+    },
+    update(game) {
+        game.teamTactics.update();
+    },
+    /**
+     * Order from the team tactics coordinator for AIBehavior.updateAITank
+     * @returns {Object|null} { moveTo, arriveRadius, target, ignorePowerups, hold }
+     */
+    aiObjective(game, tank) {
+        return game.teamTactics.objectiveFor(tank);
+    },
+    winner(game) {
+        const redRemaining = this.teamRemaining(game, 'red');
+        const blueRemaining = this.teamRemaining(game, 'blue');
+        if (redRemaining !== blueRemaining) return redRemaining ? 'Red Team' : 'Blue Team';
+        if (!redRemaining) return 'Draw';
+        // Ended on the frag or time limit
+        const redFrags = this.teamFrags(game, 'red');
+        const blueFrags = this.teamFrags(game, 'blue');
+        if (redFrags === blueFrags) return 'Draw';
+        return redFrags > blueFrags ? 'Red Team' : 'Blue Team';
     },
     hudInfo(game) {
         const redAlive = game.tanks.filter(t => t.isAlive && t.team === 'red').length;
         const blueAlive = game.tanks.filter(t => t.isAlive && t.team === 'blue').length;
-        return { lines: [`Red Team: ${redAlive}`, `Blue Team: ${blueAlive}`, 'Mode: TDM'] };
+        const rules = game.respawns.rules;
+        const showFrags = rules.scoreLimit > 0 || game.respawns.respawnsEnabled();
+        const fragText = team => showFrags ? ` | Frags: ${this.teamFrags(game, team)}${rules.scoreLimit > 0 ? ` / ${rules.scoreLimit}` : ''}` : '';
+        const lines = [
+            { text: `Red Team: ${redAlive}${fragText('red')}`, color: GAME_CONFIG.TEAM_COLORS.RED },
+            { text: `Blue Team: ${blueAlive}${fragText('blue')}`, color: GAME_CONFIG.TEAM_COLORS.BLUE }
+        ];
+        lines.push(...game.respawns.hudLines());
+        lines.push('Mode: TDM');
+        return { lines };
     }
 };
 
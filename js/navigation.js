@@ -0,0 +1,293 @@
+// =============================================================================
+// AI NAVIGATION MODULE
+// =============================================================================
+// Bots plan routes around walls on a grid laid over the map. A cell is blocked
+// when its center is within NAV_CONFIG.CLEARANCE of a wall, so a tank driving
+// from cell center to cell center keeps clear of it. Paths come from A* over
+// the 8 neighbours of each cell and are smoothed by skipping every point the
+// one before can see past, so bots drive straight lines between corners.
+//
+// The grid is rebuilt whenever the walls change (cover shot away, a new
+// campaign level). Sliding walls and doors are left out since they move or
+// open by themselves; bots slide along them as before. One-way gates count as
+// walls both ways. Terrain detours stay with AIBehavior.terrainWaypoint.
+
+class GameNavigation {
+    constructor(game) {
+        this.game = game;
+        this.walls = null; // Obstacles the current grid was built from
+        this.paddedWalls = []; // The same walls grown by NAV_CONFIG.LINE_MARGIN, for straight-line checks
+        this.version = 0; // Bumped on every rebuild so cached paths get replanned
+        this.columns = 0;
+        this.rows = 0;
+        this.blocked = null; // One byte per cell, 1 = too close to a wall
+    }
+
+    /**
+     * Next point to steer for on the way to a destination with walls in the way.
+     * The plan is cached on mover.navPath and replanned every NAV_CONFIG.REPATH_MS,
+     * when the destination moves or when the grid changes.
+     * @param {Object} mover - Tank, ally or campaign enemy ({ x, y })
+     * @param {number} x - Destination X
+     * @param {number} y - Destination Y
+     * @returns {Object|null} Waypoint, or null when the straight drive is clear (or no route exists)
+     */
+    waypoint(mover, x, y) {
+        this.ensureGrid();
+        const from = { x: mover.x, y: mover.y };
+        const to = { x, y };
+        if (this.clearBetween(from, to)) {
+            mover.navPath = null;
+            return null;
+        }
+        const now = this.game.now();
+        let plan = mover.navPath;
+        if (!plan || plan.version !== this.version || now - plan.time >= NAV_CONFIG.REPATH_MS ||
+            Math.hypot(plan.goal.x - x, plan.goal.y - y) > NAV_CONFIG.REPATH_DISTANCE) {
+            plan = mover.navPath = { goal: to, version: this.version, time: now, points: this.findPath(from, to) };
+        }
+        const points = plan.points;
+        if (!points) return null;
+        // Drop points already reached, or that the mover can already see past
+        while (points.length > 1 && (Math.hypot(points[0].x - from.x, points[0].y - from.y) < NAV_CONFIG.WAYPOINT_REACHED ||
+            this.clearBetween(from, points[1]))) {
+            points.shift();
+        }
+        return points[0];
+    }
+
+    /**
+     * Smoothed route between two points
+     * @param {Object} from - Start point
+     * @param {Object} to - Destination
+     * @returns {Array<Object>|null} Points after the start, ending at the destination; null if unreachable
+     */
+    findPath(from, to) {
+        this.ensureGrid();
+        const start = this.openCellNear(from.x, from.y);
+        const goal = this.openCellNear(to.x, to.y);
+        if (start === null || goal === null) return null;
+        const cells = this.search(start, goal);
+        if (!cells) return null;
+        const points = cells.map(cell => this.cellCenter(cell));
+        points[0] = { x: from.x, y: from.y };
+        // Keep the exact destination when its own cell is open
+        if (this.cellAt(to.x, to.y) === goal) {
+            points[points.length - 1] = { x: to.x, y: to.y };
+        }
+        return this.smooth(points).slice(1);
+    }
+
+    /**
+     * Whether a straight drive between two points keeps NAV_CONFIG.LINE_MARGIN clear of every wall
+     * @param {Object} from - Start point
+     * @param {Object} to - End point
+     * @returns {boolean}
+     */
+    lineClear(from, to) {
+        this.ensureGrid();
+        return this.clearBetween(from, to);
+    }
+
+    clearBetween(from, to) {
+        return !this.paddedWalls.some(wall => GameObstacles.segmentHits(wall, from, to));
+    }
+
+    // Rebuild the grid if the walls or the map size changed since the last build
+    ensureGrid() {
+        const walls = this.game.obstacles.filter(GameNavigation.isStatic);
+        const columns = Math.ceil(GAME_CONFIG.MAP_WIDTH / NAV_CONFIG.CELL_SIZE);
+        const rows = Math.ceil(GAME_CONFIG.MAP_HEIGHT / NAV_CONFIG.CELL_SIZE);
+        if (this.walls && columns === this.columns && rows === this.rows &&
+            walls.length === this.walls.length && walls.every((wall, index) => wall === this.walls[index])) {
+            return;
+        }
+        this.walls = walls;
+        const margin = NAV_CONFIG.LINE_MARGIN;
+        this.paddedWalls = walls.map(wall => (wall.type === 'rock'
+            ? { type: 'rock', x: wall.x, y: wall.y, radius: wall.radius + margin }
+            : { type: 'rectangle', x: wall.x, y: wall.y, width: wall.width + margin * 2, height: wall.height + margin * 2 }));
+        this.columns = columns;
+        this.rows = rows;
+        this.blocked = new Uint8Array(columns * rows);
+        this.version++;
+        const size = NAV_CONFIG.CELL_SIZE;
+        const reach = NAV_CONFIG.CLEARANCE;
+        walls.forEach(wall => {
+            const halfWidth = (wall.type === 'rock' ? wall.radius : wall.width / 2) + reach;
+            const halfHeight = (wall.type === 'rock' ? wall.radius : wall.height / 2) + reach;
+            const left = Math.max(0, Math.floor((wall.x - halfWidth) / size));
+            const right = Math.min(columns - 1, Math.floor((wall.x + halfWidth) / size));
+            const top = Math.max(0, Math.floor((wall.y - halfHeight) / size));
+            const bottom = Math.min(rows - 1, Math.floor((wall.y + halfHeight) / size));
+            for (let row = top; row <= bottom; row++) {
+                for (let column = left; column <= right; column++) {
+                    if (GameObstacles.distanceTo(wall, (column + 0.5) * size, (row + 0.5) * size) < reach) {
+                        this.blocked[row * this.columns + column] = 1;
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Whether an obstacle stays put and so belongs in the grid (sliding walls and doors don't)
+     * @param {Object} obstacle - Obstacle in game.obstacles
+     * @returns {boolean}
+     */
+    static isStatic(obstacle) {
+        return !obstacle.entityWall || !!obstacle.gate;
+    }
+
+    cellAt(x, y) {
+        const column = Math.max(0, Math.min(this.columns - 1, Math.floor(x / NAV_CONFIG.CELL_SIZE)));
+        const row = Math.max(0, Math.min(this.rows - 1, Math.floor(y / NAV_CONFIG.CELL_SIZE)));
+        return row * this.columns + column;
+    }
+
+    cellCenter(cell) {
+        return {
+            x: (cell % this.columns + 0.5) * NAV_CONFIG.CELL_SIZE,
+            y: (Math.floor(cell / this.columns) + 0.5) * NAV_CONFIG.CELL_SIZE
+        };
+    }
+
+    // The point's own cell, or the closest open one within SNAP_RINGS cells (tanks hugging a wall sit in blocked cells)
+    openCellNear(x, y) {
+        const cell = this.cellAt(x, y);
+        if (!this.blocked[cell]) return cell;
+        const column = cell % this.columns;
+        const row = Math.floor(cell / this.columns);
+        let best = null;
+        let bestDistance = Infinity;
+        for (let ring = 1; ring <= NAV_CONFIG.SNAP_RINGS && best === null; ring++) {
+            for (let r = row - ring; r <= row + ring; r++) {
+                for (let c = column - ring; c <= column + ring; c++) {
+                    if (Math.max(Math.abs(r - row), Math.abs(c - column)) !== ring) continue;
+                    if (r < 0 || c < 0 || r >= this.rows || c >= this.columns || this.blocked[r * this.columns + c]) continue;
+                    const center = this.cellCenter(r * this.columns + c);
+                    const distance = Math.hypot(center.x - x, center.y - y);
+                    if (distance < bestDistance) {
+                        best = r * this.columns + c;
+                        bestDistance = distance;
+                    }
+                }
+            }
+        }
+        return best;
+    }
+
+    // A* with an octile distance estimate; diagonal steps may not cut a blocked corner
+    search(start, goal) {
+        const columns = this.columns;
+        const goalColumn = goal % columns;
+        const goalRow = Math.floor(goal / columns);
+        const estimate = cell => {
+            const dx = Math.abs(cell % columns - goalColumn);
+            const dy = Math.abs(Math.floor(cell / columns) - goalRow);
+            return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+        };
+        const cost = new Float64Array(this.blocked.length).fill(Infinity);
+        const cameFrom = new Int32Array(this.blocked.length).fill(-1);
+        const closed = new Uint8Array(this.blocked.length);
+        const open = new NavigationHeap();
+        cost[start] = 0;
+        open.push(start, estimate(start));
+        while (open.size() > 0) {
+            const cell = open.pop();
+            if (cell === goal) {
+                const path = [goal];
+                while (path[0] !== start) path.unshift(cameFrom[path[0]]);
+                return path;
+            }
+            if (closed[cell]) continue;
+            closed[cell] = 1;
+            const column = cell % columns;
+            const row = Math.floor(cell / columns);
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dy === 0) continue;
+                    const c = column + dx;
+                    const r = row + dy;
+                    if (c < 0 || r < 0 || c >= columns || r >= this.rows) continue;
+                    const next = r * columns + c;
+                    if (this.blocked[next] || closed[next]) continue;
+                    if (dx !== 0 && dy !== 0 && (this.blocked[row * columns + c] || this.blocked[r * columns + column])) continue;
+                    const nextCost = cost[cell] + (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1);
+                    if (nextCost < cost[next]) {
+                        cost[next] = nextCost;
+                        cameFrom[next] = cell;
+                        open.push(next, nextCost + estimate(next));
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    // From each kept point, run ahead while the next point is still in a clear straight line
+    smooth(points) {
+        const smoothed = [points[0]];
+        let index = 0;
+        while (index < points.length - 1) {
+            let next = index + 1;
+            while (next < points.length - 1 && this.clearBetween(points[index], points[next + 1])) next++;
+            smoothed.push(points[next]);
+            index = next;
+        }
+        return smoothed;
+    }
+}
+
+// Binary min-heap of grid cells keyed by estimated route length (A* open set)
+class NavigationHeap {
+    constructor() {
+        this.cells = [];
+        this.keys = [];
+    }
+
+    size() {
+        return this.cells.length;
+    }
+
+    push(cell, key) {
+        let index = this.cells.length;
+        this.cells.push(cell);
+        this.keys.push(key);
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.keys[parent] <= key) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    pop() {
+        const top = this.cells[0];
+        const lastCell = this.cells.pop();
+        const lastKey = this.keys.pop();
+        if (this.cells.length > 0) {
+            this.cells[0] = lastCell;
+            this.keys[0] = lastKey;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < this.keys.length && this.keys[left] < this.keys[smallest]) smallest = left;
+                if (right < this.keys.length && this.keys[right] < this.keys[smallest]) smallest = right;
+                if (smallest === index) break;
+                this.swap(index, smallest);
+                index = smallest;
+            }
+        }
+        return top;
+    }
+
+    swap(a, b) {
+        [this.cells[a], this.cells[b]] = [this.cells[b], this.cells[a]];
+        [this.keys[a], this.keys[b]] = [this.keys[b], this.keys[a]];
+    }
+}
+
+window.GameNavigation = GameNavigation;
@@ -0,0 +1,194 @@
+// =============================================================================
+// DESTRUCTIBLE OBSTACLES MODULE
+// =============================================================================
+// Obstacles get hit points scaled by their size and crack as they lose them.
+// At zero they break into debris and leave the map, so cover wears away over a
+// long match. Map files can mark obstacles "indestructible": true.
+
+class GameObstacles {
+    constructor(game) {
+        this.game = game;
+        game.debris = [];
+        game.obstacles.forEach(obstacle => this.initializeHealth(obstacle));
+    }
+
+    initializeHealth(obstacle) {
+        if (obstacle.indestructible) return;
+        const area = obstacle.type === 'rock' ? Math.PI * obstacle.radius ** 2 : obstacle.width * obstacle.height;
+        obstacle.maxHp = Math.max(OBSTACLE_CONFIG.MIN_HP, Math.min(OBSTACLE_CONFIG.MAX_HP, Math.round(area * OBSTACLE_CONFIG.HP_PER_AREA)));
+        obstacle.hp = obstacle.maxHp;
+    }
+
+    isDestructible(obstacle) {
+        return !obstacle.indestructible && obstacle.maxHp > 0;
+    }
+
+    /**
+     * Crack level to draw: 0 when intact, one more for each DAMAGE_STATES threshold passed
+     * @param {Object} obstacle - Obstacle
+     * @returns {number} 0 to DAMAGE_STATES.length
+     */
+    damageState(obstacle) {
+        if (!this.isDestructible(obstacle)) return 0;
+        const fraction = obstacle.hp / obstacle.maxHp;
+        return OBSTACLE_CONFIG.DAMAGE_STATES.filter(threshold => fraction <= threshold).length;
+    }
+
+    /**
+     * Take hit points off an obstacle, breaking it at zero
+     * @param {Object} obstacle - Obstacle that was hit
+     * @param {number} amount - Damage dealt
+     */
+    damage(obstacle, amount) {
+        if (!this.isDestructible(obstacle) || obstacle.destroyed) return;
+        obstacle.hp -= amount;
+        if (obstacle.hp <= 0) {
+            obstacle.hp = 0;
+            obstacle.destroyed = true;
+            this.spawnDebris(obstacle);
+            this.game.playSound('enemyDeath');
+        }
+    }
+
+    /**
+     * Drop obstacles broken this tick
+     */
+    removeDestroyed() {
+        if (this.game.obstacles.some(obstacle => obstacle.destroyed)) {
+            this.game.obstacles = this.game.obstacles.filter(obstacle => !obstacle.destroyed);
+        }
+    }
+
+    // Chunks fly outward from the broken obstacle. They use their own generator so
+    // breaking cover doesn't shift the match's random sequence.
+    spawnDebris(obstacle) {
+        const rng = new SeededRandom(Math.round(obstacle.x * 31 + obstacle.y * 17) + this.game.tickCount);
+        const spread = obstacle.type === 'rock' ? obstacle.radius : Math.max(obstacle.width, obstacle.height) / 2;
+        for (let i = 0; i < OBSTACLE_CONFIG.DEBRIS_PIECES; i++) {
+            const angle = (i / OBSTACLE_CONFIG.DEBRIS_PIECES) * Math.PI * 2 + rng.range(-0.3, 0.3);
+            const speed = OBSTACLE_CONFIG.DEBRIS_SPEED * rng.range(0.4, 1);
+            this.game.debris.push({
+                x: obstacle.x + Math.cos(angle) * spread * 0.5,
+                y: obstacle.y + Math.sin(angle) * spread * 0.5,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                size: rng.range(3, Math.max(4, spread / 3)),
+                rotation: rng.range(0, Math.PI * 2),
+                spin: rng.range(-0.2, 0.2),
+                color: obstacle.color,
+                spawnTime: this.game.now()
+            });
+        }
+    }
+
+    update() {
+        const now = this.game.now();
+        this.game.debris = this.game.debris.filter(piece => now - piece.spawnTime < OBSTACLE_CONFIG.DEBRIS_LIFETIME_MS);
+        this.game.debris.forEach(piece => {
+            piece.x += piece.vx;
+            piece.y += piece.vy;
+            piece.vx *= 0.9;
+            piece.vy *= 0.9;
+            piece.rotation += piece.spin;
+        });
+    }
+
+    /**
+     * Obstacles along a straight line of fire (one-way gates facing along it don't count)
+     * @param {Object} from - Start point
+     * @param {Object} to - End point
+     * @returns {Object} { blocked, hp: health left in the destructible ones, solid: true if any can't be destroyed }
+     */
+    coverBetween(from, to) {
+        const cover = { blocked: false, hp: 0, solid: false };
+        this.game.obstacles.forEach(obstacle => {
+            if (GameEntities.gateAllows(obstacle, to.x - from.x, to.y - from.y)) return;
+            if (!GameObstacles.segmentHits(obstacle, from, to)) return;
+            cover.blocked = true;
+            if (this.isDestructible(obstacle)) {
+                cover.hp += obstacle.hp;
+            } else {
+                cover.solid = true;
+            }
+        });
+        return cover;
+    }
+
+    /**
+     * Whether a line segment passes through an obstacle
+     * @param {Object} obstacle - Rock or rectangle
+     * @param {Object} from - Segment start
+     * @param {Object} to - Segment end
+     * @returns {boolean}
+     */
+    static segmentHits(obstacle, from, to) {
+        return GameObstacles.segmentEntry(obstacle, from, to) !== null;
+    }
+
+    /**
+     * Where a line segment first touches an obstacle
+     * @param {Object} obstacle - Rock or rectangle
+     * @param {Object} from - Segment start
+     * @param {Object} to - Segment end
+     * @returns {number|null} Fraction along the segment (0 if it starts inside), or null if it misses
+     */
+    static segmentEntry(obstacle, from, to) {
+        // Quick miss when the segment's bounding box doesn't reach the obstacle's
+        const halfWidth = obstacle.type === 'rock' ? obstacle.radius : obstacle.width / 2;
+        const halfHeight = obstacle.type === 'rock' ? obstacle.radius : obstacle.height / 2;
+        if (Math.max(from.x, to.x) < obstacle.x - halfWidth || Math.min(from.x, to.x) > obstacle.x + halfWidth ||
+            Math.max(from.y, to.y) < obstacle.y - halfHeight || Math.min(from.y, to.y) > obstacle.y + halfHeight) {
+            return null;
+        }
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        if (obstacle.type === 'rock') {
+            // Closest point on the segment to the rock's center, then back up to the rim
+            const lengthSquared = dx * dx + dy * dy;
+            const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((obstacle.x - from.x) * dx + (obstacle.y - from.y) * dy) / lengthSquared)) : 0;
+            const closestX = from.x + dx * t;
+            const closestY = from.y + dy * t;
+            const missSquared = (closestX - obstacle.x) ** 2 + (closestY - obstacle.y) ** 2;
+            if (missSquared >= obstacle.radius ** 2) return null;
+            const back = lengthSquared > 0 ? Math.sqrt((obstacle.radius ** 2 - missSquared) / lengthSquared) : 0;
+            return Math.max(0, t - back);
+        }
+        // Slab test against the rectangle's edges
+        let tMin = 0;
+        let tMax = 1;
+        const axes = [
+            [dx, from.x, obstacle.x - obstacle.width / 2, obstacle.x + obstacle.width / 2],
+            [dy, from.y, obstacle.y - obstacle.height / 2, obstacle.y + obstacle.height / 2]
+        ];
+        for (const [delta, start, low, high] of axes) {
+            if (Math.abs(delta) < 1e-9) {
+                if (start < low || start > high) return null;
+                continue;
+            }
+            const t1 = (low - start) / delta;
+            const t2 = (high - start) / delta;
+            tMin = Math.max(tMin, Math.min(t1, t2));
+            tMax = Math.min(tMax, Math.max(t1, t2));
+            if (tMin > tMax) return null;
+        }
+        return tMin;
+    }
+
+    /**
+     * Distance from a point to an obstacle's edge
+     * @param {Object} obstacle - Rock or rectangle
+     * @param {number} x - Point X
+     * @param {number} y - Point Y
+     * @returns {number} 0 if the point is inside
+     */
+    static distanceTo(obstacle, x, y) {
+        if (obstacle.type === 'rock') {
+            return Math.max(0, Math.sqrt((x - obstacle.x) ** 2 + (y - obstacle.y) ** 2) - obstacle.radius);
+        }
+        const dx = Math.max(0, Math.abs(x - obstacle.x) - obstacle.width / 2);
+        const dy = Math.max(0, Math.abs(y - obstacle.y) - obstacle.height / 2);
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+}
+
+window.GameObstacles = GameObstacles;
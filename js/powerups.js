@@ -1,21 +1,200 @@
 // =============================================================================
 // POWERUPS MODULE
 // =============================================================================
+// Powerups are object literals registered with window.powerupRegistry:
+//
+//   { name, emoji, color, weight,
+//     slot, duration, stacking, empProof,          // timed powerups only
+//     onSpawn(game, powerup), onPickup(game, tank, powerup),
+//     update(game, tank, stacks), speedMultiplier(stacks), cooldownMultiplier(stacks),
+//     modifyBullets(bullets, stacks), absorbsDamage(game, tank, projectile),
+//     passesObstacles, hiddenFrom(game, tank, observer), canPickUp(game, tank),
+//     opacity(game, tank), render(ctx, tank, stacks), indicatorText(tank, stacks, timeRemaining) }
+//
+// Every hook is optional. An EMP switches all of a tank's hooks off for a while
+// (the timers keep running), except those of empProof powerups. Timed powerups keep their remaining times in
+// tank.powerups[slot], and stacking decides what another pickup does: 'stack'
+// adds a timer (hooks get the count), 'extend' adds the duration to the one
+// timer, 'refresh' resets it. Instant powerups (health, weapon crates) only
+// have onPickup.
+//
+// Each match spawns from the registered weights, reweighted by
+// matchOptions.powerups ({ KEY: weight }) and then the mode's
+// powerupWeights(game) hook. A weight of 0 turns a powerup off.
+//
+// With the powerupPads match rule, powerups only appear on fixed pads: the map's
+// powerup spawns, or POWERUP_PAD_COUNT random spots. A pad spawns its "type", a
+// pick from its "pool" or any match powerup, then waits its respawn time after
+// the pickup before spawning again. The maxPowerups rule caps live powerups in
+// either placement.
+
+class PowerupRegistry {
+    constructor() {
+        this.powerups = {};
+    }
+
+    register(key, powerup) {
+        this.powerups[key] = Object.assign({ key }, powerup);
+    }
+
+    get(key) {
+        return this.powerups[key];
+    }
+
+    /**
+     * Registered powerups, in registration order
+     * @returns {Array<Object>}
+     */
+    list() {
+        return Object.values(this.powerups);
+    }
+}
+
+window.powerupRegistry = new PowerupRegistry();
 
 class GamePowerups {
     constructor(game) {
         this.game = game;
-        // Weighted powerup distribution mapping to GAME_CONFIG keys
-        // Requested ratios:
-        // RAINBOW(invincibility)=1, ORANGE(bouncing)=2, GREEN(speed)=2, PURPLE(spread)=3, BLUE(fireRate)=3, RED(heal)=2
-        this.powerupWeights = [
-            { type: 'INVINCIBILITY', weight: 1 },
-            { type: 'BOUNCING_BULLETS', weight: 4 },
-            { type: 'SPEED', weight: 6 },
-            { type: 'SPREAD_SHOT', weight: 8 },
-            { type: 'RAPID_FIRE', weight: 8 },
-            { type: 'HEALTH', weight: 2 }
-        ];
+        this.powerupWeights = GamePowerups.resolveWeights(game);
+        game.powerupPads = game.respawns.rules.powerupPads ? this.createPads() : [];
+    }
+
+    /**
+     * Spawn weights for this match: registered defaults, then the match's, then the mode's
+     * @param {MultiTanksGame} game - Game being set up
+     * @returns {Array<Object>} [{ type, weight }] for every powerup that can spawn
+     */
+    static resolveWeights(game) {
+        const weights = {};
+        window.powerupRegistry.list().forEach(powerup => {
+            weights[powerup.key] = powerup.weight;
+        });
+        const modeWeights = (game.mode && game.mode.powerupWeights) ? game.mode.powerupWeights(game) : {};
+        Object.assign(weights, game.matchOptions.powerups || {}, modeWeights);
+        return Object.keys(weights)
+            .filter(type => window.powerupRegistry.get(type) && weights[type] > 0)
+            .map(type => ({ type, weight: weights[type] }));
+    }
+
+    /**
+     * Empty timers for every timed powerup, for a new tank's powerups field
+     * @returns {Object} { [slot]: [] }
+     */
+    static createSlots() {
+        const slots = {};
+        window.powerupRegistry.list().forEach(powerup => {
+            if (powerup.slot) slots[powerup.slot] = [];
+        });
+        return slots;
+    }
+
+    /**
+     * How many of a timed powerup a tank has running
+     * @param {Object} tank - Tank
+     * @param {string} slot - Powerup slot (e.g. 'speed')
+     * @returns {number}
+     */
+    static stacks(tank, slot) {
+        const timers = tank.powerups && tank.powerups[slot];
+        return timers ? timers.length : 0;
+    }
+
+    /**
+     * Whether an EMP has knocked out the tank's weapon and powerups
+     * @param {Object} tank - Tank
+     * @returns {boolean}
+     */
+    isDisabled(tank) {
+        return this.game.now() < (tank.empUntil || 0);
+    }
+
+    /**
+     * Timed powerups a tank has running
+     * @param {Object} tank - Tank
+     * @param {boolean} includeDisabled - Also list them while an EMP has them switched off
+     * @returns {Array<Object>} [{ powerup, stacks, timeRemaining }]
+     */
+    active(tank, includeDisabled = false) {
+        const disabled = !includeDisabled && this.isDisabled(tank);
+        return window.powerupRegistry.list()
+            .filter(powerup => powerup.slot && GamePowerups.stacks(tank, powerup.slot) > 0 && (!disabled || powerup.empProof))
+            .map(powerup => ({
+                powerup,
+                stacks: tank.powerups[powerup.slot].length,
+                timeRemaining: Math.max(...tank.powerups[powerup.slot])
+            }));
+    }
+
+    /**
+     * Movement hook: product of every running powerup's speed multiplier
+     * @param {Object} tank - Tank
+     * @returns {number}
+     */
+    speedMultiplier(tank) {
+        return this.active(tank).reduce((multiplier, { powerup, stacks }) =>
+            multiplier * (powerup.speedMultiplier ? powerup.speedMultiplier(stacks) : 1), 1);
+    }
+
+    /**
+     * Firing hook: product of every running powerup's cooldown multiplier
+     * @param {Object} tank - Tank
+     * @returns {number}
+     */
+    cooldownMultiplier(tank) {
+        return this.active(tank).reduce((multiplier, { powerup, stacks }) =>
+            multiplier * (powerup.cooldownMultiplier ? powerup.cooldownMultiplier(stacks) : 1), 1);
+    }
+
+    /**
+     * Firing hook: how the tank's bullets come out this shot
+     * @param {Object} tank - Tank
+     * @returns {Object} { fanCount: bullets per pellet, bounces }
+     */
+    bulletModifiers(tank) {
+        const bullets = { fanCount: 1, bounces: 0 };
+        this.active(tank).forEach(({ powerup, stacks }) => {
+            if (powerup.modifyBullets) powerup.modifyBullets(bullets, stacks);
+        });
+        return bullets;
+    }
+
+    /**
+     * Movement hook: whether the tank drives through obstacles (ghost)
+     * @param {Object} tank - Tank
+     * @returns {boolean}
+     */
+    passesObstacles(tank) {
+        return this.active(tank).some(({ powerup }) => powerup.passesObstacles);
+    }
+
+    /**
+     * AI hook: whether a running powerup (cloak) keeps the tank off an opponent's radar
+     * @param {Object} tank - Tank that might be hidden
+     * @param {Object} observer - Bot or campaign enemy looking for a target
+     * @returns {boolean}
+     */
+    hiddenFrom(tank, observer) {
+        return this.active(tank).some(({ powerup }) => powerup.hiddenFrom && powerup.hiddenFrom(this.game, tank, observer));
+    }
+
+    /**
+     * Rendering hook: how solid to draw the tank
+     * @param {Object} tank - Tank
+     * @returns {number} 0 to 1
+     */
+    opacity(tank) {
+        return this.active(tank).reduce((opacity, { powerup }) =>
+            Math.min(opacity, powerup.opacity ? powerup.opacity(this.game, tank) : 1), 1);
+    }
+
+    /**
+     * Damage hook: whether a running powerup stops a hit
+     * @param {Object} tank - Tank being hit
+     * @param {Object} projectile - What hit it
+     * @returns {boolean}
+     */
+    absorbsDamage(tank, projectile) {
+        return this.active(tank).some(({ powerup }) => powerup.absorbsDamage && powerup.absorbsDamage(this.game, tank, projectile));
     }
 
     update(deltaTime) {
@@ -30,13 +209,19 @@ class GamePowerups {
                     }
                 }
             });
+            this.active(tank).forEach(({ powerup, stacks }) => {
+                if (powerup.update) powerup.update(this.game, tank, stacks);
+            });
         });
 
-        this.game.powerupSpawnTimer -= deltaTime;
-        if (this.game.powerupSpawnTimer <= 0) {
-            this.spawn();
-            this.game.powerupSpawnTimer = GAME_CONFIG.POWERUP_SPAWN_INTERVAL_MIN +
-                Math.random() * (GAME_CONFIG.POWERUP_SPAWN_INTERVAL_MAX - GAME_CONFIG.POWERUP_SPAWN_INTERVAL_MIN);
+        if (this.game.powerupPads.length > 0) {
+            this.updatePads();
+        } else {
+            this.game.powerupSpawnTimer -= deltaTime;
+            if (this.game.powerupSpawnTimer <= 0) {
+                this.spawn();
+                this.game.powerupSpawnTimer = this.game.rng.range(GAME_CONFIG.POWERUP_SPAWN_INTERVAL_MIN, GAME_CONFIG.POWERUP_SPAWN_INTERVAL_MAX);
+            }
         }
 
         this.game.powerups.forEach((powerup, index) => {
@@ -44,44 +229,78 @@ class GamePowerups {
                 this.game.powerups.splice(index, 1);
                 return;
             }
+            powerup.rotation += 0.02; // Spin animation advances per tick
             this.game.tanks.forEach(tank => {
-                if (!tank.isAlive) return;
+                if (!tank.isAlive || !this.canPickUp(tank, powerup.type)) return;
                 const distance = Math.sqrt((powerup.x - tank.x) ** 2 + (powerup.y - tank.y) ** 2);
                 if (distance < tank.size / 2 + powerup.size / 2) {
-                    this.apply(tank, powerup.type);
+                    this.apply(tank, powerup.type, powerup);
                     powerup.alive = false;
                 }
             });
         });
     }
 
+    /**
+     * Whether a tank is allowed to pick up a powerup type right now (match rules)
+     * @param {Object} tank - Tank touching the powerup
+     * @param {string} powerupType - Registered powerup key
+     * @returns {boolean}
+     */
+    canPickUp(tank, powerupType) {
+        const definition = window.powerupRegistry.get(powerupType);
+        return !definition || !definition.canPickUp || definition.canPickUp(this.game, tank);
+    }
+
+    // Whether the maxPowerups rule leaves room for another live powerup
+    atCap() {
+        const max = this.game.respawns.rules.maxPowerups;
+        return max > 0 && this.game.powerups.filter(powerup => powerup.alive).length >= max;
+    }
+
+    createPowerup(type) {
+        const powerup = {
+            id: this.game.nextPowerupId++,
+            type: type,
+            size: GAME_CONFIG.POWERUP_SIZE,
+            alive: true,
+            rotation: 0
+        };
+        const definition = window.powerupRegistry.get(type);
+        if (definition.onSpawn) definition.onSpawn(this.game, powerup);
+        return powerup;
+    }
+
     spawn() {
+        if (this.atCap()) return;
         const randomType = this.getWeightedRandomType();
+        if (!randomType) return;
+        const powerup = this.createPowerup(randomType);
+        // Map files can pin powerups to fixed spawn points
+        const map = this.game.map;
+        const position = (map && map.powerupSpawns.length > 0) ? this.findMapSpawnPosition(map) : this.findRandomSpawnPosition();
+        if (position) {
+            powerup.x = position.x;
+            powerup.y = position.y;
+            this.game.powerups.push(powerup);
+        }
+    }
+
+    findMapSpawnPosition(map) {
+        const free = map.powerupSpawns.filter(point =>
+            !this.game.powerups.some(powerup => powerup.alive && Math.sqrt((point.x - powerup.x) ** 2 + (point.y - powerup.y) ** 2) < GAME_CONFIG.POWERUP_SIZE) &&
+            !this.game.tanks.some(tank => tank.isAlive && Math.sqrt((point.x - tank.x) ** 2 + (point.y - tank.y) ** 2) < tank.size + GAME_CONFIG.POWERUP_SIZE));
+        return free.length > 0 ? this.game.rng.pick(free) : null;
+    }
+
+    findRandomSpawnPosition() {
         let attempts = 0;
         let position = null;
         while (attempts < 50) {
-            const x = GAME_CONFIG.SPAWN_DISTANCE_FROM_EDGE +
-                Math.random() * (GAME_CONFIG.MAP_WIDTH - 2 * GAME_CONFIG.SPAWN_DISTANCE_FROM_EDGE);
-            const y = GAME_CONFIG.SPAWN_DISTANCE_FROM_EDGE +
-                Math.random() * (GAME_CONFIG.MAP_HEIGHT - 2 * GAME_CONFIG.SPAWN_DISTANCE_FROM_EDGE);
-            let valid = true;
-            for (const obstacle of this.game.obstacles) {
-                if (obstacle.type === 'rock') {
-                    const distance = Math.sqrt((x - obstacle.x) ** 2 + (y - obstacle.y) ** 2);
-                    if (distance < obstacle.size + GAME_CONFIG.POWERUP_SIZE) { valid = false; break; }
-                } else {
-                    const powerupLeft = x - GAME_CONFIG.POWERUP_SIZE;
-                    const powerupRight = x + GAME_CONFIG.POWERUP_SIZE;
-                    const powerupTop = y - GAME_CONFIG.POWERUP_SIZE;
-                    const powerupBottom = y + GAME_CONFIG.POWERUP_SIZE;
-                    const obstacleLeft = obstacle.x;
-                    const obstacleRight = obstacle.x + obstacle.width;
-                    const obstacleTop = obstacle.y;
-                    const obstacleBottom = obstacle.y + obstacle.height;
-                    if (powerupLeft < obstacleRight && powerupRight > obstacleLeft &&
-                        powerupTop < obstacleBottom && powerupBottom > obstacleTop) { valid = false; break; }
-                }
-            }
+            const x = this.game.rng.range(GAME_CONFIG.SPAWN_DISTANCE_FROM_EDGE, GAME_CONFIG.MAP_WIDTH - GAME_CONFIG.SPAWN_DISTANCE_FROM_EDGE);
+            const y = this.game.rng.range(GAME_CONFIG.SPAWN_DISTANCE_FROM_EDGE, GAME_CONFIG.MAP_HEIGHT - GAME_CONFIG.SPAWN_DISTANCE_FROM_EDGE);
+            // Obstacles are centered on (x, y); rocks by radius, rectangles by width and height
+            let valid = !this.game.obstacles.some(obstacle => MapLoader.pointBlocked(obstacle, { x, y }, GAME_CONFIG.POWERUP_SIZE));
             if (valid) {
                 for (const tank of this.game.tanks) {
                     const distance = Math.sqrt((x - tank.x) ** 2 + (y - tank.y) ** 2);
@@ -91,69 +310,323 @@ class GamePowerups {
             if (valid) { position = { x, y }; break; }
             attempts++;
         }
-        if (position) {
-            this.game.powerups.push({
-                id: Date.now() + Math.random(),
-                x: position.x,
-                y: position.y,
-                type: randomType,
-                size: GAME_CONFIG.POWERUP_SIZE,
-                alive: true,
-                rotation: 0
-            });
-        }
+        return position;
     }
 
-    getWeightedRandomType() {
-        const total = this.powerupWeights.reduce((sum, p) => sum + p.weight, 0);
-        let r = Math.random() * total;
-        for (const entry of this.powerupWeights) {
+    getWeightedRandomType(weights = this.powerupWeights) {
+        if (weights.length === 0) return null;
+        const total = weights.reduce((sum, p) => sum + p.weight, 0);
+        let r = this.game.rng.next() * total;
+        for (const entry of weights) {
             if ((r -= entry.weight) <= 0) {
                 return entry.type;
             }
         }
         // Fallback
-        return this.powerupWeights[this.powerupWeights.length - 1].type;
-    }
-
-    apply(tank, powerupType) {
-        switch (powerupType) {
-            case 'HEALTH':
-                tank.health = Math.min(tank.maxHealth, tank.health + GAME_CONFIG.POWERUP_HEALTH_BOOST);
-                break;
-            case 'INVINCIBILITY':
-                if (tank.powerups.invincibility.length === 0) {
-                    tank.powerups.invincibility.push(GAME_CONFIG.POWERUP_DURATION);
-                } else {
-                    tank.powerups.invincibility[0] += GAME_CONFIG.POWERUP_DURATION;
-                }
-                break;
-            case 'SPEED':
-                tank.powerups.speed.push(GAME_CONFIG.POWERUP_DURATION);
-                break;
-            case 'RAPID_FIRE':
-                tank.powerups.rapidFire.push(GAME_CONFIG.POWERUP_DURATION);
-                break;
-            case 'SPREAD_SHOT':
-                tank.powerups.spreadShot.push(GAME_CONFIG.POWERUP_DURATION);
-                break;
-            case 'BOUNCING_BULLETS':
-                if (tank.powerups.bouncingBullets.length === 0) {
-                    tank.powerups.bouncingBullets.push(GAME_CONFIG.POWERUP_DURATION);
-                } else {
-                    tank.powerups.bouncingBullets[0] += GAME_CONFIG.POWERUP_DURATION;
-                }
-                break;
+        return weights[weights.length - 1].type;
+    }
+
+    // Pads from the map's powerup spawns, or random open spots on maps without any
+    createPads() {
+        const map = this.game.map;
+        const points = (map && map.powerupSpawns.length > 0) ? map.powerupSpawns : [];
+        if (points.length === 0) {
+            for (let i = 0; i < GAME_CONFIG.POWERUP_PAD_COUNT; i++) {
+                const position = this.findRandomSpawnPosition();
+                if (position) points.push(position);
+            }
+        }
+        const now = this.game.now();
+        return points.map(point => {
+            const types = point.type !== undefined ? [point.type] : (point.pool || null);
+            return {
+                x: point.x,
+                y: point.y,
+                // Match weights still apply, so a pad whose types are all turned off stays empty
+                weights: types ? this.powerupWeights.filter(entry => types.includes(entry.type)) : this.powerupWeights,
+                type: point.type !== undefined ? point.type : null,
+                respawnMs: point.respawnMs || this.game.respawns.rules.padRespawnMs,
+                readyTime: now, // Pads start stocked
+                powerupId: null
+            };
+        });
+    }
+
+    updatePads() {
+        const now = this.game.now();
+        this.game.powerupPads.forEach(pad => {
+            if (pad.powerupId !== null) {
+                if (this.game.powerups.some(powerup => powerup.id === pad.powerupId && powerup.alive)) return;
+                // Taken: the timer starts now
+                pad.powerupId = null;
+                pad.readyTime = now + pad.respawnMs;
+            }
+            if (now < pad.readyTime || this.atCap()) return;
+            const type = this.getWeightedRandomType(pad.weights);
+            if (!type) return;
+            const powerup = this.createPowerup(type);
+            powerup.x = pad.x;
+            powerup.y = pad.y;
+            this.game.powerups.push(powerup);
+            pad.powerupId = powerup.id;
+        });
+    }
+
+    /**
+     * Give a tank a powerup
+     * @param {Object} tank - Tank that picked it up
+     * @param {string} powerupType - Registered powerup key
+     * @param {Object} powerup - The map pickup, if there was one (weapon crates read their weapon from it)
+     */
+    apply(tank, powerupType, powerup = null) {
+        const definition = window.powerupRegistry.get(powerupType);
+        if (!definition) return;
+        if (definition.slot) {
+            this.addTimer(tank, definition);
         }
-        if (window.audioSystem) { window.audioSystem.powerUp(); }
+        if (definition.onPickup) {
+            definition.onPickup(this.game, tank, powerup);
+        }
+        this.game.playSound('powerUp');
         // Track powerup collection
         const stats = this.game.playerStats.get(tank.id);
         if (stats) {
             stats.powerupsCollected = (stats.powerupsCollected || 0) + 1;
         }
     }
+
+    addTimer(tank, definition) {
+        const timers = tank.powerups[definition.slot] || (tank.powerups[definition.slot] = []);
+        if (timers.length === 0 || definition.stacking === 'stack') {
+            timers.push(definition.duration);
+        } else if (definition.stacking === 'extend') {
+            timers[0] += definition.duration;
+        } else {
+            timers[0] = Math.max(timers[0], definition.duration);
+        }
+    }
 }
 
 window.GamePowerups = GamePowerups;
 
+// =============================================================================
+// BUILT-IN POWERUPS
+// =============================================================================
+window.powerupRegistry.register('HEALTH', {
+    name: 'Health Boost',
+    emoji: '❤️',
+    color: '#ff0000',
+    weight: 2,
+    canPickUp(game, tank) {
+        const below = game.respawns.rules.healthPickupBelow;
+        return !(below > 0) || tank.health < tank.maxHealth * below;
+    },
+    onPickup(game, tank) {
+        tank.health = Math.min(tank.maxHealth, tank.health + GAME_CONFIG.POWERUP_HEALTH_BOOST);
+    }
+});
+
+window.powerupRegistry.register('INVINCIBILITY', {
+    name: 'Invincibility',
+    emoji: '🛡️',
+    color: '#ff69b4',
+    weight: 1,
+    slot: 'invincibility', // Spawn protection uses the same timer
+    duration: GAME_CONFIG.POWERUP_DURATION,
+    stacking: 'extend',
+    empProof: true, // So an EMP can't strip spawn protection
+    absorbsDamage() {
+        return true;
+    },
+    // Rainbow ring that turns with the tank's timer
+    render(ctx, tank) {
+        const hue = (tank.powerups.invincibility[0] / 5) % 360;
+        ctx.strokeStyle = `hsla(${hue}, 100%, 60%, 0.8)`;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(0, 0, tank.size / 2 + 3, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+});
+
+window.powerupRegistry.register('SPEED', {
+    name: 'Speed Boost',
+    emoji: '🏃',
+    color: '#32cd32',
+    weight: 6,
+    slot: 'speed',
+    duration: GAME_CONFIG.POWERUP_DURATION,
+    stacking: 'stack',
+    speedMultiplier(stacks) {
+        return Math.pow(GAME_CONFIG.POWERUP_SPEED_MULTIPLIER, stacks);
+    }
+});
+
+window.powerupRegistry.register('RAPID_FIRE', {
+    name: 'Rapid Fire',
+    emoji: '🔥',
+    color: '#4169e1',
+    weight: 8,
+    slot: 'rapidFire',
+    duration: GAME_CONFIG.POWERUP_DURATION,
+    stacking: 'stack',
+    cooldownMultiplier(stacks) {
+        return 1 / Math.pow(GAME_CONFIG.POWERUP_FIRE_RATE_MULTIPLIER, stacks);
+    }
+});
+
+window.powerupRegistry.register('SPREAD_SHOT', {
+    name: 'Spread Shot',
+    emoji: '🎯',
+    color: '#9370db',
+    weight: 8,
+    slot: 'spreadShot',
+    duration: GAME_CONFIG.POWERUP_DURATION,
+    stacking: 'stack',
+    // Every stack fans each bullet out into three
+    modifyBullets(bullets, stacks) {
+        bullets.fanCount *= Math.pow(3, stacks);
+    }
+});
+
+window.powerupRegistry.register('BOUNCING_BULLETS', {
+    name: 'Bouncing Bullets',
+    emoji: '⚡',
+    color: '#ff8c42',
+    weight: 4,
+    slot: 'bouncingBullets',
+    duration: GAME_CONFIG.POWERUP_DURATION,
+    stacking: 'extend',
+    modifyBullets(bullets) {
+        bullets.bounces = Math.max(bullets.bounces, GAME_CONFIG.POWERUP_BOUNCE_BOUNCES);
+    }
+});
+
+window.powerupRegistry.register('SHIELD', {
+    name: 'Shield Bubble',
+    emoji: '🫧',
+    color: '#4fc3f7',
+    weight: 3,
+    slot: 'shield',
+    duration: GAME_CONFIG.POWERUP_SHIELD_DURATION,
+    stacking: 'refresh',
+    onPickup(game, tank) {
+        tank.shieldHits = GAME_CONFIG.POWERUP_SHIELD_HITS;
+    },
+    // Unlike invincibility it only lasts so many hits
+    absorbsDamage(game, tank) {
+        if (--tank.shieldHits <= 0) {
+            tank.powerups.shield = [];
+        }
+        return true;
+    },
+    render(ctx, tank) {
+        ctx.fillStyle = `rgba(79, 195, 247, ${0.1 * tank.shieldHits})`;
+        ctx.strokeStyle = '#4fc3f7';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(0, 0, tank.size / 2 + 7, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    },
+    indicatorText(tank) {
+        return `${tank.shieldHits} hits`;
+    }
+});
+
+window.powerupRegistry.register('CLOAK', {
+    name: 'Cloak',
+    emoji: '👻',
+    color: '#78909c',
+    weight: 2,
+    slot: 'cloak',
+    duration: GAME_CONFIG.POWERUP_DURATION,
+    stacking: 'extend',
+    hiddenFrom(game, tank, observer) {
+        return Math.sqrt((observer.x - tank.x) ** 2 + (observer.y - tank.y) ** 2) > GAME_CONFIG.POWERUP_CLOAK_DETECT_RANGE;
+    },
+    // Nearly invisible while an opponent is at the controls, see-through for the rest
+    opacity(game, tank) {
+        const watched = game.tanks.some(viewer => !viewer.isAI && !game.areFriendly(viewer, tank));
+        return watched ? GAME_CONFIG.POWERUP_CLOAK_OPACITY : 0.5;
+    }
+});
+
+// Instant: knocks out the weapons and powerups of enemies nearby
+window.powerupRegistry.register('EMP', {
+    name: 'EMP',
+    emoji: '📡',
+    color: '#00bcd4',
+    weight: 2,
+    onPickup(game, tank) {
+        game.tanks.forEach(other => {
+            if (!other.isAlive || game.areFriendly(other, tank)) return;
+            if (Math.sqrt((other.x - tank.x) ** 2 + (other.y - tank.y) ** 2) < GAME_CONFIG.POWERUP_EMP_RADIUS) {
+                other.empUntil = game.now() + GAME_CONFIG.POWERUP_EMP_DISABLE_MS;
+            }
+        });
+        game.weaponEffects.push({ type: 'emp', x: tank.x, y: tank.y, radius: GAME_CONFIG.POWERUP_EMP_RADIUS, color: '#00bcd4', spawnTime: game.now() });
+    }
+});
+
+window.powerupRegistry.register('MAGNET', {
+    name: 'Magnet',
+    emoji: '🧲',
+    color: '#e53935',
+    weight: 3,
+    slot: 'magnet',
+    duration: GAME_CONFIG.POWERUP_DURATION,
+    stacking: 'extend',
+    update(game, tank) {
+        game.powerups.forEach(powerup => {
+            const dx = tank.x - powerup.x;
+            const dy = tank.y - powerup.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (!powerup.alive || distance > GAME_CONFIG.POWERUP_MAGNET_RADIUS || distance < 1) return;
+            const step = Math.min(distance, GAME_CONFIG.POWERUP_MAGNET_PULL);
+            powerup.x += dx / distance * step;
+            powerup.y += dy / distance * step;
+        });
+    }
+});
+
+window.powerupRegistry.register('GHOST', {
+    name: 'Ghost',
+    emoji: '🌫️',
+    color: '#b0bec5',
+    weight: 2,
+    slot: 'ghost',
+    duration: GAME_CONFIG.POWERUP_GHOST_DURATION,
+    stacking: 'extend',
+    passesObstacles: true,
+    opacity() {
+        return 0.6;
+    }
+});
+
+// Decoys incoming missiles (see weapons.js)
+window.powerupRegistry.register('FLARES', {
+    name: 'Flares',
+    emoji: '🎆',
+    color: '#ff7043',
+    weight: 3,
+    slot: 'flares',
+    duration: GAME_CONFIG.POWERUP_DURATION,
+    stacking: 'extend'
+});
+
+// Carries a random weapon for a few shots; drawn with the weapon's emoji (see weapons.js)
+window.powerupRegistry.register('WEAPON', {
+    name: 'Weapon Crate',
+    emoji: '📦',
+    color: '#6d4c41',
+    weight: 6,
+    onSpawn(game, powerup) {
+        powerup.weapon = game.weaponsManager.pickCrateWeapon();
+    },
+    onPickup(game, tank, powerup) {
+        game.weaponsManager.equip(tank, powerup ? powerup.weapon : null);
+    }
+});
+
 
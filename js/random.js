@@ -0,0 +1,107 @@
+// =============================================================================
+// SEEDED RANDOM NUMBER GENERATOR
+// =============================================================================
+// Deterministic PRNG (mulberry32) owned by each game instance. All gameplay
+// randomness goes through it so a match can be reproduced from its seed.
+
+class SeededRandom {
+    /**
+     * @param {number|string} seed - Match seed (numbers are used as-is, strings are hashed)
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reset the generator to the start of a seed's sequence
+     * @param {number|string} seed - Match seed
+     */
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Convert a user-provided seed to an unsigned 32-bit integer
+     * @param {number|string} seed - Seed value
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        // FNV-1a hash for text seeds
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Pick a fresh seed for a match that was not given one
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * @returns {number} Float in [0, 1), drop-in replacement for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} min - Inclusive lower bound
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * @param {number} min - Inclusive lower bound
+     * @param {number} max - Inclusive upper bound
+     * @returns {number} Integer in [min, max]
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * @param {number} probability - Chance of returning true (0-1)
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * @param {Array} array - Items to choose from
+     * @returns {*} Random element (undefined for an empty array)
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * @returns {number} 1 or -1 with equal probability
+     */
+    sign() {
+        return this.next() < 0.5 ? 1 : -1;
+    }
+}
+
+window.SeededRandom = SeededRandom;
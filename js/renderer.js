@@ -5,37 +5,117 @@
 class GameRenderer {
     constructor(game) {
         this.game = game;
+        this.crackCache = new WeakMap(); // Obstacle -> crack lines, so cracks don't change between frames
     }
 
     render() {
         const { ctx, canvas } = this.game;
         if (!ctx) return;
 
-        // Clear canvas
-        ctx.fillStyle = GAME_CONFIG.MAP_COLOR;
+        // Clear canvas (with a backdrop around the map when it doesn't fill the window)
+        const framed = this.game.viewCamera || this.fitsToWindow();
+        ctx.fillStyle = this.game.viewCamera ? REPLAY_CONFIG.BACKDROP_COLOR : (framed ? MAP_CONFIG.BACKDROP_COLOR : GAME_CONFIG.MAP_COLOR);
         ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-        // Apply camera transformation for campaign mode
-        if (this.game.gameMode === GAME_MODES.CAMPAIGN && this.game.camera) {
-            ctx.save();
-            ctx.translate(-this.game.camera.x, -this.game.camera.y);
+        // Apply camera transformation (replay viewer camera, fixed-size arena fit, or the campaign follow camera)
+        const hasCamera = this.applyCamera();
+        if (framed) {
+            ctx.fillStyle = GAME_CONFIG.MAP_COLOR;
+            ctx.fillRect(0, 0, GAME_CONFIG.MAP_WIDTH, GAME_CONFIG.MAP_HEIGHT);
         }
 
         this.renderGrid();
+        this.renderTerrain();
+        this.renderZones();
         this.renderObstacles();
+        this.renderEntities();
+        this.renderPowerupPads();
+        this.renderDebris();
+        this.renderMines();
+        this.renderCharges();
+        this.renderFlags();
         this.renderTanks();
         this.renderCampaignEnemies();
         this.renderBullets();
+        this.renderShells();
+        this.renderWeaponEffects();
+        this.renderFlares();
+        this.renderLockOn();
         this.renderPowerups();
+        this.renderTactics();
         
         // Restore camera transformation
-        if (this.game.gameMode === GAME_MODES.CAMPAIGN && this.game.camera) {
+        if (hasCamera) {
             ctx.restore();
         }
         
         this.renderUI();
     }
 
+    // Returns true if a world transform was pushed (caller restores it)
+    applyCamera() {
+        const { ctx, canvas } = this.game;
+        const view = this.game.viewCamera;
+        if (view) {
+            if (view.mode === 'follow') {
+                const tank = this.game.tanks.find(t => t.id === view.tankId);
+                if (tank && tank.isAlive) {
+                    const pos = this.interpolate(tank);
+                    view.x = pos.x;
+                    view.y = pos.y;
+                }
+            }
+            ctx.save();
+            ctx.translate(canvas.width / 2, canvas.height / 2);
+            ctx.scale(view.zoom, view.zoom);
+            ctx.translate(-view.x, -view.y);
+            return true;
+        }
+        if (this.fitsToWindow()) {
+            // Fixed-size arena: scale it to fit the window and center it
+            const scale = Math.min(canvas.width / GAME_CONFIG.MAP_WIDTH, canvas.height / GAME_CONFIG.MAP_HEIGHT);
+            ctx.save();
+            ctx.translate((canvas.width - GAME_CONFIG.MAP_WIDTH * scale) / 2, (canvas.height - GAME_CONFIG.MAP_HEIGHT * scale) / 2);
+            ctx.scale(scale, scale);
+            return true;
+        }
+        if (this.game.gameMode === GAME_MODES.CAMPAIGN && this.game.camera) {
+            const camera = this.interpolate(this.game.camera);
+            ctx.save();
+            ctx.translate(-camera.x, -camera.y);
+            return true;
+        }
+        return false;
+    }
+
+    // Map files have a fixed size, and so does a recorded match's arena once the window is resized
+    fitsToWindow() {
+        const { canvas } = this.game;
+        return !!this.game.map || (this.game.gameMode !== GAME_MODES.CAMPAIGN &&
+            (canvas.width !== GAME_CONFIG.MAP_WIDTH || canvas.height !== GAME_CONFIG.MAP_HEIGHT));
+    }
+
+    // Blend an entity's previous and current tick positions by the game's render alpha
+    interpolate(entity) {
+        const alpha = this.game.renderAlpha;
+        if (entity.prevX === undefined || alpha >= 1) {
+            return { x: entity.x, y: entity.y };
+        }
+        return {
+            x: entity.prevX + (entity.x - entity.prevX) * alpha,
+            y: entity.prevY + (entity.y - entity.prevY) * alpha
+        };
+    }
+
+    interpolateAngle(current, previous) {
+        const alpha = this.game.renderAlpha;
+        if (previous === undefined || alpha >= 1) return current;
+        let diff = current - previous;
+        while (diff > Math.PI) diff -= 2 * Math.PI;
+        while (diff < -Math.PI) diff += 2 * Math.PI;
+        return previous + diff * alpha;
+    }
+
     renderGrid() {
         const { ctx, canvas } = this.game;
         const gridSize = 50;
@@ -43,9 +123,10 @@ class GameRenderer {
         ctx.strokeStyle = gridColor;
         ctx.lineWidth = 1;
         
-        // Use full map size in campaign (camera is already translated), otherwise canvas size
-        const width = (this.game.gameMode === GAME_MODES.CAMPAIGN) ? GAME_CONFIG.MAP_WIDTH : canvas.width;
-        const height = (this.game.gameMode === GAME_MODES.CAMPAIGN) ? GAME_CONFIG.MAP_HEIGHT : canvas.height;
+        // Use full map size when a camera is applied (campaign, map file or replay viewer), otherwise canvas size
+        const useMapSize = this.game.gameMode === GAME_MODES.CAMPAIGN || this.game.viewCamera || this.game.map;
+        const width = useMapSize ? GAME_CONFIG.MAP_WIDTH : canvas.width;
+        const height = useMapSize ? GAME_CONFIG.MAP_HEIGHT : canvas.height;
         
         for (let x = 0; x <= width; x += gridSize) {
             ctx.beginPath();
@@ -61,22 +142,283 @@ class GameRenderer {
         }
     }
 
+    renderTerrain() {
+        const { ctx } = this.game;
+        const time = this.game.now();
+        (this.game.terrainZones || []).forEach(zone => GameRenderer.drawTerrainZone(ctx, zone, time));
+    }
+
+    /**
+     * Text above a tank: its name, and for bots the persona they spawned with
+     * @param {Object} tank - Tank
+     * @returns {string}
+     */
+    static nameTag(tank) {
+        const persona = tank.persona && window.aiPersonaRegistry ? window.aiPersonaRegistry.get(tank.persona) : null;
+        return persona ? `${tank.name} · ${persona.emoji} ${persona.name}` : tank.name;
+    }
+
+    /**
+     * Draw one terrain zone: speckled mud, streaked ice, rippling water or a pulsing boost pad.
+     * Shared with the map editor.
+     * @param {CanvasRenderingContext2D} ctx - Context in map coordinates
+     * @param {Object} zone - Terrain zone
+     * @param {number} time - Milliseconds driving the water and boost animations
+     */
+    static drawTerrainZone(ctx, zone, time) {
+        const color = TERRAIN_CONFIG.COLORS[zone.type];
+        const halfWidth = zone.radius || zone.width / 2;
+        const halfHeight = zone.radius || zone.height / 2;
+        ctx.save();
+        ctx.beginPath();
+        if (zone.radius) {
+            ctx.arc(zone.x, zone.y, zone.radius, 0, Math.PI * 2);
+        } else {
+            ctx.rect(zone.x - halfWidth, zone.y - halfHeight, zone.width, zone.height);
+        }
+        ctx.globalAlpha = zone.type === 'boost' ? 0.9 : 0.75;
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.clip();
+        ctx.globalAlpha = 1;
+
+        if (zone.type === 'mud') {
+            // Darker clumps at fixed spots
+            const rng = new SeededRandom(Math.round(zone.x * 13 + zone.y * 7));
+            ctx.fillStyle = 'rgba(30, 18, 6, 0.45)';
+            const clumps = Math.ceil(halfWidth * halfHeight / 300);
+            for (let i = 0; i < clumps; i++) {
+                ctx.beginPath();
+                ctx.arc(zone.x + rng.range(-halfWidth, halfWidth), zone.y + rng.range(-halfHeight, halfHeight), rng.range(2, 6), 0, Math.PI * 2);
+                ctx.fill();
+            }
+        } else if (zone.type === 'ice') {
+            // Diagonal glints
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.lineWidth = 2;
+            for (let offset = -halfHeight * 2; offset < halfWidth * 2; offset += 36) {
+                ctx.beginPath();
+                ctx.moveTo(zone.x - halfWidth + offset, zone.y + halfHeight);
+                ctx.lineTo(zone.x - halfWidth + offset + halfHeight, zone.y - halfHeight);
+                ctx.stroke();
+            }
+        } else if (zone.type === 'water') {
+            // Ripples drifting sideways
+            ctx.strokeStyle = 'rgba(200, 230, 255, 0.5)';
+            ctx.lineWidth = 1.5;
+            const shift = (time * 0.02) % 24;
+            for (let y = zone.y - halfHeight + 10; y < zone.y + halfHeight; y += 16) {
+                ctx.beginPath();
+                for (let x = zone.x - halfWidth - 24 + shift; x < zone.x + halfWidth; x += 24) {
+                    ctx.moveTo(x, y);
+                    ctx.quadraticCurveTo(x + 6, y - 4, x + 12, y);
+                }
+                ctx.stroke();
+            }
+        } else if (zone.type === 'boost') {
+            // Rings shrinking toward the center
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.lineWidth = 2;
+            const phase = (time * 0.002) % 1;
+            [0, 0.5].forEach(start => {
+                const ring = 1 - ((phase + start) % 1);
+                ctx.beginPath();
+                ctx.arc(zone.x, zone.y, halfWidth * ring, 0, Math.PI * 2);
+                ctx.stroke();
+            });
+            ctx.font = `${Math.round(halfWidth)}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText('⚡', zone.x, zone.y);
+        }
+        ctx.restore();
+    }
+
     renderObstacles() {
         const { ctx } = this.game;
         this.game.obstacles.forEach(obstacle => {
-            ctx.fillStyle = obstacle.color;
+            if (obstacle.entityWall) return; // Drawn by renderEntities
+            ctx.save();
+            ctx.beginPath();
             if (obstacle.type === 'rock') {
-                ctx.beginPath();
                 ctx.arc(obstacle.x, obstacle.y, obstacle.radius, 0, Math.PI * 2);
-                ctx.fill();
             } else {
-                ctx.fillRect(
-                    obstacle.x - obstacle.width / 2,
-                    obstacle.y - obstacle.height / 2,
-                    obstacle.width,
-                    obstacle.height
-                );
+                ctx.rect(obstacle.x - obstacle.width / 2, obstacle.y - obstacle.height / 2, obstacle.width, obstacle.height);
+            }
+            ctx.fillStyle = obstacle.color;
+            ctx.fill();
+            
+            if (obstacle.indestructible) {
+                ctx.strokeStyle = OBSTACLE_CONFIG.INDESTRUCTIBLE_OUTLINE;
+                ctx.lineWidth = 3;
+                ctx.stroke();
             }
+            
+            // Damage: darker and more cracked the closer it is to breaking
+            const damageState = this.game.obstaclesManager ? this.game.obstaclesManager.damageState(obstacle) : 0;
+            if (damageState > 0) {
+                ctx.clip();
+                ctx.fillStyle = `rgba(0, 0, 0, ${0.12 * damageState})`;
+                ctx.fill();
+                ctx.strokeStyle = 'rgba(20, 20, 20, 0.8)';
+                ctx.lineWidth = 1.5;
+                this.obstacleCracks(obstacle).slice(0, damageState * 3).forEach(crack => {
+                    ctx.beginPath();
+                    ctx.moveTo(crack[0].x, crack[0].y);
+                    crack.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+                    ctx.stroke();
+                });
+            }
+            ctx.restore();
+        });
+    }
+
+    renderEntities() {
+        if (!this.game.entitiesManager) return;
+        const { ctx } = this.game;
+        const time = this.game.now();
+        this.game.entitiesManager.entities.forEach(entity => GameRenderer.drawEntity(ctx, entity, time));
+    }
+
+    /**
+     * Draw a map entity: teleporter pads, a gate with direction arrows, a sliding wall
+     * with its track, or a door (just a frame while open). Shared with the map editor,
+     * which passes the map file data (walls at their start position, doors closed).
+     * @param {CanvasRenderingContext2D} ctx - Context in map coordinates
+     * @param {Object} entity - Entity from GameEntities, or map file entity data
+     * @param {number} time - Milliseconds driving the teleporter animation
+     */
+    static drawEntity(ctx, entity, time) {
+        ctx.save();
+        if (entity.type === 'teleporter') {
+            const color = entity.pads ? entity.pads[0].color : ENTITY_CONFIG.TELEPORTER_COLORS[0];
+            const ends = [{ x: entity.x, y: entity.y }, { x: entity.toX, y: entity.toY }];
+            ends.forEach(end => {
+                const radius = ENTITY_CONFIG.TELEPORTER_RADIUS;
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+                ctx.beginPath();
+                ctx.arc(end.x, end.y, radius, 0, Math.PI * 2);
+                ctx.fill();
+                // Spinning broken ring
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 3;
+                for (let i = 0; i < 3; i++) {
+                    const start = time * 0.004 + (i * Math.PI * 2) / 3;
+                    ctx.beginPath();
+                    ctx.arc(end.x, end.y, radius - 2, start, start + Math.PI / 2);
+                    ctx.stroke();
+                }
+                ctx.globalAlpha = 0.5 + 0.3 * Math.sin(time * 0.006);
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(end.x, end.y, radius * 0.4, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.globalAlpha = 1;
+            });
+            ctx.restore();
+            return;
+        }
+
+        const wall = entity.obstacle || entity;
+        const left = wall.x - entity.width / 2;
+        const top = wall.y - entity.height / 2;
+        if (entity.type === 'slidingWall') {
+            // Track between the two ends
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 6]);
+            ctx.beginPath();
+            ctx.moveTo(entity.x, entity.y);
+            ctx.lineTo(entity.toX, entity.toY);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        if (entity.type === 'door' && entity.open) {
+            ctx.strokeStyle = ENTITY_CONFIG.WALL_COLOR;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            ctx.strokeRect(left, top, entity.width, entity.height);
+            ctx.restore();
+            return;
+        }
+
+        ctx.fillStyle = entity.type === 'gate' ? ENTITY_CONFIG.GATE_COLOR : ENTITY_CONFIG.WALL_COLOR;
+        ctx.globalAlpha = entity.type === 'gate' ? 0.6 : 1;
+        ctx.fillRect(left, top, entity.width, entity.height);
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = OBSTACLE_CONFIG.INDESTRUCTIBLE_OUTLINE;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(left, top, entity.width, entity.height);
+
+        if (entity.type === 'gate') {
+            // Chevrons pointing the way through
+            const direction = ENTITY_CONFIG.GATE_DIRECTIONS[entity.direction];
+            const across = direction.x !== 0 ? entity.height : entity.width;
+            const size = Math.min(entity.width, entity.height) * 0.35;
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            for (let offset = -across / 2 + size * 2; offset <= across / 2 - size * 2 + 0.01; offset += size * 3) {
+                const cx = wall.x + (direction.x === 0 ? offset : 0);
+                const cy = wall.y + (direction.y === 0 ? offset : 0);
+                ctx.beginPath();
+                ctx.moveTo(cx - direction.x * size - direction.y * size, cy - direction.y * size - direction.x * size);
+                ctx.lineTo(cx + direction.x * size, cy + direction.y * size);
+                ctx.lineTo(cx - direction.x * size + direction.y * size, cy - direction.y * size + direction.x * size);
+                ctx.stroke();
+            }
+        } else if (entity.type === 'door') {
+            // Hazard stripes
+            ctx.beginPath();
+            ctx.rect(left, top, entity.width, entity.height);
+            ctx.clip();
+            ctx.strokeStyle = 'rgba(255, 204, 0, 0.7)';
+            ctx.lineWidth = 4;
+            for (let offset = -entity.height; offset < entity.width + entity.height; offset += 14) {
+                ctx.beginPath();
+                ctx.moveTo(left + offset, top);
+                ctx.lineTo(left + offset - entity.height, top + entity.height);
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+    }
+
+    // Jagged lines from near the center outward, three per damage state
+    obstacleCracks(obstacle) {
+        if (this.crackCache.has(obstacle)) return this.crackCache.get(obstacle);
+        const rng = new SeededRandom(Math.round(obstacle.x * 13 + obstacle.y * 7));
+        const size = obstacle.type === 'rock' ? obstacle.radius : Math.max(obstacle.width, obstacle.height) / 2;
+        const cracks = [];
+        for (let i = 0; i < OBSTACLE_CONFIG.DAMAGE_STATES.length * 3; i++) {
+            let angle = rng.range(0, Math.PI * 2);
+            let x = obstacle.x + rng.range(-size, size) * 0.2;
+            let y = obstacle.y + rng.range(-size, size) * 0.2;
+            const crack = [{ x, y }];
+            for (let segment = 0; segment < 4; segment++) {
+                angle += rng.range(-0.6, 0.6);
+                const length = size * rng.range(0.2, 0.4);
+                x += Math.cos(angle) * length;
+                y += Math.sin(angle) * length;
+                crack.push({ x, y });
+            }
+            cracks.push(crack);
+        }
+        this.crackCache.set(obstacle, cracks);
+        return cracks;
+    }
+
+    renderDebris() {
+        const { ctx } = this.game;
+        const now = this.game.now();
+        (this.game.debris || []).forEach(piece => {
+            ctx.save();
+            ctx.globalAlpha = Math.max(0, 1 - (now - piece.spawnTime) / OBSTACLE_CONFIG.DEBRIS_LIFETIME_MS);
+            ctx.translate(piece.x, piece.y);
+            ctx.rotate(piece.rotation);
+            ctx.fillStyle = piece.color;
+            ctx.fillRect(-piece.size / 2, -piece.size / 2, piece.size, piece.size);
+            ctx.restore();
         });
     }
 
@@ -84,8 +426,11 @@ class GameRenderer {
         const { ctx } = this.game;
         this.game.tanks.forEach(tank => {
             if (!tank.isAlive) return;
+            const pos = this.interpolate(tank);
+            const turretAngle = this.interpolateAngle(tank.turretAngle, tank.prevTurretAngle);
             ctx.save();
-            ctx.translate(tank.x, tank.y);
+            ctx.globalAlpha = this.game.powerupsManager.opacity(tank);
+            ctx.translate(pos.x, pos.y);
             ctx.fillStyle = tank.color;
             ctx.beginPath();
             ctx.arc(0, 0, tank.size / 2, 0, Math.PI * 2);
@@ -94,8 +439,22 @@ class GameRenderer {
             ctx.lineWidth = 4;
             ctx.beginPath();
             ctx.moveTo(0, 0);
-            ctx.lineTo(Math.cos(tank.turretAngle) * tank.turretLength, Math.sin(tank.turretAngle) * tank.turretLength);
+            ctx.lineTo(Math.cos(turretAngle) * tank.turretLength, Math.sin(turretAngle) * tank.turretLength);
             ctx.stroke();
+            // Powerups with their own look (e.g. the invincibility ring)
+            this.game.powerupsManager.active(tank).forEach(({ powerup, stacks }) => {
+                if (powerup.render) powerup.render(ctx, tank, stacks);
+            });
+            if (tank.carryingFlag) {
+                // Flag carrier: ring in the carried flag's color plus the flag itself
+                const flagColor = GAME_CONFIG.TEAM_COLORS[tank.carryingFlag.toUpperCase()];
+                ctx.strokeStyle = flagColor;
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.arc(0, 0, tank.size / 2 + 6, 0, Math.PI * 2);
+                ctx.stroke();
+                this.drawFlag(tank.size / 4, 0, flagColor, 0.8);
+            }
             if (tank.health < tank.maxHealth) {
                 const barWidth = tank.size;
                 const barHeight = 4;
@@ -112,9 +471,212 @@ class GameRenderer {
             ctx.textAlign = 'center';
             ctx.textBaseline = 'bottom';
             const nameY = -tank.size / 2 - 15;
-            ctx.strokeText(tank.name, 0, nameY);
-            ctx.fillText(tank.name, 0, nameY);
+            const nameTag = GameRenderer.nameTag(tank);
+            ctx.strokeText(nameTag, 0, nameY);
+            ctx.fillText(nameTag, 0, nameY);
             this.renderPowerupIndicators(tank, nameY);
+            this.renderWeaponIndicator(tank);
+            ctx.restore();
+        });
+    }
+
+    renderZones() {
+        const mode = this.game.mode;
+        if (!mode || !mode.zones) return;
+        
+        const { ctx } = this.game;
+        mode.zones.forEach(zone => {
+            const ownerColor = zone.owner !== null ? mode.sideColor(this.game, zone.owner) : '#ffffff';
+            
+            // Zone area tinted with the owner's color
+            ctx.save();
+            ctx.globalAlpha = zone.owner !== null ? 0.25 : 0.1;
+            ctx.fillStyle = ownerColor;
+            ctx.beginPath();
+            ctx.arc(zone.x, zone.y, zone.radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+            
+            // Border: dashed and flashing while contested
+            ctx.save();
+            ctx.strokeStyle = zone.contested ? '#ffff00' : ownerColor;
+            ctx.lineWidth = 2;
+            if (zone.contested) {
+                ctx.setLineDash([10, 8]);
+                ctx.globalAlpha = 0.5 + 0.5 * Math.abs(Math.sin(this.game.now() * 0.006));
+            }
+            ctx.beginPath();
+            ctx.arc(zone.x, zone.y, zone.radius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+            
+            // Capture progress ring in the capturing side's color
+            if (zone.capturer !== null && zone.progress > 0) {
+                ctx.strokeStyle = mode.sideColor(this.game, zone.capturer);
+                ctx.lineWidth = 6;
+                ctx.beginPath();
+                ctx.arc(zone.x, zone.y, zone.radius + 6, -Math.PI / 2, -Math.PI / 2 + zone.progress * Math.PI * 2);
+                ctx.stroke();
+            }
+            
+            ctx.font = '20px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText('👑', zone.x, zone.y);
+        });
+    }
+
+    renderFlags() {
+        if (this.game.gameMode !== GAME_MODES.CTF || !this.game.mode) return;
+        
+        const { ctx } = this.game;
+        Object.values(this.game.mode.flags).forEach(flag => {
+            const color = GAME_CONFIG.TEAM_COLORS[flag.team.toUpperCase()];
+            
+            // Base
+            ctx.save();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 3;
+            ctx.setLineDash([8, 6]);
+            ctx.beginPath();
+            ctx.arc(flag.baseX, flag.baseY, CTF_CONFIG.BASE_RADIUS, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+            
+            // Carried flags are drawn on their carrier (see renderTanks)
+            if (flag.carrierId !== null) return;
+            this.drawFlag(flag.x, flag.y, color, 1);
+            
+            // Dropped flag: ring shrinks until it returns home on its own
+            if (!flag.atHome) {
+                const remaining = 1 - (this.game.now() - flag.droppedAt) / CTF_CONFIG.FLAG_RETURN_MS;
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(flag.x, flag.y, CTF_CONFIG.FLAG_PICKUP_RADIUS, -Math.PI / 2, -Math.PI / 2 + Math.max(0, remaining) * Math.PI * 2);
+                ctx.stroke();
+            }
+        });
+    }
+
+    drawFlag(x, y, color, scale) {
+        const { ctx } = this.game;
+        const poleHeight = 28 * scale;
+        ctx.strokeStyle = '#dddddd';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x, y - poleHeight);
+        ctx.stroke();
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(x, y - poleHeight);
+        ctx.lineTo(x + 18 * scale, y - poleHeight + 6 * scale);
+        ctx.lineTo(x, y - poleHeight + 12 * scale);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    // Armed mines are only drawn when none of the people at the screen are the layer's enemies
+    renderMines() {
+        const { ctx } = this.game;
+        const now = this.game.now();
+        const viewers = this.game.tanks.filter(tank => !tank.isAI);
+        (this.game.mines || []).forEach(mine => {
+            if (!viewers.every(tank => this.game.weaponsManager.mineVisibleTo(mine, tank))) return;
+            ctx.fillStyle = '#333333';
+            ctx.strokeStyle = mine.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(mine.x, mine.y, mine.size / 2, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            // Armed mines blink red
+            const armed = now >= mine.armTime;
+            ctx.fillStyle = armed && Math.floor(now / 400) % 2 === 0 ? '#ff3b30' : '#777777';
+            ctx.beginPath();
+            ctx.arc(mine.x, mine.y, mine.size / 6, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    // Lit charges with a ring that empties as the fuse burns down
+    renderCharges() {
+        const { ctx } = this.game;
+        const now = this.game.now();
+        (this.game.charges || []).forEach(charge => {
+            const fuseMs = WEAPON_CONFIG.WEAPONS[charge.shot.weapon].fuseMs;
+            const left = Math.max(0, (charge.detonateTime - now) / fuseMs);
+            ctx.fillStyle = '#b71c1c';
+            ctx.strokeStyle = charge.color;
+            ctx.lineWidth = 2;
+            ctx.fillRect(charge.x - charge.size / 2, charge.y - charge.size / 2, charge.size, charge.size);
+            ctx.strokeRect(charge.x - charge.size / 2, charge.y - charge.size / 2, charge.size, charge.size);
+            ctx.strokeStyle = Math.floor(now / 150) % 2 === 0 ? '#ffeb3b' : '#ff3b30';
+            ctx.beginPath();
+            ctx.arc(charge.x, charge.y, charge.size, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * left);
+            ctx.stroke();
+        });
+    }
+
+    // Shells are drawn higher (bigger, further from their shadow) near the middle of their flight
+    renderShells() {
+        const { ctx } = this.game;
+        (this.game.shells || []).forEach(shell => {
+            const pos = this.interpolate(shell);
+            const height = Math.sin(Math.PI * Math.min(1, shell.traveled / shell.range)) * WEAPON_CONFIG.SHELL_ARC_HEIGHT;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, shell.size / 2, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = shell.color;
+            ctx.strokeStyle = '#222222';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y - height, shell.size / 2 * (1 + height / WEAPON_CONFIG.SHELL_ARC_HEIGHT), 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+    }
+
+    renderWeaponEffects() {
+        const { ctx } = this.game;
+        const now = this.game.now();
+        (this.game.weaponEffects || []).forEach(effect => {
+            ctx.save();
+            if (effect.type === 'rail') {
+                const fade = 1 - (now - effect.spawnTime) / WEAPON_CONFIG.RAIL_TRAIL_MS;
+                ctx.globalAlpha = Math.max(0, fade);
+                ctx.strokeStyle = effect.color;
+                ctx.lineWidth = 6 * fade;
+                ctx.beginPath();
+                ctx.moveTo(effect.fromX, effect.fromY);
+                ctx.lineTo(effect.toX, effect.toY);
+                ctx.stroke();
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            } else if (effect.type === 'emp') {
+                // Ring sweeping out to the EMP's reach
+                const progress = (now - effect.spawnTime) / WEAPON_CONFIG.BLAST_EFFECT_MS;
+                ctx.globalAlpha = Math.max(0, 1 - progress);
+                ctx.strokeStyle = effect.color;
+                ctx.lineWidth = 4;
+                ctx.beginPath();
+                ctx.arc(effect.x, effect.y, effect.radius * Math.min(1, progress), 0, Math.PI * 2);
+                ctx.stroke();
+            } else {
+                const progress = (now - effect.spawnTime) / WEAPON_CONFIG.BLAST_EFFECT_MS;
+                ctx.globalAlpha = Math.max(0, 1 - progress);
+                ctx.fillStyle = '#ffb300';
+                ctx.strokeStyle = effect.color;
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.arc(effect.x, effect.y, effect.radius * (0.5 + progress / 2), 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+            }
             ctx.restore();
         });
     }
@@ -122,50 +684,190 @@ class GameRenderer {
     renderBullets() {
         const { ctx } = this.game;
         this.game.bullets.forEach(bullet => {
+            if (bullet.homing) {
+                this.renderMissile(bullet);
+                return;
+            }
+            const pos = this.interpolate(bullet);
             ctx.fillStyle = bullet.color;
             ctx.beginPath();
-            ctx.arc(bullet.x, bullet.y, bullet.size / 2, 0, Math.PI * 2);
+            ctx.arc(pos.x, pos.y, bullet.size / 2, 0, Math.PI * 2);
             ctx.fill();
         });
     }
 
-    renderPowerupIndicators(tank, nameY) {
+    // Smoke puffs fade and shrink toward the tail; the missile is a pointed body in its owner's color
+    renderMissile(missile) {
         const { ctx } = this.game;
-        const activePowerups = [];
-        const powerupMapping = {
-            'invincibility': 'INVINCIBILITY',
-            'speed': 'SPEED',
-            'rapidFire': 'RAPID_FIRE',
-            'spreadShot': 'SPREAD_SHOT',
-            'bouncingBullets': 'BOUNCING_BULLETS'
-        };
-        Object.keys(tank.powerups).forEach(powerupType => {
-            const powerupArray = tank.powerups[powerupType];
-            if (powerupArray.length > 0) {
-                const configKey = powerupMapping[powerupType];
-                if (configKey && GAME_CONFIG.POWERUP_TYPES[configKey]) {
-                    const maxTimeRemaining = Math.max(...powerupArray);
-                    activePowerups.push({
-                        type: configKey,
-                        timeRemaining: maxTimeRemaining,
-                        stacks: powerupArray.length
-                    });
-                }
+        missile.trail.forEach((puff, index) => {
+            const age = 1 - index / missile.trail.length;
+            ctx.fillStyle = `rgba(180, 180, 180, ${0.5 * (1 - age)})`;
+            ctx.beginPath();
+            ctx.arc(puff.x, puff.y, missile.size / 2 * (1.5 - age), 0, Math.PI * 2);
+            ctx.fill();
+        });
+        const pos = this.interpolate(missile);
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(missile.angle);
+        ctx.fillStyle = missile.color;
+        ctx.strokeStyle = '#222222';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(missile.size, 0);
+        ctx.lineTo(-missile.size / 2, -missile.size / 2);
+        ctx.lineTo(-missile.size / 2, missile.size / 2);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    renderFlares() {
+        const { ctx } = this.game;
+        const now = this.game.now();
+        (this.game.flares || []).forEach(flare => {
+            const burn = 1 - (now - flare.spawnTime) / WEAPON_CONFIG.FLARE_BURN_MS;
+            ctx.save();
+            ctx.globalAlpha = Math.max(0, burn);
+            ctx.fillStyle = '#ff7043';
+            ctx.shadowColor = '#ffeb3b';
+            ctx.shadowBlur = 12;
+            ctx.beginPath();
+            ctx.arc(flare.x, flare.y, 3 + 3 * burn, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        });
+    }
+
+    // Reticle on whatever a human player's missile launcher would lock onto right now
+    renderLockOn() {
+        const { ctx } = this.game;
+        this.game.tanks.forEach(tank => {
+            if (!tank.isAlive || tank.isAI) return;
+            const target = this.game.weaponsManager.lockTarget(tank);
+            if (!target) return;
+            const radius = target.size / 2 + 8;
+            ctx.save();
+            ctx.strokeStyle = tank.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(target.x, target.y, radius, 0, Math.PI * 2);
+            for (let i = 0; i < 4; i++) {
+                const angle = i * Math.PI / 2;
+                ctx.moveTo(target.x + Math.cos(angle) * (radius - 5), target.y + Math.sin(angle) * (radius - 5));
+                ctx.lineTo(target.x + Math.cos(angle) * (radius + 5), target.y + Math.sin(angle) * (radius + 5));
             }
+            ctx.stroke();
+            ctx.restore();
         });
+    }
+
+    // Team tactics debug overlay (matchOptions.tacticsOverlay): focus targets, rally points
+    // and every bot's order with a line to where it is headed
+    renderTactics() {
+        const tactics = this.game.teamTactics;
+        if (!this.game.matchOptions.tacticsOverlay || !tactics || this.game.gameMode !== GAME_MODES.TDM) return;
+        
+        const { ctx } = this.game;
+        ctx.save();
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.lineWidth = 2;
+        Object.entries(tactics.plans).forEach(([team, plan]) => {
+            const color = GAME_CONFIG.TEAM_COLORS[team.toUpperCase()];
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            if (plan.focus && plan.focus.isAlive) {
+                const pos = this.interpolate(plan.focus);
+                ctx.setLineDash([4, 4]);
+                ctx.beginPath();
+                ctx.arc(pos.x, pos.y, plan.focus.size / 2 + 14, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+            if (plan.retreating) {
+                ctx.setLineDash([10, 6]);
+                ctx.beginPath();
+                ctx.arc(plan.rally.x, plan.rally.y, TACTICS_CONFIG.RALLY_RADIUS, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.textBaseline = 'middle';
+                ctx.fillText('RALLY', plan.rally.x, plan.rally.y);
+            }
+        });
+        this.game.tanks.forEach(tank => {
+            if (!tank.isAlive || !tank.isAI || !tank.tactic) return;
+            const pos = this.interpolate(tank);
+            const color = GAME_CONFIG.TEAM_COLORS[tank.team.toUpperCase()];
+            const destination = tactics.destinationOf(tank);
+            ctx.strokeStyle = color;
+            ctx.globalAlpha = 0.6;
+            if (destination) {
+                ctx.setLineDash([6, 6]);
+                ctx.beginPath();
+                ctx.moveTo(pos.x, pos.y);
+                ctx.lineTo(destination.x, destination.y);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.beginPath();
+                ctx.arc(destination.x, destination.y, 4, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+            ctx.globalAlpha = 1;
+            const label = tank.tactic.role.toUpperCase() + (tank.tactic.flanked ? ' ✓' : '');
+            ctx.textBaseline = 'top';
+            ctx.fillStyle = '#ffffff';
+            ctx.strokeStyle = '#000000';
+            ctx.strokeText(label, pos.x, pos.y + tank.size / 2 + 18);
+            ctx.fillText(label, pos.x, pos.y + tank.size / 2 + 18);
+        });
+        ctx.restore();
+    }
+
+    // Weapon emoji under the tank, with the shots left on a crate weapon
+    renderWeaponIndicator(tank) {
+        const { ctx } = this.game;
+        const weapon = GameWeapons.weaponOf(tank);
+        const label = weapon.emoji + (tank.weaponAmmo > 0 ? ` ${tank.weaponAmmo}` : '');
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 2;
+        ctx.strokeText(label, 0, tank.size / 2 + 4);
+        ctx.fillText(label, 0, tank.size / 2 + 4);
+    }
+
+    renderPowerupIndicators(tank, nameY) {
+        const { ctx } = this.game;
+        const powerups = this.game.powerupsManager;
+        const activePowerups = powerups.active(tank, true);
+        const disabled = powerups.isDisabled(tank);
+        if (disabled) {
+            // EMP countdown first; everything after it (but empProof powerups) is greyed out until it wears off
+            activePowerups.unshift({
+                powerup: { emoji: '🚫' },
+                stacks: 1,
+                timeRemaining: tank.empUntil - this.game.now()
+            });
+        }
         if (activePowerups.length === 0) return;
-        const nameWidth = ctx.measureText(tank.name).width;
+        const nameWidth = ctx.measureText(GameRenderer.nameTag(tank)).width;
         const startX = nameWidth / 2 + 10;
         const indicatorY = nameY - 5;
-        activePowerups.forEach((powerup, index) => {
+        activePowerups.forEach(({ powerup, stacks, timeRemaining }, index) => {
             const indicatorX = startX + (index * 25);
+            ctx.save();
+            if (disabled && index > 0 && !powerup.empProof) ctx.globalAlpha *= 0.35;
             ctx.font = '14px Arial';
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
             ctx.fillStyle = '#ffffff';
             ctx.strokeStyle = '#000000';
             ctx.lineWidth = 1;
-            const emoji = GAME_CONFIG.POWERUP_TYPES[powerup.type].emoji;
+            const emoji = powerup.emoji;
             ctx.strokeText(emoji, indicatorX, indicatorY);
             ctx.fillText(emoji, indicatorX, indicatorY);
             ctx.font = '10px Arial';
@@ -174,10 +876,48 @@ class GameRenderer {
             ctx.fillStyle = '#ffff00';
             ctx.strokeStyle = '#000000';
             ctx.lineWidth = 1;
-            const timeText = Math.ceil(powerup.timeRemaining / 1000) + 's';
-            const stackText = powerup.stacks > 1 ? ` (${powerup.stacks}x)` : '';
-            ctx.strokeText(timeText + stackText, indicatorX, indicatorY + 8);
-            ctx.fillText(timeText + stackText, indicatorX, indicatorY + 8);
+            const stackText = stacks > 1 ? ` (${stacks}x)` : '';
+            const text = powerup.indicatorText ? powerup.indicatorText(tank, stacks, timeRemaining) : Math.ceil(timeRemaining / 1000) + 's' + stackText;
+            ctx.strokeText(text, indicatorX, indicatorY + 8);
+            ctx.fillText(text, indicatorX, indicatorY + 8);
+            ctx.restore();
+        });
+    }
+
+    renderPowerupPads() {
+        const { ctx } = this.game;
+        const now = this.game.now();
+        const radius = GAME_CONFIG.POWERUP_PAD_RADIUS;
+        this.game.powerupPads.forEach(pad => {
+            ctx.save();
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(pad.x, pad.y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            const remaining = pad.powerupId === null ? pad.readyTime - now : 0;
+            if (remaining > 0) {
+                // Countdown ring drains clockwise from the top
+                ctx.strokeStyle = '#ffd700';
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.arc(pad.x, pad.y, radius, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * (remaining / pad.respawnMs));
+                ctx.stroke();
+                ctx.font = 'bold 11px Arial';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillStyle = '#ffd700';
+                ctx.fillText(Math.ceil(remaining / 1000), pad.x, pad.y + radius + 9);
+                if (pad.type) {
+                    // Pinned pads show what is coming
+                    ctx.globalAlpha = 0.35;
+                    ctx.font = '14px Arial';
+                    ctx.fillText(window.powerupRegistry.get(pad.type).emoji, pad.x, pad.y);
+                }
+            }
+            ctx.restore();
         });
     }
 
@@ -188,7 +928,8 @@ class GameRenderer {
             ctx.save();
             ctx.translate(powerup.x, powerup.y);
             ctx.rotate(powerup.rotation);
-            ctx.fillStyle = GAME_CONFIG.POWERUP_TYPES[powerup.type].color;
+            const definition = window.powerupRegistry.get(powerup.type);
+            ctx.fillStyle = definition.color;
             ctx.beginPath();
             ctx.arc(0, 0, powerup.size / 2, 0, Math.PI * 2);
             ctx.fill();
@@ -196,9 +937,8 @@ class GameRenderer {
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
             ctx.fillStyle = '#ffffff';
-            ctx.fillText(GAME_CONFIG.POWERUP_TYPES[powerup.type].emoji, 0, 0);
+            ctx.fillText(powerup.weapon ? WEAPON_CONFIG.WEAPONS[powerup.weapon].emoji : definition.emoji, 0, 0);
             ctx.restore();
-            powerup.rotation += 0.02;
         });
     }
 
@@ -207,28 +947,13 @@ class GameRenderer {
         ctx.fillStyle = '#ffffff';
         ctx.font = '16px Arial';
         ctx.textAlign = 'left';
-        if (this.game.gameMode === GAME_MODES.TDM) {
-            const redAlive = this.game.teams.red.filter(tank => tank.isAlive).length;
-            const blueAlive = this.game.teams.blue.filter(tank => tank.isAlive).length;
-            ctx.fillStyle = GAME_CONFIG.TEAM_COLORS.RED;
-            ctx.fillText(`Red Team: ${redAlive}`, 10, 25);
-            ctx.fillStyle = GAME_CONFIG.TEAM_COLORS.BLUE;
-            ctx.fillText(`Blue Team: ${blueAlive}`, 10, 45);
-            ctx.fillStyle = '#ffffff';
-            ctx.fillText(`Mode: TDM`, 10, 65);
-        } else if (this.game.gameMode === GAME_MODES.CAMPAIGN) {
-            // Campaign mode UI
-            if (this.game.mode && this.game.mode.hudInfo) {
-                const hudInfo = this.game.mode.hudInfo(this.game);
-                hudInfo.lines.forEach((line, index) => {
-                    ctx.fillText(line, 10, 25 + (index * 20));
-                });
-            }
-        } else {
-            ctx.fillText(`Players: ${this.game.numPlayers} | AI: ${this.game.numAIBots}`, 10, 25);
-            const aliveTanks = this.game.tanks.filter(tank => tank.isAlive).length;
-            ctx.fillText(`Alive: ${aliveTanks}`, 10, 45);
-            ctx.fillText(`Mode: FFA`, 10, 65);
+        // Each mode describes its own HUD (lines are text or { text, color })
+        if (this.game.mode && this.game.mode.hudInfo) {
+            const hudInfo = this.game.mode.hudInfo(this.game);
+            hudInfo.lines.forEach((line, index) => {
+                ctx.fillStyle = line.color || '#ffffff';
+                ctx.fillText(line.text || line, 10, 25 + (index * 20));
+            });
         }
     }
     
@@ -239,8 +964,9 @@ class GameRenderer {
         this.game.mode.enemies.forEach(enemy => {
             if (!enemy.isAlive) return;
             
+            const pos = this.interpolate(enemy);
             ctx.save();
-            ctx.translate(enemy.x, enemy.y);
+            ctx.translate(pos.x, pos.y);
             
             // Draw enemy body
             ctx.fillStyle = enemy.color;
@@ -276,7 +1002,7 @@ class GameRenderer {
             // Special effects for boss
             if (enemy.type === 'boss' && enemy.isEnraged) {
                 // Pulsing effect
-                const pulse = Math.sin(Date.now() * 0.01) * 0.2 + 0.8;
+                const pulse = Math.sin(this.game.now() * 0.01) * 0.2 + 0.8;
                 ctx.globalAlpha = pulse;
                 ctx.strokeStyle = '#ff0000';
                 ctx.lineWidth = 3;
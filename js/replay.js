@@ -0,0 +1,662 @@
+// =============================================================================
+// MATCH REPLAYS
+// =============================================================================
+// A replay is the match seed and settings plus every control event that reached
+// the game, stamped with the simulation tick it arrived on. The simulation is
+// deterministic, so feeding those events back in at the same ticks reproduces
+// the whole match. Periodic tank snapshots are stored alongside so playback can
+// report a desync instead of silently drifting.
+//
+// File layout (JSON, arrays keep it compact):
+//   events:    [tick, playerIndex, controlIndex, pressed (1/0)]
+//   snapshots: [tick, [[tankId, x, y, turretAngle, health, alive (1/0)], ...]]
+
+const REPLAY_CONTROLS = Object.keys(MIDI_CONFIG.NOTE_OFFSETS);
+
+class ReplayRecorder {
+    constructor(game) {
+        this.game = game;
+        this.replay = null;
+    }
+
+    /**
+     * Start a fresh recording from the game's current settings.
+     * Called once a match (or campaign level) is set up, right before its first tick.
+     */
+    start() {
+        const game = this.game;
+        const settings = {
+            gameMode: game.gameMode,
+            numPlayers: game.numPlayers,
+            numAIBots: game.numAIBots,
+            teamAssignments: game.teamAssignments || {},
+            aiTeamDistribution: game.aiTeamDistribution || null,
+            rules: game.matchOptions.rules || null,
+            loadouts: game.matchOptions.loadouts || null,
+            powerups: game.matchOptions.powerups || null,
+            botSkills: game.matchOptions.botSkills || null,
+            tacticsOverlay: !!game.matchOptions.tacticsOverlay,
+            map: game.map || null,
+            generator: game.map ? null : game.generatorSettings,
+            mapWidth: GAME_CONFIG.MAP_WIDTH,
+            mapHeight: GAME_CONFIG.MAP_HEIGHT
+        };
+        if (game.mode && game.mode.replaySettings) {
+            Object.assign(settings, game.mode.replaySettings(game));
+        }
+
+        this.replay = {
+            format: REPLAY_CONFIG.FORMAT,
+            version: REPLAY_CONFIG.VERSION,
+            recordedAt: new Date().toISOString(),
+            seed: game.matchSeed,
+            tickRate: GAME_CONFIG.SIMULATION_TICK_RATE,
+            settings: settings,
+            controls: REPLAY_CONTROLS,
+            endTick: game.tickCount,
+            winner: null,
+            events: [],
+            snapshots: []
+        };
+
+        // Keys still held from before the recording started (e.g. across campaign levels)
+        game.activeControls.forEach(controlEvent => this.recordControl(controlEvent));
+        this.snapshot();
+    }
+
+    /**
+     * Record a control event that passed handleMIDIControl's filters
+     * @param {Object} controlEvent - { playerIndex, control, isPressed }
+     */
+    recordControl(controlEvent) {
+        if (!this.replay) return;
+        const controlIndex = REPLAY_CONTROLS.indexOf(controlEvent.control);
+        if (controlIndex === -1) return;
+        this.replay.events.push([this.game.tickCount, controlEvent.playerIndex, controlIndex, controlEvent.isPressed ? 1 : 0]);
+    }
+
+    /**
+     * Called after every simulation tick
+     */
+    afterTick() {
+        if (!this.replay) return;
+        this.replay.endTick = this.game.tickCount;
+        if (this.game.tickCount % REPLAY_CONFIG.SNAPSHOT_INTERVAL_TICKS === 0) {
+            this.snapshot();
+        }
+    }
+
+    /**
+     * Close the recording when the match (or level) ends
+     * @param {string|null} winner - Winner label from the mode
+     */
+    finish(winner) {
+        if (!this.replay) return;
+        this.replay.endTick = this.game.tickCount;
+        this.replay.winner = winner;
+        this.snapshot();
+    }
+
+    snapshot() {
+        const snapshots = this.replay.snapshots;
+        const last = snapshots[snapshots.length - 1];
+        if (last && last[0] === this.game.tickCount) return;
+        snapshots.push([this.game.tickCount, ReplayRecorder.captureTanks(this.game)]);
+    }
+
+    /**
+     * @returns {Object|null} The recording as plain data
+     */
+    toJSON() {
+        return this.replay;
+    }
+
+    /**
+     * Save the recording as a .json file (browser only)
+     */
+    download() {
+        if (!this.replay) return;
+        const blob = new Blob([JSON.stringify(this.replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `multitanks-${this.replay.settings.gameMode}-${this.replay.seed}.replay.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Compact per-tank state used for desync detection
+     * @param {MultiTanksGame} game - Game to capture
+     * @returns {Array} Snapshot rows (see file layout above)
+     */
+    static captureTanks(game) {
+        const round = (value, places) => {
+            const factor = Math.pow(10, places);
+            return Math.round(value * factor) / factor;
+        };
+        return game.tanks.map(tank => [
+            tank.id,
+            round(tank.x, 1),
+            round(tank.y, 1),
+            round(tank.turretAngle, 2),
+            tank.health,
+            tank.isAlive ? 1 : 0
+        ]);
+    }
+}
+
+class ReplayPlayer {
+    /**
+     * @param {Object} replay - Validated replay data (see ReplayPlayer.parse)
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.eventIndex = 0;
+        this.snapshotIndex = 0;
+        this.desyncTick = null;
+        this.finished = false;
+    }
+
+    /**
+     * Parse and validate replay file contents
+     * @param {string} text - File contents
+     * @returns {Object} Replay data
+     * @throws {Error} With a readable message when the file is not a usable replay
+     */
+    static parse(text) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Replay file is not valid JSON.');
+        }
+        ReplayPlayer.validate(replay);
+        return replay;
+    }
+
+    /**
+     * @param {Object} replay - Replay data
+     * @throws {Error} With a readable message describing the first problem found
+     */
+    static validate(replay) {
+        if (!replay || replay.format !== REPLAY_CONFIG.FORMAT) {
+            throw new Error('This file is not a MultiTanks replay.');
+        }
+        if (replay.version !== REPLAY_CONFIG.VERSION) {
+            throw new Error(`Replay version ${replay.version} is not supported (expected ${REPLAY_CONFIG.VERSION}).`);
+        }
+        if (replay.tickRate !== GAME_CONFIG.SIMULATION_TICK_RATE) {
+            throw new Error(`Replay was recorded at ${replay.tickRate} ticks/s but this game runs at ${GAME_CONFIG.SIMULATION_TICK_RATE}.`);
+        }
+        const settings = replay.settings;
+        if (!settings || !Object.values(GAME_MODES).includes(settings.gameMode)) {
+            throw new Error('Replay is missing its match settings or uses an unknown game mode.');
+        }
+        if (!(settings.mapWidth > 0) || !(settings.mapHeight > 0)) {
+            throw new Error('Replay is missing its map size.');
+        }
+        if (settings.map) {
+            try {
+                MapLoader.validate(settings.map);
+            } catch (error) {
+                throw new Error(`Replay map is invalid: ${error.message}`);
+            }
+        }
+        if (!Array.isArray(replay.controls) || !Array.isArray(replay.events) || !Array.isArray(replay.snapshots)) {
+            throw new Error('Replay is missing its control events or snapshots.');
+        }
+        if (!Number.isInteger(replay.endTick) || replay.endTick < 0) {
+            throw new Error('Replay has an invalid length.');
+        }
+        replay.events.forEach((event, index) => {
+            if (!Array.isArray(event) || event.length !== 4 || !replay.controls[event[2]]) {
+                throw new Error(`Replay event #${index + 1} is malformed.`);
+            }
+        });
+    }
+
+    /**
+     * Create a game that plays this replay from tick 0
+     * @param {HTMLCanvasElement|null} canvas - Canvas to render to (null for a headless check)
+     * @param {Object} options - { muted: skip music and sound effects while setting up }
+     * @returns {Promise<MultiTanksGame>} Game at tick 0
+     */
+    async createGame(canvas, options = {}) {
+        this.eventIndex = 0;
+        this.snapshotIndex = 0;
+        this.desyncTick = null;
+        this.finished = false;
+
+        const settings = this.replay.settings;
+        const game = new MultiTanksGame();
+        await game.initialize(canvas, settings.numPlayers, settings.numAIBots, settings.gameMode, settings.teamAssignments, settings.aiTeamDistribution, {
+            seed: this.replay.seed,
+            map: settings.map,
+            generator: settings.generator,
+            mapWidth: settings.mapWidth,
+            mapHeight: settings.mapHeight,
+            rules: settings.rules,
+            loadouts: settings.loadouts,
+            powerups: settings.powerups,
+            botSkills: settings.botSkills,
+            tacticsOverlay: settings.tacticsOverlay,
+            replay: this,
+            muted: options.muted
+        });
+        if (game.mode && game.mode.startFromReplay) {
+            game.mode.startFromReplay(game, settings);
+        }
+        return game;
+    }
+
+    /**
+     * Feed in the recorded controls for the coming tick
+     * @param {MultiTanksGame} game - Game being replayed
+     * @returns {boolean} False once the recording has run out
+     */
+    beforeTick(game) {
+        if (game.tickCount >= this.replay.endTick) {
+            this.finished = true;
+            return false;
+        }
+
+        const events = this.replay.events;
+        while (this.eventIndex < events.length && events[this.eventIndex][0] <= game.tickCount) {
+            const [, playerIndex, controlIndex, pressed] = events[this.eventIndex++];
+            game.handleMIDIControl({
+                playerIndex: playerIndex,
+                control: this.replay.controls[controlIndex],
+                isPressed: pressed === 1
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Compare the simulation against the recorded snapshots
+     * @param {MultiTanksGame} game - Game being replayed
+     */
+    afterTick(game) {
+        const snapshots = this.replay.snapshots;
+        while (this.snapshotIndex < snapshots.length && snapshots[this.snapshotIndex][0] <= game.tickCount) {
+            const [tick, recorded] = snapshots[this.snapshotIndex++];
+            if (tick === game.tickCount && this.desyncTick === null && !ReplayPlayer.matchesSnapshot(game, recorded)) {
+                this.desyncTick = tick;
+                console.warn(`⚠️ Replay desync at tick ${tick}: playback no longer matches the recording`);
+            }
+        }
+        if (game.tickCount >= this.replay.endTick) {
+            this.finished = true;
+        }
+    }
+
+    /**
+     * @param {MultiTanksGame} game - Game being replayed
+     * @param {Array} recorded - Snapshot rows from the recording
+     * @returns {boolean} True if every recorded tank is where it should be
+     */
+    static matchesSnapshot(game, recorded) {
+        const current = ReplayRecorder.captureTanks(game);
+        if (current.length !== recorded.length) return false;
+        return recorded.every(([id, x, y, , health, alive]) => {
+            const row = current.find(r => r[0] === id);
+            return row &&
+                Math.abs(row[1] - x) <= REPLAY_CONFIG.SNAPSHOT_TOLERANCE &&
+                Math.abs(row[2] - y) <= REPLAY_CONFIG.SNAPSHOT_TOLERANCE &&
+                row[4] === health &&
+                row[5] === alive;
+        });
+    }
+
+    /**
+     * Advance a replay game without rendering
+     * @param {MultiTanksGame} game - Game being replayed
+     * @param {number} tick - Tick to stop at
+     * @param {number} deadline - performance.now() time to give up at, short of the tick
+     */
+    fastForward(game, tick, deadline = Infinity) {
+        const wasPaused = game.isPaused;
+        const wasMuted = game.effectsMuted;
+        game.isPaused = false;
+        game.effectsMuted = true;
+        while (game.tickCount < tick && !this.finished && game.gameState === GAME_STATES.PLAYING) {
+            game.update(game.tickDuration);
+            if (deadline !== Infinity && performance.now() >= deadline) break;
+        }
+        game.isPaused = wasPaused;
+        game.effectsMuted = wasMuted;
+    }
+
+    /**
+     * Fast-forward a slice at a time, one slice per animation frame, so a long seek
+     * keeps the page responsive
+     * @param {MultiTanksGame} game - Game being replayed
+     * @param {number} tick - Tick to stop at
+     * @param {Function} onProgress - Called with the fraction done (0-1) after each slice
+     * @returns {Promise<void>} Resolves once the tick (or the end of the replay) is reached
+     */
+    async fastForwardInSteps(game, tick, onProgress) {
+        const from = game.tickCount;
+        while (game.tickCount < tick && !this.finished && game.gameState === GAME_STATES.PLAYING) {
+            this.fastForward(game, tick, performance.now() + REPLAY_CONFIG.SEEK_SLICE_MS);
+            onProgress((game.tickCount - from) / (tick - from));
+            await new Promise(resolve => requestAnimationFrame(resolve));
+        }
+    }
+}
+
+// =============================================================================
+// REPLAY VIEWER (browser UI)
+// =============================================================================
+
+class ReplayViewer {
+    /**
+     * @param {ReplayPlayer} player - Replay to show
+     * @param {HTMLCanvasElement} canvas - Game canvas
+     */
+    constructor(player, canvas) {
+        this.player = player;
+        this.canvas = canvas;
+        this.game = null;
+        this.speed = 1;
+        this.controlsElement = null;
+        this.uiFrame = null;
+        this.isScrubbing = false;
+        this.isLoading = false;
+        this.seekProgress = 0; // Fraction of the current seek done, shown while isLoading
+        this.pendingSeek = null; // Latest seek asked for while another was running
+        this.dragStart = null;
+
+        // Shared with the game's renderer (game.viewCamera)
+        this.camera = {
+            mode: 'free', // 'free' or 'follow'
+            tankId: null,
+            x: player.replay.settings.mapWidth / 2,
+            y: player.replay.settings.mapHeight / 2,
+            zoom: 1
+        };
+
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+        this.onWheel = this.onWheel.bind(this);
+    }
+
+    /**
+     * Load the replay and show the playback controls
+     */
+    async start() {
+        await this.loadGame(0, false);
+        this.resetFreeCamera();
+        this.createControls();
+        this.canvas.addEventListener('mousedown', this.onMouseDown);
+        window.addEventListener('mousemove', this.onMouseMove);
+        window.addEventListener('mouseup', this.onMouseUp);
+        this.canvas.addEventListener('wheel', this.onWheel, { passive: false });
+        this.updateControls();
+    }
+
+    /**
+     * Rebuild the game from the start of the replay and fast-forward to a tick
+     * @param {number} tick - Tick to show
+     * @param {boolean} muted - Skip the match start music/sounds (used when seeking)
+     */
+    async loadGame(tick, muted) {
+        const paused = this.game ? this.game.isPaused : false;
+        if (this.game) {
+            this.game.stop(true);
+        }
+
+        const game = await this.player.createGame(this.canvas, { muted: muted });
+        game.viewCamera = this.camera;
+        game.timeScale = this.speed;
+        this.game = game;
+        window.game = game;
+        await this.fastForwardTo(tick);
+        game.isPaused = paused;
+        game.effectsMuted = false;
+    }
+
+    /**
+     * Fast-forward the current game across animation frames, holding it paused meanwhile
+     * @param {number} tick - Tick to stop at
+     */
+    async fastForwardTo(tick) {
+        const game = this.game;
+        const paused = game.isPaused;
+        game.isPaused = true;
+        this.seekProgress = 0;
+        await this.player.fastForwardInSteps(game, tick, progress => { this.seekProgress = progress; });
+        game.isPaused = paused;
+    }
+
+    /**
+     * Jump to a tick (backwards seeks re-simulate from the start, spread over several
+     * frames with the progress in the playback bar)
+     * @param {number} tick - Target tick
+     */
+    async seek(tick) {
+        if (this.isLoading) {
+            // Only the latest position matters once this seek is done
+            this.pendingSeek = tick;
+            return;
+        }
+        this.isLoading = true;
+        let target = tick;
+        while (target !== null) {
+            this.pendingSeek = null;
+            target = Math.max(0, Math.min(this.player.replay.endTick, Math.round(target)));
+            if (target < this.game.tickCount) {
+                await this.loadGame(target, true);
+            } else {
+                await this.fastForwardTo(target);
+            }
+            this.game.tickAccumulator = 0;
+            target = this.pendingSeek;
+        }
+        this.isLoading = false;
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.game.timeScale = speed;
+    }
+
+    togglePause() {
+        if (this.isLoading) return;
+        if (this.player.finished && this.game.isPaused) {
+            // Play again from the start once the end has been reached
+            this.seek(0).then(() => this.game.togglePause());
+            return;
+        }
+        this.game.togglePause();
+    }
+
+    resetFreeCamera() {
+        const { mapWidth, mapHeight } = this.player.replay.settings;
+        this.camera.mode = 'free';
+        this.camera.tankId = null;
+        this.camera.x = mapWidth / 2;
+        this.camera.y = mapHeight / 2;
+        this.camera.zoom = Math.min(this.canvas.width / mapWidth, this.canvas.height / mapHeight);
+    }
+
+    /**
+     * @param {string} value - 'free' or a tank id
+     */
+    setCamera(value) {
+        if (value === 'free') {
+            this.resetFreeCamera();
+            return;
+        }
+        const tank = this.game.tanks.find(t => String(t.id) === value);
+        if (!tank) return;
+        this.camera.mode = 'follow';
+        this.camera.tankId = tank.id;
+        this.camera.zoom = REPLAY_CONFIG.FOLLOW_ZOOM;
+    }
+
+    onMouseDown(event) {
+        this.dragStart = { x: event.clientX, y: event.clientY, cameraX: this.camera.x, cameraY: this.camera.y };
+    }
+
+    onMouseMove(event) {
+        if (!this.dragStart) return;
+        // Dragging always switches to the free camera
+        if (this.camera.mode !== 'free') {
+            this.camera.mode = 'free';
+            this.camera.tankId = null;
+            document.getElementById('replayCamera').value = 'free';
+        }
+        this.camera.x = this.dragStart.cameraX - (event.clientX - this.dragStart.x) / this.camera.zoom;
+        this.camera.y = this.dragStart.cameraY - (event.clientY - this.dragStart.y) / this.camera.zoom;
+    }
+
+    onMouseUp() {
+        this.dragStart = null;
+    }
+
+    onWheel(event) {
+        event.preventDefault();
+        const factor = event.deltaY < 0 ? 1.1 : 1 / 1.1;
+        this.camera.zoom = Math.max(REPLAY_CONFIG.MIN_ZOOM, Math.min(REPLAY_CONFIG.MAX_ZOOM, this.camera.zoom * factor));
+    }
+
+    formatTick(tick) {
+        const seconds = Math.floor(tick / this.player.replay.tickRate);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Create the playback bar
+     */
+    createControls() {
+        const replay = this.player.replay;
+        const bar = document.createElement('div');
+        bar.id = 'replayControls';
+        bar.style.cssText = `
+            position: fixed;
+            left: 50%;
+            bottom: 15px;
+            transform: translateX(-50%);
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            padding: 10px 15px;
+            background: rgba(0, 0, 0, 0.75);
+            border-radius: 8px;
+            z-index: 1000;
+            color: white;
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+        `;
+
+        const buttonStyle = 'padding: 6px 12px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;';
+        const selectStyle = 'padding: 4px; background: #333; color: white; border: 1px solid #666; border-radius: 4px;';
+        const speedOptions = REPLAY_CONFIG.PLAYBACK_SPEEDS
+            .map(speed => `<option value="${speed}" ${speed === this.speed ? 'selected' : ''}>${speed}x</option>`)
+            .join('');
+        const cameraOptions = this.game.tanks
+            .map(tank => `<option value="${tank.id}">Follow ${tank.name}</option>`)
+            .join('');
+
+        bar.innerHTML = `
+            <button id="replayRestartBtn" style="${buttonStyle}" title="Back to start">⏮</button>
+            <button id="replayPlayBtn" style="${buttonStyle}" title="Play/Pause">⏸</button>
+            <input type="range" id="replaySeek" min="0" max="${replay.endTick}" value="0" style="width: 320px;">
+            <span id="replayTime" style="min-width: 90px;">0:00 / ${this.formatTick(replay.endTick)}</span>
+            <select id="replaySpeed" style="${selectStyle}">${speedOptions}</select>
+            <select id="replayCamera" style="${selectStyle}">
+                <option value="free">Free Camera</option>
+                ${cameraOptions}
+            </select>
+            <span id="replayStatus" style="color: #ffcc00;"></span>
+            <button id="replayExitBtn" style="${buttonStyle}">Exit</button>
+        `;
+        document.body.appendChild(bar);
+        this.controlsElement = bar;
+
+        document.getElementById('replayRestartBtn').addEventListener('click', () => this.seek(0));
+        document.getElementById('replayPlayBtn').addEventListener('click', () => this.togglePause());
+
+        const seekInput = document.getElementById('replaySeek');
+        seekInput.addEventListener('input', () => {
+            this.isScrubbing = true;
+            document.getElementById('replayTime').textContent = `${this.formatTick(Number(seekInput.value))} / ${this.formatTick(replay.endTick)}`;
+        });
+        seekInput.addEventListener('change', async () => {
+            await this.seek(Number(seekInput.value));
+            this.isScrubbing = false;
+        });
+
+        document.getElementById('replaySpeed').addEventListener('change', (e) => {
+            this.setSpeed(Number(e.target.value));
+        });
+        document.getElementById('replayCamera').addEventListener('change', (e) => {
+            this.setCamera(e.target.value);
+        });
+        document.getElementById('replayExitBtn').addEventListener('click', () => {
+            if (window.menu) {
+                window.menu.returnToMenu();
+            }
+        });
+    }
+
+    /**
+     * Keep the playback bar in sync with the game (runs every animation frame)
+     */
+    updateControls() {
+        if (!this.controlsElement) return;
+        const replay = this.player.replay;
+
+        if (!this.isScrubbing && !this.isLoading) {
+            document.getElementById('replaySeek').value = String(this.game.tickCount);
+            document.getElementById('replayTime').textContent = `${this.formatTick(this.game.tickCount)} / ${this.formatTick(replay.endTick)}`;
+        }
+
+        const ended = this.player.finished || this.game.gameState === GAME_STATES.GAME_OVER;
+        document.getElementById('replayPlayBtn').textContent = (this.game.isPaused || ended) ? '▶' : '⏸';
+
+        let status = '';
+        if (this.isLoading) {
+            status = `Seeking… ${Math.round(this.seekProgress * 100)}%`;
+        } else if (this.player.desyncTick !== null) {
+            status = `⚠️ Desync at ${this.formatTick(this.player.desyncTick)}`;
+        } else if (ended) {
+            status = replay.winner ? `Winner: ${replay.winner}` : 'End of replay';
+        }
+        document.getElementById('replayStatus').textContent = status;
+
+        // Hold on the last frame so the end can be inspected and scrubbed
+        if (this.player.finished && !this.game.isPaused) {
+            this.game.togglePause();
+        }
+
+        this.uiFrame = requestAnimationFrame(() => this.updateControls());
+    }
+
+    /**
+     * Remove the playback bar and input listeners (the game itself is stopped by the menu)
+     */
+    destroy() {
+        if (this.uiFrame) {
+            cancelAnimationFrame(this.uiFrame);
+            this.uiFrame = null;
+        }
+        if (this.controlsElement) {
+            this.controlsElement.remove();
+            this.controlsElement = null;
+        }
+        this.canvas.removeEventListener('mousedown', this.onMouseDown);
+        window.removeEventListener('mousemove', this.onMouseMove);
+        window.removeEventListener('mouseup', this.onMouseUp);
+        this.canvas.removeEventListener('wheel', this.onWheel);
+    }
+}
+
+window.ReplayRecorder = ReplayRecorder;
+window.ReplayPlayer = ReplayPlayer;
+window.ReplayViewer = ReplayViewer;
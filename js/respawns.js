@@ -0,0 +1,201 @@
+// =============================================================================
+// RESPAWN & MATCH RULES MODULE
+// =============================================================================
+// Match rules decide how many lives each tank has, how long the dead wait before
+// coming back and when a match is over on frags or time. FFA and TDM take the
+// rules chosen in the menu; objective modes and the campaign fix their own via
+// the mode's respawnRules(game) hook. Lives of 1 is classic elimination. The
+// powerup rules (pads, cap, pickup limits) ride along and are read by GamePowerups.
+//
+// Also keeps a per-life log in playerStats (lifeHistory) so the end screen can
+// show streaks and longest lives.
+
+class GameRespawns {
+    constructor(game) {
+        this.game = game;
+        this.rules = GameRespawns.resolveRules(game);
+    }
+
+    /**
+     * Merge the default rules, the menu's rules and the mode's fixed rules
+     * @param {MultiTanksGame} game - Game being set up
+     * @returns {Object} { lives, scoreLimit, timeLimitMs, respawnDelayMs, spawnProtectionMs, powerupPads, padRespawnMs, maxPowerups, healthPickupBelow }
+     */
+    static resolveRules(game) {
+        const modeRules = (game.mode && game.mode.respawnRules) ? game.mode.respawnRules(game) : {};
+        return Object.assign({}, RESPAWN_CONFIG.DEFAULT_RULES, game.matchOptions.rules || {}, modeRules);
+    }
+
+    /**
+     * Whether dead tanks can come back in this match
+     * @returns {boolean}
+     */
+    respawnsEnabled() {
+        return this.rules.lives !== 1;
+    }
+
+    update() {
+        const now = this.game.now();
+        this.game.tanks.forEach(tank => {
+            const stats = this.game.playerStats.get(tank.id);
+            if (stats) this.trackLife(tank, stats);
+
+            if (tank.isAlive || !this.canRespawn(tank)) return;
+            if (now - tank.deathTime < this.rules.respawnDelayMs) return;
+            this.game.respawnTank(tank, this.selectSpawn(tank), this.rules.spawnProtectionMs);
+            if (stats) this.trackLife(tank, stats);
+        });
+    }
+
+    // Open a life record when a tank is (re)spawned and close it when it dies
+    trackLife(tank, stats) {
+        if (!stats.lifeHistory) {
+            stats.lifeHistory = [];
+            stats.bestLifeKills = 0;
+            stats.longestLife = 0;
+        }
+        const life = stats.lifeHistory[stats.lifeHistory.length - 1];
+        const open = life && life.deathTime === null;
+
+        if (tank.isAlive && !open) {
+            stats.lifeHistory.push({
+                spawnTime: this.game.now() - this.game.gameStartTime,
+                deathTime: null,
+                kills: 0,
+                shotsFired: 0,
+                shotsHit: 0,
+                killedBy: null,
+                // Running totals when the life started, so the life's own share can be worked out
+                startKills: stats.kills,
+                startShotsFired: stats.shotsFired,
+                startShotsHit: stats.shotsHit
+            });
+        } else if (open) {
+            life.kills = stats.kills - life.startKills;
+            life.shotsFired = stats.shotsFired - life.startShotsFired;
+            life.shotsHit = stats.shotsHit - life.startShotsHit;
+            stats.bestLifeKills = Math.max(stats.bestLifeKills, life.kills);
+            if (!tank.isAlive) {
+                life.deathTime = tank.deathTime - this.game.gameStartTime;
+                life.killedBy = tank.killedBy;
+                stats.longestLife = Math.max(stats.longestLife, Math.floor((life.deathTime - life.spawnTime) / 1000));
+            }
+        }
+    }
+
+    /**
+     * Total time a tank has spent alive across all of its lives
+     * @param {Object} tank - Tank
+     * @param {number} endTime - Match time (ms since start) to close an open life at
+     * @returns {number} Milliseconds alive
+     */
+    timeAlive(tank, endTime) {
+        const stats = this.game.playerStats.get(tank.id);
+        if (!stats || !stats.lifeHistory) return 0;
+        return stats.lifeHistory.reduce((total, life) => {
+            return total + ((life.deathTime !== null ? life.deathTime : endTime) - life.spawnTime);
+        }, 0);
+    }
+
+    /**
+     * Lives a tank still has in reserve (Infinity when lives are unlimited)
+     * @param {Object} tank - Tank
+     * @returns {number}
+     */
+    livesLeft(tank) {
+        if (this.rules.lives === 0) return Infinity;
+        const stats = this.game.playerStats.get(tank.id);
+        const deaths = stats ? stats.deaths : 0;
+        return Math.max(0, this.rules.lives - deaths - (tank.isAlive ? 1 : 0));
+    }
+
+    canRespawn(tank) {
+        return this.respawnsEnabled() && this.livesLeft(tank) > 0;
+    }
+
+    /**
+     * Out of the match for good: dead with no lives left
+     * @param {Object} tank - Tank
+     * @returns {boolean}
+     */
+    isEliminated(tank) {
+        return !tank.isAlive && !this.canRespawn(tank);
+    }
+
+    isTimeUp() {
+        return this.rules.timeLimitMs > 0 && this.game.now() - this.game.gameStartTime >= this.rules.timeLimitMs;
+    }
+
+    /**
+     * Pick the spawn point that keeps a respawning tank furthest from danger.
+     * Candidates are the match's spawn points (own team's side in team modes);
+     * any far enough from every living enemy counts as safe and one is picked at random.
+     * @param {Object} tank - Tank about to respawn
+     * @returns {Object} { x, y }
+     */
+    selectSpawn(tank) {
+        const game = this.game;
+        const teamMode = game.isTeamMode();
+        const candidates = game.tanks
+            .filter(t => !teamMode || t.team === tank.team)
+            .map(t => game.spawnPositions[t.id])
+            .filter(position => position && !game.tanks.some(other => other.isAlive &&
+                Math.sqrt((other.x - position.x) ** 2 + (other.y - position.y) ** 2) < other.size * RESPAWN_CONFIG.SPAWN_CLEARANCE));
+        if (candidates.length === 0) {
+            return game.spawnPositions[tank.id] || { x: tank.x, y: tank.y };
+        }
+
+        const enemies = game.tanks.filter(t => t.isAlive && t.id !== tank.id && (!teamMode || t.team !== tank.team));
+        const scored = candidates.map(position => ({
+            position,
+            danger: enemies.reduce((nearest, enemy) => Math.min(nearest, Math.sqrt((enemy.x - position.x) ** 2 + (enemy.y - position.y) ** 2)), Infinity)
+        }));
+        const safe = scored.filter(entry => entry.danger >= RESPAWN_CONFIG.SAFE_SPAWN_DISTANCE);
+        if (safe.length > 0) {
+            return game.rng.pick(safe).position;
+        }
+        return scored.reduce((best, entry) => entry.danger > best.danger ? entry : best).position;
+    }
+
+    /**
+     * HUD lines for the time limit, the human players' lives and respawn countdowns
+     * @returns {Array} Lines for a mode's hudInfo
+     */
+    hudLines() {
+        const game = this.game;
+        const lines = [];
+        if (this.rules.timeLimitMs > 0) {
+            const remaining = Math.max(0, this.rules.timeLimitMs - (game.now() - game.gameStartTime));
+            const seconds = Math.ceil(remaining / 1000);
+            lines.push(`Time: ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+        }
+        game.players.forEach(tank => {
+            if (!this.respawnsEnabled()) return;
+            if (tank.isAlive) {
+                if (this.rules.lives > 0) {
+                    lines.push({ text: `${tank.name}: ${this.livesLeft(tank)} spare ${this.livesLeft(tank) === 1 ? 'life' : 'lives'}`, color: tank.color });
+                }
+            } else if (this.canRespawn(tank)) {
+                const respawnIn = Math.ceil((this.rules.respawnDelayMs - (game.now() - tank.deathTime)) / 1000);
+                lines.push({ text: `${tank.name} respawns in ${Math.max(0, respawnIn)}s`, color: tank.color });
+            } else {
+                lines.push({ text: `${tank.name}: out of lives`, color: tank.color });
+            }
+        });
+        return lines;
+    }
+
+    /**
+     * Extra stats table columns when tanks have more than one life
+     * @returns {Array} [{ key, label }]
+     */
+    statsColumns() {
+        if (!this.respawnsEnabled()) return [];
+        return [
+            { key: 'bestLifeKills', label: 'Best Streak' },
+            { key: 'longestLife', label: 'Longest Life (s)' }
+        ];
+    }
+}
+
+window.GameRespawns = GameRespawns;
@@ -0,0 +1,242 @@
+// =============================================================================
+// TEAM TACTICS MODULE
+// =============================================================================
+// Coordinates each TDM team's bots so they stop chasing their nearest enemy one
+// by one. Every TACTICS_CONFIG.REPLAN_MS the coordinator sizes up both teams and
+// leaves an order on each bot's tank.tactic, which TDMMode.aiObjective hands to
+// AIBehavior as the mode objective:
+//
+//   focus   - fight the team's focus target, the weakest enemy a teammate can see
+//   escort  - keep formation behind a human teammate, firing on the focus target
+//   flank   - drive around the cover to the focus target's side, then close in
+//   retreat - fall back to the team's spawn when the odds turn against the team,
+//             fighting anyone who follows
+//
+// Orders only say whom to fight and where to be; how a bot fights is still up
+// to its persona. With matchOptions.tacticsOverlay the renderer draws every
+// order (GameRenderer.renderTactics).
+
+class GameTeamTactics {
+    constructor(game) {
+        this.game = game;
+        this.plans = {}; // Per team: { focus, retreating, retreatSince, retreatCooldownUntil, rally, center }
+        this.startingOdds = {}; // Per team: enemies per teammate when the match began
+        this.lastPlanTime = -Infinity;
+    }
+
+    /**
+     * Hand out fresh orders to every team's bots every TACTICS_CONFIG.REPLAN_MS
+     */
+    update() {
+        const now = this.game.now();
+        if (now - this.lastPlanTime < TACTICS_CONFIG.REPLAN_MS) return;
+        this.lastPlanTime = now;
+        Object.keys(this.game.teams || {}).forEach(team => this.planTeam(team, now));
+    }
+
+    planTeam(team, now) {
+        const members = this.game.tanks.filter(tank => tank.isAlive && tank.team === team);
+        const bots = members.filter(tank => tank.isAI);
+        const enemies = this.game.tanks.filter(tank => tank.isAlive && tank.team && tank.team !== team);
+        const previous = this.plans[team] || { focus: null, retreating: false, retreatSince: 0, retreatCooldownUntil: 0 };
+        const plan = {
+            focus: null,
+            retreating: false,
+            retreatSince: previous.retreatSince,
+            retreatCooldownUntil: previous.retreatCooldownUntil,
+            rally: this.rallyPoint(team),
+            center: GameTeamTactics.centerOf(members)
+        };
+        this.plans[team] = plan;
+        if (this.startingOdds[team] === undefined) {
+            const roster = this.game.tanks.filter(tank => tank.team === team).length;
+            this.startingOdds[team] = this.game.tanks.filter(tank => tank.team && tank.team !== team).length / Math.max(1, roster);
+        }
+        if (bots.length === 0 || enemies.length === 0) {
+            bots.forEach(bot => { bot.tactic = null; });
+            return;
+        }
+
+        // Losing ground (a team that started short-handed doesn't count as that): fall back
+        // until the odds are back to where they started, or for RETREAT_MAX_MS at most
+        const odds = enemies.length / members.length / this.startingOdds[team];
+        if (previous.retreating) {
+            plan.retreating = odds > TACTICS_CONFIG.REGROUP_RATIO && now - plan.retreatSince < TACTICS_CONFIG.RETREAT_MAX_MS;
+            if (!plan.retreating) plan.retreatCooldownUntil = now + TACTICS_CONFIG.RETREAT_COOLDOWN_MS;
+        } else if (odds >= TACTICS_CONFIG.RETREAT_RATIO && now >= plan.retreatCooldownUntil) {
+            plan.retreating = true;
+            plan.retreatSince = now;
+        }
+        if (plan.retreating) {
+            bots.forEach(bot => {
+                // Turn and fight whoever follows the team back
+                const pursuer = GameTeamTactics.nearest(enemies, bot);
+                bot.tactic = Math.hypot(pursuer.x - bot.x, pursuer.y - bot.y) <= TACTICS_CONFIG.RETREAT_ENGAGE_DISTANCE
+                    ? { role: 'focus', target: pursuer }
+                    : { role: 'retreat', target: null, moveTo: plan.rally };
+            });
+            return;
+        }
+
+        // Only enemies some teammate has in sight: not cloaked from them and not behind a wall
+        const visible = enemies.filter(enemy => members.some(member =>
+            !this.game.powerupsManager.hiddenFrom(enemy, member) && this.game.visibility.lineOfSight(member, enemy)));
+        plan.focus = this.chooseFocus(visible, plan.center, previous.focus);
+
+        // The bots nearest each human keep formation with them
+        const unassigned = bots.slice();
+        members.filter(member => !member.isAI).forEach(human => {
+            for (let slot = 0; slot < TACTICS_CONFIG.FORMATION_SIZE && unassigned.length > 0; slot++) {
+                const bot = GameTeamTactics.takeNearest(unassigned, human);
+                bot.tactic = { role: 'escort', target: plan.focus, leader: human, slot };
+            }
+        });
+        if (!plan.focus) {
+            unassigned.forEach(bot => { bot.tactic = null; });
+            return;
+        }
+
+        // Flankers: bots already flanking this target stay on it, then those furthest from the fight
+        const flankCount = Math.round(unassigned.length * TACTICS_CONFIG.FLANK_SHARE);
+        const flanking = bot => !!bot.tactic && bot.tactic.role === 'flank' && bot.tactic.target === plan.focus;
+        const distanceToFocus = bot => Math.hypot(bot.x - plan.focus.x, bot.y - plan.focus.y);
+        unassigned.sort((a, b) => (flanking(b) - flanking(a)) || (distanceToFocus(b) - distanceToFocus(a)) || (a.id - b.id));
+        unassigned.forEach((bot, index) => {
+            const side = flanking(bot) ? bot.tactic.side : (index % 2 === 0 ? 1 : -1);
+            const moveTo = index < flankCount ? this.flankPoint(plan.focus, plan.center, side) : null;
+            if (!moveTo) {
+                bot.tactic = { role: 'focus', target: plan.focus };
+            } else if (flanking(bot)) {
+                bot.tactic.moveTo = moveTo;
+            } else {
+                bot.tactic = { role: 'flank', target: plan.focus, moveTo, side, since: now, flanked: false };
+            }
+        });
+    }
+
+    /**
+     * Enemy the team focuses fire on: lowest health, nearer ones first, kept until another
+     * scores FOCUS_SWITCH_MARGIN better
+     * @param {Array<Object>} enemies - Enemies the team can see
+     * @param {Object} center - Team center
+     * @param {Object|null} current - Current focus target
+     * @returns {Object|null} Enemy tank
+     */
+    chooseFocus(enemies, center, current) {
+        const score = enemy => enemy.health / enemy.maxHealth +
+            Math.hypot(enemy.x - center.x, enemy.y - center.y) / TACTICS_CONFIG.FOCUS_DISTANCE_SCALE;
+        let best = null;
+        enemies.forEach(enemy => {
+            if (!best || score(enemy) < score(best)) best = enemy;
+        });
+        if (best && current && enemies.includes(current) && score(current) - score(best) < TACTICS_CONFIG.FOCUS_SWITCH_MARGIN) {
+            return current;
+        }
+        return best;
+    }
+
+    /**
+     * Open spot beside the target with a clear shot at it, on one side of the line from the team
+     * @param {Object} target - Focus target
+     * @param {Object} center - Team center
+     * @param {number} side - 1 or -1
+     * @returns {Object|null} Point, or null when every candidate is walled in
+     */
+    flankPoint(target, center, side) {
+        const fromTeam = Math.atan2(center.y - target.y, center.x - target.x);
+        const margin = GAME_CONFIG.TANK_SIZE;
+        for (const turn of TACTICS_CONFIG.FLANK_ANGLES) {
+            const angle = fromTeam + side * turn;
+            const point = {
+                x: target.x + Math.cos(angle) * TACTICS_CONFIG.FLANK_DISTANCE,
+                y: target.y + Math.sin(angle) * TACTICS_CONFIG.FLANK_DISTANCE
+            };
+            if (point.x < margin || point.y < margin || point.x > GAME_CONFIG.MAP_WIDTH - margin || point.y > GAME_CONFIG.MAP_HEIGHT - margin) continue;
+            if (this.game.obstacles.some(obstacle => GameObstacles.distanceTo(obstacle, point.x, point.y) < margin)) continue;
+            if (this.game.visibility.lineOfSight(point, target)) return point;
+        }
+        return null;
+    }
+
+    // Middle of the team's spawn points
+    rallyPoint(team) {
+        const spawns = this.game.tanks.filter(tank => tank.team === team).map(tank => this.game.spawnPositions[tank.id]).filter(Boolean);
+        return GameTeamTactics.centerOf(spawns);
+    }
+
+    /**
+     * Where a bot's order sends it right now (escort slots follow their human)
+     * @param {Object} tank - Bot with an order
+     * @returns {Object|null} Point, or null when it only has a target
+     */
+    destinationOf(tank) {
+        const order = tank.tactic;
+        if (!order) return null;
+        if (order.role === 'escort') {
+            if (!order.leader.isAlive) return null;
+            const plan = this.plans[tank.team];
+            const focus = plan && plan.focus && plan.focus.isAlive ? plan.focus : null;
+            const facing = focus ? Math.atan2(focus.y - order.leader.y, focus.x - order.leader.x) : order.leader.angle;
+            const angle = facing + Math.PI + (order.slot % 2 === 0 ? 1 : -1) * TACTICS_CONFIG.FORMATION_ANGLE;
+            return {
+                x: Math.max(0, Math.min(GAME_CONFIG.MAP_WIDTH, order.leader.x + Math.cos(angle) * TACTICS_CONFIG.FORMATION_DISTANCE)),
+                y: Math.max(0, Math.min(GAME_CONFIG.MAP_HEIGHT, order.leader.y + Math.sin(angle) * TACTICS_CONFIG.FORMATION_DISTANCE))
+            };
+        }
+        if (order.role === 'flank' && !order.flanked) return order.moveTo;
+        if (order.role === 'retreat') return order.moveTo;
+        return null;
+    }
+
+    /**
+     * Mode objective for a TDM bot (see TDMMode.aiObjective)
+     * @param {Object} tank - AI tank
+     * @returns {Object|null} { moveTo, arriveRadius, target, ignorePowerups, hold }
+     */
+    objectiveFor(tank) {
+        const order = tank.tactic;
+        if (!order) return null;
+        const target = order.target && order.target.isAlive ? order.target : null;
+
+        // Flankers that made it (or took too long) close in like everyone else
+        if (order.role === 'flank' && !order.flanked) {
+            const distance = Math.hypot(order.moveTo.x - tank.x, order.moveTo.y - tank.y);
+            if (distance <= TACTICS_CONFIG.FLANK_ARRIVE || this.game.now() - order.since >= TACTICS_CONFIG.FLANK_TIMEOUT_MS) {
+                order.flanked = true;
+            }
+        }
+
+        const moveTo = this.destinationOf(tank);
+        if (order.role === 'retreat') {
+            return { moveTo, arriveRadius: TACTICS_CONFIG.RALLY_RADIUS, hold: true, ignorePowerups: true };
+        }
+        if (order.role === 'escort' && moveTo) {
+            return { moveTo, arriveRadius: TACTICS_CONFIG.FORMATION_RADIUS, hold: true, target };
+        }
+        if (moveTo) {
+            return { moveTo, arriveRadius: 0, target, ignorePowerups: true };
+        }
+        return target ? { target } : null;
+    }
+
+    static centerOf(points) {
+        if (points.length === 0) return { x: GAME_CONFIG.MAP_WIDTH / 2, y: GAME_CONFIG.MAP_HEIGHT / 2 };
+        return {
+            x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+            y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+        };
+    }
+
+    // The tank in the list nearest a point
+    static nearest(tanks, point) {
+        return tanks.reduce((nearest, tank) =>
+            (Math.hypot(tank.x - point.x, tank.y - point.y) < Math.hypot(nearest.x - point.x, nearest.y - point.y) ? tank : nearest));
+    }
+
+    // Remove and return the tank in the list nearest a point
+    static takeNearest(tanks, point) {
+        return tanks.splice(tanks.indexOf(GameTeamTactics.nearest(tanks, point)), 1)[0];
+    }
+}
+
+window.GameTeamTactics = GameTeamTactics;
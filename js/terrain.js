@@ -0,0 +1,175 @@
+// =============================================================================
+// TERRAIN ZONES MODULE
+// =============================================================================
+// Ground zones change how tanks handle while they are inside them: mud slows
+// them down, ice keeps their momentum so they slide, shallow water stops them
+// from firing and boost pads launch them along their heading. A zone is a
+// circle ({ type, x, y, radius }) or a centered rectangle ({ type, x, y,
+// width, height }); where zones overlap the one listed last wins.
+
+class GameTerrain {
+    constructor(game) {
+        this.game = game;
+    }
+
+    /**
+     * Zone under a point
+     * @param {number} x - Map X
+     * @param {number} y - Map Y
+     * @returns {Object|null} Topmost zone containing the point
+     */
+    zoneAt(x, y) {
+        const zones = this.game.terrainZones;
+        for (let i = zones.length - 1; i >= 0; i--) {
+            if (GameTerrain.contains(zones[i], x, y)) return zones[i];
+        }
+        return null;
+    }
+
+    /**
+     * Note the zone a tank starts the tick in; every effect this tick uses it
+     * @param {Object} tank - Tank about to move
+     */
+    beginTick(tank) {
+        const zone = this.zoneAt(tank.x, tank.y);
+        tank.terrain = zone ? zone.type : null;
+        tank.drove = false;
+    }
+
+    /**
+     * @param {Object} tank - Tank
+     * @returns {number} Multiplier for the tank's speed this tick
+     */
+    speedMultiplier(tank) {
+        if (tank.terrain === 'mud') return TERRAIN_CONFIG.MUD_SPEED_MULTIPLIER;
+        if (tank.terrain === 'water') return TERRAIN_CONFIG.WATER_SPEED_MULTIPLIER;
+        return 1;
+    }
+
+    /**
+     * @param {Object} tank - Tank
+     * @returns {boolean} True while the tank sits in shallow water
+     */
+    blocksShooting(tank) {
+        return tank.terrain === 'water';
+    }
+
+    /**
+     * Where a driven move actually takes the tank. On ice the tank's velocity only
+     * turns part of the way toward the driven direction, so it keeps sliding.
+     * @param {Object} tank - Tank being moved
+     * @param {number} newX - Position the controls asked for
+     * @param {number} newY - Position the controls asked for
+     * @returns {Object} { x, y } to move to
+     */
+    steer(tank, newX, newY) {
+        if (tank.terrain !== 'ice') {
+            return { x: newX, y: newY };
+        }
+        tank.vx += (newX - tank.x - tank.vx) * TERRAIN_CONFIG.ICE_GRIP;
+        tank.vy += (newY - tank.y - tank.vy) * TERRAIN_CONFIG.ICE_GRIP;
+        return { x: tank.x + tank.vx, y: tank.y + tank.vy };
+    }
+
+    /**
+     * Keep the tank's velocity equal to how far it really moved (walls stop slides)
+     * @param {Object} tank - Tank that just moved
+     * @param {number} startX - Position before the move
+     * @param {number} startY - Position before the move
+     */
+    recordMotion(tank, startX, startY) {
+        tank.vx = tank.x - startX;
+        tank.vy = tank.y - startY;
+        tank.drove = true;
+    }
+
+    /**
+     * Movement the controls didn't ask for: coasting on ice, boost pad launches and blast knockback
+     * @param {Object} tank - Tank after its driven move this tick
+     */
+    endTick(tank) {
+        const collisions = this.game.collisions;
+        if (!tank.drove) {
+            if (tank.terrain === 'ice' && Math.hypot(tank.vx, tank.vy) > TERRAIN_CONFIG.MIN_DRIFT_SPEED) {
+                const startX = tank.x;
+                const startY = tank.y;
+                collisions.slideTank(tank, tank.x + tank.vx * TERRAIN_CONFIG.ICE_FRICTION, tank.y + tank.vy * TERRAIN_CONFIG.ICE_FRICTION, tank.angle);
+                this.recordMotion(tank, startX, startY);
+            } else {
+                tank.vx = 0;
+                tank.vy = 0;
+            }
+        }
+
+        const now = this.game.now();
+        if (tank.terrain === 'boost' && now >= tank.boostReadyTime) {
+            tank.boostVx += Math.cos(tank.angle) * TERRAIN_CONFIG.BOOST_IMPULSE;
+            tank.boostVy += Math.sin(tank.angle) * TERRAIN_CONFIG.BOOST_IMPULSE;
+            tank.boostReadyTime = now + TERRAIN_CONFIG.BOOST_COOLDOWN_MS;
+            this.game.playSound('powerUp');
+        }
+        if (Math.hypot(tank.boostVx, tank.boostVy) > TERRAIN_CONFIG.MIN_DRIFT_SPEED) {
+            const startX = tank.x;
+            const startY = tank.y;
+            collisions.slideTank(tank, tank.x + tank.boostVx, tank.y + tank.boostVy, tank.angle);
+            // A wall eats whatever part of the launch it blocked
+            const moved = Math.hypot(tank.x - startX, tank.y - startY);
+            const decay = moved < Math.hypot(tank.boostVx, tank.boostVy) * 0.5 ? 0 : TERRAIN_CONFIG.BOOST_DECAY;
+            tank.boostVx *= decay;
+            tank.boostVy *= decay;
+        } else {
+            tank.boostVx = 0;
+            tank.boostVy = 0;
+        }
+    }
+
+    /**
+     * Clear leftover momentum (respawns, teleports)
+     * @param {Object} tank - Tank
+     */
+    resetMotion(tank) {
+        tank.vx = 0;
+        tank.vy = 0;
+        tank.boostVx = 0;
+        tank.boostVy = 0;
+        tank.boostReadyTime = 0;
+        tank.terrain = null;
+    }
+
+    /**
+     * @param {Object} zone - Terrain zone
+     * @param {number} x - Map X
+     * @param {number} y - Map Y
+     * @returns {boolean} True if the point is inside the zone
+     */
+    static contains(zone, x, y) {
+        if (zone.radius) {
+            return (x - zone.x) ** 2 + (y - zone.y) ** 2 < zone.radius ** 2;
+        }
+        return Math.abs(x - zone.x) < zone.width / 2 && Math.abs(y - zone.y) < zone.height / 2;
+    }
+
+    /**
+     * Whether a straight drive crosses a zone
+     * @param {Object} zone - Terrain zone
+     * @param {Object} from - Segment start
+     * @param {Object} to - Segment end
+     * @returns {boolean}
+     */
+    static crosses(zone, from, to) {
+        return GameObstacles.segmentHits(GameTerrain.shape(zone), from, to);
+    }
+
+    /**
+     * Zone outline as an obstacle-style shape, for the obstacle geometry helpers
+     * @param {Object} zone - Terrain zone
+     * @returns {Object} Rock or rectangle
+     */
+    static shape(zone) {
+        return zone.radius
+            ? { type: 'rock', x: zone.x, y: zone.y, radius: zone.radius }
+            : { type: 'rectangle', x: zone.x, y: zone.y, width: zone.width, height: zone.height };
+    }
+}
+
+window.GameTerrain = GameTerrain;
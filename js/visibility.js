@@ -0,0 +1,68 @@
+// =============================================================================
+// LINE OF SIGHT MODULE
+// =============================================================================
+// Raycasts against game.obstacles for anything that aims: bots picking and
+// shooting targets, and the campaign's turrets and gunners. A line is blocked
+// by any obstacle it passes through (one-way gates facing along it let it by,
+// like they do bullets). Bank shots bounce once off the arena edge, the way
+// bouncing bullets do; obstacle faces are left out.
+
+class GameVisibility {
+    constructor(game) {
+        this.game = game;
+    }
+
+    /**
+     * Whether nothing stands between two points
+     * @param {Object} from - Eye or muzzle ({ x, y })
+     * @param {Object} to - Point or tank looked at
+     * @returns {boolean}
+     */
+    lineOfSight(from, to) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        return !this.game.obstacles.some(obstacle => !GameEntities.gateAllows(obstacle, dx, dy) && GameObstacles.segmentHits(obstacle, from, to));
+    }
+
+    /**
+     * Shortest clear shot that reaches a point after one bounce off the arena edge
+     * @param {Object} from - Muzzle ({ x, y })
+     * @param {Object} to - Target ({ x, y })
+     * @param {number} radius - Bullet radius (bullets turn when their edge meets the wall)
+     * @returns {Object|null} { angle, x, y: where it bounces, length: total flight } or null
+     */
+    bankShot(from, to, radius = 0) {
+        const width = GAME_CONFIG.MAP_WIDTH;
+        const height = GAME_CONFIG.MAP_HEIGHT;
+        // Each edge as the line the bullet's center turns on
+        const edges = [
+            { axis: 'x', at: radius },
+            { axis: 'x', at: width - radius },
+            { axis: 'y', at: radius },
+            { axis: 'y', at: height - radius }
+        ];
+        let best = null;
+        edges.forEach(edge => {
+            const across = edge.axis;
+            const along = across === 'x' ? 'y' : 'x';
+            // Aim at the target's mirror image behind the edge
+            const mirrored = 2 * edge.at - to[across];
+            const reach = mirrored - from[across];
+            if (Math.abs(reach) < 1e-6) return;
+            const t = (edge.at - from[across]) / reach;
+            if (t <= 0 || t >= 1) return;
+            const bounce = {};
+            bounce[across] = edge.at;
+            bounce[along] = from[along] + t * (to[along] - from[along]);
+            if (bounce[along] < 0 || bounce[along] > (along === 'x' ? width : height)) return;
+            if (!this.lineOfSight(from, bounce) || !this.lineOfSight(bounce, to)) return;
+            const length = Math.hypot(bounce.x - from.x, bounce.y - from.y) + Math.hypot(to.x - bounce.x, to.y - bounce.y);
+            if (!best || length < best.length) {
+                best = { angle: Math.atan2(bounce.y - from.y, bounce.x - from.x), x: bounce.x, y: bounce.y, length };
+            }
+        });
+        return best;
+    }
+}
+
+window.GameVisibility = GameVisibility;
@@ -0,0 +1,483 @@
+// =============================================================================
+// WEAPONS MODULE
+// =============================================================================
+// Every tank carries one weapon from WEAPON_CONFIG.WEAPONS. Its loadout weapon
+// is chosen on the player assignment screen and never runs out; weapon crates
+// on the map swap in another weapon for a number of shots, after which the
+// tank goes back to its loadout.
+//
+// Bullets (cannon, machine gun, shotgun) live in game.bullets as before.
+// Railgun shots resolve the moment they are fired and leave a fading trail.
+// Mortar shells fly over obstacles in game.shells and burst where they land;
+// mines wait in game.mines until an enemy rolls over them, unseen by the layer's
+// enemies once armed; demo charges sit in game.charges until their fuse burns
+// down. Blasts hurt less toward their edge and shove tanks away. Homing missiles are
+// bullets that steer toward the enemy they locked onto at launch; a tank with
+// the flares powerup throws a decoy (game.flares) when one closes in. Each trigger pull
+// is one shot for accuracy: it counts as a hit once, however many pellets or
+// blast victims it reaches.
+
+class GameWeapons {
+    constructor(game) {
+        this.game = game;
+        game.shells = [];
+        game.mines = [];
+        game.charges = []; // Lit demo charges
+        game.flares = []; // Burning missile decoys
+        game.weaponEffects = []; // Railgun trails and blast flashes (visual only)
+    }
+
+    /**
+     * Weapon type a tank is firing (tanks without one use the default)
+     * @param {Object} tank - Tank
+     * @returns {string} Key of WEAPON_CONFIG.WEAPONS
+     */
+    static typeOf(tank) {
+        return WEAPON_CONFIG.WEAPONS[tank.weapon] ? tank.weapon : WEAPON_CONFIG.DEFAULT;
+    }
+
+    /**
+     * @param {Object} tank - Tank
+     * @returns {Object} Definition of the weapon the tank is firing
+     */
+    static weaponOf(tank) {
+        return WEAPON_CONFIG.WEAPONS[GameWeapons.typeOf(tank)];
+    }
+
+    /**
+     * @param {Object} tank - Tank
+     * @returns {string} Weapon the tank goes back to when a crate weapon runs dry
+     */
+    static loadoutOf(tank) {
+        return WEAPON_CONFIG.WEAPONS[tank.loadout] ? tank.loadout : WEAPON_CONFIG.DEFAULT;
+    }
+
+    /**
+     * How far a weapon reaches
+     * @param {Object} weapon - Weapon definition
+     * @returns {number} Pixels
+     */
+    static range(weapon) {
+        if (weapon.projectile === 'bullet') {
+            return weapon.speed * weapon.lifetimeMs * GAME_CONFIG.SIMULATION_TICK_RATE / 1000;
+        }
+        if (weapon.projectile === 'mine' || weapon.projectile === 'charge') {
+            return WEAPON_CONFIG.AI_MINE_DISTANCE;
+        }
+        if (weapon.projectile === 'missile') {
+            return weapon.lockRange;
+        }
+        return weapon.range;
+    }
+
+    /**
+     * Per-weapon shot counts in a player's statistics (created on first use)
+     * @param {Object} stats - playerStats entry
+     * @param {string} type - Weapon type
+     * @returns {Object} { shotsFired, shotsHit }
+     */
+    static weaponStats(stats, type) {
+        if (!stats.weapons) stats.weapons = {};
+        if (!stats.weapons[type]) stats.weapons[type] = { shotsFired: 0, shotsHit: 0 };
+        return stats.weapons[type];
+    }
+
+    /**
+     * Time a tank has to wait between shots, with powerups (rapid fire) applied
+     * @param {Object} tank - Tank
+     * @returns {number} Milliseconds
+     */
+    cooldown(tank) {
+        return GameWeapons.weaponOf(tank).cooldownMs * this.game.powerupsManager.cooldownMultiplier(tank);
+    }
+
+    /**
+     * Fire a tank's weapon if it has cooled down and no EMP has knocked it out
+     * @param {Object} tank - Tank pulling the trigger
+     * @returns {boolean} True if it fired
+     */
+    tryFire(tank) {
+        if (this.game.powerupsManager.isDisabled(tank)) return false;
+        const now = this.game.now();
+        if (now - tank.lastShot <= this.cooldown(tank)) return false;
+        this.fire(tank);
+        tank.lastShot = now;
+        this.game.playSound('shoot');
+        return true;
+    }
+
+    /**
+     * Fire a tank's weapon (no cooldown check)
+     * @param {Object} tank - Tank shooting
+     */
+    fire(tank) {
+        const type = GameWeapons.typeOf(tank);
+        const weapon = WEAPON_CONFIG.WEAPONS[type];
+        const shot = { weapon: type, hit: false };
+        switch (weapon.projectile) {
+            case 'rail':
+                this.fireRail(tank, weapon, shot);
+                break;
+            case 'shell':
+                this.game.shells.push(Object.assign(this.projectile(tank, weapon, shot), {
+                    angle: tank.turretAngle,
+                    speed: weapon.speed,
+                    traveled: 0,
+                    range: weapon.range
+                }));
+                break;
+            case 'mine':
+                this.dropMine(tank, weapon, shot);
+                break;
+            case 'charge':
+                this.game.charges.push(Object.assign(this.projectile(tank, weapon, shot), {
+                    x: tank.x,
+                    y: tank.y,
+                    detonateTime: this.game.now() + weapon.fuseMs
+                }));
+                break;
+            case 'missile':
+                this.game.bullets.push(Object.assign(this.projectile(tank, weapon, shot), {
+                    angle: tank.turretAngle,
+                    speed: weapon.speed,
+                    lifetimeMs: weapon.lifetimeMs,
+                    bounces: 0,
+                    homing: true,
+                    turnRate: weapon.turnRate,
+                    fuelMs: weapon.fuelMs,
+                    target: this.lockTarget(tank),
+                    decoyed: false,
+                    trail: []
+                }));
+                break;
+            default:
+                this.fireBullets(tank, weapon, shot);
+        }
+
+        // Update statistics
+        tank.shotsFired++;
+        const tankStats = this.game.playerStats.get(tank.id);
+        if (tankStats) {
+            tankStats.shotsFired++;
+            GameWeapons.weaponStats(tankStats, type).shotsFired++;
+        }
+
+        // Crate weapons run dry and hand back the loadout
+        if (tank.weaponAmmo > 0 && --tank.weaponAmmo === 0) {
+            this.equip(tank, GameWeapons.loadoutOf(tank));
+        }
+    }
+
+    // Who fired, as bullets record it ('player', 'aiAlly' or 'ai')
+    static ownerTag(tank) {
+        return tank.isPlayer ? 'player' : (tank.isAIAlly ? 'aiAlly' : 'ai');
+    }
+
+    // Fields every kind of projectile carries
+    projectile(tank, weapon, shot) {
+        return {
+            x: tank.x + Math.cos(tank.turretAngle) * tank.turretLength,
+            y: tank.y + Math.sin(tank.turretAngle) * tank.turretLength,
+            size: weapon.size,
+            damage: weapon.damage,
+            blastRadius: weapon.blastRadius || 0,
+            owner: GameWeapons.ownerTag(tank),
+            ownerId: tank.id,
+            color: tank.color,
+            shot: shot,
+            spawnTime: this.game.now()
+        };
+    }
+
+    // Each pellet flies in a random direction inside the weapon's spread; powerups
+    // (spread shot) can fan every pellet out into several bullets
+    fireBullets(tank, weapon, shot) {
+        const { fanCount, bounces } = this.game.powerupsManager.bulletModifiers(tank);
+        const fanSpread = (fanCount - 1) * GAME_CONFIG.POWERUP_SPREAD_ANGLE;
+        for (let pellet = 0; pellet < weapon.pellets; pellet++) {
+            const aim = tank.turretAngle + (weapon.spread > 0 ? this.game.rng.range(-weapon.spread / 2, weapon.spread / 2) : 0);
+            for (let i = 0; i < fanCount; i++) {
+                const angle = fanCount > 1 ? aim - fanSpread / 2 + i * fanSpread / (fanCount - 1) : aim;
+                this.game.bullets.push(Object.assign(this.projectile(tank, weapon, shot), {
+                    x: tank.x + Math.cos(angle) * tank.turretLength,
+                    y: tank.y + Math.sin(angle) * tank.turretLength,
+                    angle: angle,
+                    speed: weapon.speed,
+                    lifetimeMs: weapon.lifetimeMs,
+                    bounces: bounces
+                }));
+            }
+        }
+    }
+
+    // Instant hit on the first tank or obstacle along the line (stopping at the map edge)
+    fireRail(tank, weapon, shot) {
+        const rail = this.projectile(tank, weapon, shot);
+        const from = { x: rail.x, y: rail.y };
+        const dx = Math.cos(tank.turretAngle) * weapon.range;
+        const dy = Math.sin(tank.turretAngle) * weapon.range;
+        let reach = 1;
+        if (dx > 0) reach = Math.min(reach, (GAME_CONFIG.MAP_WIDTH - from.x) / dx);
+        if (dx < 0) reach = Math.min(reach, -from.x / dx);
+        if (dy > 0) reach = Math.min(reach, (GAME_CONFIG.MAP_HEIGHT - from.y) / dy);
+        if (dy < 0) reach = Math.min(reach, -from.y / dy);
+        reach = Math.max(0, reach);
+        const to = { x: from.x + dx * reach, y: from.y + dy * reach };
+
+        let nearest = 1;
+        let hitObstacle = null;
+        let hitTarget = null;
+        this.game.obstacles.forEach(obstacle => {
+            if (obstacle.destroyed || GameEntities.gateAllows(obstacle, dx, dy)) return;
+            const t = GameObstacles.segmentEntry(obstacle, from, to);
+            if (t !== null && t < nearest) {
+                nearest = t;
+                hitObstacle = obstacle;
+            }
+        });
+        this.targetsFor(rail).forEach(target => {
+            const t = GameObstacles.segmentEntry({ type: 'rock', x: target.x, y: target.y, radius: target.size / 2 }, from, to);
+            if (t !== null && t < nearest) {
+                nearest = t;
+                hitTarget = target;
+                hitObstacle = null;
+            }
+        });
+
+        if (hitTarget) {
+            this.damage(hitTarget, rail.damage, rail);
+        } else if (hitObstacle) {
+            this.game.obstaclesManager.damage(hitObstacle, rail.damage);
+            this.game.obstaclesManager.removeDestroyed();
+        }
+        this.game.weaponEffects.push({
+            type: 'rail',
+            fromX: from.x,
+            fromY: from.y,
+            toX: from.x + (to.x - from.x) * nearest,
+            toY: from.y + (to.y - from.y) * nearest,
+            color: tank.color,
+            spawnTime: this.game.now()
+        });
+    }
+
+    // Mines go down behind the tank; past the limit the tank's oldest mine is cleared
+    dropMine(tank, weapon, shot) {
+        const behind = tank.size / 2 + weapon.size;
+        const mine = Object.assign(this.projectile(tank, weapon, shot), {
+            x: Math.max(weapon.size, Math.min(GAME_CONFIG.MAP_WIDTH - weapon.size, tank.x - Math.cos(tank.angle) * behind)),
+            y: Math.max(weapon.size, Math.min(GAME_CONFIG.MAP_HEIGHT - weapon.size, tank.y - Math.sin(tank.angle) * behind)),
+            armTime: this.game.now() + WEAPON_CONFIG.MINE_ARM_MS
+        });
+        const owned = this.game.mines.filter(other => other.ownerId === tank.id);
+        if (owned.length >= WEAPON_CONFIG.MAX_MINES_PER_TANK) {
+            this.game.mines.splice(this.game.mines.indexOf(owned[0]), 1);
+        }
+        this.game.mines.push(mine);
+    }
+
+    /**
+     * Whether a tank's side can see a mine. Mines show while arming; after that only the layer
+     * and its teammates (everyone on the players' side in the campaign) know where they are.
+     * @param {Object} mine - Mine in game.mines
+     * @param {Object} tank - Tank looking
+     * @returns {boolean}
+     */
+    mineVisibleTo(mine, tank) {
+        if (this.game.now() < mine.armTime) return true;
+        const owner = this.game.tanks.find(t => t.id === mine.ownerId);
+        return !!owner && this.game.areFriendly(owner, tank);
+    }
+
+    /**
+     * Enemy a missile fired now would lock onto: the one closest to the turret's line
+     * inside the weapon's lock cone and range. Bots can't lock onto enemies their cloak hides.
+     * @param {Object} tank - Tank holding a missile launcher
+     * @returns {Object|null} Tank or campaign enemy
+     */
+    lockTarget(tank) {
+        const weapon = GameWeapons.weaponOf(tank);
+        if (weapon.projectile !== 'missile') return null;
+        let best = null;
+        let bestOffset = weapon.lockCone;
+        this.targetsFor({ owner: GameWeapons.ownerTag(tank), ownerId: tank.id }).forEach(target => {
+            const dx = target.x - tank.x;
+            const dy = target.y - tank.y;
+            if (dx * dx + dy * dy > weapon.lockRange ** 2) return;
+            if (tank.isAI && this.game.powerupsManager.hiddenFrom(target, tank)) return;
+            const offset = Math.abs(GameWeapons.angleBetween(tank.turretAngle, Math.atan2(dy, dx)));
+            if (offset <= bestOffset) {
+                best = target;
+                bestOffset = offset;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Turn a homing missile toward its target while its motor burns. A target carrying
+     * flares throws one out when the missile closes in and the missile chases that instead.
+     * @param {Object} missile - Homing bullet, before it moves this tick
+     */
+    steerMissile(missile) {
+        if (this.game.now() - missile.spawnTime > missile.fuelMs) return;
+        missile.trail.push({ x: missile.x, y: missile.y });
+        if (missile.trail.length > WEAPON_CONFIG.MISSILE_TRAIL_LENGTH) {
+            missile.trail.shift();
+        }
+
+        const target = missile.target;
+        if (!target || target.isAlive === false || (target.flare && !this.game.flares.includes(target))) {
+            missile.target = null;
+            return;
+        }
+        const distance = Math.sqrt((target.x - missile.x) ** 2 + (target.y - missile.y) ** 2);
+        if (!missile.decoyed && GamePowerups.stacks(target, 'flares') > 0 && distance < WEAPON_CONFIG.FLARE_TRIGGER_DISTANCE) {
+            missile.target = this.dropFlare(target, missile);
+            missile.decoyed = true;
+            return;
+        }
+        const turn = GameWeapons.angleBetween(missile.angle, Math.atan2(target.y - missile.y, target.x - missile.x));
+        missile.angle += Math.max(-missile.turnRate, Math.min(missile.turnRate, turn));
+    }
+
+    // Flares are thrown out sideways from the tank, across the missile's path
+    dropFlare(tank, missile) {
+        const side = GameWeapons.angleBetween(missile.angle, Math.atan2(tank.y - missile.y, tank.x - missile.x)) >= 0 ? -1 : 1;
+        const angle = missile.angle + side * Math.PI / 2;
+        const flare = {
+            flare: true,
+            x: tank.x,
+            y: tank.y,
+            vx: Math.cos(angle) * WEAPON_CONFIG.FLARE_DRIFT_SPEED,
+            vy: Math.sin(angle) * WEAPON_CONFIG.FLARE_DRIFT_SPEED,
+            spawnTime: this.game.now()
+        };
+        this.game.flares.push(flare);
+        this.game.playSound('shoot');
+        return flare;
+    }
+
+    /**
+     * Signed smallest turn from one heading to another
+     * @param {number} from - Heading in radians
+     * @param {number} to - Heading in radians
+     * @returns {number} Radians in [-π, π]
+     */
+    static angleBetween(from, to) {
+        return Math.atan2(Math.sin(to - from), Math.cos(to - from));
+    }
+
+    /**
+     * Give a tank a weapon. Anything other than its loadout comes with the crate's ammo.
+     * @param {Object} tank - Tank
+     * @param {string} type - Weapon type
+     */
+    equip(tank, type) {
+        tank.weapon = WEAPON_CONFIG.WEAPONS[type] ? type : WEAPON_CONFIG.DEFAULT;
+        tank.weaponAmmo = tank.weapon === GameWeapons.loadoutOf(tank) ? null : WEAPON_CONFIG.WEAPONS[tank.weapon].pickupAmmo;
+    }
+
+    /**
+     * Weapon to put in a new weapon crate
+     * @returns {string} Any weapon that comes with pickup ammo
+     */
+    pickCrateWeapon() {
+        return this.game.rng.pick(WEAPON_TYPES.filter(type => WEAPON_CONFIG.WEAPONS[type].pickupAmmo > 0));
+    }
+
+    /**
+     * Move shells and flares, set off mines and fade effects
+     */
+    update() {
+        const now = this.game.now();
+        this.game.shells = this.game.shells.filter(shell => {
+            shell.x += Math.cos(shell.angle) * shell.speed;
+            shell.y += Math.sin(shell.angle) * shell.speed;
+            shell.traveled += shell.speed;
+            const outside = shell.x < 0 || shell.y < 0 || shell.x > GAME_CONFIG.MAP_WIDTH || shell.y > GAME_CONFIG.MAP_HEIGHT;
+            if (shell.traveled < shell.range && !outside) return true;
+            this.explode(shell, Math.max(0, Math.min(GAME_CONFIG.MAP_WIDTH, shell.x)), Math.max(0, Math.min(GAME_CONFIG.MAP_HEIGHT, shell.y)));
+            return false;
+        });
+
+        this.game.mines = this.game.mines.filter(mine => {
+            if (now - mine.spawnTime > WEAPON_CONFIG.MINE_LIFETIME_MS) return false;
+            if (now < mine.armTime) return true;
+            const triggered = this.targetsFor(mine).some(target =>
+                Math.sqrt((target.x - mine.x) ** 2 + (target.y - mine.y) ** 2) < WEAPON_CONFIG.MINE_TRIGGER_RADIUS + target.size / 2);
+            if (!triggered) return true;
+            this.explode(mine, mine.x, mine.y);
+            return false;
+        });
+
+        this.game.charges = this.game.charges.filter(charge => {
+            if (now < charge.detonateTime) return true;
+            this.explode(charge, charge.x, charge.y);
+            return false;
+        });
+
+        this.game.flares = this.game.flares.filter(flare => now - flare.spawnTime < WEAPON_CONFIG.FLARE_BURN_MS);
+        this.game.flares.forEach(flare => {
+            flare.x += flare.vx;
+            flare.y += flare.vy;
+            flare.vx *= 0.95;
+            flare.vy *= 0.95;
+        });
+
+        this.game.weaponEffects = this.game.weaponEffects.filter(effect =>
+            now - effect.spawnTime < (effect.type === 'rail' ? WEAPON_CONFIG.RAIL_TRAIL_MS : WEAPON_CONFIG.BLAST_EFFECT_MS));
+    }
+
+    /**
+     * Burst of a shell, mine or charge: every target and obstacle within the blast radius takes
+     * damage falling off toward its edge, and tanks that were hurt get knocked away from the center
+     * @param {Object} projectile - Shell, mine or charge
+     * @param {number} x - Blast center X
+     * @param {number} y - Blast center Y
+     */
+    explode(projectile, x, y) {
+        this.targetsFor(projectile).forEach(target => {
+            const distance = Math.sqrt((target.x - x) ** 2 + (target.y - y) ** 2);
+            const reach = projectile.blastRadius + target.size / 2;
+            if (distance >= reach) return;
+            const strength = 1 - WEAPON_CONFIG.BLAST_FALLOFF * distance / reach;
+            if (this.damage(target, Math.max(1, Math.round(projectile.damage * strength)), projectile) && target.boostVx !== undefined) {
+                // Knockback rides the same momentum as a boost pad launch (see terrain.js)
+                const angle = distance > 0 ? Math.atan2(target.y - y, target.x - x) : this.game.rng.range(0, Math.PI * 2);
+                target.boostVx += Math.cos(angle) * WEAPON_CONFIG.BLAST_KNOCKBACK * strength;
+                target.boostVy += Math.sin(angle) * WEAPON_CONFIG.BLAST_KNOCKBACK * strength;
+            }
+        });
+        this.game.obstacles.forEach(obstacle => {
+            const distance = GameObstacles.distanceTo(obstacle, x, y);
+            if (!obstacle.destroyed && distance < projectile.blastRadius) {
+                const strength = 1 - WEAPON_CONFIG.BLAST_FALLOFF * distance / projectile.blastRadius;
+                this.game.obstaclesManager.damage(obstacle, Math.max(1, Math.round(projectile.damage * strength)));
+            }
+        });
+        this.game.obstaclesManager.removeDestroyed();
+        this.game.weaponEffects.push({ type: 'blast', x, y, radius: projectile.blastRadius, color: projectile.color, spawnTime: this.game.now() });
+        this.game.playSound('explosion');
+    }
+
+    // Tanks (and campaign enemies) a projectile is allowed to hurt
+    targetsFor(projectile) {
+        const targets = this.game.tanks.filter(tank => this.game.canDamageTank(projectile, tank));
+        if (this.game.gameMode === GAME_MODES.CAMPAIGN && this.game.mode && projectile.owner !== 'enemy') {
+            return targets.concat(this.game.mode.enemies.filter(enemy => enemy.isAlive));
+        }
+        return targets;
+    }
+
+    // False when the hit was shrugged off (invincibility)
+    damage(target, amount, projectile) {
+        if (this.game.tanks.includes(target)) {
+            return this.game.damageTank(target, amount, projectile);
+        }
+        this.game.damageEnemy(target, amount, projectile);
+        return true;
+    }
+}
+
+window.GameWeapons = GameWeapons;
@@ -0,0 +1,142 @@
+// =============================================================================
+// HEADLESS ENGINE LOADER (Node)
+// =============================================================================
+// Loads the browser game scripts into a sandbox with no DOM so the real engine
+// can run bot matches under plain Node, e.g. for balance tuning or regression
+// checks:
+//
+//   const { createEngine } = require('./tools/headless');
+//   const engine = createEngine();
+//   const result = await engine.runMatch({ mode: 'ffa', aiBots: 4, seed: 42 });
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Simulation scripts in index.html load order (rendering, audio, MIDI and menu are left out)
+const SIMULATION_SCRIPTS = [
+    'js/constants.js',
+    'js/random.js',
+    'js/powerups.js',
+    'js/collisions.js',
+    'js/obstacles.js',
+    'js/terrain.js',
+    'js/mapEntities.js',
+    'js/navigation.js',
+    'js/visibility.js',
+    'js/weapons.js',
+    'js/respawns.js',
+    'js/maps.js',
+    'js/mapPack.js',
+    'js/mapGenerators.js',
+    'js/modes/modeManager.js',
+    'js/modes/ffaMode.js',
+    'js/modes/tdmMode.js',
+    'js/modes/ctfMode.js',
+    'js/modes/kothMode.js',
+    'js/modes/campaignMode.js',
+    'js/aiPersonas.js',
+    'js/aiBehavior.js',
+    'js/teamTactics.js',
+    'js/replay.js',
+    'js/game.js'
+];
+
+const quietConsole = {
+    log() {},
+    info() {},
+    debug() {},
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+/**
+ * Create an isolated engine instance
+ * @param {Object} options - { verbose: also forward console.log from the game }
+ * @returns {Object} Engine with the game globals and a runMatch helper
+ */
+function createEngine(options = {}) {
+    const sandbox = { console: options.verbose ? console : quietConsole };
+    sandbox.window = sandbox;
+    const context = vm.createContext(sandbox);
+
+    SIMULATION_SCRIPTS.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    // Top-level const/class declarations live in the context's script scope
+    const globals = vm.runInContext('({ MultiTanksGame, ReplayPlayer, MapLoader, GAME_CONFIG, GAME_MODES, GAME_STATES, CAMPAIGN_CONFIG })', context);
+
+    /**
+     * @param {string|Object} map - Built-in map id or map data
+     * @returns {Object|null} Validated map data
+     */
+    function resolveMap(map) {
+        if (!map) return null;
+        if (typeof map === 'string') {
+            const builtIn = globals.MapLoader.builtIn(map);
+            if (!builtIn) throw new Error(`Unknown map "${map}"`);
+            return builtIn;
+        }
+        globals.MapLoader.validate(map);
+        return globals.MapLoader.normalize(map);
+    }
+
+    /**
+     * Run one bot match to completion
+     * @param {Object} match - { mode, aiBots, seed, map, generator, mapWidth, mapHeight, aiTeamDistribution, rules, aiWeapon, powerups, botSkill, campaignLevel, campaignDifficulty, maxTicks, record }
+     *   map is a built-in map id or map data (see MapLoader); generator is { type, symmetry, terrain } for random maps;
+     *   aiWeapon is the bots' loadout (a WEAPON_TYPES entry or 'random'); powerups reweights
+     *   powerup spawns ({ KEY: weight }, 0 turns one off); botSkill is every bot's AI_SKILL level
+     * @returns {Promise<Object>} Match summary from MultiTanksGame.getMatchSummary (plus the replay when record is set)
+     */
+    async function runMatch(match = {}) {
+        const game = new globals.MultiTanksGame();
+        const mode = match.mode || globals.GAME_MODES.FFA;
+        await game.initialize(null, 0, match.aiBots !== undefined ? match.aiBots : 4, mode, {}, match.aiTeamDistribution || null, {
+            seed: match.seed,
+            map: resolveMap(match.map),
+            generator: match.generator,
+            mapWidth: match.mapWidth,
+            mapHeight: match.mapHeight,
+            rules: match.rules,
+            loadouts: match.aiWeapon ? { ai: match.aiWeapon } : null,
+            powerups: match.powerups,
+            botSkills: match.botSkill ? { ai: match.botSkill } : null,
+            record: match.record
+        });
+
+        if (mode === globals.GAME_MODES.CAMPAIGN && game.mode) {
+            game.mode.currentLevel = match.campaignLevel || 1;
+            game.mode.difficulty = match.campaignDifficulty || 'MEDIUM';
+            game.mode.initializeLevel(game);
+        }
+
+        const result = game.simulate(match.maxTicks);
+        if (game.recorder) {
+            game.finishRecording();
+            result.replay = game.recorder.toJSON();
+        }
+        return result;
+    }
+
+    /**
+     * Play a recorded replay back through the engine
+     * @param {Object|string} replay - Replay data or file contents
+     * @returns {Promise<Object>} { summary, desyncTick } where desyncTick is null if playback matched the recording
+     */
+    async function playReplay(replay) {
+        const data = typeof replay === 'string' ? globals.ReplayPlayer.parse(replay) : replay;
+        const player = new globals.ReplayPlayer(data);
+        const game = await player.createGame(null);
+        const summary = game.simulate(data.endTick);
+        return { summary, desyncTick: player.desyncTick };
+    }
+
+    return Object.assign({ context, runMatch, playReplay }, globals);
+}
+
+module.exports = { createEngine, SIMULATION_SCRIPTS };
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// =============================================================================
+// BATCH BOT MATCH SIMULATOR
+// =============================================================================
+// Runs many headless AI-only matches and prints aggregate results.
+//
+//   node tools/simulate.js --matches 500 --mode tdm --bots 6 --seed 1000
+//   node tools/simulate.js --mode ffa --lives 0 --fragLimit 10 --timeLimit 300
+//   node tools/simulate.js --mode ctf --map twin-forts   (built-in map id or a .json map file)
+//   node tools/simulate.js --mode tdm --generator cave --symmetry mirror   (random map layout)
+//   node tools/simulate.js --mode ffa --terrain   (random maps get mud, ice, water and boost pads)
+//   node tools/simulate.js --mode ffa --weapon shotgun   (bot loadout: any weapon type or random)
+//   node tools/simulate.js --mode ffa --pads --maxPowerups 3   (timed powerup pads, live powerup cap)
+//   node tools/simulate.js --mode tdm --skill ROOKIE   (bot skill level, ROOKIE through ACE)
+//
+// Match i uses seed (seed + i), so any interesting match can be replayed on its own.
+
+const fs = require('fs');
+const { createEngine } = require('./headless');
+
+function parseArgs(argv) {
+    const args = { matches: 100, mode: 'ffa', bots: 4, seed: 1, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        if (key === 'json') { args.json = true; continue; }
+        if (key === 'terrain') { args.terrain = true; continue; }
+        if (key === 'pads') { args.pads = true; continue; }
+        const value = argv[++i];
+        if (['matches', 'bots', 'seed', 'level', 'maxTicks', 'lives', 'fragLimit', 'timeLimit', 'maxPowerups'].includes(key)) {
+            args[key] = Number(value);
+        } else {
+            args[key] = value;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    // Match rules (lives, frag limit, time limit in seconds); unset ones keep their defaults
+    const rules = {};
+    if (args.lives !== undefined) rules.lives = args.lives;
+    if (args.fragLimit !== undefined) rules.scoreLimit = args.fragLimit;
+    if (args.timeLimit !== undefined) rules.timeLimitMs = args.timeLimit * 1000;
+    if (args.pads) rules.powerupPads = true;
+    if (args.maxPowerups !== undefined) rules.maxPowerups = args.maxPowerups;
+    const engine = createEngine();
+    const map = (args.map && args.map.endsWith('.json')) ? engine.MapLoader.parse(fs.readFileSync(args.map, 'utf8')) : args.map;
+    const wins = new Map();
+    let unfinished = 0;
+    let totalTicks = 0;
+    let totalDuration = 0;
+    const started = Date.now();
+    const results = [];
+
+    for (let i = 0; i < args.matches; i++) {
+        const result = await engine.runMatch({
+            mode: args.mode,
+            aiBots: args.bots,
+            seed: args.seed + i,
+            rules: rules,
+            map: map,
+            generator: { type: args.generator, symmetry: args.symmetry, terrain: args.terrain },
+            aiWeapon: args.weapon,
+            campaignLevel: args.level,
+            botSkill: args.skill,
+            campaignDifficulty: args.difficulty,
+            maxTicks: args.maxTicks
+        });
+        results.push(result);
+        totalTicks += result.ticks;
+        totalDuration += result.durationMs;
+        if (!result.finished) {
+            unfinished++;
+        } else {
+            wins.set(result.winner, (wins.get(result.winner) || 0) + 1);
+        }
+    }
+
+    const elapsed = Date.now() - started;
+    if (args.json) {
+        console.log(JSON.stringify(results, null, 2));
+        return;
+    }
+
+    console.log(`Simulated ${args.matches} ${args.mode.toUpperCase()} matches with ${args.bots} bots in ${(elapsed / 1000).toFixed(1)}s`);
+    console.log(`Average match length: ${(totalDuration / Math.max(1, args.matches) / 1000).toFixed(1)}s simulated ` +
+        `(${(totalDuration / Math.max(1, elapsed)).toFixed(0)}x real time)`);
+    console.log(`Unfinished (hit tick limit): ${unfinished}`);
+    console.log('Wins:');
+    [...wins.entries()].sort((a, b) => b[1] - a[1]).forEach(([winner, count]) => {
+        console.log(`  ${String(winner).padEnd(12)} ${count} (${Math.round(count / args.matches * 100)}%)`);
+    });
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});